@@ -7,6 +7,13 @@ import { PanelGroup } from './components/Panel/PanelGroup.js';
 import { PanelFactory } from './components/Panel/PanelFactory.js';
 import { StatusBar } from './components/StatusBar/StatusBar.js';
 import { ApplicationStateService } from './services/ApplicationStateService.js';
+import { WorkspaceManagerService } from './services/Workspace/WorkspaceManagerService.js';
+import { WorkspaceValidationService } from './services/Workspace/WorkspaceValidationService.js';
+import { AutosaveService } from './services/Workspace/AutosaveService.js';
+import { WorkspaceFileService } from './services/Workspace/WorkspaceFileService.js';
+import { LayoutHistoryService } from './services/Workspace/LayoutHistoryService.js';
+import { WorkspaceSyncService } from './services/Workspace/WorkspaceSyncService.js';
+import { WorkspaceCommandService } from './services/Workspace/WorkspaceCommandService.js';
 import { appNotifications } from './services/Notification/Notification.js';
 import { NotificationUIListener } from './services/Notification/NotificationUIListener.js';
 import { TranslationService } from './services/TranslationService.js';
@@ -33,7 +40,14 @@ import { EventTypes } from './constants/EventTypes.js';
 import { ViewportFactory } from './components/Viewport/ViewportFactory.js';
 import { ApplicationWindow } from './components/Viewport/ApplicationWindow.js';
 import { NotepadWindow } from './components/Viewport/ConcreteWindows/NotepadWindow.js';
-import { Viewport } from './components/Viewport/Viewport.js'; // Added import
+import { LayoutVariantService } from './services/Workspace/LayoutVariantService.js';
+import { LayoutLinkService } from './services/Workspace/LayoutLinkService.js';
+import { LayoutLockService } from './services/LayoutLockService.js';
+import { LayoutApiService } from './services/LayoutApiService.js';
+import { LayoutMaximizeService } from './services/LayoutMaximizeService.js';
+import { ResizeSnapService } from './services/ResizeSnapService.js';
+import { LayoutNodeType } from './constants/LayoutNodeTypes.js';
+import { LayoutSizing } from './constants/LayoutSizing.js';
 
 /**
  * Description:
@@ -44,8 +58,7 @@ import { Viewport } from './components/Viewport/Viewport.js'; // Added import
  * new panels).
  *
  * Properties summary:
- * - STORAGE_KEY {string} : The key used for saving the state in localStorage.
- * - currentWorkspace {object | null} : Holds the currently loaded workspace data.
+ * - currentWorkspace {object | null} : Holds the currently loaded workspace ({ id, name, layout }).
  * - namespace {string} : A unique namespace for this singleton's appBus listeners.
  * - menu {Menu} : The instance of the main application menu.
  * - container {Container} : The instance of the root layout container component.
@@ -55,6 +68,20 @@ import { Viewport } from './components/Viewport/Viewport.js'; // Added import
  * - _toolbarLeft {ToolbarContainer} : Instance of the left toolbar container.
  * - _toolbarRight {ToolbarContainer} : Instance of the right toolbar container.
  * - stateService {ApplicationStateService} : The singleton instance of the ApplicationStateService.
+ * - workspaceManager {WorkspaceManagerService} : The singleton managing the named workspaces.
+ * - autosave {AutosaveService} : The singleton tracking unsaved changes and autosaving them.
+ * - workspaceFiles {WorkspaceFileService} : The singleton exporting and importing workspace files.
+ * - history {LayoutHistoryService} : The singleton keeping the undo/redo history of the layout.
+ * - workspaceSync {WorkspaceSyncService} : The singleton coordinating workspace writes across browser tabs.
+ * - layoutVariants {LayoutVariantService} : The singleton tracking the container breakpoint.
+ * - layoutLock {LayoutLockService} : The singleton holding the layout lock (read-only mode).
+ * - layout {LayoutApiService} : The public layout API (find, move, split, float, dock...).
+ * - layoutMaximize {LayoutMaximizeService} : The singleton maximizing one panel group over the layout.
+ * - resizeSnap {ResizeSnapService} : The singleton holding the snapping settings of the resize bars.
+ * - workspaceCommands {WorkspaceCommandService} : The singleton handling the workspace menu commands.
+ * - _activeVariant {string | null} : The layout variant on screen (null for the base layout).
+ * - _syncNotificationId {string | null} : The notification about a change made in another tab.
+ * - _options {object} : The options given to the constructor.
  * - _workspaceLoader {Loader} : The loader instance for the main container.
  * - _mainWrapper {HTMLElement} : The DOM wrapper for Menu and Container.
  * - _bound... {Function | null} : Bound event handlers for robust cleanup.
@@ -62,11 +89,17 @@ import { Viewport } from './components/Viewport/Viewport.js'; // Added import
  *
  * Typical usage:
  * // In main.js
- * const app = new App();
+ * const app = new App(); // localStorage
+ * // or: new App({ storage: new IndexedDBStorageAdapter(), defaultLayoutUrl: 'layouts/base.json', autosave: true, singleWriter: true })
+ * // kiosk: new App({ locked: true })
  * await app.init();
  *
  * Events:
  * - Listens to: EventTypes.APP_ADD_NEW_PANEL, EventTypes.APP_SAVE_STATE, EventTypes.APP_RESTORE_STATE, EventTypes.APP_RESET_STATE, EventTypes.APP_ADD_NEW_WINDOW
+ * - Listens to: EventTypes.APP_TOGGLE_AUTOSAVE, EventTypes.APP_UNDO, EventTypes.APP_REDO, EventTypes.APP_TOGGLE_LAYOUT_LOCK
+ * - Listens to: EventTypes.APP_TOGGLE_PROPORTIONAL_SIZING
+ * - Listens to: EventTypes.APP_LAYOUT_VARIANT_SAVE, EventTypes.LAYOUT_BREAKPOINT_CHANGED
+ * - Listens to: EventTypes.WORKSPACE_REMOTE_CHANGED, EventTypes.WORKSPACE_WRITE_LOCK_CHANGED
  * - Emits: EventTypes.STATUSBAR_SET_PERMANENT_STATUS (on init)
  * - Emits: EventTypes.LAYOUT_INITIALIZED (on init, after load)
  * - Emits: EventTypes.STATUSBAR_SET_STATUS (on reset)
@@ -76,7 +109,45 @@ import { Viewport } from './components/Viewport/Viewport.js'; // Added import
  * - Centralizes service registration (DND strategies, Panel types, Shortcuts).
  * - Manages the top-level application lifecycle (init, destroy).
  * - Orchestrates layout persistence (save, restore, reset) by coordinating
- * ApplicationStateService and the root Container.
+ * WorkspaceManagerService and the root Container.
+ * - Save/restore/reset always act on the active named workspace.
+ * - Workspace commands (save as, new from template, switch, rename, delete,
+ * export, import, layout links, restore points, storage cleanup) are handled
+ * by WorkspaceCommandService, attached to the layout on screen.
+ * - Every layout is validated before being applied; broken subtrees are skipped
+ * and listed in a notification, the rest still loads.
+ * - Autosave is opt-in (constructor option or menu toggle); unsaved changes are
+ * flushed before switching workspaces.
+ * - Undo/redo rebuild the layout from history snapshots; loading another
+ * layout starts a new history. Ctrl+Z / Ctrl+Shift+Z leave text fields alone.
+ * - When another tab saves or resets the open workspace, the user chooses
+ * between reloading it and keeping the local layout. In single-writer mode
+ * (constructor option), tabs without the write lock are read-only.
+ * - At startup, a layout link in the URL fragment is offered as a new
+ * workspace after the saved one is loaded.
+ * - Reset, restore and rollback first keep the layout on screen as an
+ * automatic restore point.
+ * - A workspace may hold one layout variant per container breakpoint. Crossing
+ * a breakpoint switches to its variant (or the base layout), reusing the live
+ * panels whose id exists in both; edits of the left variant stay in memory
+ * until the next save. Saving writes into the variant on screen.
+ * - The layout can be locked (constructor option or menu toggle): no drags,
+ * resizes, undocking, closing, undo or redo. Workspaces may also lock single regions
+ * with 'policy' flags (see LayoutLockService).
+ * - The menu toggles proportional sizing for the workspace: rows, columns and
+ * panel groups keep their share of the window instead of their pixel size
+ * (see LayoutSizing). The mode is saved with the layout.
+ * - A panel group can be maximized over the whole container (header button,
+ * tab context menu or Ctrl+Shift+Enter for the focused group); toggling again
+ * or Escape restores the layout (see LayoutMaximizeService).
+ * - Resize bars snap to the edges of the other branches of the layout and to an
+ * optional grid (constructor option 'resizeSnap', see ResizeSnapService).
+ * Double-clicking a bar equalizes its neighbours; the tab context menu
+ * distributes the columns of a Row or the panel groups of a Column evenly,
+ * unless the layout lock forbids resizing one of them.
+ * - The tab context menu pins an outer column to the Row edge as an auto-hide
+ * dock (a strip of vertical panel titles that slides the column out), or
+ * docks it back. The state is saved with the layout.
  *
  * Dependencies:
  * - components/Menu/Menu.js
@@ -89,6 +160,21 @@ import { Viewport } from './components/Viewport/Viewport.js'; // Added import
  * - components/Viewport/ApplicationWindow.js
  * - components/Viewport/ConcreteWindows/NotepadWindow.js
  * - services/ApplicationStateService.js
+ * - services/Workspace/WorkspaceManagerService.js
+ * - services/Workspace/WorkspaceValidationService.js
+ * - services/Workspace/AutosaveService.js
+ * - services/Workspace/WorkspaceFileService.js
+ * - services/Workspace/LayoutHistoryService.js
+ * - services/Workspace/WorkspaceSyncService.js
+ * - services/Workspace/LayoutVariantService.js
+ * - services/Workspace/LayoutLinkService.js
+ * - services/LayoutLockService.js
+ * - services/LayoutApiService.js
+ * - services/LayoutMaximizeService.js
+ * - services/ResizeSnapService.js
+ * - constants/LayoutNodeTypes.js
+ * - constants/LayoutSizing.js
+ * - services/Workspace/WorkspaceCommandService.js
  * - services/LayoutService.js
  * - services/DND/DragDropService.js (and all strategies)
  * - components/Panel/PanelFactory.js (and all Panel types)
@@ -101,15 +187,7 @@ import { Viewport } from './components/Viewport/Viewport.js'; // Added import
  */
 export class App {
     /**
-     * The main storage key for the layout.
-     *
-     * @type {string}
-     * @public
-     */
-    STORAGE_KEY = 'panel_state';
-
-    /**
-     * Stores the loaded workspace object (including name and layout).
+     * Stores the loaded workspace object (including id, name and layout).
      *
      * @type {object | null}
      * @public
@@ -188,6 +266,118 @@ export class App {
      */
     stateService;
 
+    /**
+     * The singleton instance of the WorkspaceManagerService.
+     *
+     * @type {import('./services/Workspace/WorkspaceManagerService.js').WorkspaceManagerService}
+     * @public
+     */
+    workspaceManager;
+
+    /**
+     * The singleton instance of the AutosaveService.
+     *
+     * @type {import('./services/Workspace/AutosaveService.js').AutosaveService}
+     * @public
+     */
+    autosave;
+
+    /**
+     * The singleton instance of the WorkspaceFileService.
+     *
+     * @type {import('./services/Workspace/WorkspaceFileService.js').WorkspaceFileService}
+     * @public
+     */
+    workspaceFiles;
+
+    /**
+     * The singleton instance of the LayoutHistoryService.
+     *
+     * @type {import('./services/Workspace/LayoutHistoryService.js').LayoutHistoryService}
+     * @public
+     */
+    history;
+
+    /**
+     * The singleton instance of the WorkspaceSyncService.
+     *
+     * @type {import('./services/Workspace/WorkspaceSyncService.js').WorkspaceSyncService}
+     * @public
+     */
+    workspaceSync;
+
+    /**
+     * The singleton instance of the LayoutVariantService.
+     *
+     * @type {import('./services/Workspace/LayoutVariantService.js').LayoutVariantService}
+     * @public
+     */
+    layoutVariants;
+
+    /**
+     * The singleton instance of the LayoutLockService.
+     *
+     * @type {import('./services/LayoutLockService.js').LayoutLockService}
+     * @public
+     */
+    layoutLock;
+
+    /**
+     * The singleton instance of the LayoutApiService (public layout API).
+     *
+     * @type {import('./services/LayoutApiService.js').LayoutApiService}
+     * @public
+     */
+    layout;
+
+    /**
+     * The singleton instance of the LayoutMaximizeService.
+     *
+     * @type {import('./services/LayoutMaximizeService.js').LayoutMaximizeService}
+     * @public
+     */
+    layoutMaximize;
+
+    /**
+     * The singleton instance of the ResizeSnapService.
+     *
+     * @type {import('./services/ResizeSnapService.js').ResizeSnapService}
+     * @public
+     */
+    resizeSnap;
+
+    /**
+     * The singleton instance of the WorkspaceCommandService.
+     *
+     * @type {import('./services/Workspace/WorkspaceCommandService.js').WorkspaceCommandService}
+     * @public
+     */
+    workspaceCommands;
+
+    /**
+     * The layout variant on screen (null for the base layout).
+     *
+     * @type {string | null}
+     * @private
+     */
+    _activeVariant = null;
+
+    /**
+     * The notification about a change made in another tab.
+     *
+     * @type {string | null}
+     * @private
+     */
+    _syncNotificationId = null;
+
+    /**
+     * The options given to the constructor.
+     *
+     * @type {object}
+     * @private
+     */
+    _options = {};
+
     /**
      * The main menu component instance.
      *
@@ -228,14 +418,6 @@ export class App {
      */
     _boundAddNewWindow = null;
 
-    /**
-     * Bound handler for resetting the layout silently.
-     *
-     * @type {Function | null}
-     * @private
-     */
-    _boundResetLayoutSilent = null;
-
     /**
      * Bound handler for saving the layout.
      *
@@ -260,28 +442,144 @@ export class App {
      */
     _boundResetLayout = null;
 
+    /**
+     * Bound handler for undoing the last layout change.
+     *
+     * @type {Function | null}
+     * @private
+     */
+    _boundUndoLayout = null;
+
+    /**
+     * Bound handler for redoing the last undone layout change.
+     *
+     * @type {Function | null}
+     * @private
+     */
+    _boundRedoLayout = null;
+
+    /**
+     * Bound handler for toggling autosave.
+     *
+     * @type {Function | null}
+     * @private
+     */
+    _boundToggleAutosave = null;
+
+    /**
+     * Bound handler for toggling the layout lock.
+     *
+     * @type {Function | null}
+     * @private
+     */
+    _boundToggleLayoutLock = null;
+
+    /**
+     * Bound handler for toggling proportional sizing.
+     *
+     * @type {Function | null}
+     * @private
+     */
+    _boundToggleProportionalSizing = null;
+
+    /**
+     * Bound handler for distributing the columns of a Row evenly.
+     *
+     * @type {Function | null}
+     * @private
+     */
+    _boundDistributeColumns = null;
+
+    /**
+     * Bound handler for distributing the panel groups of a Column evenly.
+     *
+     * @type {Function | null}
+     * @private
+     */
+    _boundDistributePanelGroups = null;
+
+    /**
+     * Bound handler for toggling the auto-hide state of a column.
+     *
+     * @type {Function | null}
+     * @private
+     */
+    _boundToggleColumnAutoHide = null;
+
+    /**
+     * Bound handler for saving the layout variant of the current breakpoint.
+     *
+     * @type {Function | null}
+     * @private
+     */
+    _boundSaveLayoutVariant = null;
+
+    /**
+     * Bound handler for container breakpoint changes.
+     *
+     * @type {Function | null}
+     * @private
+     */
+    _boundOnBreakpointChanged = null;
+
+    /**
+     * Bound handler for workspace writes made in another tab.
+     *
+     * @type {Function | null}
+     * @private
+     */
+    _boundOnRemoteWorkspaceChanged = null;
+
+    /**
+     * Bound handler for write lock changes.
+     *
+     * @type {Function | null}
+     * @private
+     */
+    _boundOnWriteLockChanged = null;
+
     /**
      * Creates an instance of App.
      * Implements the Singleton pattern.
+     *
+     * @param {object} [options={}] - Application options.
+     * @param {import('./services/Storage/StorageAdapter.js').StorageAdapter} [options.storage] - The storage backend (defaults to localStorage).
+     * @param {string} [options.defaultLayoutUrl] - URL of the default workspace JSON.
+     * @param {boolean} [options.autosave=false] - Default autosave mode (a saved user preference wins).
+     * @param {boolean} [options.singleWriter=false] - Only one browser tab may save workspaces.
+     * @param {boolean} [options.locked=false] - Start with the layout locked (kiosk / demo mode).
+     * @param {{enabled?: boolean, grid?: number, threshold?: number}} [options.resizeSnap] - Snapping of the resize bars (see ResizeSnapService).
      */
-    constructor() {
+    constructor(options = {}) {
         if (App.instance) {
             return App.instance;
         }
         App.instance = this;
 
         const me = this;
+        me._options = options;
 
-        me._initializeServices();
+        me._initializeServices(options);
         me._registerStrategies();
         me._initializeUI();
 
         me._boundAddNewPanel = me.addNewPanel.bind(me);
         me._boundAddNewWindow = me.addNewWindow.bind(me);
-        me._boundResetLayoutSilent = me.resetLayout.bind(me, true);
         me._boundSaveLayout = me.saveLayout.bind(me);
         me._boundRestoreLayout = me.restoreLayout.bind(me);
         me._boundResetLayout = me.resetLayout.bind(me, false);
+        me._boundToggleAutosave = me.toggleAutosave.bind(me);
+        me._boundToggleLayoutLock = me.toggleLayoutLock.bind(me);
+        me._boundToggleProportionalSizing = me.toggleProportionalSizing.bind(me);
+        me._boundDistributeColumns = me.distributeColumns.bind(me);
+        me._boundDistributePanelGroups = me.distributePanelGroups.bind(me);
+        me._boundToggleColumnAutoHide = me.toggleColumnAutoHide.bind(me);
+        me._boundUndoLayout = me.undoLayout.bind(me);
+        me._boundRedoLayout = me.redoLayout.bind(me);
+        me._boundSaveLayoutVariant = me.saveLayoutVariant.bind(me);
+        me._boundOnBreakpointChanged = me._onBreakpointChanged.bind(me);
+        me._boundOnRemoteWorkspaceChanged = me._onRemoteWorkspaceChanged.bind(me);
+        me._boundOnWriteLockChanged = me._onWriteLockChanged.bind(me);
 
         me.initEventListeners();
         me._registerGlobalShortcuts();
@@ -293,12 +591,49 @@ export class App {
     /**
      * Initializes all core singleton services.
      *
+     * @param {object} options - The application options (see constructor).
      * @private
      * @returns {void}
      */
-    _initializeServices() {
+    _initializeServices(options) {
         const me = this;
         me.stateService = ApplicationStateService.getInstance();
+        if (options.storage) {
+            me.stateService.adapter = options.storage;
+        }
+        if (options.defaultLayoutUrl) {
+            me.stateService.defaultStateUrl = options.defaultLayoutUrl;
+        }
+        me.workspaceManager = WorkspaceManagerService.getInstance();
+        me.autosave = AutosaveService.getInstance();
+        me.workspaceFiles = WorkspaceFileService.getInstance();
+        me.autosave.attach({
+            serialize: () => me._serializeLayout(),
+            save: () => me._persistLayout()
+        });
+        me.workspaceSync = WorkspaceSyncService.getInstance();
+        me.layoutVariants = LayoutVariantService.getInstance();
+        me.layoutLock = LayoutLockService.getInstance();
+        me.layoutLock.locked = Boolean(options.locked);
+        me.resizeSnap = ResizeSnapService.getInstance();
+        me.resizeSnap.configure(options.resizeSnap);
+        me.history = LayoutHistoryService.getInstance();
+        me.history.attach({
+            serialize: () => me._serializeLayout(),
+            apply: layout => me._applyHistorySnapshot(layout)
+        });
+        me.workspaceCommands = WorkspaceCommandService.getInstance();
+        me.workspaceCommands.attach({
+            serialize: () => me._serializeLayout(),
+            reload: () => me._reloadActiveWorkspace(),
+            reportIssues: issues => me._reportLayoutIssues(issues),
+            getWorkspace: () => me.currentWorkspace,
+            setWorkspace: workspace => {
+                me.currentWorkspace = workspace;
+            },
+            getVariant: () => me._activeVariant,
+            getLoader: () => me._workspaceLoader
+        });
 
         // Initialize factories and layout service for registration
         PanelFactory.getInstance();
@@ -360,6 +695,10 @@ export class App {
 
         const fpms = FloatingPanelManagerService.getInstance();
         fpms.registerContainer(me.container.element);
+        me.layout = LayoutApiService.getInstance();
+        me.layout.registerContainer(me.container);
+        me.layoutMaximize = LayoutMaximizeService.getInstance();
+        me.layoutMaximize.registerContainer(me.container);
 
         me._mainWrapper = document.createElement('div');
         me._mainWrapper.className = 'app-wrapper';
@@ -387,6 +726,8 @@ export class App {
         );
         // Append only the wrapper to the body
         document.body.append(me._mainWrapper);
+        me.workspaceFiles.enableDropImport(me._mainWrapper);
+        me.layoutVariants.observe(me.container.element);
     }
 
     /**
@@ -423,6 +764,37 @@ export class App {
             scopes: ['global'],
             preventDefault: true
         });
+
+        // Text fields keep their native undo.
+        const isNotEditing = element =>
+            !element ||
+            !(
+                element.isContentEditable ||
+                ['INPUT', 'TEXTAREA', 'SELECT'].includes(element.tagName)
+            );
+
+        appShortcuts.register({
+            keys: 'Ctrl+Z',
+            command: EventTypes.APP_UNDO,
+            scopes: ['global'],
+            context: isNotEditing,
+            preventDefault: true
+        });
+
+        appShortcuts.register({
+            keys: 'Ctrl+Shift+Z',
+            command: EventTypes.APP_REDO,
+            scopes: ['global'],
+            context: isNotEditing,
+            preventDefault: true
+        });
+
+        appShortcuts.register({
+            keys: 'Ctrl+Shift+Enter',
+            command: EventTypes.APP_TOGGLE_MAXIMIZE,
+            scopes: ['global'],
+            preventDefault: true
+        });
     }
 
     /**
@@ -434,6 +806,8 @@ export class App {
     async init() {
         const me = this;
         await me.menu.load();
+        await me.autosave.loadPreference(Boolean(me._options.autosave));
+        await me.workspaceSync.start({ singleWriter: Boolean(me._options.singleWriter) });
         await me.loadInitialLayout();
 
         appBus.emit(EventTypes.LAYOUT_INITIALIZED, me.container);
@@ -453,10 +827,25 @@ export class App {
 
         appBus.on(EventTypes.APP_ADD_NEW_PANEL, me._boundAddNewPanel, options);
         appBus.on(EventTypes.APP_ADD_NEW_WINDOW, me._boundAddNewWindow, options);
-        appBus.on(EventTypes.APP_RESET_STATE, me._boundResetLayoutSilent, options);
         appBus.on(EventTypes.APP_SAVE_STATE, me._boundSaveLayout, options);
         appBus.on(EventTypes.APP_RESTORE_STATE, me._boundRestoreLayout, options);
         appBus.on(EventTypes.APP_RESET_STATE, me._boundResetLayout, options);
+        appBus.on(EventTypes.APP_TOGGLE_AUTOSAVE, me._boundToggleAutosave, options);
+        appBus.on(EventTypes.APP_TOGGLE_LAYOUT_LOCK, me._boundToggleLayoutLock, options);
+        appBus.on(
+            EventTypes.APP_TOGGLE_PROPORTIONAL_SIZING,
+            me._boundToggleProportionalSizing,
+            options
+        );
+        appBus.on(EventTypes.APP_DISTRIBUTE_COLUMNS, me._boundDistributeColumns, options);
+        appBus.on(EventTypes.APP_DISTRIBUTE_PANEL_GROUPS, me._boundDistributePanelGroups, options);
+        appBus.on(EventTypes.APP_TOGGLE_COLUMN_AUTO_HIDE, me._boundToggleColumnAutoHide, options);
+        appBus.on(EventTypes.APP_UNDO, me._boundUndoLayout, options);
+        appBus.on(EventTypes.APP_REDO, me._boundRedoLayout, options);
+        appBus.on(EventTypes.APP_LAYOUT_VARIANT_SAVE, me._boundSaveLayoutVariant, options);
+        appBus.on(EventTypes.LAYOUT_BREAKPOINT_CHANGED, me._boundOnBreakpointChanged, options);
+        appBus.on(EventTypes.WORKSPACE_REMOTE_CHANGED, me._boundOnRemoteWorkspaceChanged, options);
+        appBus.on(EventTypes.WORKSPACE_WRITE_LOCK_CHANGED, me._boundOnWriteLockChanged, options);
     }
 
     /**
@@ -471,6 +860,12 @@ export class App {
         window.removeEventListener('resize', me.debouncedResize);
         me.debouncedResize?.cancel();
 
+        me.autosave?.destroy();
+        me.history?.destroy();
+        me.workspaceSync?.destroy();
+        me.workspaceCommands?.destroy();
+        me.layoutVariants?.destroy();
+        me.workspaceFiles?.disableDropImport();
         me.menu?.destroy();
         me.container?.destroy();
         me.statusBar?.destroy();
@@ -481,26 +876,21 @@ export class App {
     }
 
     /**
-     * Loads the initial layout from ApplicationStateService (localStorage or default JSON).
+     * Loads the active workspace from the WorkspaceManagerService
+     * (localStorage or default JSON). A layout link in the URL fragment is
+     * then offered as a new workspace (without waiting for the answer).
      *
      * @returns {Promise<void>}
      */
     async loadInitialLayout() {
         const me = this;
-        const workspaceData = await me.stateService.loadState(me.STORAGE_KEY);
+        const workspaceData = await me.workspaceManager.loadActiveWorkspace();
 
         if (workspaceData && workspaceData.layout) {
-            me.currentWorkspace = workspaceData;
-
-            // Restore Panels, Rows, Columns, Floating
-            me.container.fromJSON(workspaceData.layout);
-
-            // Restore Toolbars
-            if (workspaceData.layout.toolbars) {
-                me._toolbarTop.fromJSON(workspaceData.layout.toolbars.top || []);
-                me._toolbarBottom.fromJSON(workspaceData.layout.toolbars.bottom || []);
-                me._toolbarLeft.fromJSON(workspaceData.layout.toolbars.left || []);
-                me._toolbarRight.fromJSON(workspaceData.layout.toolbars.right || []);
+            me._applyWorkspace(workspaceData);
+            // A shared layout link is offered as a new workspace, never applied over the saved one.
+            if (LayoutLinkService.getInstance().hasLink()) {
+                me.workspaceCommands.openLayoutLink();
             }
         } else {
             console.error(
@@ -513,42 +903,209 @@ export class App {
     }
 
     /**
-     * Serializes the current layout from the container and saves it to localStorage.
+     * Makes a workspace the current one and applies its layout variant for
+     * the current breakpoint.
+     *
+     * @param {{id: string, name: string, layout: object, variants?: object}} workspace
+     * @private
+     * @returns {void}
+     */
+    _applyWorkspace(workspace) {
+        const me = this;
+        const { key, layout } = me.layoutVariants.resolveVariant(
+            workspace,
+            me.layoutVariants.currentBreakpoint
+        );
+        me.currentWorkspace = workspace;
+        me._activeVariant = key;
+        me._applyLayout(layout);
+    }
+
+    /**
+     * Validates a serialized layout, then builds the Container (rows, columns,
+     * floating panels) and the toolbars from it.
+     *
+     * @param {object} rawLayout - The serialized layout.
+     * @private
+     * @returns {void}
+     */
+    _applyLayout(rawLayout) {
+        const me = this;
+        const { layout, issues } =
+            WorkspaceValidationService.getInstance().validateLayout(rawLayout);
+        me._reportLayoutIssues(issues);
+        if (!layout) {
+            return;
+        }
+
+        me._buildLayout(layout);
+
+        me.autosave.markSaved();
+        me.history.reset();
+    }
+
+    /**
+     * Builds the Container (rows, columns, floating panels) and the toolbars
+     * from an already validated layout.
+     *
+     * @param {object} layout - The serialized layout.
+     * @private
+     * @returns {void}
+     */
+    _buildLayout(layout) {
+        const me = this;
+
+        // Restore Panels, Rows, Columns, Floating
+        me.container.fromJSON(layout);
+
+        // Restore Toolbars
+        if (layout.toolbars) {
+            me._toolbarTop.fromJSON(layout.toolbars.top || []);
+            me._toolbarBottom.fromJSON(layout.toolbars.bottom || []);
+            me._toolbarLeft.fromJSON(layout.toolbars.left || []);
+            me._toolbarRight.fromJSON(layout.toolbars.right || []);
+        }
+    }
+
+    /**
+     * Replaces the layout on screen with a history snapshot. Snapshots come
+     * from '_serializeLayout', so they are not validated again.
+     *
+     * @param {object} layout - The snapshot layout.
+     * @private
+     * @returns {void}
+     */
+    _applyHistorySnapshot(layout) {
+        const me = this;
+        FloatingPanelManagerService.getInstance().clearAll();
+        me.container.clear();
+        me._buildLayout(layout);
+        me.autosave.checkDirty();
+    }
+
+    /**
+     * Logs layout validation issues and notifies the user about skipped nodes.
+     *
+     * @param {Array<{path: string, message: string, action: string}>} issues - The validation issues.
+     * @private
+     * @returns {void}
+     */
+    _reportLayoutIssues(issues) {
+        if (issues.length === 0) {
+            return;
+        }
+        issues.forEach(issue =>
+            console.warn(`App: layout ${issue.action} at "${issue.path}": ${issue.message}`)
+        );
+
+        const skipped = issues.filter(issue => issue.action === 'removed');
+        if (skipped.length === 0) {
+            return;
+        }
+        const maxListed = 5;
+        const items = skipped
+            .slice(0, maxListed)
+            .map(issue => `${issue.path} (${issue.message})`)
+            .join('; ');
+        const more = skipped.length > maxListed ? ` (+${skipped.length - maxListed})` : '';
+
+        appNotifications.warning(
+            TranslationService.getInstance().translate('workspace.validation_skipped', {
+                count: skipped.length,
+                items: items + more
+            }),
+            { sticky: true }
+        );
+    }
+
+    /**
+     * Serializes the Container and the toolbars into a layout object.
+     *
+     * @private
+     * @returns {object} The serialized layout ({ rows, floatingPanels, toolbars }).
+     */
+    _serializeLayout() {
+        const me = this;
+        const layoutData = me.container.toJSON(); // { rows, floatingPanels }
+        layoutData.toolbars = {
+            top: me._toolbarTop.toJSON(),
+            bottom: me._toolbarBottom.toJSON(),
+            left: me._toolbarLeft.toJSON(),
+            right: me._toolbarRight.toJSON()
+        };
+        return layoutData;
+    }
+
+    /**
+     * Serializes the current layout and writes it into the active workspace,
+     * without any UI feedback. Storage writes start synchronously, so this
+     * can be used from 'beforeunload'.
+     *
+     * @private
+     * @returns {Promise<object>} The saved layout.
+     */
+    async _persistLayout() {
+        const me = this;
+        const layoutData = me._serializeLayout();
+
+        if (me.currentWorkspace) {
+            me._storeActiveLayout(layoutData);
+            await me.workspaceManager.saveWorkspace(me.currentWorkspace);
+        } else {
+            console.warn(
+                'App.saveLayout: currentWorkspace é nulo. Criando novo objeto de workspace.'
+            );
+            me.currentWorkspace = await me.workspaceManager.saveWorkspaceAs(
+                'Workspace Salvo (Fallback)',
+                layoutData
+            );
+            await me.workspaceManager.setActiveWorkspace(me.currentWorkspace.id);
+        }
+        return layoutData;
+    }
+
+    /**
+     * Writes a layout into the current workspace object (in memory), as its
+     * base layout or as the variant on screen.
+     *
+     * @param {object} layoutData - The serialized layout.
+     * @private
+     * @returns {void}
+     */
+    _storeActiveLayout(layoutData) {
+        const me = this;
+        const workspace = me.currentWorkspace;
+        if (me._activeVariant) {
+            workspace.variants = { ...workspace.variants, [me._activeVariant]: layoutData };
+        } else {
+            workspace.layout = layoutData;
+        }
+    }
+
+    /**
+     * Serializes the current layout and saves it into the active workspace.
      *
      * @returns {Promise<void>}
      */
     async saveLayout() {
         const me = this;
         const i18n = TranslationService.getInstance();
+        if (me.workspaceManager.readOnly) {
+            appNotifications.warning(i18n.translate('sync.read_only'));
+            return;
+        }
         me._workspaceLoader.show(i18n.translate('actions.saving'));
 
         try {
-            const layoutData = me.container.toJSON(); // { rows, floatingPanels }
-            layoutData.toolbars = {
-                top: me._toolbarTop.toJSON(),
-                bottom: me._toolbarBottom.toJSON(),
-                left: me._toolbarLeft.toJSON(),
-                right: me._toolbarRight.toJSON()
-            };
-
-            if (me.currentWorkspace) {
-                me.currentWorkspace.layout = layoutData;
-            } else {
-                console.warn(
-                    'App.saveLayout: currentWorkspace é nulo. Criando novo objeto de workspace.'
-                );
-                me.currentWorkspace = {
-                    name: 'Workspace Salvo (Fallback)',
-                    layout: layoutData
-                };
-            }
-
-            await me.stateService.saveState(me.STORAGE_KEY, me.currentWorkspace);
+            me.autosave.markSaved(await me._persistLayout());
 
             appNotifications.success(i18n.translate('appstate.save'));
         } catch (err) {
             console.error('App.saveLayout: Falha ao salvar o estado.', err);
-            appNotifications.danger('Falha ao salvar o workspace.');
+            // A full storage has its own notification (see WorkspaceCommandService).
+            if (!me.stateService.isQuotaExceededError(err)) {
+                appNotifications.danger('Falha ao salvar o workspace.');
+            }
         } finally {
             me._workspaceLoader.hide();
         }
@@ -565,9 +1122,8 @@ export class App {
         me._workspaceLoader.show(i18n.translate('actions.restoring'));
 
         try {
-            FloatingPanelManagerService.getInstance().clearAll();
-            me.container.clear();
-            await me.loadInitialLayout();
+            await me.workspaceCommands.createAutomaticRestorePoint('restore');
+            await me._reloadActiveWorkspace();
 
             appNotifications.success(i18n.translate('appstate.restore'));
         } catch (err) {
@@ -579,7 +1135,21 @@ export class App {
     }
 
     /**
-     * Clears the saved state from localStorage and reloads the default layout.
+     * Tears down the current layout (docked and floating) and rebuilds it from
+     * the stored active workspace.
+     *
+     * @private
+     * @returns {Promise<void>}
+     */
+    async _reloadActiveWorkspace() {
+        const me = this;
+        FloatingPanelManagerService.getInstance().clearAll();
+        me.container.clear();
+        await me.loadInitialLayout();
+    }
+
+    /**
+     * Clears the saved state of the active workspace and reloads the default layout.
      *
      * @param {boolean} [silent=false] - If true, avoids showing a status notification.
      * @returns {Promise<void>}
@@ -590,11 +1160,9 @@ export class App {
         me._workspaceLoader.show(i18n.translate('actions.reseting'));
 
         try {
-            FloatingPanelManagerService.getInstance().clearAll();
-            me.stateService.clearState(me.STORAGE_KEY);
-            me.container.clear();
-
-            await me.loadInitialLayout();
+            await me.workspaceCommands.createAutomaticRestorePoint('reset');
+            await me.workspaceManager.resetWorkspace(me.workspaceManager.getActiveWorkspaceId());
+            await me._reloadActiveWorkspace();
 
             if (!silent) {
                 appBus.emit(EventTypes.STATUSBAR_SET_STATUS, i18n.translate('appstate.reset'));
@@ -607,6 +1175,348 @@ export class App {
         }
     }
 
+    /**
+     * Saves the current arrangement as the layout variant of the current
+     * breakpoint, so it is used whenever the container has this size. If the
+     * save fails, the layout on screen stays what it was (base or variant).
+     *
+     * @returns {Promise<void>}
+     */
+    async saveLayoutVariant() {
+        const me = this;
+        const i18n = TranslationService.getInstance();
+        if (!me.currentWorkspace) {
+            return;
+        }
+        if (me.workspaceManager.readOnly) {
+            appNotifications.warning(i18n.translate('sync.read_only'));
+            return;
+        }
+
+        const breakpoint = me.layoutVariants.currentBreakpoint;
+        const workspace = me.currentWorkspace;
+        const previousVariant = me._activeVariant;
+        const previousVariants = workspace.variants;
+        try {
+            me._activeVariant = breakpoint;
+            me.autosave.markSaved(await me._persistLayout());
+            appNotifications.success(i18n.translate('layout_variant.saved', { breakpoint }));
+        } catch (err) {
+            // Keep editing what was on screen before: the variant was not stored.
+            me._activeVariant = previousVariant;
+            if (previousVariants === undefined) {
+                delete workspace.variants;
+            } else {
+                workspace.variants = previousVariants;
+            }
+            console.error('App.saveLayoutVariant: Falha ao salvar a variante.', err);
+            appNotifications.danger(i18n.translate('workspace.error'));
+        }
+    }
+
+    /**
+     * Switches to the layout variant of the new breakpoint, keeping the live
+     * panels that exist in both layouts.
+     *
+     * @param {{breakpoint: string}} payload - The new breakpoint.
+     * @private
+     * @returns {Promise<void>}
+     */
+    async _onBreakpointChanged({ breakpoint }) {
+        const me = this;
+        if (!me.currentWorkspace) {
+            return;
+        }
+        const { key, layout } = me.layoutVariants.resolveVariant(me.currentWorkspace, breakpoint);
+        if (key === me._activeVariant) {
+            return;
+        }
+
+        if (me.autosave.enabled) {
+            await me.autosave.flush();
+        }
+        me._storeActiveLayout(me._serializeLayout());
+
+        const factory = PanelFactory.getInstance();
+        factory.keepAlive(me.container.detachPanels());
+        FloatingPanelManagerService.getInstance().clearAll();
+        me.container.clear();
+        me._activeVariant = key;
+        me._applyLayout(layout);
+        factory.releaseKeptPanels();
+
+        appBus.emit(
+            EventTypes.STATUSBAR_SET_STATUS,
+            TranslationService.getInstance().translate('layout_variant.switched', { breakpoint })
+        );
+    }
+
+    /**
+     * Reverts the last layout change. Refused while the layout is locked.
+     *
+     * @returns {Promise<void>}
+     */
+    async undoLayout() {
+        const me = this;
+        const i18n = TranslationService.getInstance();
+        if (me.layoutLock.locked) {
+            appBus.emit(EventTypes.STATUSBAR_SET_STATUS, i18n.translate('edit.locked'));
+            return;
+        }
+        const undone = await me.history.undo();
+        appBus.emit(
+            EventTypes.STATUSBAR_SET_STATUS,
+            i18n.translate(undone ? 'edit.undone' : 'edit.nothing_to_undo')
+        );
+    }
+
+    /**
+     * Re-applies the last undone layout change. Refused while the layout is locked.
+     *
+     * @returns {Promise<void>}
+     */
+    async redoLayout() {
+        const me = this;
+        const i18n = TranslationService.getInstance();
+        if (me.layoutLock.locked) {
+            appBus.emit(EventTypes.STATUSBAR_SET_STATUS, i18n.translate('edit.locked'));
+            return;
+        }
+        const redone = await me.history.redo();
+        appBus.emit(
+            EventTypes.STATUSBAR_SET_STATUS,
+            i18n.translate(redone ? 'edit.redone' : 'edit.nothing_to_redo')
+        );
+    }
+
+    /**
+     * Handles a workspace write made in another tab: refreshes the workspace
+     * list and, if the open workspace was changed, offers to reload it.
+     *
+     * @param {{workspaceId: string, change: string}} payload - The remote change.
+     * @private
+     * @returns {Promise<void>}
+     */
+    async _onRemoteWorkspaceChanged({ workspaceId, change }) {
+        const me = this;
+        const i18n = TranslationService.getInstance();
+        await me.workspaceManager.refreshIndex();
+
+        const current = me.currentWorkspace;
+        if (!current || current.id !== workspaceId) {
+            return;
+        }
+        const entry = me.workspaceManager.getWorkspaces().find(item => item.id === workspaceId);
+        if (change === 'renamed' && entry) {
+            current.name = entry.name;
+            return;
+        }
+
+        if (me._syncNotificationId) {
+            appNotifications.dismiss(me._syncNotificationId);
+        }
+        const name = current.name;
+        const buttons =
+            change === 'deleted'
+                ? [
+                      {
+                          text: i18n.translate('sync.keep_copy'),
+                          onClick: id => {
+                              appNotifications.dismiss(id);
+                              me._keepDeletedWorkspace(name);
+                          }
+                      }
+                  ]
+                : [
+                      {
+                          text: i18n.translate('sync.reload'),
+                          onClick: id => {
+                              appNotifications.dismiss(id);
+                              me.restoreLayout();
+                          }
+                      },
+                      {
+                          text: i18n.translate('sync.keep'),
+                          onClick: id => appNotifications.dismiss(id)
+                      }
+                  ];
+        const messageKey = change === 'deleted' ? 'sync.remote_deleted' : 'sync.remote_saved';
+        me._syncNotificationId = appNotifications.warning(i18n.translate(messageKey, { name }), {
+            sticky: true,
+            buttons
+        });
+    }
+
+    /**
+     * Saves the layout on screen as a new workspace after another tab deleted
+     * the open one.
+     *
+     * @param {string} name - The deleted workspace name.
+     * @private
+     * @returns {Promise<void>}
+     */
+    async _keepDeletedWorkspace(name) {
+        const me = this;
+        const i18n = TranslationService.getInstance();
+        try {
+            const workspace = await me.workspaceManager.saveWorkspaceAs(
+                name,
+                me._serializeLayout()
+            );
+            await me.workspaceManager.setActiveWorkspace(workspace.id);
+            me.currentWorkspace = workspace;
+            me.autosave.markSaved(workspace.layout);
+            appNotifications.success(i18n.translate('workspace.saved_as', { name }));
+        } catch (err) {
+            console.error('App._keepDeletedWorkspace: Falha ao salvar o workspace.', err);
+            appNotifications.danger(i18n.translate('workspace.error'));
+        }
+    }
+
+    /**
+     * Switches this tab between writer and read-only mode.
+     *
+     * @param {{hasLock: boolean}} payload - The new lock state.
+     * @private
+     * @returns {void}
+     */
+    _onWriteLockChanged({ hasLock }) {
+        const me = this;
+        const i18n = TranslationService.getInstance();
+        me.workspaceManager.readOnly = !hasLock;
+        me.autosave.readOnly = !hasLock;
+        if (hasLock) {
+            appNotifications.info(i18n.translate('sync.write_lock_acquired'));
+        } else {
+            appNotifications.warning(i18n.translate('sync.read_only'), { sticky: true });
+        }
+    }
+
+    /**
+     * Turns autosave on or off and persists the preference.
+     *
+     * @returns {Promise<void>}
+     */
+    async toggleAutosave() {
+        const me = this;
+        const i18n = TranslationService.getInstance();
+        const enabled = await me.autosave.toggle();
+        appBus.emit(
+            EventTypes.STATUSBAR_SET_STATUS,
+            i18n.translate(enabled ? 'statusbar.autosave_on' : 'statusbar.autosave_off')
+        );
+    }
+
+    /**
+     * Locks or unlocks the layout.
+     *
+     * @returns {void}
+     */
+    toggleLayoutLock() {
+        const me = this;
+        const i18n = TranslationService.getInstance();
+        const locked = me.layoutLock.toggle();
+        appBus.emit(
+            EventTypes.STATUSBAR_SET_STATUS,
+            i18n.translate(locked ? 'statusbar.layout_locked' : 'statusbar.layout_unlocked')
+        );
+    }
+
+    /**
+     * Switches the workspace between fixed and proportional sizing.
+     *
+     * @returns {void}
+     */
+    toggleProportionalSizing() {
+        const me = this;
+        const i18n = TranslationService.getInstance();
+        const proportional = me.container.sizing !== LayoutSizing.PROPORTIONAL;
+        me.container.sizing = proportional ? LayoutSizing.PROPORTIONAL : LayoutSizing.FIXED;
+        appBus.emit(
+            EventTypes.STATUSBAR_SET_STATUS,
+            i18n.translate(
+                proportional ? 'statusbar.sizing_proportional' : 'statusbar.sizing_fixed'
+            )
+        );
+    }
+
+    /**
+     * Gives the same width to the columns of a group's Row (tab context menu).
+     *
+     * @param {{group?: PanelGroup}} [contextData] - The context menu data.
+     * @returns {void}
+     */
+    distributeColumns(contextData) {
+        const me = this;
+        const row = contextData?.group?.getColumn()?.parentContainer;
+        if (row) {
+            me._distributeEvenly(row, row.getColumns());
+        }
+    }
+
+    /**
+     * Gives the same height to the panel groups of a group's Column (tab context menu).
+     *
+     * @param {{group?: PanelGroup}} [contextData] - The context menu data.
+     * @returns {void}
+     */
+    distributePanelGroups(contextData) {
+        const me = this;
+        const column = contextData?.group?.getColumn();
+        if (column) {
+            me._distributeEvenly(
+                column,
+                column.getChildrenUncollapsed().filter(child => child instanceof PanelGroup)
+            );
+        }
+    }
+
+    /**
+     * Pins a group's column to the Row edge as an auto-hide dock, or docks it
+     * back (tab context menu). LayoutService applies it to outer columns only.
+     *
+     * @param {{group?: PanelGroup}} [contextData] - The context menu data.
+     * @returns {void}
+     */
+    toggleColumnAutoHide(contextData) {
+        const me = this;
+        const column = contextData?.group?.getColumn();
+        const row = column?.parentContainer;
+        if (!row) {
+            return;
+        }
+        if (!me.layoutLock.isAllowed('resize', column)) {
+            appBus.emit(
+                EventTypes.STATUSBAR_SET_STATUS,
+                TranslationService.getInstance().translate('statusbar.resize_locked')
+            );
+            return;
+        }
+        column.autoHide = !column.autoHide;
+        row.requestLayoutUpdate();
+    }
+
+    /**
+     * Distributes a Row or Column evenly, unless the layout lock forbids
+     * resizing one of the sized items.
+     *
+     * @param {import('./components/Row/Row.js').Row | import('./components/Column/Column.js').Column} node
+     * @param {Array<object>} items - The columns or panel groups that get resized.
+     * @private
+     * @returns {void}
+     */
+    _distributeEvenly(node, items) {
+        const me = this;
+        if (!items.every(item => me.layoutLock.isAllowed('resize', item))) {
+            appBus.emit(
+                EventTypes.STATUSBAR_SET_STATUS,
+                TranslationService.getInstance().translate('statusbar.resize_locked')
+            );
+            return;
+        }
+        me.layout.distribute(node);
+    }
+
     /**
      * Handles the 'app:add-new-panel' event by creating a new default
      * TextPanel in the first available column.
@@ -632,29 +1542,7 @@ export class App {
      */
     addNewWindow() {
         const me = this;
-        let targetViewport = null;
-
-        // Traverse the container to find the first Viewport
-        const traverse = node => {
-            if (targetViewport) return;
-            if (node instanceof Viewport) {
-                targetViewport = node;
-                return;
-            }
-
-            if (node.children) {
-                // Column
-                node.children.forEach(traverse);
-            } else if (node.columns) {
-                // Row
-                node.columns.forEach(traverse);
-            } else if (node.rows) {
-                // Container
-                node.rows.forEach(traverse);
-            }
-        };
-
-        traverse(me.container);
+        const [targetViewport] = me.layout.findAll(LayoutNodeType.VIEWPORT);
 
         if (targetViewport) {
             const note = new NotepadWindow({ x: 10, y: 10, width: 200, height: 150 });
@@ -1,21 +1,37 @@
 import { PanelGroup } from '../Panel/PanelGroup.js';
+import { Row } from '../Row/Row.js';
 import { Viewport } from '../Viewport/Viewport.js';
 import { appBus } from '../../utils/EventBus.js';
 import { throttleRAF } from '../../utils/ThrottleRAF.js';
 import { generateId } from '../../utils/generateId.js';
 import { ResizeHandleManager } from '../../utils/ResizeHandleManager.js';
+import { LayoutLockService } from '../../services/LayoutLockService.js';
+import { ResizeSnapService } from '../../services/ResizeSnapService.js';
+import { TranslationService } from '../../services/TranslationService.js';
 import { DropZoneType, ItemType } from '../../constants/DNDTypes.js';
 import { EventTypes } from '../../constants/EventTypes.js';
+import { LayoutSizing } from '../../constants/LayoutSizing.js';
+import { toSizeRatio, toRatioFlex } from '../../utils/sizeRatio.js';
+import {
+    emitLayoutChange,
+    emitNodeResized,
+    markLayoutOrigin,
+    takeLayoutOrigin
+} from '../../utils/layoutChange.js';
+import { LayoutChangeType } from '../../constants/LayoutChangeTypes.js';
+import { LayoutNodeType } from '../../constants/LayoutNodeTypes.js';
 
 /**
  * Description:
  * Manages a single vertical column in the container. It holds and organizes
- * generic children components (PanelGroups or Viewports), manages horizontal
- * resizing via ResizeHandleManager, and delegates drag/drop logic.
+ * generic children components (PanelGroups, Viewports or nested Rows), manages
+ * horizontal resizing via ResizeHandleManager, and delegates drag/drop logic.
  *
- * This class is agnostic to the specific type of child (PanelGroup or Viewport),
+ * This class is agnostic to the specific type of child (PanelGroup, Viewport or Row),
  * treating them as generic layout units provided they implement the expected interface
- * (element, destroy, toJSON, etc.).
+ * (element, destroy, toJSON, etc.). Nested Rows split the column's area into
+ * sub-columns, so the layout tree can nest to any depth
+ * (Container > Row > Column > Row > Column > ...).
  *
  * Properties summary:
  * - _namespace {string} : Unique namespace for appBus listeners.
@@ -24,11 +40,20 @@ import { EventTypes } from '../../constants/EventTypes.js';
  * - id {string} : Unique ID for this instance.
  * - minWidth {number} : The minimum width of the column.
  * - parentContainer {Row} : The parent Row instance.
- * - children {Array<PanelGroup|Viewport>} : List of child components.
+ * - children {Array<PanelGroup|Viewport|Row>} : List of child components.
  * - width {number|null} : The width of the column.
+ * - ratio {number|null} : The width as a ratio of the parent Row (proportional sizing).
+ * - sizing {string} : The sizing mode of the layout (see LayoutSizing).
+ * - policy {object|null} : Region policy (see LayoutLockService).
+ * - autoHide {boolean} : Whether the column is pinned to the Row edge as an auto-hide dock.
+ * - isAutoHidden {boolean} : Whether the auto-hide state is applied (outer column only, read-only).
+ * - revealed {boolean} : Whether the auto-hidden column is slid out (read-only).
  * - _throttledUpdate {Function | null} : The throttled function for resizing.
  * - _boundOnChildRemoved {Function | null} : Bound handler for child removal via events.
+ * - _boundOnRowEmpty {Function | null} : Bound handler for emptied nested Rows.
  * - _resizeHandleManager {ResizeHandleManager | null} : Manages the horizontal resize handles.
+ * - _autoHideSide {string | null} : The Row edge of the applied auto-hide state ('left' | 'right').
+ * - _autoHideStrip {HTMLElement | null} : The edge strip with the vertical panel titles.
  *
  * Typical usage:
  * // In Row.js
@@ -38,20 +63,51 @@ import { EventTypes } from '../../constants/EventTypes.js';
  *
  * Events:
  * - Listens to: EventTypes.PANEL_GROUP_REMOVED (to clean up empty groups)
+ * - Listens to: EventTypes.ROW_EMPTY (to clean up empty nested Rows)
+ * - Listens to: EventTypes.DND_DRAG_START (to hide a slid out auto-hide column)
  * - Emits: EventTypes.LAYOUT_PANELGROUPS_CHANGED (to notify LayoutService)
  * - Emits: EventTypes.COLUMN_EMPTY (to notify Row when this column is empty)
+ * - Emits: EventTypes.LAYOUT_RESIZED (when the user finishes resizing the column,
+ * or after equalizing its children)
+ * - Emits: EventTypes.LAYOUT_CHANGE (group added / moved / docked, nested row
+ * added / removed, resized and auto-hide changes; see LayoutChangeType)
  *
  * Business rules implemented:
  * - Renders children vertically.
  * - Registers as a 'column' type drop zone.
  * - Automatically removes children via 'onChildRemoved' if they request removal.
  * - If it becomes empty (last child removed), emits EventTypes.COLUMN_EMPTY.
+ * - A nested Row's parentContainer is the Column; empty nested Rows are removed,
+ * and a nested Row left with a single column is unwrapped (its children move
+ * up into this Column).
+ * - 'splitChild' replaces a child with a nested Row of two columns (used by
+ * DND to split a PanelGroup's area horizontally).
  * - Manages its own horizontal resize handle via ResizeHandleManager.
+ * - The resize bar is disabled when LayoutLockService forbids 'resize' on the column.
+ * - The resize bar is keyboard operable and kept across layout updates, so it
+ * does not lose focus while resizing with the keyboard.
  * - Resize logic dynamically calculates minWidth based on children constraints.
- * - Supports serialization (toJSON/fromJSON) for both PanelGroups and Viewports.
+ * - The resize bar snaps to the column edges of the other rows (see
+ * ResizeSnapService); double-clicking it equalizes this column and the next one.
+ * - 'equalizeChildren' shares the rendered height of some children (uncollapsed
+ * PanelGroups and nested Rows) evenly; 'distributePanelGroups' does it for
+ * all the uncollapsed PanelGroups. The heights go through the normal
+ * updateHeight path (and become ratios with proportional sizing).
+ * - With proportional sizing, a resized column stores its width as a ratio of
+ * the Row and keeps that share when the window is resized (never below its
+ * effective minimum width). The last column fills the remaining space.
+ * - Auto-hide: an outer column with 'autoHide' (applied by LayoutService) is
+ * taken out of the Row flow and replaced by an edge strip of vertical panel
+ * titles. Hovering the strip, or clicking a title (which activates that
+ * panel), slides the column out as an overlay; it hides again when the focus
+ * or a click goes elsewhere, when the pointer leaves it without focus inside,
+ * on Escape, or when a drag starts. Its width is kept as the overlay width.
+ * - Supports serialization (toJSON/fromJSON) for PanelGroups, Viewports and
+ * nested Rows (tagged with 'type: "row"'). 'autoHide' is saved only when set.
  *
  * Dependencies:
  * - {import('../Panel/PanelGroup.js').PanelGroup}
+ * - {import('../Row/Row.js').Row}
  * - {import('../Viewport/Viewport.js').Viewport}
  * - {import('../Panel/PanelFactory.js').PanelFactory}
  * - {import('../Viewport/ViewportFactory.js').ViewportFactory}
@@ -59,8 +115,17 @@ import { EventTypes } from '../../constants/EventTypes.js';
  * - {import('../../utils/ThrottleRAF.js').throttleRAF}
  * - {import('../../utils/generateId.js').generateId}
  * - {import('../../utils/ResizeHandleManager.js').ResizeHandleManager}
+ * - {import('../../services/LayoutLockService.js').LayoutLockService}
+ * - {import('../../services/ResizeSnapService.js').ResizeSnapService}
+ * - {import('../../services/TranslationService.js').TranslationService}
  * - {import('../../constants/DNDTypes.js').DropZoneType}
  * - {import('../../constants/EventTypes.js').EventTypes}
+ * - {import('../../constants/LayoutSizing.js').LayoutSizing}
+ * - {import('../../utils/sizeRatio.js').toSizeRatio}
+ * - {import('../../utils/sizeRatio.js').toRatioFlex}
+ * - {import('../../utils/layoutChange.js').emitLayoutChange}
+ * - {import('../../constants/LayoutChangeTypes.js').LayoutChangeType}
+ * - {import('../../constants/LayoutNodeTypes.js').LayoutNodeType}
  */
 export class Column {
     /**
@@ -72,9 +137,9 @@ export class Column {
     _parentContainer = null;
 
     /**
-     * List of child components (PanelGroups or Viewports).
+     * List of child components (PanelGroups, Viewports or nested Rows).
      *
-     * @type {Array<PanelGroup|Viewport>}
+     * @type {Array<PanelGroup|Viewport|Row>}
      * @private
      */
     _children = [];
@@ -87,6 +152,14 @@ export class Column {
      */
     _width = null;
 
+    /**
+     * The width as a ratio of the parent Row (proportional sizing).
+     *
+     * @type {number | null}
+     * @private
+     */
+    _ratio = null;
+
     /**
      * The minimum width in pixels for horizontal resizing.
      *
@@ -127,6 +200,22 @@ export class Column {
      */
     _boundOnChildRemoved = null;
 
+    /**
+     * Stores the bound reference for the nested Row emptied listener.
+     *
+     * @type {Function | null}
+     * @private
+     */
+    _boundOnRowEmpty = null;
+
+    /**
+     * Region policy (locks resize / move / close for this subtree).
+     *
+     * @type {object | null}
+     * @private
+     */
+    _policy = null;
+
     /**
      * Stores the resize handle manager instance.
      *
@@ -135,6 +224,78 @@ export class Column {
      */
     _resizeHandleManager = null;
 
+    /**
+     * Whether the column is pinned to the Row edge as an auto-hide dock.
+     *
+     * @type {boolean}
+     * @private
+     */
+    _autoHide = false;
+
+    /**
+     * The Row edge of the applied auto-hide state (null when docked normally).
+     *
+     * @type {'left' | 'right' | null}
+     * @private
+     */
+    _autoHideSide = null;
+
+    /**
+     * The edge strip with the vertical panel titles.
+     *
+     * @type {HTMLElement | null}
+     * @private
+     */
+    _autoHideStrip = null;
+
+    /**
+     * Whether the auto-hidden column is slid out.
+     *
+     * @type {boolean}
+     * @private
+     */
+    _revealed = false;
+
+    /**
+     * Bound handler hiding the overlay.
+     *
+     * @type {Function | null}
+     * @private
+     */
+    _boundConceal = null;
+
+    /**
+     * Bound handler hiding the overlay on clicks elsewhere.
+     *
+     * @type {Function | null}
+     * @private
+     */
+    _boundOnDocumentPointerDown = null;
+
+    /**
+     * Bound handler hiding the overlay when the focus leaves it.
+     *
+     * @type {Function | null}
+     * @private
+     */
+    _boundOnFocusOut = null;
+
+    /**
+     * Bound handler hiding the overlay when the pointer leaves it.
+     *
+     * @type {Function | null}
+     * @private
+     */
+    _boundOnMouseLeave = null;
+
+    /**
+     * Bound handler hiding the overlay on Escape.
+     *
+     * @type {Function | null}
+     * @private
+     */
+    _boundOnOverlayKeyDown = null;
+
     /**
      * The main DOM element.
      *
@@ -178,6 +339,12 @@ export class Column {
         );
 
         me._boundOnChildRemoved = me.onChildRemoved.bind(me);
+        me._boundOnRowEmpty = me.onRowEmpty.bind(me);
+        me._boundConceal = me.conceal.bind(me);
+        me._boundOnDocumentPointerDown = me._onDocumentPointerDown.bind(me);
+        me._boundOnFocusOut = me._onFocusOut.bind(me);
+        me._boundOnMouseLeave = me._onMouseLeave.bind(me);
+        me._boundOnOverlayKeyDown = me._onOverlayKeyDown.bind(me);
 
         me.initEventListeners();
     }
@@ -212,10 +379,70 @@ export class Column {
         me.requestLayoutUpdate();
     }
 
+    /**
+     * Ratio getter.
+     *
+     * @returns {number | null} The width as a ratio of the parent Row.
+     */
+    get ratio() {
+        return this._ratio;
+    }
+
+    /**
+     * Ratio setter.
+     * Validates that the value is a number in (0, 1] or null.
+     *
+     * @param {number | null} value - The new ratio.
+     * @returns {void}
+     */
+    set ratio(value) {
+        const me = this;
+        if (value !== null && (!Number.isFinite(value) || value <= 0 || value > 1)) {
+            console.warn(
+                `[Column] Invalid ratio assignment (${value}). Must be a number in (0, 1] or null. Keeping previous value: ${me._ratio}`
+            );
+            return;
+        }
+        me._ratio = value;
+    }
+
+    /**
+     * Sizing getter (inherited from the layout root).
+     *
+     * @returns {string} The sizing mode (see LayoutSizing).
+     */
+    get sizing() {
+        return this.parentContainer?.sizing ?? LayoutSizing.FIXED;
+    }
+
+    /**
+     * Stores the current width as a ratio of the parent Row.
+     *
+     * @returns {void}
+     */
+    captureRatio() {
+        const me = this;
+        me._ratio = toSizeRatio(me.width, me.parentContainer?.element.clientWidth);
+    }
+
+    /**
+     * Turns the ratio back into a width in pixels (the rendered width).
+     *
+     * @returns {void}
+     */
+    resolveRatio() {
+        const me = this;
+        if (me._ratio === null) {
+            return;
+        }
+        me._width = me.element.offsetWidth;
+        me._ratio = null;
+    }
+
     /**
      * Children getter.
      *
-     * @returns {Array<PanelGroup|Viewport>} The list of children.
+     * @returns {Array<PanelGroup|Viewport|Row>} The list of children.
      */
     get children() {
         return this._children;
@@ -319,8 +546,11 @@ export class Column {
         let effectiveMinWidth = me.minWidth;
         me._children.forEach(child => {
             let childMin = 0;
-            // PanelGroup has getMinPanelWidth(), Viewport/Windows usually have minWidth property
-            if (typeof child.getMinPanelWidth === 'function') {
+            // Nested Rows sum their columns, PanelGroup has getMinPanelWidth(),
+            // Viewport/Windows usually have minWidth property
+            if (typeof child.getEffectiveMinWidth === 'function') {
+                childMin = child.getEffectiveMinWidth();
+            } else if (typeof child.getMinPanelWidth === 'function') {
                 childMin = child.getMinPanelWidth();
             } else if (child.minWidth !== undefined) {
                 childMin = child.minWidth;
@@ -336,10 +566,12 @@ export class Column {
      * @returns {void}
      */
     initEventListeners() {
+        const me = this;
+        const options = { namespace: me._namespace };
         // Listens for legacy PanelGroup removal events to support PanelGroup closure
-        appBus.on(EventTypes.PANEL_GROUP_REMOVED, this._boundOnChildRemoved, {
-            namespace: this._namespace
-        });
+        appBus.on(EventTypes.PANEL_GROUP_REMOVED, me._boundOnChildRemoved, options);
+        appBus.on(EventTypes.ROW_EMPTY, me._boundOnRowEmpty, options);
+        appBus.on(EventTypes.DND_DRAG_START, me._boundConceal, options);
     }
 
     /**
@@ -356,6 +588,22 @@ export class Column {
         }
     }
 
+    /**
+     * Event handler for when a Row reports it is empty. Only nested Rows of
+     * this column are handled (root Rows belong to the Container).
+     *
+     * @param {Row} row - The Row instance that emitted the event.
+     * @returns {void}
+     */
+    onRowEmpty(row) {
+        const me = this;
+        if (me.getChildIndex(row) === -1) {
+            return;
+        }
+        me.removeChild(row, true);
+        row.destroy();
+    }
+
     /**
      * Cleans up appBus listeners and destroys all children.
      *
@@ -366,10 +614,306 @@ export class Column {
         appBus.offByNamespace(me._namespace);
         me.getThrottledUpdate()?.cancel();
         me._resizeHandleManager?.destroy();
+        me.applyAutoHide(null);
 
         [...me._children].forEach(child => child.destroy());
     }
 
+    /**
+     * Policy getter.
+     *
+     * @returns {object | null}
+     */
+    get policy() {
+        return this._policy;
+    }
+
+    /**
+     * Policy setter with validation. Reflects the policy on the element
+     * (see LayoutLockService).
+     *
+     * @param {{locked?: boolean, resize?: boolean, move?: boolean, close?: boolean} | null} value
+     * @returns {void}
+     */
+    set policy(value) {
+        const me = this;
+        if (value !== null && (typeof value !== 'object' || Array.isArray(value))) {
+            console.warn(
+                `[Column] Invalid policy assignment (${value}). Must be an object or null.`
+            );
+            return;
+        }
+        me._policy = value ? { ...value } : null;
+        LayoutLockService.getInstance().applyPolicyClasses(me.element, me._policy);
+    }
+
+    /**
+     * AutoHide getter.
+     *
+     * @returns {boolean}
+     */
+    get autoHide() {
+        return this._autoHide;
+    }
+
+    /**
+     * AutoHide setter with validation. LayoutService applies the state on the
+     * next Row update (see applyAutoHide).
+     *
+     * @param {boolean} value
+     * @returns {void}
+     */
+    set autoHide(value) {
+        const me = this;
+        if (typeof value !== 'boolean') {
+            console.warn(
+                `[Column] Invalid autoHide assignment (${value}). Must be boolean. Keeping previous value: ${me._autoHide}`
+            );
+            return;
+        }
+        if (me._autoHide === value) {
+            return;
+        }
+        me._autoHide = value;
+        emitLayoutChange(LayoutChangeType.AUTO_HIDE_CHANGED, { columnId: me.id, autoHide: value });
+    }
+
+    /**
+     * Tells whether the auto-hide state is applied.
+     *
+     * @returns {boolean}
+     */
+    get isAutoHidden() {
+        return this._autoHideSide !== null;
+    }
+
+    /**
+     * Revealed getter.
+     *
+     * @returns {boolean}
+     */
+    get revealed() {
+        return this._revealed;
+    }
+
+    /**
+     * Applies or removes the auto-hide state (called by LayoutService, which
+     * only passes a side for an outer column with 'autoHide').
+     *
+     * @param {'left' | 'right' | null} side - The Row edge, or null to dock the column normally.
+     * @returns {void}
+     */
+    applyAutoHide(side) {
+        const me = this;
+        if (side === null) {
+            me.conceal();
+            me._autoHideStrip?.remove();
+            me._autoHideStrip = null;
+            me._autoHideSide = null;
+            me.element.classList.remove(
+                'column--auto-hide',
+                'column--auto-hide-left',
+                'column--auto-hide-right'
+            );
+            me.element.style.width = '';
+            return;
+        }
+
+        me._autoHideSide = side;
+        me.element.classList.add('column--auto-hide');
+        me.element.classList.toggle('column--auto-hide-left', side === 'left');
+        me.element.classList.toggle('column--auto-hide-right', side === 'right');
+
+        if (!me._autoHideStrip) {
+            me._autoHideStrip = me._createAutoHideStrip();
+        }
+        me._autoHideStrip.classList.toggle('column__auto-hide-strip--left', side === 'left');
+        me._autoHideStrip.classList.toggle('column__auto-hide-strip--right', side === 'right');
+        // Keeps the strip next to the column after columns moved
+        me.element.before(me._autoHideStrip);
+        me.refreshAutoHideStrip();
+    }
+
+    /**
+     * Rebuilds the panel titles of the edge strip.
+     *
+     * @returns {void}
+     */
+    refreshAutoHideStrip() {
+        const me = this;
+        const strip = me._autoHideStrip;
+        if (!strip) {
+            return;
+        }
+
+        strip.replaceChildren();
+        me._children
+            .filter(child => child instanceof PanelGroup)
+            .forEach(group => {
+                group.panels.forEach(panel => {
+                    const tab = document.createElement('button');
+                    tab.type = 'button';
+                    tab.className = 'column__auto-hide-tab';
+                    tab.textContent = panel.title;
+                    tab.title = panel.title;
+                    tab.setAttribute('aria-expanded', String(me._revealed));
+                    tab.addEventListener('click', () => {
+                        group.activePanel = panel;
+                        me.reveal();
+                    });
+                    strip.appendChild(tab);
+                });
+            });
+    }
+
+    /**
+     * Slides the auto-hidden column out as an overlay.
+     *
+     * @returns {void}
+     */
+    reveal() {
+        const me = this;
+        if (!me.isAutoHidden || me._revealed) {
+            return;
+        }
+        me._revealed = true;
+        me.element.classList.add('column--auto-hide-revealed');
+        me._updateStripExpanded();
+
+        document.addEventListener('pointerdown', me._boundOnDocumentPointerDown, true);
+        me.element.addEventListener('focusout', me._boundOnFocusOut);
+        me.element.addEventListener('mouseleave', me._boundOnMouseLeave);
+        me.element.addEventListener('keydown', me._boundOnOverlayKeyDown);
+    }
+
+    /**
+     * Hides the slid out column again.
+     *
+     * @returns {void}
+     */
+    conceal() {
+        const me = this;
+        if (!me._revealed) {
+            return;
+        }
+        me._revealed = false;
+        me.element.classList.remove('column--auto-hide-revealed');
+        me._updateStripExpanded();
+
+        document.removeEventListener('pointerdown', me._boundOnDocumentPointerDown, true);
+        me.element.removeEventListener('focusout', me._boundOnFocusOut);
+        me.element.removeEventListener('mouseleave', me._boundOnMouseLeave);
+        me.element.removeEventListener('keydown', me._boundOnOverlayKeyDown);
+    }
+
+    /**
+     * Creates the edge strip shown in place of the auto-hidden column.
+     *
+     * @private
+     * @returns {HTMLElement}
+     */
+    _createAutoHideStrip() {
+        const me = this;
+        const strip = document.createElement('div');
+        strip.className = 'column__auto-hide-strip';
+        strip.setAttribute('role', 'toolbar');
+        strip.setAttribute('aria-orientation', 'vertical');
+        strip.setAttribute(
+            'aria-label',
+            TranslationService.getInstance().translate('auto_hide.strip')
+        );
+        strip.addEventListener('mouseenter', () => me.reveal());
+        strip.addEventListener('mouseleave', me._boundOnMouseLeave);
+        return strip;
+    }
+
+    /**
+     * Reflects the revealed state on the strip titles.
+     *
+     * @private
+     * @returns {void}
+     */
+    _updateStripExpanded() {
+        const me = this;
+        me._autoHideStrip
+            ?.querySelectorAll('.column__auto-hide-tab')
+            .forEach(tab => tab.setAttribute('aria-expanded', String(me._revealed)));
+    }
+
+    /**
+     * Tells whether a node belongs to the column or its strip.
+     *
+     * @param {Node | null} node
+     * @private
+     * @returns {boolean}
+     */
+    _ownsNode(node) {
+        const me = this;
+        if (!node) {
+            return false;
+        }
+        return me.element.contains(node) || Boolean(me._autoHideStrip?.contains(node));
+    }
+
+    /**
+     * Hides the overlay when the user clicks elsewhere.
+     *
+     * @param {PointerEvent} event
+     * @private
+     * @returns {void}
+     */
+    _onDocumentPointerDown(event) {
+        const me = this;
+        if (!me._ownsNode(event.target)) {
+            me.conceal();
+        }
+    }
+
+    /**
+     * Hides the overlay when the focus moves to another element (e.g. with Tab).
+     *
+     * @param {FocusEvent} event
+     * @private
+     * @returns {void}
+     */
+    _onFocusOut(event) {
+        const me = this;
+        if (event.relatedTarget && !me._ownsNode(event.relatedTarget)) {
+            me.conceal();
+        }
+    }
+
+    /**
+     * Hides the overlay when the pointer leaves it, unless the focus is inside.
+     *
+     * @param {MouseEvent} event
+     * @private
+     * @returns {void}
+     */
+    _onMouseLeave(event) {
+        const me = this;
+        if (me._ownsNode(event.relatedTarget) || me._ownsNode(document.activeElement)) {
+            return;
+        }
+        me.conceal();
+    }
+
+    /**
+     * Hides the overlay on Escape.
+     *
+     * @param {KeyboardEvent} event
+     * @private
+     * @returns {void}
+     */
+    _onOverlayKeyDown(event) {
+        const me = this;
+        if (event.key !== 'Escape') {
+            return;
+        }
+        event.stopPropagation();
+        me.conceal();
+    }
+
     /**
      * Adds the horizontal resize handle to the column using ResizeHandleManager.
      *
@@ -378,9 +922,17 @@ export class Column {
      */
     addResizeBars(isLast) {
         const me = this;
-        me.element.querySelectorAll('.column__resize-handle').forEach(element => element.remove());
+        if (!isLast && me._resizeHandleManager) {
+            me._resizeHandleManager.updateAria();
+            return;
+        }
+
+        me.element
+            .querySelectorAll(':scope > .column__resize-handle')
+            .forEach(element => element.remove());
         me.element.classList.remove('column--resize-right');
         me._resizeHandleManager?.destroy();
+        me._resizeHandleManager = null;
 
         if (isLast) {
             return;
@@ -391,6 +943,12 @@ export class Column {
         me._resizeHandleManager = new ResizeHandleManager(me.element, {
             handles: ['e'],
             customClass: 'column__resize-handle',
+            keyboard: true,
+            label: TranslationService.getInstance().translate('resize.column'),
+            canResize: () => LayoutLockService.getInstance().isAllowed('resize', me),
+            getSnapTargets: () =>
+                ResizeSnapService.getInstance().getSnapTargets(me.element, '.column', true),
+            onDoubleClick: () => me._equalizeWithNext(),
             getConstraints: () => ({
                 minimumWidth: me.getEffectiveMinWidth(),
                 maximumWidth: Infinity,
@@ -400,16 +958,41 @@ export class Column {
             }),
             onResize: ({ width }) => {
                 me._width = width;
+                me._ratio = null;
                 me.getThrottledUpdate()();
             },
             onEnd: () => {
+                if (me.sizing === LayoutSizing.PROPORTIONAL) {
+                    me.captureRatio();
+                }
                 if (me.parentContainer) {
                     me.parentContainer.requestLayoutUpdate();
                 }
+                appBus.emit(EventTypes.LAYOUT_RESIZED, me);
+                emitNodeResized(LayoutNodeType.COLUMN, me);
             }
         });
     }
 
+    /**
+     * Equalizes this column and the next one in the Row (double-click on the resize bar).
+     *
+     * @private
+     * @returns {void}
+     */
+    _equalizeWithNext() {
+        const me = this;
+        const row = me.parentContainer;
+        if (!row) {
+            return;
+        }
+        const columns = row.getColumns();
+        const next = columns[columns.indexOf(me) + 1];
+        if (next && LayoutLockService.getInstance().isAllowed('resize', next)) {
+            row.equalizeColumns([me, next]);
+        }
+    }
+
     /**
      * Updates the CSS flex-basis (width) of the column.
      *
@@ -418,9 +1001,19 @@ export class Column {
      */
     updateWidth(isLast) {
         const me = this;
+        if (me.isAutoHidden) {
+            // Out of the Row flow: the width is the overlay width
+            me.element.style.flex = '';
+            me.element.style.width = me.width !== null ? `${me.width}px` : '';
+            me.requestLayoutUpdate();
+            return;
+        }
         if (isLast) {
             me.element.style.flex = `1 1 auto`;
             me._width = null;
+            me._ratio = null;
+        } else if (me.sizing === LayoutSizing.PROPORTIONAL && me.ratio !== null) {
+            me.element.style.flex = toRatioFlex(me.ratio);
         } else if (me.width !== null) {
             me.element.style.flex = `0 0 ${me.width}px`;
         }
@@ -430,18 +1023,16 @@ export class Column {
     /**
      * Adds multiple children at once.
      *
-     * @param {Array<PanelGroup|Viewport>} children - Array of children instances.
+     * @param {Array<PanelGroup|Viewport|Row>} children - Array of children instances.
      * @returns {void}
      */
     addChildrenBulk(children) {
         const me = this;
-        const resizeHandle = me.element.querySelector('.column__resize-handle');
+        const resizeHandle = me.element.querySelector(':scope > .column__resize-handle');
         children.forEach(child => {
             me._children.push(child);
             me.element.insertBefore(child.element, resizeHandle);
-            if (typeof child.setParentColumn === 'function') {
-                child.setParentColumn(me);
-            }
+            me._adoptChild(child);
         });
         me.requestLayoutUpdate();
     }
@@ -449,13 +1040,13 @@ export class Column {
     /**
      * Adds a single child (PanelGroup or Viewport) to the column at a specific index.
      *
-     * @param {PanelGroup|Viewport} child - The component instance to add.
+     * @param {PanelGroup|Viewport|Row} child - The component instance to add.
      * @param {number|null} [index=null] - The index to insert at.
      * @returns {void}
      */
     addChild(child, index = null) {
         const me = this;
-        const resizeHandle = me.element.querySelector('.column__resize-handle');
+        const resizeHandle = me.element.querySelector(':scope > .column__resize-handle');
 
         if (index === null) {
             me._children.push(child);
@@ -471,48 +1062,230 @@ export class Column {
             me.element.insertBefore(child.element, nextSiblingElement);
         }
 
-        if (typeof child.setParentColumn === 'function') {
-            child.setParentColumn(me);
-        }
+        me._adoptChild(child);
 
         me.requestLayoutUpdate();
+        me._emitChildAttached(child);
+    }
+
+    /**
+     * Reports an added nested Row or PanelGroup. A group detached from a
+     * column (removeChild) is reported as moved, one taken from the floating
+     * layer (FloatingPanelManagerService.removeFloatingPanel) as docked.
+     *
+     * @param {PanelGroup|Viewport|Row} child
+     * @private
+     * @returns {void}
+     */
+    _emitChildAttached(child) {
+        const me = this;
+        const index = me._children.indexOf(child);
+        if (child instanceof Row) {
+            emitLayoutChange(LayoutChangeType.ROW_ADDED, {
+                rowId: child.id,
+                parentId: me.id,
+                index
+            });
+            return;
+        }
+        if (!(child instanceof PanelGroup)) {
+            return;
+        }
+
+        const origin = takeLayoutOrigin(child);
+        if (origin?.floating) {
+            emitLayoutChange(LayoutChangeType.GROUP_DOCKED, {
+                groupId: child.id,
+                columnId: me.id,
+                index
+            });
+        } else if (origin) {
+            emitLayoutChange(LayoutChangeType.GROUP_MOVED, {
+                groupId: child.id,
+                sourceColumnId: origin.columnId,
+                sourceIndex: origin.index,
+                targetColumnId: me.id,
+                targetIndex: index
+            });
+        } else {
+            emitLayoutChange(LayoutChangeType.GROUP_ADDED, {
+                groupId: child.id,
+                columnId: me.id,
+                index,
+                panelIds: child.panels.map(panel => panel.id)
+            });
+        }
+    }
+
+    /**
+     * Creates and inserts a nested Row (splitting this column's area into
+     * sub-columns).
+     *
+     * @param {number|null} [height=null] - The initial height of the row.
+     * @param {number|null} [index=null] - The index to insert at.
+     * @returns {Row} The created Row instance.
+     */
+    createRow(height = null, index = null) {
+        const me = this;
+        const row = new Row(me, height);
+        me.addChild(row, index);
+        return row;
+    }
+
+    /**
+     * Splits the area of a child horizontally: the child is wrapped in a nested
+     * Row next to a new, empty column. If the child is alone in this column,
+     * the new column is added to the parent Row instead (same result, flatter tree).
+     *
+     * @param {PanelGroup|Viewport|Row} child - The child to split.
+     * @param {'left' | 'right'} side - Where the new column goes.
+     * @returns {Column | null} The new empty column, or null if the child is not in this column.
+     */
+    splitChild(child, side) {
+        const me = this;
+        const index = me.getChildIndex(child);
+        if (index === -1) {
+            return null;
+        }
+
+        const parentRow = me.parentContainer;
+        if (me.getChildCount() === 1 && parentRow && typeof parentRow.createColumn === 'function') {
+            const columnIndex = parentRow.columns.indexOf(me);
+            return parentRow.createColumn(null, side === 'left' ? columnIndex : columnIndex + 1);
+        }
+
+        const height = typeof child.height === 'number' ? child.height : null;
+        me.removeChild(child, false);
+        const row = me.createRow(height, index);
+        const childColumn = row.createColumn();
+        if (height !== null) {
+            child.height = null;
+        }
+        childColumn.addChild(child);
+        return row.createColumn(null, side === 'left' ? 0 : null);
+    }
+
+    /**
+     * Replaces a nested Row that has a single column by that column's
+     * children. Called (deferred) by the Row when it loses its second-to-last column.
+     *
+     * @param {Row} row - The nested Row to unwrap.
+     * @returns {void}
+     */
+    unwrapRow(row) {
+        const me = this;
+        const index = me.getChildIndex(row);
+        if (index === -1 || row.getTotalColumns() !== 1) {
+            return;
+        }
+
+        const innerColumn = row.columns[0];
+        const children = [...innerColumn.children];
+        children.forEach(child => innerColumn.removeChild(child, false));
+
+        me.removeChild(row, false);
+        row.destroy();
+        children.forEach((child, offset) => me.addChild(child, index + offset));
+    }
+
+    /**
+     * Links a child to this column (PanelGroups keep a column reference,
+     * nested Rows a parentContainer).
+     *
+     * @param {PanelGroup|Viewport|Row} child
+     * @private
+     * @returns {void}
+     */
+    _adoptChild(child) {
+        const me = this;
+        if (child instanceof Row) {
+            child.parentContainer = me;
+        } else if (typeof child.setParentColumn === 'function') {
+            child.setParentColumn(me);
+        }
     }
 
     /**
      * Gets all collapsed children.
-     * Viewports are never collapsed, so this returns only collapsed PanelGroups.
+     * Viewports are never collapsed, so this returns only collapsed PanelGroups and Rows.
      *
-     * @returns {Array<PanelGroup|Viewport>} Collapsed children instances.
+     * @returns {Array<PanelGroup|Viewport|Row>} Collapsed children instances.
      */
     getChildrenCollapsed() {
-        return this._children.filter(child => {
-            if (child instanceof PanelGroup) {
-                return child.collapsed;
-            }
-            // Viewports are not collapsible
-            return false;
-        });
+        // Viewports are not collapsible
+        return this._children.filter(child => child.collapsed === true);
     }
 
     /**
      * Gets all uncollapsed children.
-     * Includes open PanelGroups and all Viewports.
+     * Includes open PanelGroups and Rows, and all Viewports.
      *
-     * @returns {Array<PanelGroup|Viewport>} Uncollapsed children instances.
+     * @returns {Array<PanelGroup|Viewport|Row>} Uncollapsed children instances.
      */
     getChildrenUncollapsed() {
-        return this._children.filter(child => {
-            if (child instanceof Viewport) {
-                return true;
+        return this._children.filter(child => child.collapsed !== true);
+    }
+
+    /**
+     * Gives the same height to some children, sharing their rendered heights.
+     * Only uncollapsed PanelGroups and nested Rows of this column are sized;
+     * the fill-space child takes the rounding remainder.
+     *
+     * @param {Array<PanelGroup|Row>} children - The children to equalize.
+     * @returns {boolean} False if fewer than two children could be equalized.
+     */
+    equalizeChildren(children) {
+        const me = this;
+        const targets = children.filter(
+            child =>
+                me._children.includes(child) &&
+                child.collapsed !== true &&
+                (child instanceof PanelGroup || child instanceof Row)
+        );
+        if (targets.length < 2) {
+            return false;
+        }
+
+        const total = targets.reduce((sum, child) => sum + child.element.offsetHeight, 0);
+        const height = Math.floor(total / targets.length);
+        targets.forEach(child => {
+            const minimum =
+                child instanceof PanelGroup ? child.getMinPanelHeight() : child.getMinHeight();
+            child.ratio = null;
+            child.height = Math.max(height, minimum);
+            if (child.sizing === LayoutSizing.PROPORTIONAL) {
+                child.captureRatio();
             }
-            return !child.collapsed;
         });
+
+        me.requestLayoutUpdate();
+        appBus.emit(EventTypes.LAYOUT_RESIZED, me);
+        targets.forEach(child =>
+            emitNodeResized(
+                child instanceof PanelGroup ? LayoutNodeType.PANEL_GROUP : LayoutNodeType.ROW,
+                child
+            )
+        );
+        return true;
     }
 
     /**
-     * Removes a child from the column.
+     * Gives the same height to all the uncollapsed PanelGroups of the column.
      *
-     * @param {PanelGroup|Viewport} child - The instance to remove.
+     * @returns {boolean} False if the column has fewer than two of them.
+     */
+    distributePanelGroups() {
+        const me = this;
+        return me.equalizeChildren(
+            me.getChildrenUncollapsed().filter(child => child instanceof PanelGroup)
+        );
+    }
+
+    /**
+     * Removes a child from the column. A nested Row is reported as removed; a
+     * PanelGroup is not, since it is either re-attached (a move) or closed.
+     *
+     * @param {PanelGroup|Viewport|Row} child - The instance to remove.
      * @param {boolean} [emitEmpty=true] - Whether to emit EventTypes.COLUMN_EMPTY.
      * @returns {void}
      */
@@ -524,9 +1297,19 @@ export class Column {
         }
 
         me._children.splice(index, 1);
-        if (typeof child.setParentColumn === 'function') {
+        if (child instanceof Row) {
+            child.parentContainer = null;
+            emitLayoutChange(LayoutChangeType.ROW_REMOVED, {
+                rowId: child.id,
+                parentId: me.id,
+                index
+            });
+        } else if (typeof child.setParentColumn === 'function') {
             child.setParentColumn(null);
         }
+        if (child instanceof PanelGroup) {
+            markLayoutOrigin(child, { columnId: me.id, index });
+        }
 
         if (me.element.contains(child.element)) {
             me.element.removeChild(child.element);
@@ -553,7 +1336,7 @@ export class Column {
     /**
      * Finds the state index of a child instance.
      *
-     * @param {PanelGroup|Viewport} child - The child to find.
+     * @param {PanelGroup|Viewport|Row} child - The child to find.
      * @returns {number} The index, or -1 if not found.
      */
     getChildIndex(child) {
@@ -575,7 +1358,9 @@ export class Column {
                 break;
             }
             if (
-                (child.classList.contains('panel-group') || child.classList.contains('viewport')) &&
+                (child.classList.contains('panel-group') ||
+                    child.classList.contains('viewport') ||
+                    child.classList.contains('row')) &&
                 me._children.some(p => p.element === child)
             ) {
                 panelIndex++;
@@ -595,7 +1380,7 @@ export class Column {
 
     /**
      * Serializes the Column state to JSON.
-     * Handles polymorphic children types (PanelGroup vs Viewport).
+     * Handles polymorphic children types (PanelGroup, Viewport or nested Row).
      *
      * @returns {object} The serialized state object.
      */
@@ -603,8 +1388,14 @@ export class Column {
         const me = this;
         return {
             width: me.width,
+            ...(me.ratio !== null ? { ratio: me.ratio } : {}),
+            ...(me.policy ? { policy: me.policy } : {}),
+            ...(me._autoHide ? { autoHide: true } : {}),
             children: me._children
                 .map(child => {
+                    if (child instanceof Row) {
+                        return { type: DropZoneType.ROW, ...child.toJSON() };
+                    }
                     if (typeof child.toJSON === 'function') {
                         return child.toJSON();
                     }
@@ -616,7 +1407,7 @@ export class Column {
 
     /**
      * Deserializes state from JSON data.
-     * Uses factories to instantiate correct child types (PanelGroup or Viewport).
+     * Instantiates the correct child types (PanelGroup, Viewport or nested Row).
      *
      * @param {object} data - The state object.
      * @returns {void}
@@ -626,9 +1417,13 @@ export class Column {
         if (data.width !== undefined) {
             me.width = data.width;
         }
+        if (data.ratio !== undefined) {
+            me.ratio = data.ratio;
+        }
+        me.policy = data.policy || null;
+        me.autoHide = data.autoHide === true;
 
-        // Support 'children' (new) or 'panelGroups' (legacy)
-        const childrenData = data.children || data.panelGroups;
+        const childrenData = data.children;
         const itemsToRestore = [];
 
         if (childrenData && Array.isArray(childrenData)) {
@@ -645,6 +1440,9 @@ export class Column {
                     if (typeof item.fromJSON === 'function') {
                         item.fromJSON(itemData);
                     }
+                } else if (itemData.type === DropZoneType.ROW) {
+                    item = new Row(me);
+                    item.fromJSON(itemData);
                 } else {
                     // Default to PanelGroup for backward compatibility or explicit type
                     item = new PanelGroup();
@@ -1,7 +1,17 @@
 import { Row } from '../Row/Row.js';
+import { PanelGroup } from '../Panel/PanelGroup.js';
+import { Viewport } from '../Viewport/Viewport.js';
 import { appBus } from '../../utils/EventBus.js';
 import { FloatingPanelManagerService } from '../../services/DND/FloatingPanelManagerService.js';
 import { EventTypes } from '../../constants/EventTypes.js';
+import { LayoutSizing } from '../../constants/LayoutSizing.js';
+import { LayoutChangeType } from '../../constants/LayoutChangeTypes.js';
+import { LayoutNodeType } from '../../constants/LayoutNodeTypes.js';
+import {
+    emitLayoutChange,
+    emitNodeResized,
+    suppressLayoutChanges
+} from '../../utils/layoutChange.js';
 
 /**
  * Description:
@@ -15,15 +25,20 @@ import { EventTypes } from '../../constants/EventTypes.js';
  * - element {HTMLElement} : The main DOM element (<div class="container">).
  * - dropZoneType {string} : The identifier for the DragDropService.
  * - rows {Array<Row>} : Public getter for the list of rows.
+ * - sizing {string} : How docked rows, columns and panel groups are sized (see LayoutSizing).
  *
  * Typical usage:
  * // In App.js
  * this.container = new Container();
  * document.body.append(this.container.element);
+ * const panel = this.container.getPanelById(savedPanelId);
  *
  * Events:
  * - Listens to: EventTypes.ROW_EMPTY (to clean up empty rows)
  * - Emits: EventTypes.LAYOUT_ROWS_CHANGED (to notify LayoutService)
+ * - Emits: EventTypes.LAYOUT_RESIZED (after equalizing rows)
+ * - Emits: EventTypes.LAYOUT_CHANGE (row added / removed, rows resized, layout
+ * loaded; see LayoutChangeType)
  *
  * Business rules implemented:
  * - Renders 'Row' children vertically.
@@ -33,12 +48,27 @@ import { EventTypes } from '../../constants/EventTypes.js';
  * - Manages the vertical resize handles/collapse buttons for its child Rows.
  * - Forces recalculation of *column* resize handles on all child Rows
  * whenever a row is added or deleted.
+ * - 'sizing' applies to the whole docked layout and is serialized only when
+ * proportional. Switching to proportional turns every fixed size into a ratio
+ * of its parent; switching back turns the ratios into the rendered pixels.
+ * - 'equalizeRows' shares the rendered height of some uncollapsed rows evenly,
+ * through the normal updateHeight path.
+ * - Looks up panels and windows by their persisted id, in docked (including
+ * nested Rows) and floating groups.
+ * - Clearing, loading (fromJSON) and detaching panels report no individual
+ * layout changes; loading ends with a single LayoutChangeType.LAYOUT_LOADED.
  *
  * Dependencies:
  * - {import('../Row/Row.js').Row}
+ * - {import('../Panel/PanelGroup.js').PanelGroup}
+ * - {import('../Viewport/Viewport.js').Viewport}
  * - {import('../../utils/EventBus.js').appBus}
  * - {import('../../services/DND/FloatingPanelManagerService.js').FloatingPanelManagerService}
  * - {import('../../constants/EventTypes.js').EventTypes}
+ * - {import('../../constants/LayoutSizing.js').LayoutSizing}
+ * - {import('../../constants/LayoutChangeTypes.js').LayoutChangeType}
+ * - {import('../../constants/LayoutNodeTypes.js').LayoutNodeType}
+ * - {import('../../utils/layoutChange.js').emitLayoutChange}
  */
 export class Container {
     /**
@@ -57,6 +87,14 @@ export class Container {
      */
     _namespace = 'app-container';
 
+    /**
+     * How docked rows, columns and panel groups are sized.
+     *
+     * @type {string}
+     * @private
+     */
+    _sizing = LayoutSizing.FIXED;
+
     /**
      * Stores the bound reference for the 'onRowEmpty' listener.
      *
@@ -109,6 +147,48 @@ export class Container {
         return this._rows;
     }
 
+    /**
+     * Sizing getter.
+     *
+     * @returns {string} The sizing mode (see LayoutSizing).
+     */
+    get sizing() {
+        return this._sizing;
+    }
+
+    /**
+     * Sizing setter.
+     * Converts every docked size to the new mode and re-applies the layout.
+     *
+     * @param {string} value - A LayoutSizing value.
+     * @returns {void}
+     */
+    set sizing(value) {
+        const me = this;
+        if (!Object.values(LayoutSizing).includes(value)) {
+            console.warn(
+                `[Container] Invalid sizing assignment (${value}). Must be a LayoutSizing value. Keeping previous value: ${me._sizing}`
+            );
+            return;
+        }
+        if (value === me._sizing) {
+            return;
+        }
+
+        const nodes = me._getSizedNodes();
+        nodes.forEach(node => {
+            if (value === LayoutSizing.PROPORTIONAL) {
+                node.captureRatio();
+            } else {
+                node.resolveRatio();
+            }
+        });
+        me._sizing = value;
+
+        me.requestLayoutUpdate();
+        nodes.filter(node => node instanceof Row).forEach(row => row.requestLayoutUpdate());
+    }
+
     /**
      * Initializes appBus event listeners for this component.
      *
@@ -152,31 +232,25 @@ export class Container {
     }
 
     /**
-     * Updates the vertical resize bars for all child Rows.
-     * The last Row is instructed not to show its bar.
+     * Updates the vertical resize bars for all child Rows. The bars follow
+     * the layout rules (the last Row gets none), so LayoutService places them.
      *
      * @returns {void}
      */
     updateAllResizeBars() {
-        const rows = this.rows;
-        rows.forEach((row, index) => {
-            row.addResizeBars(index === rows.length - 1);
-        });
+        this.requestLayoutUpdate();
     }
 
     /**
      * Forces all child Rows to recalculate their *column* resize handles.
-     * (Required to fix DND bugs where the "last" row changes).
+     * (Required to fix DND bugs where the "last" row changes). The handles
+     * follow the layout rules, so each Row asks LayoutService for an update.
      *
      * @private
      * @returns {void}
      */
     _updateAllColumnResizeBars() {
-        this.rows.forEach(row => {
-            if (typeof row.updateAllResizeBars === 'function') {
-                row.updateAllResizeBars();
-            }
-        });
+        this.rows.forEach(row => row.requestLayoutUpdate());
     }
 
     /**
@@ -203,9 +277,13 @@ export class Container {
             me._rows.splice(index, 0, row);
         }
 
-        me.requestLayoutUpdate();
-        me.updateAllResizeBars();
         me._updateAllColumnResizeBars();
+        me.requestLayoutUpdate();
+        emitLayoutChange(LayoutChangeType.ROW_ADDED, {
+            rowId: row.id,
+            parentId: null,
+            index: me._rows.indexOf(row)
+        });
 
         return row;
     }
@@ -229,10 +307,10 @@ export class Container {
         }
 
         me._rows.splice(index, 1);
+        emitLayoutChange(LayoutChangeType.ROW_REMOVED, { rowId: row.id, parentId: null, index });
 
-        me.requestLayoutUpdate();
-        me.updateAllResizeBars();
         me._updateAllColumnResizeBars();
+        me.requestLayoutUpdate();
     }
 
     /**
@@ -245,6 +323,37 @@ export class Container {
         return this.rows;
     }
 
+    /**
+     * Gives the same height to some uncollapsed rows, sharing their rendered
+     * heights (never below a row's minimum height). The last visible row fills
+     * the space and takes the rounding remainder.
+     *
+     * @param {Array<import('../Row/Row.js').Row>} rows - The rows to equalize.
+     * @returns {boolean} False if fewer than two rows could be equalized.
+     */
+    equalizeRows(rows) {
+        const me = this;
+        const targets = rows.filter(row => me._rows.includes(row) && !row.collapsed);
+        if (targets.length < 2) {
+            return false;
+        }
+
+        const total = targets.reduce((sum, row) => sum + row.element.offsetHeight, 0);
+        const height = Math.floor(total / targets.length);
+        targets.forEach(row => {
+            row.ratio = null;
+            row.height = Math.max(height, row.getMinHeight());
+            if (row.sizing === LayoutSizing.PROPORTIONAL) {
+                row.captureRatio();
+            }
+        });
+
+        me.requestLayoutUpdate();
+        appBus.emit(EventTypes.LAYOUT_RESIZED, me);
+        targets.forEach(row => emitNodeResized(LayoutNodeType.ROW, row));
+        return true;
+    }
+
     /**
      * Returns the total number of child Rows.
      *
@@ -265,15 +374,145 @@ export class Container {
     }
 
     /**
-     * Clears the container, destroying and removing all child Rows.
+     * Returns every PanelGroup in the layout: docked ones (row by row, column
+     * by column) followed by the floating ones.
+     *
+     * @returns {Array<import('../Panel/PanelGroup.js').PanelGroup>} All panel groups.
+     */
+    getPanelGroups() {
+        const me = this;
+        const docked = me._getColumnChildren().filter(child => child instanceof PanelGroup);
+        return [...docked, ...FloatingPanelManagerService.getInstance().floatingPanels];
+    }
+
+    /**
+     * Returns every Viewport in the layout.
+     *
+     * @returns {Array<import('../Viewport/Viewport.js').Viewport>} All viewports.
+     */
+    getViewports() {
+        const me = this;
+        return me._getColumnChildren().filter(child => child instanceof Viewport);
+    }
+
+    /**
+     * Finds a Panel anywhere in the layout (docked or floating) by its id.
+     *
+     * @param {string} id - The panel id.
+     * @returns {import('../Panel/Panel.js').Panel | null} The panel, or null if not found.
+     */
+    getPanelById(id) {
+        const me = this;
+        for (const group of me.getPanelGroups()) {
+            const panel = group.getPanelById(id);
+            if (panel) {
+                return panel;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Finds an ApplicationWindow in any Viewport by its id.
+     *
+     * @param {string} id - The window id.
+     * @returns {import('../Viewport/ApplicationWindow.js').ApplicationWindow | null} The window, or null if not found.
+     */
+    getWindowById(id) {
+        const me = this;
+        for (const viewport of me.getViewports()) {
+            const win = viewport.getWindowById(id);
+            if (win) {
+                return win;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Collects the children (PanelGroups and Viewports) of every Column,
+     * descending into nested Rows.
+     *
+     * @private
+     * @returns {Array<import('../Panel/PanelGroup.js').PanelGroup | import('../Viewport/Viewport.js').Viewport>}
+     */
+    _getColumnChildren() {
+        const me = this;
+        const collect = rows =>
+            rows.flatMap(row =>
+                row.columns.flatMap(column =>
+                    column.children.flatMap(child =>
+                        child instanceof Row ? collect([child]) : [child]
+                    )
+                )
+            );
+        return collect(me.rows);
+    }
+
+    /**
+     * Collects every docked node that can be sized: Rows (nested ones
+     * included), Columns and PanelGroups.
+     *
+     * @private
+     * @returns {Array<Row | import('../Column/Column.js').Column | PanelGroup>}
+     */
+    _getSizedNodes() {
+        const me = this;
+        const collect = rows =>
+            rows.flatMap(row => [
+                row,
+                ...row.columns.flatMap(column => [
+                    column,
+                    ...column.children.flatMap(child => {
+                        if (child instanceof Row) {
+                            return collect([child]);
+                        }
+                        return child instanceof PanelGroup ? [child] : [];
+                    })
+                ])
+            ]);
+        return collect(me.rows);
+    }
+
+    /**
+     * Removes every panel (docked and floating) from its group without
+     * destroying it, e.g. to reuse it in another layout. Groups left empty
+     * close as usual. The scroll position is restored when the panel is
+     * mounted again.
+     *
+     * @returns {Array<import('../Panel/Panel.js').Panel>} The detached panels.
+     */
+    detachPanels() {
+        const me = this;
+        const detached = [];
+        suppressLayoutChanges(() =>
+            me.getPanelGroups().forEach(group => {
+                [...group.panels].forEach(panel => {
+                    const viewState = panel.getViewState();
+                    group.removePanel(panel, true);
+                    panel.unmount();
+                    panel.setViewState(viewState);
+                    detached.push(panel);
+                });
+            })
+        );
+        return detached;
+    }
+
+    /**
+     * Clears the container, destroying and removing all child Rows. Nothing
+     * is reported as removed: a rebuilt layout ends with
+     * LayoutChangeType.LAYOUT_LOADED (see fromJSON).
      *
      * @returns {void}
      */
     clear() {
         const me = this;
-        [...me.rows].forEach(row => {
-            me.deleteRow(row);
-        });
+        suppressLayoutChanges(() =>
+            [...me.rows].forEach(row => {
+                me.deleteRow(row);
+            })
+        );
 
         me.element.innerHTML = '';
         me._rows = [];
@@ -289,6 +528,7 @@ export class Container {
         const fpms = FloatingPanelManagerService.getInstance();
 
         const layout = {
+            ...(me.sizing === LayoutSizing.PROPORTIONAL ? { sizing: me.sizing } : {}),
             rows: me.rows.map(row => row.toJSON()),
             floatingPanels: fpms.toJSON()
         };
@@ -297,6 +537,9 @@ export class Container {
 
     /**
      * Deserializes state from JSON data.
+     * Legacy shapes must be upgraded beforehand by WorkspaceMigrationService.
+     * The rebuilt nodes are not reported one by one: a single
+     * LayoutChangeType.LAYOUT_LOADED is emitted instead.
      *
      * @param {object} data - The state object (from default.json or localStorage).
      * @returns {void}
@@ -304,30 +547,30 @@ export class Container {
     fromJSON(data) {
         const me = this;
         me.clear();
+        me._sizing =
+            data.sizing === LayoutSizing.PROPORTIONAL
+                ? LayoutSizing.PROPORTIONAL
+                : LayoutSizing.FIXED;
         const rowsData = data.rows || [];
 
-        if (rowsData.length === 0 && data.columns) {
-            console.warn("Container: Loading legacy layout (no 'rows'). Wrapping in a Row.");
-            const row = me.createRow();
-            row.fromJSON(data);
-        } else {
+        suppressLayoutChanges(() => {
             rowsData.forEach(rowData => {
                 const row = me.createRow(rowData.height);
                 row.fromJSON(rowData);
             });
-        }
 
-        if (data.floatingPanels && Array.isArray(data.floatingPanels)) {
-            const fpms = FloatingPanelManagerService.getInstance();
-            fpms.fromJSON(data.floatingPanels);
-        }
+            if (data.floatingPanels && Array.isArray(data.floatingPanels)) {
+                const fpms = FloatingPanelManagerService.getInstance();
+                fpms.fromJSON(data.floatingPanels);
+            }
 
-        if (me.rows.length === 0) {
-            me.createRow();
-        }
+            if (me.rows.length === 0) {
+                me.createRow();
+            }
 
-        me.requestLayoutUpdate();
-        me.updateAllResizeBars();
-        me._updateAllColumnResizeBars();
+            me._updateAllColumnResizeBars();
+            me.requestLayoutUpdate();
+        });
+        emitLayoutChange(LayoutChangeType.LAYOUT_LOADED);
     }
 }
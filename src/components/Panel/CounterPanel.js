@@ -12,6 +12,10 @@ import { globalState } from '../../services/GlobalStateService.js';
  * - _boundOnDecrease {Function|null} : Bound listener for the decrease button.
  * - _boundOnReset {Function|null} : Bound listener for the reset button.
  *
+ * Business rules implemented:
+ * - Saves the counter value as panel state ({ value }); restoring it updates
+ * the shared 'counterValue'.
+ *
  * Events:
  * - Listens to (globalState): 'counterValue'
  * - Emits to (globalState): 'counterValue'
@@ -166,6 +170,27 @@ export class CounterPanel extends Panel {
         }
     }
 
+    /**
+     * (Overrides Panel) Returns the counter value as the panel state.
+     *
+     * @returns {{value: number}} The panel state.
+     */
+    getState() {
+        return { value: globalState.get('counterValue') ?? 0 };
+    }
+
+    /**
+     * (Overrides Panel) Restores the counter value.
+     *
+     * @param {{value?: number}} state - The saved panel state.
+     * @returns {void}
+     */
+    setState(state) {
+        if (Number.isFinite(state.value)) {
+            globalState.set('counterValue', state.value);
+        }
+    }
+
     /**
      * (Overrides Panel) Cleans up DOM listeners.
      *
@@ -29,6 +29,8 @@ import { globalState } from '../../services/GlobalStateService.js';
  * - collapsible {boolean} : Whether the panel can be collapsed.
  * - movable {boolean} : Whether the panel can be dragged.
  * - title {string} : The title of the panel.
+ * - _viewState {object | null} : The last known scroll position and focus of the content.
+ * - _pendingViewState {object | null} : A restored view state waiting for the panel to be visible.
  *
  * Typical usage:
  * ```javascript
@@ -58,6 +60,16 @@ import { globalState } from '../../services/GlobalStateService.js';
  *         if (key === 'activeTool') {
  *         this.contentElement.textContent = `Tool is: ${value}`;
  *     }
+ *
+ *     getState() {
+ *         // Working state saved with the layout
+ *         return { query: this._input.value };
+ *     }
+ *
+ *     setState(state) {
+ *         // Called by fromJSON with the saved state
+ *         if (typeof state.query === 'string') this._input.value = state.query;
+ *     }
  * }
  * ```
  *
@@ -68,6 +80,13 @@ import { globalState } from '../../services/GlobalStateService.js';
  * - Validates inputs for dimensions (must be positive numbers).
  * - Propagates configuration changes (title, closable, movable) to the Header component.
  * - Manages lifecycle hooks (mount/unmount) for global state subscriptions.
+ * - The id is serialized, so it stays stable across reloads.
+ * - Working state contract: subclasses return their state from 'getState()'
+ * and restore it in 'setState(state)'; toJSON/fromJSON carry it in a 'state'
+ * block, so PanelGroup.toJSON collects it without knowing the panel type.
+ * - The scroll position of the content and the focused element inside it are
+ * serialized as 'viewState'. Hidden panels (inactive tabs) keep the values
+ * they had when they were hidden, and restore them when they become visible.
  * - Enforces encapsulation using private properties and public accessors.
  *
  * Dependencies:
@@ -160,6 +179,22 @@ export class Panel {
      */
     _boundStateListeners = null;
 
+    /**
+     * The last known scroll position and focus of the content.
+     *
+     * @type {{scrollTop: number, scrollLeft: number, focus: object | null} | null}
+     * @private
+     */
+    _viewState = null;
+
+    /**
+     * A restored view state waiting for the panel to be visible.
+     *
+     * @type {{scrollTop: number, scrollLeft: number, focus: object | null} | null}
+     * @private
+     */
+    _pendingViewState = null;
+
     /**
      * Unique ID for the Panel, used by PanelGroup to manage tabs.
      *
@@ -547,8 +582,11 @@ export class Panel {
     toJSON() {
         const me = this;
         return {
+            id: me.id,
             type: me.getPanelType(),
-            title: me.title
+            title: me.title,
+            state: me.getState(),
+            viewState: me.getViewState()
         };
     }
 
@@ -560,9 +598,84 @@ export class Panel {
      */
     fromJSON(data) {
         const me = this;
+        if (typeof data.id === 'string' && data.id !== '') {
+            me.id = data.id;
+        }
         if (data.title !== undefined) {
             me.title = data.title;
         }
+        if (data.state && typeof data.state === 'object') {
+            me.setState(data.state);
+        }
+        if (data.viewState) {
+            me.setViewState(data.viewState);
+        }
+    }
+
+    /**
+     * Returns the working state of the panel, saved with the layout.
+     * Subclasses override this; the value must be JSON-serializable.
+     *
+     * @returns {object} The panel state.
+     */
+    getState() {
+        return {};
+    }
+
+    /**
+     * Restores the working state returned by 'getState'.
+     * Subclasses override this and must ignore fields they do not recognize.
+     *
+     * @param {object} state - The saved panel state.
+     * @returns {void}
+     */
+    setState(state) {
+        state;
+        // Subclasses can override.
+    }
+
+    /**
+     * Returns the scroll position of the content and the element focused
+     * inside it. While the panel is hidden, returns the values it had when
+     * it was hidden.
+     *
+     * @returns {{scrollTop: number, scrollLeft: number, focus: object | null}}
+     */
+    getViewState() {
+        const me = this;
+        if (!me._isContentVisible()) {
+            return (
+                me._pendingViewState ||
+                me._viewState || { scrollTop: 0, scrollLeft: 0, focus: null }
+            );
+        }
+        const contentEl = me.contentElement;
+        return {
+            scrollTop: contentEl.scrollTop,
+            scrollLeft: contentEl.scrollLeft,
+            focus: me._getFocusState()
+        };
+    }
+
+    /**
+     * Restores a view state returned by 'getViewState'. Applied right away
+     * when the content is visible, otherwise the next time it is mounted.
+     *
+     * @param {{scrollTop?: number, scrollLeft?: number, focus?: object | null}} viewState
+     * @returns {void}
+     */
+    setViewState(viewState) {
+        const me = this;
+        if (!viewState || typeof viewState !== 'object') {
+            console.warn(`[Panel] invalid viewState assignment (${viewState}). Must be an object.`);
+            return;
+        }
+        me._pendingViewState = {
+            scrollTop: Math.max(0, Number(viewState.scrollTop) || 0),
+            scrollLeft: Math.max(0, Number(viewState.scrollLeft) || 0),
+            focus: viewState.focus && typeof viewState.focus === 'object' ? viewState.focus : null
+        };
+        me._applyPendingViewState();
     }
 
     /**
@@ -592,6 +705,11 @@ export class Panel {
             me._boundStateListeners.set(key, listener);
             globalState.subscribe(key, listener);
         });
+
+        if (me._pendingViewState) {
+            // The group shows the content after mounting it.
+            requestAnimationFrame(() => me._applyPendingViewState());
+        }
     }
 
     /**
@@ -603,6 +721,10 @@ export class Panel {
      */
     unmount() {
         const me = this;
+        if (me._isContentVisible()) {
+            // Focus does not survive hiding the panel; the scroll position does.
+            me._viewState = { ...me.getViewState(), focus: null };
+        }
         if (me._boundStateListeners) {
             me._boundStateListeners.forEach((listener, key) => {
                 globalState.unsubscribe(key, listener);
@@ -633,4 +755,94 @@ export class Panel {
         // Subclasses must implement this to define subscriptions.
         return [];
     }
+
+    /**
+     * Checks whether the content element is rendered (attached and not hidden).
+     *
+     * @private
+     * @returns {boolean}
+     */
+    _isContentVisible() {
+        const me = this;
+        const contentEl = me.contentElement;
+        return Boolean(contentEl && contentEl.isConnected && contentEl.getClientRects().length > 0);
+    }
+
+    /**
+     * Applies the pending view state if the content is visible.
+     *
+     * @private
+     * @returns {void}
+     */
+    _applyPendingViewState() {
+        const me = this;
+        const viewState = me._pendingViewState;
+        if (!viewState || !me._isContentVisible()) {
+            return;
+        }
+        me._pendingViewState = null;
+        me._viewState = { ...viewState, focus: null };
+
+        const contentEl = me.contentElement;
+        contentEl.scrollTop = viewState.scrollTop;
+        contentEl.scrollLeft = viewState.scrollLeft;
+        me._restoreFocus(viewState.focus);
+    }
+
+    /**
+     * Describes the focused element inside the content as a path of child
+     * indexes, plus the text selection of inputs.
+     *
+     * @private
+     * @returns {{path: Array<number>, selectionStart?: number, selectionEnd?: number} | null}
+     */
+    _getFocusState() {
+        const me = this;
+        const contentEl = me.contentElement;
+        const active = document.activeElement;
+        if (!active || active === contentEl || !contentEl.contains(active)) {
+            return null;
+        }
+
+        const path = [];
+        for (let node = active; node !== contentEl; node = node.parentElement) {
+            path.unshift(Array.prototype.indexOf.call(node.parentElement.children, node));
+        }
+        const focus = { path };
+        if (typeof active.selectionStart === 'number') {
+            focus.selectionStart = active.selectionStart;
+            focus.selectionEnd = active.selectionEnd;
+        }
+        return focus;
+    }
+
+    /**
+     * Focuses the element described by '_getFocusState', if it still exists.
+     *
+     * @param {{path: Array<number>, selectionStart?: number, selectionEnd?: number} | null} focus
+     * @private
+     * @returns {void}
+     */
+    _restoreFocus(focus) {
+        const me = this;
+        if (!focus || !Array.isArray(focus.path)) {
+            return;
+        }
+
+        let target = me.contentElement;
+        for (const index of focus.path) {
+            target = target?.children[index];
+        }
+        if (!target || typeof target.focus !== 'function') {
+            return;
+        }
+        target.focus({ preventScroll: true });
+        if (typeof focus.selectionStart === 'number' && 'setSelectionRange' in target) {
+            try {
+                target.setSelectionRange(focus.selectionStart, focus.selectionEnd);
+            } catch (e) {
+                // Inputs like 'number' or 'email' do not support selections.
+            }
+        }
+    }
 }
@@ -10,6 +10,7 @@ import { Panel } from './Panel.js';
  * Properties summary:
  * - _instance {PanelFactory | null} : The private static instance for the Singleton.
  * - _registry {Map<string, Panel>} : The registry mapping typeName strings to Panel classes.
+ * - _keptPanels {Map<string, Panel>} : Live panels (by id) reused by 'createPanel' instead of new instances.
  *
  * Typical usage:
  * // In App.js (on init):
@@ -19,6 +20,15 @@ import { Panel } from './Panel.js';
  * // In PanelGroup.fromJSON (during hydration):
  * const panel = PanelFactory.getInstance().createPanel(panelData);
  *
+ * // Rebuilding a layout without losing live panels:
+ * factory.keepAlive(container.detachPanels());
+ * container.fromJSON(otherLayout); // panels with a known id are reused
+ * factory.releaseKeptPanels(); // destroys the ones that were not reused
+ *
+ * Business rules implemented:
+ * - A kept panel is reused only for data with the same id and panel type; it
+ * keeps its live state (the data is not applied to it again).
+ *
  * Dependencies:
  * - ./Panel.js
  */
@@ -35,6 +45,12 @@ export class PanelFactory {
      */
     _registry;
 
+    /**
+     * @type {Map<string, Panel>}
+     * @private
+     */
+    _keptPanels = new Map();
+
     /**
      * @private
      */
@@ -135,10 +151,39 @@ export class PanelFactory {
             return null;
         }
 
+        const kept = me._keptPanels.get(panelData.id);
+        if (kept && kept.getPanelType() === panelData.type) {
+            me._keptPanels.delete(panelData.id);
+            return kept;
+        }
+
         const PanelClass = me.getRegistry().get(panelData.type) || Panel;
         const panel = new PanelClass(panelData.title, panelData.height, panelData.config || {});
         panel.fromJSON(panelData);
 
         return panel;
     }
+
+    /**
+     * Keeps detached panels so that the next 'createPanel' calls with the
+     * same id reuse them.
+     *
+     * @param {Array<Panel>} panels - Panels that are not attached to any group.
+     * @returns {void}
+     */
+    keepAlive(panels) {
+        const me = this;
+        (panels || []).forEach(panel => me._keptPanels.set(panel.id, panel));
+    }
+
+    /**
+     * Destroys the kept panels that were not reused.
+     *
+     * @returns {void}
+     */
+    releaseKeptPanels() {
+        const me = this;
+        me._keptPanels.forEach(panel => panel.destroy());
+        me._keptPanels.clear();
+    }
 }
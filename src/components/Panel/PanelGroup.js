@@ -6,8 +6,21 @@ import { throttleRAF } from '../../utils/ThrottleRAF.js';
 import { generateId } from '../../utils/generateId.js';
 import { FloatingPanelManagerService } from '../../services/DND/FloatingPanelManagerService.js';
 import { ResizeHandleManager } from '../../utils/ResizeHandleManager.js';
+import { LayoutLockService } from '../../services/LayoutLockService.js';
+import { ResizeSnapService } from '../../services/ResizeSnapService.js';
+import { TranslationService } from '../../services/TranslationService.js';
 import { ItemType, DropZoneType } from '../../constants/DNDTypes.js';
 import { EventTypes } from '../../constants/EventTypes.js';
+import { LayoutSizing } from '../../constants/LayoutSizing.js';
+import { toSizeRatio, toRatioFlex } from '../../utils/sizeRatio.js';
+import {
+    emitLayoutChange,
+    emitNodeResized,
+    markLayoutOrigin,
+    takeLayoutOrigin
+} from '../../utils/layoutChange.js';
+import { LayoutChangeType } from '../../constants/LayoutChangeTypes.js';
+import { LayoutNodeType } from '../../constants/LayoutNodeTypes.js';
 
 /**
  * Description:
@@ -16,7 +29,8 @@ import { EventTypes } from '../../constants/EventTypes.js';
  * collapse state, and its own dimensions.
  *
  * This component implements **hybrid resizing**:
- * 1. **Docked**: Uses ResizeHandleManager with handles: ['s'] for vertical resizing only.
+ * 1. **Docked**: Uses ResizeHandleManager with handles: ['s'] for vertical resizing only
+ * (keyboard operable).
  * 2. **Floating**: Uses ResizeHandleManager with handles: ['n', 's', 'e', 'w', 'ne', 'nw', 'se', 'sw']
  * for full 8-directional resizing, applying strict container clamping via the FloatingPanelManagerService.
  *
@@ -29,8 +43,11 @@ import { EventTypes } from '../../constants/EventTypes.js';
  * - activePanel {Panel|null} : The currently visible panel.
  * - collapsed {boolean} : Whether the group is collapsed.
  * - height {number|null} : The height of the group.
+ * - ratio {number|null} : The height as a ratio of the Column (docked, proportional sizing).
+ * - sizing {string} : The sizing mode of the layout (see LayoutSizing).
  * - width {number|null} : The width of the group.
  * - isFloating {boolean} : Whether the group is floating.
+ * - policy {object|null} : Region policy (see LayoutLockService).
  * - _resizeHandleManager {ResizeHandleManager | null} : Manages all resize handles (docked or floating).
  *
  * Typical usage:
@@ -43,14 +60,23 @@ import { EventTypes } from '../../constants/EventTypes.js';
  * - Listens to: EventTypes.PANEL_GROUP_CHILD_CLOSE, EventTypes.APP_CLOSE_PANEL_REQUEST, EventTypes.PANEL_CLOSE_REQUEST, EventTypes.PANEL_TOGGLE_COLLAPSE
  * - Emits: EventTypes.PANEL_GROUP_REMOVED (when closed or empty)
  * - Emits: EventTypes.LAYOUT_PANELGROUPS_CHANGED (to notify LayoutService)
+ * - Emits: EventTypes.LAYOUT_RESIZED (when the user finishes resizing the group)
+ * - Emits: EventTypes.LAYOUT_CHANGE (panel added / removed / moved, group removed,
+ * resized and collapsed; see LayoutChangeType)
  *
  * Business rules implemented:
  * - Orchestrates Panel DOM (header vs. content).
- * - Manages active tab state ('setActive').
+ * - Manages active tab state ('setActive'); the active tab is restored by panel id.
  * - Renders in "simple mode" (no tabs) if only one child Panel exists.
  * - Manages its own vertical resize (docked) and 2D resize (floating) via ResizeController.
  * - If last Panel is removed, destroys itself ('removePanel' -> 'close').
  * - Calculates minHeight dynamically based on panel content and resize handle visibility.
+ * - Resizing and closing are refused when LayoutLockService forbids them on the group.
+ * - With proportional sizing, a resized docked group stores its height as a
+ * ratio of its Column and keeps that share when the window is resized.
+ * - The docked resize bar snaps to the panel group and row edges of the other
+ * columns (see ResizeSnapService); double-clicking it equalizes this group
+ * and the next uncollapsed child of the Column.
  *
  * Dependencies:
  * - {import('./PanelGroupHeader.js').PanelGroupHeader}
@@ -61,9 +87,18 @@ import { EventTypes } from '../../constants/EventTypes.js';
  * - {import('../../utils/generateId.js').generateId}
  * - {import('../../services/DND/FloatingPanelManagerService.js').FloatingPanelManagerService}
  * - {import('../../utils/ResizeHandleManager.js').ResizeHandleManager}
+ * - {import('../../services/LayoutLockService.js').LayoutLockService}
+ * - {import('../../services/ResizeSnapService.js').ResizeSnapService}
+ * - {import('../../services/TranslationService.js').TranslationService}
  * - {import('../../constants/DNDTypes.js').ItemType}
  * - {import('../../constants/DNDTypes.js').DropZoneType}
  * - {import('../../constants/EventTypes.js').EventTypes}
+ * - {import('../../constants/LayoutSizing.js').LayoutSizing}
+ * - {import('../../utils/sizeRatio.js').toSizeRatio}
+ * - {import('../../utils/sizeRatio.js').toRatioFlex}
+ * - {import('../../utils/layoutChange.js').emitLayoutChange}
+ * - {import('../../constants/LayoutChangeTypes.js').LayoutChangeType}
+ * - {import('../../constants/LayoutNodeTypes.js').LayoutNodeType}
  *
  * Notes / Additional:
  * - The group acts as a Tab Container.
@@ -149,6 +184,14 @@ export class PanelGroup {
      */
     _height = null;
 
+    /**
+     * Height as a ratio of the Column (docked, proportional sizing).
+     *
+     * @type {number | null}
+     * @private
+     */
+    _ratio = null;
+
     /**
      * Width of the group.
      *
@@ -197,6 +240,14 @@ export class PanelGroup {
      */
     _movable = true;
 
+    /**
+     * Region policy (locks resize / move / close for this subtree).
+     *
+     * @type {object | null}
+     * @private
+     */
+    _policy = null;
+
     /**
      * The current title of the group (usually from active panel).
      *
@@ -388,6 +439,7 @@ export class PanelGroup {
     set collapsed(value) {
         const me = this;
         if (typeof value !== 'boolean') return;
+        const changed = me._collapsed !== value;
         me._collapsed = value;
 
         const handles = me.element.querySelectorAll('.resize-handle');
@@ -411,6 +463,14 @@ export class PanelGroup {
                 me._header.collapseBtn.classList.remove('panel-group__collapse-btn--collapsed');
             }
         }
+
+        if (changed) {
+            emitLayoutChange(LayoutChangeType.COLLAPSED, {
+                nodeType: LayoutNodeType.PANEL_GROUP,
+                id: me.id,
+                collapsed: value
+            });
+        }
     }
 
     /**
@@ -531,6 +591,64 @@ export class PanelGroup {
         me._height = value;
     }
 
+    /**
+     * Ratio getter.
+     *
+     * @returns {number|null}
+     */
+    get ratio() {
+        return this._ratio;
+    }
+
+    /**
+     * Ratio setter.
+     *
+     * @param {number|null} value
+     */
+    set ratio(value) {
+        const me = this;
+        if (value !== null && (!Number.isFinite(value) || value <= 0 || value > 1)) {
+            console.warn(
+                `[PanelGroup] invalid ratio assignment (${value}). Must be a number in (0, 1] or null.`
+            );
+            return;
+        }
+        me._ratio = value;
+    }
+
+    /**
+     * Sizing getter (inherited from the layout root; floating groups are fixed).
+     *
+     * @returns {string}
+     */
+    get sizing() {
+        return this._column?.sizing ?? LayoutSizing.FIXED;
+    }
+
+    /**
+     * Stores the current height as a ratio of the Column.
+     *
+     * @returns {void}
+     */
+    captureRatio() {
+        const me = this;
+        me._ratio = toSizeRatio(me._height, me._column?.element.clientHeight);
+    }
+
+    /**
+     * Turns the ratio back into a height in pixels (the rendered height).
+     *
+     * @returns {void}
+     */
+    resolveRatio() {
+        const me = this;
+        if (me._ratio === null) {
+            return;
+        }
+        me._height = me.element.offsetHeight;
+        me._ratio = null;
+    }
+
     /**
      * Width getter.
      *
@@ -620,6 +738,34 @@ export class PanelGroup {
         return this._movable;
     }
 
+    /**
+     * Policy getter.
+     *
+     * @returns {object | null}
+     */
+    get policy() {
+        return this._policy;
+    }
+
+    /**
+     * Policy setter with validation. Reflects the policy on the element
+     * (see LayoutLockService).
+     *
+     * @param {{locked?: boolean, resize?: boolean, move?: boolean, close?: boolean} | null} value
+     * @returns {void}
+     */
+    set policy(value) {
+        const me = this;
+        if (value !== null && (typeof value !== 'object' || Array.isArray(value))) {
+            console.warn(
+                `[PanelGroup] Invalid policy assignment (${value}). Must be an object or null.`
+            );
+            return;
+        }
+        me._policy = value ? { ...value } : null;
+        LayoutLockService.getInstance().applyPolicyClasses(me.element, me._policy);
+    }
+
     /**
      * ThrottledUpdate setter.
      *
@@ -697,6 +843,7 @@ export class PanelGroup {
             me._resizeHandleManager = new ResizeHandleManager(me.element, {
                 handles: ['n', 's', 'e', 'w', 'ne', 'nw', 'se', 'sw'],
                 customClass: 'panel-group__resize-handle--floating',
+                canResize: () => LayoutLockService.getInstance().isAllowed('resize', me),
                 getConstraints: () => ({
                     minimumWidth: me.getMinPanelWidth(),
                     maximumWidth: Infinity,
@@ -716,6 +863,10 @@ export class PanelGroup {
                     me._height = height;
 
                     me.updateHeight();
+                },
+                onEnd: () => {
+                    appBus.emit(EventTypes.LAYOUT_RESIZED, me);
+                    emitNodeResized(LayoutNodeType.PANEL_GROUP, me);
                 }
             });
         } else {
@@ -729,6 +880,16 @@ export class PanelGroup {
                 me._resizeHandleManager = new ResizeHandleManager(me.element, {
                     handles: ['s'],
                     customClass: 'panel-group__resize-handle',
+                    keyboard: true,
+                    label: TranslationService.getInstance().translate('resize.panel_group'),
+                    canResize: () => LayoutLockService.getInstance().isAllowed('resize', me),
+                    getSnapTargets: () =>
+                        ResizeSnapService.getInstance().getSnapTargets(
+                            me.element,
+                            '.panel-group, .row',
+                            false
+                        ),
+                    onDoubleClick: () => me._equalizeWithNext(),
                     getConstraints: () => ({
                         minimumWidth: 0,
                         maximumWidth: Infinity,
@@ -738,15 +899,43 @@ export class PanelGroup {
                     }),
                     onResize: ({ height }) => {
                         me._height = height;
+                        me._ratio = null;
                         me.getThrottledUpdate()();
                     },
-                    onEnd: () => me.requestLayoutUpdate()
+                    onEnd: () => {
+                        if (me.sizing === LayoutSizing.PROPORTIONAL) {
+                            me.captureRatio();
+                        }
+                        me.requestLayoutUpdate();
+                        appBus.emit(EventTypes.LAYOUT_RESIZED, me);
+                        emitNodeResized(LayoutNodeType.PANEL_GROUP, me);
+                    }
                 });
             }
         }
         me._updateHeaderMode();
     }
 
+    /**
+     * Equalizes this group and the next uncollapsed child of the Column
+     * (double-click on the docked resize bar).
+     *
+     * @private
+     * @returns {void}
+     */
+    _equalizeWithNext() {
+        const me = this;
+        const column = me._column;
+        if (!column) {
+            return;
+        }
+        const children = column.children;
+        const next = children.slice(children.indexOf(me) + 1).find(child => !child.collapsed);
+        if (next && LayoutLockService.getInstance().isAllowed('resize', next)) {
+            column.equalizeChildren([me, next]);
+        }
+    }
+
     /**
      * Initializes appBus event listeners.
      *
@@ -773,7 +962,11 @@ export class PanelGroup {
      * @returns {void}
      */
     onChildCloseRequest({ panel, group }) {
-        if (group === this && this._panels.includes(panel)) {
+        if (
+            group === this &&
+            this._panels.includes(panel) &&
+            LayoutLockService.getInstance().isAllowed('close', panel)
+        ) {
             this.removePanel(panel, false);
         }
     }
@@ -795,7 +988,7 @@ export class PanelGroup {
      * @returns {void}
      */
     onCloseRequest(panel) {
-        if (panel === this) {
+        if (panel === this && LayoutLockService.getInstance().isAllowed('close', this)) {
             this.close();
         }
     }
@@ -877,6 +1070,17 @@ export class PanelGroup {
         me.collapsed = me._collapsed;
     }
 
+    /**
+     * Finds a child Panel by its id.
+     *
+     * @param {string} id - The panel id.
+     * @returns {Panel | null} The panel, or null if it is not in this group.
+     */
+    getPanelById(id) {
+        const me = this;
+        return me._panels.find(panel => panel.id === id) || null;
+    }
+
     /**
      * Returns the panel type identifier.
      *
@@ -932,6 +1136,12 @@ export class PanelGroup {
     close() {
         const me = this;
         if (!me._closable) return;
+        emitLayoutChange(LayoutChangeType.GROUP_REMOVED, {
+            groupId: me.id,
+            columnId: me._column ? me._column.id : null,
+            index: me._column ? me._column.getChildIndex(me) : null,
+            panelIds: me._panels.map(panel => panel.id)
+        });
         appBus.emit(EventTypes.PANEL_GROUP_REMOVED, { panel: me, column: me._column });
         me.destroy();
     }
@@ -960,7 +1170,10 @@ export class PanelGroup {
         const minPanelHeight = me.getMinPanelHeight();
         me.element.style.minHeight = `${minPanelHeight}px`;
 
-        if (me._height !== null && !me._isFloating) {
+        if (!me._isFloating && me.sizing === LayoutSizing.PROPORTIONAL && me._ratio !== null) {
+            me.element.style.height = '';
+            me.element.style.flex = toRatioFlex(me._ratio);
+        } else if (me._height !== null && !me._isFloating) {
             me.element.style.height = `${me._height}px`;
             me.element.style.flex = '0 0 auto';
         } else if (!me._isFloating) {
@@ -1047,6 +1260,7 @@ export class PanelGroup {
 
         me._updateHeaderMode();
         me._header.updateScrollButtons();
+        me._emitPanelAttached(panel);
 
         if (makeActive || me._panels.length === 1) {
             me.activePanel = panel;
@@ -1056,6 +1270,35 @@ export class PanelGroup {
         }
     }
 
+    /**
+     * Reports an added panel, or a moved one if it was detached from a group
+     * with removePanel(panel, true).
+     *
+     * @param {Panel} panel
+     * @private
+     * @returns {void}
+     */
+    _emitPanelAttached(panel) {
+        const me = this;
+        const origin = takeLayoutOrigin(panel);
+        const index = me._panels.indexOf(panel);
+        if (origin) {
+            emitLayoutChange(LayoutChangeType.PANEL_MOVED, {
+                panelId: panel.id,
+                sourceGroupId: origin.groupId,
+                sourceIndex: origin.index,
+                targetGroupId: me.id,
+                targetIndex: index
+            });
+        } else {
+            emitLayoutChange(LayoutChangeType.PANEL_ADDED, {
+                panelId: panel.id,
+                groupId: me.id,
+                index
+            });
+        }
+    }
+
     /**
      * Bulk adds panels.
      *
@@ -1088,8 +1331,15 @@ export class PanelGroup {
         const index = me._panels.indexOf(panel);
         if (index === -1) return;
 
-        if (!isMoving) {
+        if (isMoving) {
+            markLayoutOrigin(panel, { groupId: me.id, index });
+        } else {
             panel.destroy();
+            emitLayoutChange(LayoutChangeType.PANEL_REMOVED, {
+                panelId: panel.id,
+                groupId: me.id,
+                index
+            });
         }
 
         panel.header.element.classList.remove('panel-group__tab--active');
@@ -1151,6 +1401,14 @@ export class PanelGroup {
 
         tabContainer.insertBefore(tabElement, nextSiblingTabElement);
         me._header.updateScrollButtons();
+
+        emitLayoutChange(LayoutChangeType.PANEL_MOVED, {
+            panelId: panel.id,
+            sourceGroupId: me.id,
+            sourceIndex: oldIndex,
+            targetGroupId: me.id,
+            targetIndex: adjustedIndex
+        });
     }
 
     /**
@@ -1174,6 +1432,7 @@ export class PanelGroup {
         return {
             type: me.getPanelType(),
             height: me.height,
+            ...(me.ratio !== null ? { ratio: me.ratio } : {}),
             width: me.width,
             collapsed: me.collapsed,
             activePanelId: me.activePanel ? me.activePanel.id : null,
@@ -1187,6 +1446,7 @@ export class PanelGroup {
                 minHeight: me.minHeight,
                 minWidth: me.minWidth
             },
+            ...(me.policy ? { policy: me.policy } : {}),
             panels: me.panels.map(panel => panel.toJSON())
         };
     }
@@ -1200,6 +1460,7 @@ export class PanelGroup {
     fromJSON(data) {
         const me = this;
         if (data.height !== undefined) me.height = data.height;
+        if (data.ratio !== undefined) me.ratio = data.ratio;
         if (data.width !== undefined) me.width = data.width;
         if (data.isFloating !== undefined) me._isFloating = data.isFloating;
         if (data.x !== undefined) me._x = data.x;
@@ -1211,6 +1472,7 @@ export class PanelGroup {
             if (data.config.minHeight !== undefined) me._minHeight = data.config.minHeight;
             if (data.config.minWidth !== undefined) me._minWidth = data.config.minWidth;
         }
+        me.policy = data.policy || null;
 
         if (me.isFloating) {
             me.setFloatingState(true, me.x, me.y);
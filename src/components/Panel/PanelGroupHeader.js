@@ -1,10 +1,11 @@
 import { appBus } from '../../utils/EventBus.js';
 import { EventTypes } from '../../constants/EventTypes.js';
+import { LayoutLockService } from '../../services/LayoutLockService.js';
 
 /**
  * Description:
  * Manages the header element of a PanelGroup.
- * This class provides the group-level controls (Move, Collapse, Close)
+ * This class provides the group-level controls (Move, Maximize, Collapse, Close)
  * and the 'tabContainer' where child PanelHeaders (tabs) are inserted
  * by the parent PanelGroup. It also handles tab scrolling logic.
  *
@@ -16,16 +17,20 @@ import { EventTypes } from '../../constants/EventTypes.js';
  * - moveHandle {HTMLElement} : The drag handle element.
  * - scrollLeftBtn {HTMLElement} : Button to scroll tabs left.
  * - scrollRightBtn {HTMLElement} : Button to scroll tabs right.
+ * - maximizeBtn {HTMLElement} : Button to maximize the group over the layout (or restore it).
+ * - maximized {boolean} : Whether the group is shown maximized (read-only).
  * - collapseBtn {HTMLElement} : Button to toggle collapse state.
  * - closeBtn {HTMLElement} : Button to close the group.
  *
  * Events:
  * - Emits (appBus): EventTypes.PANEL_TOGGLE_COLLAPSE, EventTypes.PANEL_CLOSE_REQUEST
+ * - Emits (appBus): EventTypes.APP_TOGGLE_MAXIMIZE (handled by LayoutMaximizeService)
  * - Emits (appBus): EventTypes.DND_DRAG_START (for the *entire group* via Pointer)
  *
  * Dependencies:
  * - {import('../../utils/EventBus.js').appBus}
  * - {import('../../constants/EventTypes.js').EventTypes}
+ * - {import('../../services/LayoutLockService.js').LayoutLockService}
  */
 export class PanelGroupHeader {
     /**
@@ -44,6 +49,14 @@ export class PanelGroupHeader {
      */
     _title = null;
 
+    /**
+     * Whether the group is shown maximized.
+     *
+     * @type {boolean}
+     * @private
+     */
+    _maximized = false;
+
     /**
      * Observes the tabContainer to show/hide scroll buttons.
      *
@@ -92,6 +105,14 @@ export class PanelGroupHeader {
      */
     scrollRightBtn;
 
+    /**
+     * Button to maximize the group over the layout (or restore it).
+     *
+     * @type {HTMLElement}
+     * @public
+     */
+    maximizeBtn;
+
     /**
      * Button to toggle collapse state.
      *
@@ -124,6 +145,15 @@ export class PanelGroupHeader {
         me._initResizeObserver();
     }
 
+    /**
+     * Maximized getter.
+     *
+     * @returns {boolean} Whether the group is shown maximized.
+     */
+    get maximized() {
+        return this._maximized;
+    }
+
     /**
      * Retrieves the parent PanelGroup instance.
      *
@@ -223,6 +253,16 @@ export class PanelGroupHeader {
         me.scrollRightBtn.textContent = '>';
         me.scrollRightBtn.style.display = 'none';
 
+        me.maximizeBtn = document.createElement('button');
+        me.maximizeBtn.type = 'button';
+        me.maximizeBtn.classList.add('panel-group__maximize-btn', 'panel__maximize-btn');
+        me.maximizeBtn.setAttribute('aria-pressed', 'false');
+        me.maximizeBtn.addEventListener('click', () => {
+            if (me.panelGroup) {
+                appBus.emit(EventTypes.APP_TOGGLE_MAXIMIZE, me.panelGroup);
+            }
+        });
+
         me.collapseBtn = document.createElement('button');
         me.collapseBtn.type = 'button';
         me.collapseBtn.classList.add('panel-group__collapse-btn', 'panel__collapse-btn');
@@ -246,6 +286,7 @@ export class PanelGroupHeader {
             me.scrollLeftBtn,
             me.tabContainer,
             me.scrollRightBtn,
+            me.maximizeBtn,
             me.collapseBtn,
             me.closeBtn
         );
@@ -308,10 +349,27 @@ export class PanelGroupHeader {
         const title = me.panelGroup && me.panelGroup.title ? me.panelGroup.title : 'Grupo';
 
         me.moveHandle.setAttribute('aria-label', `Mover grupo ${title}`);
+        me.maximizeBtn.setAttribute(
+            'aria-label',
+            me._maximized ? `Restaurar grupo ${title}` : `Maximizar grupo ${title}`
+        );
         me.collapseBtn.setAttribute('aria-label', `Recolher grupo ${title}`);
         me.closeBtn.setAttribute('aria-label', `Fechar grupo ${title}`);
     }
 
+    /**
+     * Reflects the maximized state on the maximize button.
+     *
+     * @param {boolean} isMaximized
+     * @returns {void}
+     */
+    setMaximized(isMaximized) {
+        const me = this;
+        me._maximized = isMaximized === true;
+        me.maximizeBtn.setAttribute('aria-pressed', String(me._maximized));
+        me.updateAriaLabels();
+    }
+
     /**
      * Handles drag start for the *entire group*.
      *
@@ -323,6 +381,7 @@ export class PanelGroupHeader {
         if (event.button !== 0) return;
 
         if (!me.panelGroup || !me.panelGroup.movable) return;
+        if (!LayoutLockService.getInstance().isAllowed('move', me.panelGroup)) return;
 
         event.preventDefault();
         event.stopPropagation();
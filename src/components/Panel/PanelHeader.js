@@ -1,6 +1,7 @@
 import { appBus } from '../../utils/EventBus.js';
 import { ContextMenuService } from '../../services/ContextMenu/ContextMenuService.js';
 import { DragTrigger } from '../../utils/DragTrigger.js';
+import { LayoutLockService } from '../../services/LayoutLockService.js';
 import { EventTypes } from '../../constants/EventTypes.js';
 
 /**
@@ -34,14 +35,17 @@ import { EventTypes } from '../../constants/EventTypes.js';
  * Business rules implemented:
  * - Distinguishes between a "Click" (to activate tab) and "Drag" (to move panel) using DragTrigger.
  * - Stops propagation on the close button to prevent activating/dragging when closing.
- * - Shows a context menu on right-click with options to Undock or Close.
+ * - Shows a context menu on right-click with options to Undock, Maximize, distribute
+ * the columns or panel groups evenly, auto-hide the (outer) column, or Close.
  * - Updates visibility of close button based on Panel configuration.
  * - Manages the draggable attribute based on configuration.
+ * - Dragging, undocking and closing are refused when LayoutLockService forbids them.
  *
  * Dependencies:
  * - {import('../../utils/EventBus.js').appBus}
  * - {import('../../services/ContextMenu/ContextMenuService.js').ContextMenuService}
  * - {import('../../utils/DragTrigger.js').DragTrigger}
+ * - {import('../../services/LayoutLockService.js').LayoutLockService}
  * - {import('../../constants/EventTypes.js').EventTypes}
  *
  * Notes / Additional:
@@ -145,7 +149,8 @@ export class PanelHeader {
         me._dragTrigger = new DragTrigger(me.element, {
             threshold: 5,
             onDragStart: (event, startCoords) => me._startDrag(event, startCoords),
-            onClick: event => me.onTabClick(event)
+            onClick: event => me.onTabClick(event),
+            canDrag: () => LayoutLockService.getInstance().isAllowed('move', me.panel)
         });
     }
 
@@ -335,6 +340,7 @@ export class PanelHeader {
 
         // Use public getter 'closable' from Panel
         if (!me.panel || !me.panel.closable) return;
+        if (!LayoutLockService.getInstance().isAllowed('close', me.panel)) return;
 
         if (me.parentGroup) {
             appBus.emit(EventTypes.PANEL_GROUP_CHILD_CLOSE, {
@@ -372,9 +378,11 @@ export class PanelHeader {
         const panel = me.panel;
         const parentGroup = me.parentGroup;
 
-        const isMovable = panel ? panel.movable : false;
-        const isClosable = panel ? panel.closable : false;
+        const lock = LayoutLockService.getInstance();
+        const isMovable = panel ? panel.movable && lock.isAllowed('move', panel) : false;
+        const isClosable = panel ? panel.closable && lock.isAllowed('close', panel) : false;
         const isFloating = parentGroup ? parentGroup.isFloating : false;
+        const isMaximized = parentGroup ? parentGroup.header?.maximized === true : false;
 
         const menuItems = [
             {
@@ -382,6 +390,12 @@ export class PanelHeader {
                 event: EventTypes.APP_UNDOCK_PANEL_REQUEST,
                 disabled: !isMovable || isFloating
             },
+            {
+                title: isMaximized ? 'Restaurar Grupo' : 'Maximizar Grupo',
+                event: EventTypes.APP_TOGGLE_MAXIMIZE,
+                disabled: !parentGroup
+            },
+            ...me._getColumnMenuItems(isFloating ? null : parentGroup),
             { isSeparator: true },
             {
                 title: 'Fechar Aba',
@@ -399,6 +413,39 @@ export class PanelHeader {
         ContextMenuService.getInstance().show(event, menuItems, contextData);
     }
 
+    /**
+     * Builds the context menu items acting on the group's Column and Row
+     * (distribute evenly, auto-hide).
+     *
+     * @param {import('./PanelGroup.js').PanelGroup | null} group - The docked parent group (null when floating).
+     * @private
+     * @returns {Array<object>}
+     */
+    _getColumnMenuItems(group) {
+        const column = group ? group.getColumn() : null;
+        const columns = column?.parentContainer?.getColumns() || [];
+        const isOuterColumn =
+            columns.length > 1 && (column === columns[0] || column === columns[columns.length - 1]);
+
+        return [
+            {
+                title: 'Distribuir Colunas Igualmente',
+                event: EventTypes.APP_DISTRIBUTE_COLUMNS,
+                disabled: !column
+            },
+            {
+                title: 'Distribuir Grupos Igualmente',
+                event: EventTypes.APP_DISTRIBUTE_PANEL_GROUPS,
+                disabled: !column
+            },
+            {
+                title: column?.autoHide ? 'Fixar Coluna' : 'Ocultar Coluna Automaticamente',
+                event: EventTypes.APP_TOGGLE_COLUMN_AUTO_HIDE,
+                disabled: !isOuterColumn
+            }
+        ];
+    }
+
     /**
      * Wrapper for the parentGroup setter.
      *
@@ -12,8 +12,8 @@ import { Panel } from './Panel.js';
  *
  * Business rules implemented:
  * - Identifies itself as 'TextPanel' to the factory.
- * - Extends toJSON() to save its 'textContent'.
- * - Extends fromJSON() to restore its 'textContent'.
+ * - Saves its 'textContent' as panel state ({ text }).
+ * - Still reads the 'content' field of layouts written before the state block.
  *
  * Dependencies:
  * - {import('./Panel.js').Panel}
@@ -51,18 +51,26 @@ export class TextPanel extends Panel {
     }
 
     /**
-     * Serializes the Panel's state, including its text content.
+     * Returns the text content as the panel state.
      *
-     * @returns {object} The serialized data.
+     * @returns {{text: string}} The panel state.
      */
-    toJSON() {
+    getState() {
         const me = this;
-        const panelData = super.toJSON();
-        const newData = {
-            ...panelData,
-            content: me.contentElement.textContent
-        };
-        return newData;
+        return { text: me.contentElement.textContent };
+    }
+
+    /**
+     * Restores the text content.
+     *
+     * @param {{text?: string}} state - The saved panel state.
+     * @returns {void}
+     */
+    setState(state) {
+        const me = this;
+        if (typeof state.text === 'string') {
+            me.contentElement.textContent = state.text;
+        }
     }
 
     /**
@@ -73,8 +81,8 @@ export class TextPanel extends Panel {
      */
     fromJSON(data) {
         const me = this;
-        super.fromJSON(data); // Restore base properties first
-        if (data.content) {
+        super.fromJSON(data); // Restore base properties and state first
+        if (typeof data.state?.text !== 'string' && data.content) {
             me.contentElement.textContent = data.content;
         }
     }
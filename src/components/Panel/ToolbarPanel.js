@@ -17,7 +17,8 @@ import { Modal } from '../../services/Modal/Modal.js';
  * - Identifies itself as 'ToolbarPanel' to the factory.
  * - Overrides default config to be non-collapsible and non-movable via constructor.
  * - Content is static and rebuilt in 'render'.
- * - Does not save/load 'content' in toJSON/fromJSON.
+ * - Content is static, so it has no panel state; only the scroll position
+ * and focus (handled by Panel) are saved.
  *
  * Dependencies:
  * - {import('./Panel.js').Panel}
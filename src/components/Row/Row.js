@@ -3,12 +3,22 @@ import { appBus } from '../../utils/EventBus.js';
 import { throttleRAF } from '../../utils/ThrottleRAF.js';
 import { generateId } from '../../utils/generateId.js';
 import { ResizeHandleManager } from '../../utils/ResizeHandleManager.js';
+import { LayoutLockService } from '../../services/LayoutLockService.js';
+import { ResizeSnapService } from '../../services/ResizeSnapService.js';
+import { TranslationService } from '../../services/TranslationService.js';
 import { DropZoneType } from '../../constants/DNDTypes.js';
 import { EventTypes } from '../../constants/EventTypes.js';
+import { LayoutSizing } from '../../constants/LayoutSizing.js';
+import { toSizeRatio, toRatioFlex } from '../../utils/sizeRatio.js';
+import { emitLayoutChange, emitNodeResized } from '../../utils/layoutChange.js';
+import { LayoutChangeType } from '../../constants/LayoutChangeTypes.js';
+import { LayoutNodeType } from '../../constants/LayoutNodeTypes.js';
 
 /**
  * Description:
  * Manages a single horizontal Row, which contains and organizes Columns.
+ * A Row lives in the Container or, nested, in a Column (splitting that
+ * column's area into sub-columns).
  * It acts as a 'drop zone' (type 'row') to detect drops in the horizontal
  * gaps *between* columns. It also manages its own vertical (height) resizing
  * and collapse state using the unified ResizeHandleManager.
@@ -16,12 +26,16 @@ import { EventTypes } from '../../constants/EventTypes.js';
  * Properties summary:
  * - element {HTMLElement} : The main DOM element (<div class="row">).
  * - columns {Array<Column>} : List of child Columns.
- * - parentContainer {Container} : The parent Container instance.
+ * - parentContainer {Container|Column} : The parent Container (or Column, when nested).
  * - height {number|null} : The height of the row.
+ * - ratio {number|null} : The height as a ratio of the parent (proportional sizing).
+ * - sizing {string} : The sizing mode of the layout (see LayoutSizing).
  * - collapsed {boolean} : Whether the row is collapsed.
  * - collapsible {boolean} : Whether the row can be collapsed.
+ * - policy {object|null} : Region policy (see LayoutLockService).
  * - minHeight {number} : Minimum height constraint.
  * - collapseBtn {HTMLElement|null} : The button element to toggle collapse state.
+ * - id {string} : Unique ID for this instance (read-only).
  * - _id {string} : Unique ID for this instance.
  * - _namespace {string} : Unique namespace for appBus listeners.
  * - _minHeight {number} : Minimum height in pixels for vertical resizing.
@@ -36,14 +50,30 @@ import { EventTypes } from '../../constants/EventTypes.js';
  * Events:
  * - Listens to: EventTypes.COLUMN_EMPTY (to clean up empty columns)
  * - Emits: EventTypes.LAYOUT_COLUMNS_CHANGED (to notify LayoutService)
- * - Emits: EventTypes.ROW_EMPTY (to notify Container when this row is empty)
+ * - Emits: EventTypes.ROW_EMPTY (to notify the Container or parent Column when this row is empty)
+ * - Emits: EventTypes.LAYOUT_RESIZED (when the user finishes resizing the row,
+ * or after equalizing its columns)
+ * - Emits: EventTypes.LAYOUT_CHANGE (column added / removed, resized and collapsed;
+ * see LayoutChangeType)
  *
  * Business rules implemented:
  * - Renders 'Column' children horizontally.
  * - Registers as a 'row' type drop zone.
  * - Automatically removes empty columns via 'onColumnEmpty'.
+ * - A nested Row left with a single column asks its parent Column to unwrap it.
+ * This is deferred to a microtask, so a drop in progress never loses its target column.
  * - Manages vertical resizing via ResizeHandleManager.
  * - Supports collapsing, which hides all child columns and reduces height.
+ * - With proportional sizing, a resized row stores its height as a ratio of
+ * its parent and keeps that share when the window is resized.
+ * - The resize bar is disabled when LayoutLockService forbids 'resize' on the row.
+ * - The resize bar is keyboard operable and kept across layout updates, so it
+ * does not lose focus while resizing with the keyboard.
+ * - The resize bar snaps to the row and panel group edges of the other
+ * branches of the layout (see ResizeSnapService); double-clicking it
+ * equalizes this row and the next uncollapsed sibling.
+ * - 'equalizeColumns' / 'distributeColumns' share the rendered width of the
+ * columns evenly, through the normal updateWidth path.
  * - Validates all property assignments.
  *
  * Dependencies:
@@ -52,8 +82,17 @@ import { EventTypes } from '../../constants/EventTypes.js';
  * - {import('../../utils/ThrottleRAF.js').throttleRAF}
  * - {import('../../utils/generateId.js').generateId}
  * - {import('../../utils/ResizeHandleManager.js').ResizeHandleManager}
+ * - {import('../../services/LayoutLockService.js').LayoutLockService}
+ * - {import('../../services/ResizeSnapService.js').ResizeSnapService}
+ * - {import('../../services/TranslationService.js').TranslationService}
  * - {import('../../constants/DNDTypes.js').DropZoneType}
  * - {import('../../constants/EventTypes.js').EventTypes}
+ * - {import('../../constants/LayoutSizing.js').LayoutSizing}
+ * - {import('../../utils/sizeRatio.js').toSizeRatio}
+ * - {import('../../utils/sizeRatio.js').toRatioFlex}
+ * - {import('../../utils/layoutChange.js').emitLayoutChange}
+ * - {import('../../constants/LayoutChangeTypes.js').LayoutChangeType}
+ * - {import('../../constants/LayoutNodeTypes.js').LayoutNodeType}
  *
  * Notes / Additional:
  * - The Row delegates horizontal resizing to its child Columns.
@@ -68,9 +107,9 @@ export class Row {
     _columns = [];
 
     /**
-     * The parent Container instance.
+     * The parent Container instance (or Column, when nested).
      *
-     * @type {import('../Container/Container.js').Container | null}
+     * @type {import('../Container/Container.js').Container | import('../Column/Column.js').Column | null}
      * @private
      */
     _parentContainer = null;
@@ -83,6 +122,14 @@ export class Row {
      */
     _height = null;
 
+    /**
+     * The height as a ratio of the parent (proportional sizing).
+     *
+     * @type {number | null}
+     * @private
+     */
+    _ratio = null;
+
     /**
      * Whether the row is currently collapsed.
      *
@@ -99,6 +146,14 @@ export class Row {
      */
     _collapsible = true;
 
+    /**
+     * Region policy (locks resize / move / close for this subtree).
+     *
+     * @type {object | null}
+     * @private
+     */
+    _policy = null;
+
     /**
      * Unique ID for this instance, used for namespacing events.
      *
@@ -183,7 +238,7 @@ export class Row {
     /**
      * Creates an instance of Row.
      *
-     * @param {import('../Container/Container.js').Container} container - The parent Container instance.
+     * @param {import('../Container/Container.js').Container | import('../Column/Column.js').Column} container - The parent Container (or Column, when nested).
      * @param {number|null} [height=null] - The initial height of the row.
      */
     constructor(container, height = null) {
@@ -214,6 +269,15 @@ export class Row {
         me.updateHeight(false);
     }
 
+    /**
+     * Id getter.
+     *
+     * @returns {string} The unique id of this row.
+     */
+    get id() {
+        return this._id;
+    }
+
     /**
      * Columns getter.
      *
@@ -282,6 +346,66 @@ export class Row {
         }
     }
 
+    /**
+     * Ratio getter.
+     *
+     * @returns {number | null} The height as a ratio of the parent.
+     */
+    get ratio() {
+        return this._ratio;
+    }
+
+    /**
+     * Ratio setter.
+     * Validates that the value is a number in (0, 1] or null.
+     *
+     * @param {number | null} value - The new ratio.
+     * @returns {void}
+     */
+    set ratio(value) {
+        const me = this;
+        if (value !== null && (!Number.isFinite(value) || value <= 0 || value > 1)) {
+            console.warn(
+                `[Row] invalid ratio assignment (${value}). Must be a number in (0, 1] or null. Keeping previous value: ${me._ratio}`
+            );
+            return;
+        }
+        me._ratio = value;
+    }
+
+    /**
+     * Sizing getter (inherited from the layout root).
+     *
+     * @returns {string} The sizing mode (see LayoutSizing).
+     */
+    get sizing() {
+        return this.parentContainer?.sizing ?? LayoutSizing.FIXED;
+    }
+
+    /**
+     * Stores the current height as a ratio of the parent.
+     *
+     * @returns {void}
+     */
+    captureRatio() {
+        const me = this;
+        me._ratio = toSizeRatio(me.height, me.parentContainer?.element.clientHeight);
+    }
+
+    /**
+     * Turns the ratio back into a height in pixels (the rendered height).
+     *
+     * @returns {void}
+     */
+    resolveRatio() {
+        const me = this;
+        if (me._ratio === null) {
+            return;
+        }
+        me._height = me.element.offsetHeight;
+        me._ratio = null;
+    }
+
     /**
      * Collapsed getter.
      *
@@ -306,6 +430,7 @@ export class Row {
             );
             return;
         }
+        const changed = me._collapsed !== value;
         me._collapsed = value;
 
         if (value) {
@@ -322,6 +447,14 @@ export class Row {
             }
         }
         me.updateHeight(false);
+
+        if (changed) {
+            emitLayoutChange(LayoutChangeType.COLLAPSED, {
+                nodeType: LayoutNodeType.ROW,
+                id: me.id,
+                collapsed: value
+            });
+        }
     }
 
     /**
@@ -352,6 +485,32 @@ export class Row {
         me._setupCollapseButton();
     }
 
+    /**
+     * Policy getter.
+     *
+     * @returns {object | null}
+     */
+    get policy() {
+        return this._policy;
+    }
+
+    /**
+     * Policy setter with validation. Reflects the policy on the element
+     * (see LayoutLockService).
+     *
+     * @param {{locked?: boolean, resize?: boolean, move?: boolean, close?: boolean} | null} value
+     * @returns {void}
+     */
+    set policy(value) {
+        const me = this;
+        if (value !== null && (typeof value !== 'object' || Array.isArray(value))) {
+            console.warn(`[Row] Invalid policy assignment (${value}). Must be an object or null.`);
+            return;
+        }
+        me._policy = value ? { ...value } : null;
+        LayoutLockService.getInstance().applyPolicyClasses(me.element, me._policy);
+    }
+
     /**
      * MinHeight getter.
      *
@@ -479,9 +638,24 @@ export class Row {
 
         if (me.getTotalColumns() === 0 && me.parentContainer) {
             appBus.emit(EventTypes.ROW_EMPTY, me);
+        } else if (
+            me.getTotalColumns() === 1 &&
+            typeof me.parentContainer?.unwrapRow === 'function'
+        ) {
+            queueMicrotask(() => me.parentContainer?.unwrapRow(me));
         }
     }
 
+    /**
+     * Calculates the minimum width of the row: the sum of its columns'
+     * effective minimum widths (used when the row is nested in a Column).
+     *
+     * @returns {number} The minimum width in pixels.
+     */
+    getEffectiveMinWidth() {
+        return this.columns.reduce((total, column) => total + column.getEffectiveMinWidth(), 0);
+    }
+
     /**
      * Updates the horizontal resize bars for all child Columns.
      * This is called by LayoutService.
@@ -504,7 +678,9 @@ export class Row {
      */
     _setupCollapseButton() {
         const me = this;
-        me.element.querySelectorAll('.row__collapse-btn').forEach(button => button.remove());
+        me.element
+            .querySelectorAll(':scope > .row__collapse-btn')
+            .forEach(button => button.remove());
         me.collapseBtn = null;
 
         if (me.collapsible) {
@@ -523,16 +699,24 @@ export class Row {
     /**
      * Adds the vertical resize handle to this Row using ResizeHandleManager.
      *
-     * @param {boolean} isLast - True if this is the last Row in the Container.
+     * @param {boolean} isLast - True if this is the last Row in the Container (or parent Column).
      * @returns {void}
      */
     addResizeBars(isLast) {
         const me = this;
-        me.element.querySelectorAll('.row__resize-handle').forEach(element => element.remove());
+        me._setupCollapseButton();
+
+        if (!isLast && me._resizeHandleManager) {
+            me._resizeHandleManager.updateAria();
+            return;
+        }
+
+        me.element
+            .querySelectorAll(':scope > .row__resize-handle')
+            .forEach(element => element.remove());
         me.element.classList.remove('row--resize-bottom');
         me._resizeHandleManager?.destroy();
-
-        me._setupCollapseButton();
+        me._resizeHandleManager = null;
 
         if (isLast) {
             return;
@@ -543,6 +727,16 @@ export class Row {
         me._resizeHandleManager = new ResizeHandleManager(me.element, {
             handles: ['s'],
             customClass: 'row__resize-handle',
+            keyboard: true,
+            label: TranslationService.getInstance().translate('resize.row'),
+            canResize: () => LayoutLockService.getInstance().isAllowed('resize', me),
+            getSnapTargets: () =>
+                ResizeSnapService.getInstance().getSnapTargets(
+                    me.element,
+                    '.row, .panel-group',
+                    false
+                ),
+            onDoubleClick: () => me._equalizeWithNext(),
             getConstraints: () => ({
                 minimumHeight: me.getMinHeight(),
                 maximumHeight: Infinity,
@@ -552,16 +746,47 @@ export class Row {
             }),
             onResize: ({ height }) => {
                 me.height = height;
+                me._ratio = null;
                 me.getThrottledUpdate()();
             },
             onEnd: () => {
+                if (me.sizing === LayoutSizing.PROPORTIONAL) {
+                    me.captureRatio();
+                }
                 if (me.parentContainer) {
                     me.parentContainer.requestLayoutUpdate();
                 }
+                appBus.emit(EventTypes.LAYOUT_RESIZED, me);
+                emitNodeResized(LayoutNodeType.ROW, me);
             }
         });
     }
 
+    /**
+     * Equalizes this row and its next uncollapsed sibling (double-click on the
+     * resize bar), in the Container or in the parent Column.
+     *
+     * @private
+     * @returns {void}
+     */
+    _equalizeWithNext() {
+        const me = this;
+        const parent = me.parentContainer;
+        if (!parent) {
+            return;
+        }
+        const siblings = parent instanceof Column ? parent.children : parent.getRows();
+        const next = siblings.slice(siblings.indexOf(me) + 1).find(sibling => !sibling.collapsed);
+        if (!next || !LayoutLockService.getInstance().isAllowed('resize', next)) {
+            return;
+        }
+        if (parent instanceof Column) {
+            parent.equalizeChildren([me, next]);
+        } else {
+            parent.equalizeRows([me, next]);
+        }
+    }
+
     /**
      * Toggles the collapse state and notifies LayoutService.
      *
@@ -617,7 +842,7 @@ export class Row {
 
         if (index === null) {
             me._columns.push(column);
-            const resizeHandle = me.element.querySelector('.row__resize-handle');
+            const resizeHandle = me.element.querySelector(':scope > .row__resize-handle');
             if (resizeHandle) {
                 me.element.insertBefore(column.element, resizeHandle);
             } else {
@@ -630,7 +855,7 @@ export class Row {
             let nextDomNode = nextSiblingColumn ? nextSiblingColumn.element : null;
 
             if (!nextDomNode) {
-                const resizeHandle = me.element.querySelector('.row__resize-handle');
+                const resizeHandle = me.element.querySelector(':scope > .row__resize-handle');
                 if (resizeHandle) {
                     nextDomNode = resizeHandle;
                 }
@@ -649,6 +874,11 @@ export class Row {
 
         column.parentContainer = me;
         me.requestLayoutUpdate();
+        emitLayoutChange(LayoutChangeType.COLUMN_ADDED, {
+            columnId: column.id,
+            rowId: me.id,
+            index: me._columns.indexOf(column)
+        });
         return column;
     }
 
@@ -672,6 +902,11 @@ export class Row {
         }
         me._columns.splice(index, 1);
         me.requestLayoutUpdate();
+        emitLayoutChange(LayoutChangeType.COLUMN_REMOVED, {
+            columnId: column.id,
+            rowId: me.id,
+            index
+        });
     }
 
     /**
@@ -683,6 +918,47 @@ export class Row {
         return this.columns;
     }
 
+    /**
+     * Gives the same width to some columns, sharing their rendered widths
+     * (never below a column's effective minimum width). The last column
+     * fills the space and takes the rounding remainder.
+     *
+     * @param {Array<import('../Column/Column.js').Column>} columns - The columns to equalize.
+     * @returns {boolean} False if fewer than two columns could be equalized.
+     */
+    equalizeColumns(columns) {
+        const me = this;
+        const targets = columns.filter(column => me.columns.includes(column));
+        if (targets.length < 2) {
+            return false;
+        }
+
+        const total = targets.reduce((sum, column) => sum + column.element.offsetWidth, 0);
+        const width = Math.floor(total / targets.length);
+        targets.forEach(column => {
+            column.ratio = null;
+            column.width = Math.max(width, column.getEffectiveMinWidth());
+            if (column.sizing === LayoutSizing.PROPORTIONAL) {
+                column.captureRatio();
+            }
+        });
+
+        me.requestLayoutUpdate();
+        appBus.emit(EventTypes.LAYOUT_RESIZED, me);
+        targets.forEach(column => emitNodeResized(LayoutNodeType.COLUMN, column));
+        return true;
+    }
+
+    /**
+     * Gives the same width to all the columns of the row.
+     *
+     * @returns {boolean} False if the row has fewer than two columns.
+     */
+    distributeColumns() {
+        const me = this;
+        return me.equalizeColumns(me.columns);
+    }
+
     /**
      * Returns the total number of child Columns.
      *
@@ -737,6 +1013,9 @@ export class Row {
         if (isLast) {
             me.element.style.flex = '1 1 auto';
             me.height = null; // Reset internal height for fluid layout
+            me._ratio = null;
+        } else if (me.sizing === LayoutSizing.PROPORTIONAL && me.ratio !== null) {
+            me.element.style.flex = toRatioFlex(me.ratio);
         } else if (me.height !== null) {
             me.element.style.flex = `0 0 ${me.height}px`;
         } else {
@@ -755,6 +1034,8 @@ export class Row {
             me.deleteColumn(column);
         });
 
+        me._resizeHandleManager?.destroy();
+        me._resizeHandleManager = null;
         me.element.innerHTML = '';
         me._columns = [];
         me.collapseBtn = null;
@@ -769,8 +1050,10 @@ export class Row {
         const me = this;
         return {
             height: me.height,
+            ...(me.ratio !== null ? { ratio: me.ratio } : {}),
             collapsed: me.collapsed,
             collapsible: me.collapsible,
+            ...(me.policy ? { policy: me.policy } : {}),
             columns: me.columns.map(column => column.toJSON())
         };
     }
@@ -788,9 +1071,13 @@ export class Row {
         if (data.height !== undefined) {
             me.height = data.height;
         }
+        if (data.ratio !== undefined) {
+            me.ratio = data.ratio;
+        }
         if (data.collapsible !== undefined) {
             me.collapsible = data.collapsible;
         }
+        me.policy = data.policy || null;
 
         const columnsData = data.columns || [];
 
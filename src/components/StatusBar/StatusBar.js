@@ -1,5 +1,7 @@
 import { appBus } from '../../utils/EventBus.js';
 import { EventTypes } from '../../constants/EventTypes.js';
+import { TranslationService } from '../../services/TranslationService.js';
+import { LayoutLockService } from '../../services/LayoutLockService.js';
 
 /**
  * Description:
@@ -11,10 +13,14 @@ import { EventTypes } from '../../constants/EventTypes.js';
  * - _namespace {string} : Unique namespace for appBus listeners.
  * - _permanentMessageElement {HTMLElement} : The element for the permanent message.
  * - _tempMessageElement {HTMLElement} : The element for the temporary message.
+ * - _saveStatusElement {HTMLElement} : The element for the workspace "modified / saved" indicator.
+ * - _lockStatusElement {HTMLElement} : The element for the layout lock indicator.
  * - _messageTimer {number|null} : Stores the setTimeout ID for clearing temporary messages.
  * - _boundSetMessage {Function|null} : Bound handler for setting a temporary message.
  * - _boundSetPermanentMessage {Function|null} : Bound handler for setting a permanent message.
  * - _boundClearMessage {Function|null} : Bound handler for clearing the temporary message.
+ * - _boundSetSaveStatus {Function|null} : Bound handler for the workspace save status.
+ * - _boundSetLockStatus {Function|null} : Bound handler for the layout lock indicator.
  *
  * Typical usage:
  * // In App.js
@@ -23,10 +29,13 @@ import { EventTypes } from '../../constants/EventTypes.js';
  *
  * Events:
  * - Listens to (appBus): EventTypes.STATUSBAR_SET_STATUS, EventTypes.STATUSBAR_SET_PERMANENT_STATUS, EventTypes.STATUSBAR_CLEAR_STATUS
+ * - Listens to (appBus): EventTypes.WORKSPACE_SAVE_STATUS_CHANGED, EventTypes.LAYOUT_LOCK_CHANGED
  *
  * Dependencies:
  * - ../../utils/EventBus.js
  * - ../../constants/EventTypes.js
+ * - ../../services/TranslationService.js
+ * - ../../services/LayoutLockService.js
  */
 export class StatusBar {
     /**
@@ -57,6 +66,20 @@ export class StatusBar {
      */
     _tempMessageElement;
 
+    /**
+     * The <span> element that holds the workspace "modified / saved" indicator.
+     * @type {HTMLElement}
+     * @private
+     */
+    _saveStatusElement;
+
+    /**
+     * The <span> element that holds the layout lock indicator.
+     * @type {HTMLElement}
+     * @private
+     */
+    _lockStatusElement;
+
     /**
      * Stores the setTimeout ID for clearing temporary messages.
      * @type {number|null}
@@ -85,6 +108,20 @@ export class StatusBar {
      */
     _boundClearMessage = null;
 
+    /**
+     * Bound handler for the workspace save status.
+     * @type {Function | null}
+     * @private
+     */
+    _boundSetSaveStatus = null;
+
+    /**
+     * Bound handler for the layout lock indicator.
+     * @type {Function | null}
+     * @private
+     */
+    _boundSetLockStatus = null;
+
     /**
      * @param {string} [defaultStatus='Pronto'] - The default permanent message.
      */
@@ -99,15 +136,29 @@ export class StatusBar {
         me._tempMessageElement = document.createElement('span');
         me._tempMessageElement.classList.add('status-bar__temporary');
 
-        me.element.append(me._permanentMessageElement, me._tempMessageElement);
+        me._saveStatusElement = document.createElement('span');
+        me._saveStatusElement.classList.add('status-bar__save-status');
+
+        me._lockStatusElement = document.createElement('span');
+        me._lockStatusElement.classList.add('status-bar__lock-status');
+
+        me.element.append(
+            me._permanentMessageElement,
+            me._tempMessageElement,
+            me._lockStatusElement,
+            me._saveStatusElement
+        );
 
         // Store bound handlers
         me._boundSetMessage = me.setMessage.bind(me);
         me._boundSetPermanentMessage = me.setPermanentMessage.bind(me);
         me._boundClearMessage = me.clearMessage.bind(me);
+        me._boundSetSaveStatus = me.setSaveStatus.bind(me);
+        me._boundSetLockStatus = me.setLockStatus.bind(me);
 
         me._initEventListeners();
         me.setPermanentMessage(defaultStatus);
+        me.setLockStatus({ locked: LayoutLockService.getInstance().locked });
     }
 
     /**
@@ -122,6 +173,8 @@ export class StatusBar {
         appBus.on(EventTypes.STATUSBAR_SET_STATUS, me._boundSetMessage, options);
         appBus.on(EventTypes.STATUSBAR_SET_PERMANENT_STATUS, me._boundSetPermanentMessage, options);
         appBus.on(EventTypes.STATUSBAR_CLEAR_STATUS, me._boundClearMessage, options);
+        appBus.on(EventTypes.WORKSPACE_SAVE_STATUS_CHANGED, me._boundSetSaveStatus, options);
+        appBus.on(EventTypes.LAYOUT_LOCK_CHANGED, me._boundSetLockStatus, options);
     }
 
     /**
@@ -169,6 +222,38 @@ export class StatusBar {
         this._permanentMessageElement.textContent = message;
     }
 
+    /**
+     * Updates the workspace "modified / saved" indicator.
+     * @param {{status: 'saved' | 'modified' | 'saving' | 'error' | 'readonly', autosave: boolean}} payload
+     * @returns {void}
+     */
+    setSaveStatus({ status, autosave }) {
+        const me = this;
+        const i18n = TranslationService.getInstance();
+        const element = me._saveStatusElement;
+
+        element.textContent = i18n.translate(`statusbar.${status}`);
+        element.dataset.status = status;
+        element.classList.toggle('status-bar__save-status--modified', status === 'modified');
+        element.classList.toggle('status-bar__save-status--error', status === 'error');
+        element.classList.toggle('status-bar__save-status--readonly', status === 'readonly');
+        element.title = autosave ? i18n.translate('statusbar.autosave_on') : '';
+    }
+
+    /**
+     * Shows or hides the layout lock indicator.
+     * @param {{locked: boolean}} payload
+     * @returns {void}
+     */
+    setLockStatus({ locked }) {
+        const me = this;
+        const element = me._lockStatusElement;
+        element.hidden = !locked;
+        element.textContent = locked
+            ? TranslationService.getInstance().translate('statusbar.layout_locked')
+            : '';
+    }
+
     /**
      * Clears the temporary status message immediately.
      * @returns {void}
@@ -1,5 +1,6 @@
 import { appBus } from '../../utils/EventBus.js';
 import { generateId } from '../../utils/generateId.js';
+import { LayoutLockService } from '../../services/LayoutLockService.js';
 import { EventTypes } from '../../constants/EventTypes.js';
 
 /**
@@ -21,6 +22,7 @@ import { EventTypes } from '../../constants/EventTypes.js';
  * Dependencies:
  * - {import('../../utils/EventBus.js').appBus}
  * - {import('../../utils/generateId.js').generateId}
+ * - {import('../../services/LayoutLockService.js').LayoutLockService}
  */
 export class ToolbarGroup {
     /**
@@ -326,7 +328,7 @@ export class ToolbarGroup {
         const me = this;
         if (event.button !== 0) return;
 
-        if (!me.movable) return;
+        if (!me.movable || !LayoutLockService.getInstance().isAllowed('move')) return;
 
         event.preventDefault();
         event.stopPropagation();
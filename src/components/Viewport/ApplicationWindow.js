@@ -1,10 +1,13 @@
 import { ApplicationWindowHeader } from './ApplicationWindowHeader.js';
 import { ResizeHandleManager } from '../../utils/ResizeHandleManager.js';
+import { LayoutLockService } from '../../services/LayoutLockService.js';
 import { appBus } from '../../utils/EventBus.js';
 import { generateId } from '../../utils/generateId.js';
 import { EventTypes } from '../../constants/EventTypes.js';
 import { ItemType } from '../../constants/DNDTypes.js';
 import { FloatingPanelManagerService } from '../../services/DND/FloatingPanelManagerService.js';
+import { emitNodeResized } from '../../utils/layoutChange.js';
+import { LayoutNodeType } from '../../constants/LayoutNodeTypes.js';
 
 /**
  * Description:
@@ -43,6 +46,8 @@ import { FloatingPanelManagerService } from '../../services/DND/FloatingPanelMan
  *
  * Events:
  * - Emits (appBus): EventTypes.WINDOW_FOCUS, EventTypes.WINDOW_CLOSE_REQUEST, EventTypes.WINDOW_MOUNT
+ * - Emits (appBus): EventTypes.LAYOUT_RESIZED (when the user finishes resizing the window)
+ * - Emits (appBus): EventTypes.LAYOUT_CHANGE (LayoutChangeType.RESIZED, same moment)
  *
  * Business rules implemented:
  * - Independent lifecycle management (mount/destroy).
@@ -53,14 +58,18 @@ import { FloatingPanelManagerService } from '../../services/DND/FloatingPanelMan
  * - Automatically constrains itself to parent bounds on mount and un-minimize.
  * - Prevents minimization when maximized.
  * - Supports "Tabbed" mode where it acts as a content panel filling available space, disabling resize and absolute positioning.
+ * - The id is serialized, so it stays stable across reloads.
  *
  * Dependencies:
  * - ./ApplicationWindowHeader.js
  * - ../../utils/ResizeHandleManager.js
+ * - ../../services/LayoutLockService.js
  * - ../../utils/EventBus.js
  * - ../../utils/generateId.js
  * - ../../constants/EventTypes.js
  * - ../../constants/DNDTypes.js
+ * - ../../utils/layoutChange.js
+ * - ../../constants/LayoutNodeTypes.js
  *
  * Notes / Additional:
  * - This class does not extend Panel or PanelGroup.
@@ -472,6 +481,7 @@ export class ApplicationWindow {
         me._resizeHandleManager = new ResizeHandleManager(me.element, {
             handles: ['n', 's', 'e', 'w', 'ne', 'nw', 'se', 'sw'],
             customClass: 'window-resize-handle', // Theme hook
+            canResize: () => LayoutLockService.getInstance().isAllowed('resize'),
             getConstraints: () => {
                 const parent = me.element.offsetParent || document.body;
                 return {
@@ -490,6 +500,10 @@ export class ApplicationWindow {
                 me._width = width;
                 me._height = height;
                 me._updateGeometryStyles();
+            },
+            onEnd: () => {
+                appBus.emit(EventTypes.LAYOUT_RESIZED, me);
+                emitNodeResized(LayoutNodeType.WINDOW, me);
             }
         });
     }
@@ -757,6 +771,7 @@ export class ApplicationWindow {
      */
     toJSON() {
         return {
+            id: this.id,
             type: ItemType.APPLICATION_WINDOW,
             title: this._title,
             geometry: { x: this._x, y: this._y, width: this._width, height: this._height },
@@ -776,6 +791,7 @@ export class ApplicationWindow {
      * @returns {void}
      */
     fromJSON(data) {
+        if (typeof data.id === 'string' && data.id !== '') this.id = data.id;
         if (data.title) this.title = data.title;
         if (data.geometry) {
             this._x = data.geometry.x;
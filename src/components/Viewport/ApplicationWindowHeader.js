@@ -1,5 +1,6 @@
 import { appBus } from '../../utils/EventBus.js';
 import { DragTrigger } from '../../utils/DragTrigger.js';
+import { LayoutLockService } from '../../services/LayoutLockService.js';
 import { EventTypes } from '../../constants/EventTypes.js';
 import { ItemType } from '../../constants/DNDTypes.js';
 
@@ -39,12 +40,14 @@ import { ItemType } from '../../constants/DNDTypes.js';
  * - Stops propagation on control buttons to prevent drag initiation.
  * - Emits specific events for window actions (close, maximize, minimize, pin) to be handled by the parent window or service.
  * - Initiates a drag operation specifically typed as APPLICATION_WINDOW.
+ * - Windows cannot be dragged while the layout is locked.
  * - Handles auto-restore when dragging a maximized window, maintaining relative cursor position.
  * - Adapts visual state and available controls when in "Tab Mode".
  *
  * Dependencies:
  * - ../../utils/EventBus.js
  * - ../../utils/DragTrigger.js
+ * - ../../services/LayoutLockService.js
  * - ../../constants/EventTypes.js
  * - ../../constants/DNDTypes.js
  *
@@ -188,7 +191,8 @@ export class ApplicationWindowHeader {
         me._dragTrigger = new DragTrigger(me.element, {
             threshold: 3,
             onDragStart: (event, startCoords) => me._startDrag(event, startCoords),
-            onClick: () => me.onHeaderClick()
+            onClick: () => me.onHeaderClick(),
+            canDrag: () => LayoutLockService.getInstance().isAllowed('move')
         });
     }
 
@@ -3,6 +3,8 @@ import { generateId } from '../../utils/generateId.js';
 import { EventTypes } from '../../constants/EventTypes.js';
 import { DropZoneType } from '../../constants/DNDTypes.js';
 import { ViewportFactory } from './ViewportFactory.js';
+import { emitLayoutChange } from '../../utils/layoutChange.js';
+import { LayoutChangeType } from '../../constants/LayoutChangeTypes.js';
 
 /**
  * Description:
@@ -40,6 +42,7 @@ import { ViewportFactory } from './ViewportFactory.js';
  * - Listens to (appBus): EventTypes.WINDOW_CLOSE_REQUEST
  * - Listens to (appBus): EventTypes.VIEWPORT_ARRANGE_CASCADE
  * - Listens to (appBus): EventTypes.VIEWPORT_ARRANGE_TILE
+ * - Emits (appBus): EventTypes.LAYOUT_CHANGE (LayoutChangeType.WINDOW_OPENED / WINDOW_CLOSED)
  *
  * Business rules implemented:
  * - Acts as a 'viewport' drop zone type.
@@ -48,6 +51,7 @@ import { ViewportFactory } from './ViewportFactory.js';
  * - Provides algorithmic layout strategies (Cascade, Tile) for open windows.
  * - Removes a window automatically focuses the next available window.
  * - Supports serialization via toJSON/fromJSON using ViewportFactory.
+ * - Restores the focused window (by id) after loading.
  * - Manages window lifecycle (mount) when adding windows.
  * - Allows docking windows into a tab bar, changing their state and visual representation.
  * - Dynamically hides the tab bar if no windows are docked.
@@ -60,6 +64,8 @@ import { ViewportFactory } from './ViewportFactory.js';
  * - ../../constants/DNDTypes.js
  * - ./ApplicationWindow.js
  * - ./ViewportFactory.js
+ * - ../../utils/layoutChange.js
+ * - ../../constants/LayoutChangeTypes.js
  */
 export class Viewport {
     /**
@@ -275,6 +281,10 @@ export class Viewport {
             if (typeof windowInstance.mount === 'function') {
                 windowInstance.mount();
             }
+            emitLayoutChange(LayoutChangeType.WINDOW_OPENED, {
+                windowId: windowInstance.id,
+                viewportId: me.id
+            });
         }
 
         me.focusWindow(windowInstance);
@@ -295,6 +305,10 @@ export class Viewport {
         }
 
         me._windows.splice(index, 1);
+        emitLayoutChange(LayoutChangeType.WINDOW_CLOSED, {
+            windowId: windowInstance.id,
+            viewportId: me.id
+        });
 
         if (typeof windowInstance.destroy === 'function') {
             windowInstance.destroy();
@@ -612,6 +626,17 @@ export class Viewport {
         me.element.remove();
     }
 
+    /**
+     * Finds a managed window by its id.
+     *
+     * @param {string} id - The window id.
+     * @returns {import('./ApplicationWindow.js').ApplicationWindow | null} The window, or null if not found.
+     */
+    getWindowById(id) {
+        const me = this;
+        return me._windows.find(win => win.id === id) || null;
+    }
+
     /**
      * Serializes the viewport and its windows to JSON.
      *
@@ -621,6 +646,7 @@ export class Viewport {
         const me = this;
         return {
             type: DropZoneType.VIEWPORT,
+            activeWindowId: me._activeWindow ? me._activeWindow.id : null,
             windows: me._windows.map(win => win.toJSON())
         };
     }
@@ -648,5 +674,10 @@ export class Viewport {
                 }
             });
         }
+
+        const activeWindow = me.getWindowById(data.activeWindowId);
+        if (activeWindow) {
+            me.focusWindow(activeWindow);
+        }
     }
 }
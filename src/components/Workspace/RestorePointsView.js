@@ -0,0 +1,94 @@
+import { TranslationService } from '../../services/TranslationService.js';
+
+/**
+ * Description:
+ * Generates the modal options of the "Restore points" dialog. Lists the
+ * restore points of a workspace (newest first) and previews the summary of
+ * the selected one (rows, columns, panels, windows, floating groups).
+ * Resolves with { action: 'rollback' | 'delete', restorePointId } or null.
+ *
+ * Business rules implemented:
+ * - Labels come from the user, so the list is built with textContent only.
+ * - Points without a label show the reason they were created.
+ *
+ * Dependencies:
+ * - ../../services/TranslationService.js
+ *
+ * @param {Array<{id: string, createdAt: number, label: string, reason: string, summary: object}>} restorePoints
+ * @returns {object} A partial modal options object.
+ */
+export const RestorePointsView = restorePoints => {
+    const i18n = TranslationService.getInstance();
+    const listId = `restore-points-list-${Date.now()}`;
+    const byId = new Map(restorePoints.map(point => [point.id, point]));
+
+    const content = document.createElement('div');
+    content.className = 'modal__prompt restore-points';
+
+    const label = document.createElement('label');
+    label.className = 'modal__prompt-label';
+    label.htmlFor = listId;
+    label.textContent = i18n.translate('restore_points.list_label');
+
+    const list = document.createElement('select');
+    list.id = listId;
+    list.size = 8;
+    list.className = 'modal__prompt-input restore-points__list';
+    restorePoints.forEach((point, index) => {
+        const option = document.createElement('option');
+        const date = new Date(point.createdAt).toLocaleString();
+        const name = point.label || i18n.translate(`restore_points.reason_${point.reason}`);
+        option.value = point.id;
+        option.textContent = `${date} — ${name}`;
+        option.selected = index === 0;
+        list.appendChild(option);
+    });
+
+    const preview = document.createElement('dl');
+    preview.className = 'restore-points__preview';
+    const renderPreview = () => {
+        const summary = byId.get(list.value)?.summary || {};
+        preview.replaceChildren();
+        ['rows', 'columns', 'panels', 'windows', 'floating'].forEach(field => {
+            const term = document.createElement('dt');
+            const value = document.createElement('dd');
+            term.textContent = i18n.translate(`restore_points.${field}`);
+            value.textContent = String(summary[field] ?? 0);
+            preview.append(term, value);
+        });
+    };
+    list.addEventListener('change', renderPreview);
+    renderPreview();
+
+    content.append(label, list, preview);
+
+    const resolveWith = action => api => {
+        if (list.value) {
+            api.close({ action, restorePointId: list.value });
+        }
+    };
+
+    return {
+        content: content,
+        size: 'medium',
+        initialFocus: `#${listId}`,
+        buttons: [
+            {
+                text: i18n.translate('restore_points.cancel'),
+                class: 'modal__button modal__button--secondary',
+                action: 'resolve',
+                value: null
+            },
+            {
+                text: i18n.translate('restore_points.delete'),
+                class: 'modal__button modal__button--secondary',
+                action: resolveWith('delete')
+            },
+            {
+                text: i18n.translate('restore_points.rollback'),
+                class: 'modal__button modal__button--primary',
+                action: resolveWith('rollback')
+            }
+        ]
+    };
+};
@@ -0,0 +1,144 @@
+import { TranslationService } from '../../services/TranslationService.js';
+import { formatBytes } from '../../utils/formatBytes.js';
+
+const PERCENT = 100;
+
+/**
+ * Description:
+ * Generates the modal options of the "Storage usage" dialog. Shows how much
+ * of the storage is used and, for each workspace, the size of its layout and
+ * of its restore points, with checkboxes to delete either.
+ * Resolves with { workspaceIds, restorePointWorkspaceIds } or null.
+ *
+ * Business rules implemented:
+ * - Workspace names come from the user, so the table is built with textContent only.
+ * - The active workspace cannot be deleted here (its restore points can).
+ * - Workspaces are listed largest first (layout plus restore points).
+ *
+ * Dependencies:
+ * - ../../services/TranslationService.js
+ * - ../../utils/formatBytes.js
+ *
+ * @param {{used: number, quota: number | null, workspaces: Array<{id: string, name: string, updatedAt: number, active: boolean, size: number, restorePoints: number, restorePointsSize: number}>}} usage
+ * @returns {object} A partial modal options object.
+ */
+export const StorageCleanupView = usage => {
+    const i18n = TranslationService.getInstance();
+
+    const content = document.createElement('div');
+    content.className = 'storage-cleanup';
+
+    const summary = document.createElement('p');
+    summary.className = 'storage-cleanup__summary';
+    summary.textContent = usage.quota
+        ? i18n.translate('storage.usage_quota', {
+              used: formatBytes(usage.used),
+              quota: formatBytes(usage.quota),
+              percent: Math.round((usage.used / usage.quota) * PERCENT)
+          })
+        : i18n.translate('storage.usage', { used: formatBytes(usage.used) });
+    content.appendChild(summary);
+
+    if (usage.quota) {
+        const meter = document.createElement('progress');
+        meter.className = 'storage-cleanup__meter';
+        meter.max = usage.quota;
+        meter.value = Math.min(usage.used, usage.quota);
+        meter.setAttribute('aria-label', summary.textContent);
+        content.appendChild(meter);
+    }
+
+    const table = document.createElement('table');
+    table.className = 'storage-cleanup__table';
+    const headRow = table.createTHead().insertRow();
+    [
+        'workspace',
+        'updated',
+        'size',
+        'restore_points',
+        'delete_workspace',
+        'delete_restore_points'
+    ].forEach(field => {
+        const cell = document.createElement('th');
+        cell.scope = 'col';
+        cell.textContent = i18n.translate(`storage.${field}`);
+        headRow.appendChild(cell);
+    });
+
+    const body = table.createTBody();
+    const createCheckbox = (name, value, label, disabled) => {
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.name = name;
+        checkbox.value = value;
+        checkbox.disabled = disabled;
+        checkbox.setAttribute('aria-label', label);
+        return checkbox;
+    };
+
+    [...usage.workspaces]
+        .sort((a, b) => b.size + b.restorePointsSize - (a.size + a.restorePointsSize))
+        .forEach(workspace => {
+            const row = body.insertRow();
+            const name = workspace.active
+                ? i18n.translate('storage.active_name', { name: workspace.name })
+                : workspace.name;
+            row.insertCell().textContent = name;
+            row.insertCell().textContent = workspace.updatedAt
+                ? new Date(workspace.updatedAt).toLocaleString()
+                : '—';
+            row.insertCell().textContent = formatBytes(workspace.size);
+            row.insertCell().textContent = i18n.translate('storage.restore_points_size', {
+                count: workspace.restorePoints,
+                size: formatBytes(workspace.restorePointsSize)
+            });
+            row.insertCell().appendChild(
+                createCheckbox(
+                    'workspace',
+                    workspace.id,
+                    i18n.translate('storage.delete_workspace_label', { name: workspace.name }),
+                    workspace.active
+                )
+            );
+            row.insertCell().appendChild(
+                createCheckbox(
+                    'restore-points',
+                    workspace.id,
+                    i18n.translate('storage.delete_restore_points_label', { name: workspace.name }),
+                    workspace.restorePoints === 0
+                )
+            );
+        });
+    content.appendChild(table);
+
+    const getChecked = name =>
+        Array.from(
+            content.querySelectorAll(`input[name="${name}"]:checked`),
+            checkbox => checkbox.value
+        );
+
+    return {
+        content: content,
+        size: 'large',
+        initialFocus: '.storage-cleanup__table input:not(:disabled)',
+        buttons: [
+            {
+                text: i18n.translate('storage.cancel'),
+                class: 'modal__button modal__button--secondary',
+                action: 'resolve',
+                value: null
+            },
+            {
+                text: i18n.translate('storage.clean_up'),
+                class: 'modal__button modal__button--primary',
+                action: api => {
+                    const workspaceIds = getChecked('workspace');
+                    const restorePointWorkspaceIds = getChecked('restore-points');
+                    if (workspaceIds.length > 0 || restorePointWorkspaceIds.length > 0) {
+                        api.close({ workspaceIds, restorePointWorkspaceIds });
+                    }
+                }
+            }
+        ]
+    };
+};
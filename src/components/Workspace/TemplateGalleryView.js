@@ -0,0 +1,95 @@
+import { TranslationService } from '../../services/TranslationService.js';
+
+/**
+ * Description:
+ * Generates the modal options of the "New workspace from template" gallery.
+ * Each template is a card (thumbnail, name, description) backed by a radio
+ * input, so the gallery works with the keyboard (arrows to move, Enter on
+ * the button to create). Double-clicking a card creates it right away.
+ * Resolves with the chosen template id, or null.
+ *
+ * Business rules implemented:
+ * - Template metadata comes from JSON files, so it is rendered with
+ * textContent only.
+ * - Templates without a thumbnail show the first letter of their name.
+ *
+ * Dependencies:
+ * - ../../services/TranslationService.js
+ *
+ * @param {Array<{id: string, name: string, description: string, thumbnail: string | null}>} templates
+ * @returns {object} A partial modal options object.
+ */
+export const TemplateGalleryView = templates => {
+    const i18n = TranslationService.getInstance();
+    const groupName = `template-gallery-${Date.now()}`;
+    let api = null;
+
+    const content = document.createElement('div');
+    content.className = 'template-gallery';
+    content.setAttribute('role', 'radiogroup');
+    content.setAttribute('aria-label', i18n.translate('templates.gallery_label'));
+
+    templates.forEach((template, index) => {
+        const card = document.createElement('label');
+        card.className = 'template-gallery__card';
+
+        const input = document.createElement('input');
+        input.type = 'radio';
+        input.name = groupName;
+        input.value = template.id;
+        input.checked = index === 0;
+        input.className = 'template-gallery__input';
+
+        const preview = document.createElement('div');
+        preview.className = 'template-gallery__thumbnail';
+        if (template.thumbnail) {
+            const image = document.createElement('img');
+            image.src = template.thumbnail;
+            image.alt = '';
+            preview.appendChild(image);
+        } else {
+            preview.textContent = template.name.charAt(0).toUpperCase();
+        }
+
+        const name = document.createElement('span');
+        name.className = 'template-gallery__name';
+        name.textContent = template.name;
+
+        const description = document.createElement('span');
+        description.className = 'template-gallery__description';
+        description.textContent = template.description;
+
+        card.append(input, preview, name, description);
+        card.addEventListener('dblclick', () => api?.close(template.id));
+        content.appendChild(card);
+    });
+
+    const getSelected = () => content.querySelector('input:checked')?.value || null;
+
+    return {
+        content: content,
+        size: 'large',
+        initialFocus: '.template-gallery__input:checked',
+        buttons: [
+            {
+                text: i18n.translate('templates.cancel'),
+                class: 'modal__button modal__button--secondary',
+                action: 'resolve',
+                value: null
+            },
+            {
+                text: i18n.translate('templates.create'),
+                class: 'modal__button modal__button--primary',
+                action: modalApi => {
+                    const selected = getSelected();
+                    if (selected) {
+                        modalApi.close(selected);
+                    }
+                }
+            }
+        ],
+        onOpen: modalApi => {
+            api = modalApi;
+        }
+    };
+};
@@ -17,9 +17,41 @@
  * - LAYOUT_ROWS_CHANGED {string} : Signals a change in the Row structure (vertical layout).
  * - LAYOUT_COLUMNS_CHANGED {string} : Signals a change in the Column structure (horizontal layout).
  * - LAYOUT_PANELGROUPS_CHANGED {string} : Signals a change in PanelGroup structure within a Column.
+ * - LAYOUT_RESIZED {string} : Signals a user resize (row, column, panel group or window) has finished.
+ * - LAYOUT_CHANGE {string} : Typed structural change with ids and indices ({ type, timestamp, ... }, see LayoutChangeType).
+ * - WORKSPACE_SAVE_STATUS_CHANGED {string} : Signals the workspace save status changed ({ status, autosave }).
+ * - WORKSPACE_CHANGED {string} : Signals this tab wrote a workspace ({ workspaceId, change }).
+ * - WORKSPACE_REMOTE_CHANGED {string} : Signals another tab wrote a workspace ({ workspaceId, change, tabId }).
+ * - WORKSPACE_WRITE_LOCK_CHANGED {string} : Signals this tab gained or lost the write lock ({ hasLock }).
+ * - STORAGE_QUOTA_EXCEEDED {string} : Signals a write did not fit in the storage, even compressed ({ key }).
+ * - LAYOUT_HISTORY_CHANGED {string} : Signals the undo/redo availability changed ({ canUndo, canRedo }).
+ * - LAYOUT_BREAKPOINT_CHANGED {string} : Signals the layout container crossed a width breakpoint ({ breakpoint, previous, width }).
+ * - LAYOUT_LOCK_CHANGED {string} : Signals the global layout lock was turned on or off ({ locked }).
+ * - LAYOUT_MAXIMIZE_CHANGED {string} : Signals a PanelGroup was maximized or restored ({ group, maximized }).
  * - APP_SAVE_STATE {string} : Command to save the current workspace state.
  * - APP_RESTORE_STATE {string} : Command to restore the last saved workspace state.
  * - APP_RESET_STATE {string} : Command to clear saved state and load default workspace.
+ * - APP_WORKSPACE_SAVE_AS {string} : Command to save the current layout as a new named workspace.
+ * - APP_WORKSPACE_NEW_FROM_TEMPLATE {string} : Command to create a workspace from a template of the gallery.
+ * - APP_WORKSPACE_SWITCH {string} : Command to switch to another workspace (optional payload: { workspaceId }).
+ * - APP_WORKSPACE_RENAME {string} : Command to rename the active workspace.
+ * - APP_WORKSPACE_DELETE {string} : Command to delete a workspace.
+ * - APP_WORKSPACE_EXPORT {string} : Command to download the current workspace as a '.flexui.json' file.
+ * - APP_WORKSPACE_IMPORT {string} : Command to import a workspace file (optional payload: { file }).
+ * - APP_TOGGLE_AUTOSAVE {string} : Command to turn layout autosave on or off.
+ * - APP_TOGGLE_LAYOUT_LOCK {string} : Command to lock or unlock the layout (read-only mode).
+ * - APP_TOGGLE_PROPORTIONAL_SIZING {string} : Command to switch the layout between fixed and proportional sizing.
+ * - APP_TOGGLE_MAXIMIZE {string} : Command to maximize a PanelGroup or restore it (payload: PanelGroup, { group } or none for the focused group).
+ * - APP_DISTRIBUTE_COLUMNS {string} : Command to give the same width to the columns of a group's Row (payload: { group }).
+ * - APP_DISTRIBUTE_PANEL_GROUPS {string} : Command to give the same height to the panel groups of a group's Column (payload: { group }).
+ * - APP_TOGGLE_COLUMN_AUTO_HIDE {string} : Command to pin a group's outer Column to the Row edge as an auto-hide dock, or dock it back (payload: { group }).
+ * - APP_UNDO {string} : Command to undo the last layout change.
+ * - APP_REDO {string} : Command to redo the last undone layout change.
+ * - APP_LAYOUT_LINK_COPY {string} : Command to copy a shareable link to the current layout.
+ * - APP_RESTORE_POINT_CREATE {string} : Command to keep the current layout as a restore point.
+ * - APP_RESTORE_POINTS_OPEN {string} : Command to browse the restore points of the active workspace.
+ * - APP_STORAGE_CLEANUP_OPEN {string} : Command to show the storage usage and clean up workspaces and restore points.
+ * - APP_LAYOUT_VARIANT_SAVE {string} : Command to save the current layout as the variant of the current breakpoint.
  * - APP_ADD_NEW_PANEL {string} : Command to create and add a new default panel.
  * - APP_CLOSE_PANEL_REQUEST {string} : Request to close a panel, typically from a context menu.
  * - APP_UNDOCK_PANEL_REQUEST {string} : Request to convert a docked panel to a floating one.
@@ -65,11 +97,43 @@ export const EventTypes = Object.freeze({
     LAYOUT_ROWS_CHANGED: 'layout:rows-changed',
     LAYOUT_COLUMNS_CHANGED: 'layout:columns-changed',
     LAYOUT_PANELGROUPS_CHANGED: 'layout:panel-groups-changed',
+    LAYOUT_RESIZED: 'layout:resized',
+    LAYOUT_CHANGE: 'layout:change',
+    WORKSPACE_SAVE_STATUS_CHANGED: 'workspace:save-status-changed',
+    WORKSPACE_CHANGED: 'workspace:changed',
+    WORKSPACE_REMOTE_CHANGED: 'workspace:remote-changed',
+    WORKSPACE_WRITE_LOCK_CHANGED: 'workspace:write-lock-changed',
+    STORAGE_QUOTA_EXCEEDED: 'storage:quota-exceeded',
+    LAYOUT_HISTORY_CHANGED: 'layout:history-changed',
+    LAYOUT_BREAKPOINT_CHANGED: 'layout:breakpoint-changed',
+    LAYOUT_LOCK_CHANGED: 'layout:lock-changed',
+    LAYOUT_MAXIMIZE_CHANGED: 'layout:maximize-changed',
 
     // --- App Commands (Triggered by Toolbar, Menu, Shortcuts) ---
     APP_SAVE_STATE: 'app:save-state',
     APP_RESTORE_STATE: 'app:restore-state',
     APP_RESET_STATE: 'app:reset-state',
+    APP_WORKSPACE_SAVE_AS: 'app:workspace-save-as',
+    APP_WORKSPACE_NEW_FROM_TEMPLATE: 'app:workspace-new-from-template',
+    APP_WORKSPACE_SWITCH: 'app:workspace-switch',
+    APP_WORKSPACE_RENAME: 'app:workspace-rename',
+    APP_WORKSPACE_DELETE: 'app:workspace-delete',
+    APP_WORKSPACE_EXPORT: 'app:workspace-export',
+    APP_WORKSPACE_IMPORT: 'app:workspace-import',
+    APP_TOGGLE_AUTOSAVE: 'app:toggle-autosave',
+    APP_TOGGLE_LAYOUT_LOCK: 'app:toggle-layout-lock',
+    APP_TOGGLE_PROPORTIONAL_SIZING: 'app:toggle-proportional-sizing',
+    APP_TOGGLE_MAXIMIZE: 'app:toggle-maximize',
+    APP_DISTRIBUTE_COLUMNS: 'app:distribute-columns',
+    APP_DISTRIBUTE_PANEL_GROUPS: 'app:distribute-panel-groups',
+    APP_TOGGLE_COLUMN_AUTO_HIDE: 'app:toggle-column-auto-hide',
+    APP_UNDO: 'app:undo',
+    APP_REDO: 'app:redo',
+    APP_LAYOUT_LINK_COPY: 'app:layout-link-copy',
+    APP_RESTORE_POINT_CREATE: 'app:restore-point-create',
+    APP_RESTORE_POINTS_OPEN: 'app:restore-points-open',
+    APP_STORAGE_CLEANUP_OPEN: 'app:storage-cleanup-open',
+    APP_LAYOUT_VARIANT_SAVE: 'app:layout-variant-save',
     APP_ADD_NEW_PANEL: 'app:add-new-panel',
     APP_CLOSE_PANEL_REQUEST: 'app:close-panel-request',
     APP_ADD_NEW_WINDOW: 'app:add-new-window',
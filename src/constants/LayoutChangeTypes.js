@@ -0,0 +1,84 @@
+/**
+ * Description:
+ * Defines the types of the structural layout changes carried by
+ * EventTypes.LAYOUT_CHANGE (see utils/layoutChange.js).
+ *
+ * Properties summary:
+ * - LayoutChangeType {object} : Enumeration of layout change identifiers (kebab-case).
+ *
+ * Typical usage:
+ * import { LayoutChangeType } from '../constants/LayoutChangeTypes.js';
+ *
+ * appBus.on(EventTypes.LAYOUT_CHANGE, change => {
+ *     if (change.type === LayoutChangeType.PANEL_MOVED) {
+ *         console.log(change.panelId, change.sourceGroupId, '->', change.targetGroupId);
+ *     }
+ * });
+ *
+ * Business rules implemented:
+ * - Every change carries 'type' and 'timestamp', plus the ids and indices
+ * listed below (ids are the 'id' of the layout nodes):
+ * - PANEL_ADDED / PANEL_REMOVED: { panelId, groupId, index }
+ * - PANEL_MOVED: { panelId, sourceGroupId, sourceIndex, targetGroupId, targetIndex }
+ * - GROUP_ADDED / GROUP_REMOVED: { groupId, columnId, index, panelIds }
+ * - GROUP_MOVED: { groupId, sourceColumnId, sourceIndex, targetColumnId, targetIndex }
+ * - GROUP_FLOATED: { groupId, sourceColumnId, sourceIndex, x, y } (source null for a
+ * new group; x / y as requested, before the container bounds are applied)
+ * - GROUP_DOCKED: { groupId, columnId, index }
+ * - ROW_ADDED / ROW_REMOVED: { rowId, parentId, index } (parentId null for root rows)
+ * - COLUMN_ADDED / COLUMN_REMOVED: { columnId, rowId, index }
+ * - RESIZED: { nodeType, id, width, height, ratio } (nodeType from LayoutNodeType)
+ * - COLLAPSED: { nodeType, id, collapsed }
+ * - AUTO_HIDE_CHANGED: { columnId, autoHide }
+ * - WINDOW_OPENED / WINDOW_CLOSED: { windowId, viewportId }
+ * - LAYOUT_LOADED: {} (the whole tree was replaced; rebuild any derived state)
+ * - Uses an immutable (frozen) object to prevent runtime modifications.
+ *
+ * Dependencies:
+ * - None
+ */
+
+/**
+ * Enumeration of the layout change types.
+ *
+ * @type {Readonly<{
+ * PANEL_ADDED: 'panel-added',
+ * PANEL_REMOVED: 'panel-removed',
+ * PANEL_MOVED: 'panel-moved',
+ * GROUP_ADDED: 'group-added',
+ * GROUP_REMOVED: 'group-removed',
+ * GROUP_MOVED: 'group-moved',
+ * GROUP_FLOATED: 'group-floated',
+ * GROUP_DOCKED: 'group-docked',
+ * ROW_ADDED: 'row-added',
+ * ROW_REMOVED: 'row-removed',
+ * COLUMN_ADDED: 'column-added',
+ * COLUMN_REMOVED: 'column-removed',
+ * RESIZED: 'resized',
+ * COLLAPSED: 'collapsed',
+ * AUTO_HIDE_CHANGED: 'auto-hide-changed',
+ * WINDOW_OPENED: 'window-opened',
+ * WINDOW_CLOSED: 'window-closed',
+ * LAYOUT_LOADED: 'layout-loaded'
+ * }>}
+ */
+export const LayoutChangeType = Object.freeze({
+    PANEL_ADDED: 'panel-added',
+    PANEL_REMOVED: 'panel-removed',
+    PANEL_MOVED: 'panel-moved',
+    GROUP_ADDED: 'group-added',
+    GROUP_REMOVED: 'group-removed',
+    GROUP_MOVED: 'group-moved',
+    GROUP_FLOATED: 'group-floated',
+    GROUP_DOCKED: 'group-docked',
+    ROW_ADDED: 'row-added',
+    ROW_REMOVED: 'row-removed',
+    COLUMN_ADDED: 'column-added',
+    COLUMN_REMOVED: 'column-removed',
+    RESIZED: 'resized',
+    COLLAPSED: 'collapsed',
+    AUTO_HIDE_CHANGED: 'auto-hide-changed',
+    WINDOW_OPENED: 'window-opened',
+    WINDOW_CLOSED: 'window-closed',
+    LAYOUT_LOADED: 'layout-loaded'
+});
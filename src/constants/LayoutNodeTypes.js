@@ -0,0 +1,40 @@
+/**
+ * Description:
+ * Defines the node types of the layout tree, as reported and queried by the
+ * public layout API (LayoutApiService).
+ *
+ * Properties summary:
+ * - LayoutNodeType {object} : Enumeration of layout node identifiers (kebab-case).
+ *
+ * Typical usage:
+ * import { LayoutNodeType } from '../constants/LayoutNodeTypes.js';
+ *
+ * const viewports = layoutApi.findAll(LayoutNodeType.VIEWPORT);
+ *
+ * Business rules implemented:
+ * - Uses an immutable (frozen) object to prevent runtime modifications.
+ *
+ * Dependencies:
+ * - None
+ */
+
+/**
+ * Enumeration of the layout node types.
+ *
+ * @type {Readonly<{
+ * ROW: 'row',
+ * COLUMN: 'column',
+ * PANEL_GROUP: 'panel-group',
+ * PANEL: 'panel',
+ * VIEWPORT: 'viewport',
+ * WINDOW: 'window'
+ * }>}
+ */
+export const LayoutNodeType = Object.freeze({
+    ROW: 'row',
+    COLUMN: 'column',
+    PANEL_GROUP: 'panel-group',
+    PANEL: 'panel',
+    VIEWPORT: 'viewport',
+    WINDOW: 'window'
+});
@@ -0,0 +1,43 @@
+/**
+ * Description:
+ * Defines the scopes of the layout rules run by LayoutService: each scope is
+ * one kind of sibling list the rules decide on.
+ *
+ * Properties summary:
+ * - LayoutRuleScope {object} : Enumeration of layout rule scopes (kebab-case).
+ *
+ * Typical usage:
+ * import { LayoutRuleScope } from '../constants/LayoutRuleScopes.js';
+ *
+ * LayoutService.getInstance().registerRule({
+ *     id: 'first-column-fixed',
+ *     scope: LayoutRuleScope.COLUMNS,
+ *     order: 300,
+ *     apply: context => context.withoutResizeBar.add(context.items[0])
+ * });
+ *
+ * Business rules implemented:
+ * - ROWS: the Rows of the Container (EventTypes.LAYOUT_ROWS_CHANGED).
+ * - COLUMNS: the Columns of a Row (EventTypes.LAYOUT_COLUMNS_CHANGED).
+ * - CHILDREN: the PanelGroups, Viewports and nested Rows of a Column
+ * (EventTypes.LAYOUT_PANELGROUPS_CHANGED).
+ * - Uses an immutable (frozen) object to prevent runtime modifications.
+ *
+ * Dependencies:
+ * - None
+ */
+
+/**
+ * Enumeration of the layout rule scopes.
+ *
+ * @type {Readonly<{
+ * ROWS: 'rows',
+ * COLUMNS: 'columns',
+ * CHILDREN: 'children'
+ * }>}
+ */
+export const LayoutRuleScope = Object.freeze({
+    ROWS: 'rows',
+    COLUMNS: 'columns',
+    CHILDREN: 'children'
+});
@@ -0,0 +1,35 @@
+/**
+ * Description:
+ * Defines how docked rows, columns and panel groups are sized (the 'sizing'
+ * field of a serialized layout).
+ *
+ * Properties summary:
+ * - LayoutSizing {object} : Enumeration of the sizing modes.
+ *
+ * Typical usage:
+ * import { LayoutSizing } from '../constants/LayoutSizing.js';
+ *
+ * container.sizing = LayoutSizing.PROPORTIONAL;
+ *
+ * Business rules implemented:
+ * - FIXED: sizes are absolute pixels; the last visible child fills the rest.
+ * - PROPORTIONAL: sizes are ratios of the parent, so siblings keep their
+ * proportions when the window is resized.
+ * - Uses an immutable (frozen) object to prevent runtime modifications.
+ *
+ * Dependencies:
+ * - None
+ */
+
+/**
+ * Enumeration of the layout sizing modes.
+ *
+ * @type {Readonly<{
+ * FIXED: 'fixed',
+ * PROPORTIONAL: 'proportional'
+ * }>}
+ */
+export const LayoutSizing = Object.freeze({
+    FIXED: 'fixed',
+    PROPORTIONAL: 'proportional'
+});
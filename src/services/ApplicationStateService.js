@@ -1,25 +1,74 @@
+import { StorageAdapter } from './Storage/StorageAdapter.js';
+import { LocalStorageAdapter } from './Storage/LocalStorageAdapter.js';
+import { generateId } from '../utils/generateId.js';
+import {
+    compressJSON,
+    decompressJSON,
+    isCompressedJSON,
+    isCompressionSupported
+} from '../utils/JsonCompression.js';
+import { appBus } from '../utils/EventBus.js';
+import { EventTypes } from '../constants/EventTypes.js';
+
 /**
  * Description:
  * A Singleton service responsible for persisting and restoring the application
- * state (the layout workspace) to and from localStorage.
+ * state (the layout workspace). The actual storage backend is pluggable through
+ * a StorageAdapter (localStorage, IndexedDB, memory, HTTP/REST...).
  * It provides a fallback to load a default layout JSON if no saved
  * state is found or if the saved data is corrupt.
+ * It also keeps timestamped snapshots of any key (restore points), compresses
+ * large values and reports how much storage each key uses.
  *
  * Properties summary:
  * - _instance {ApplicationStateService | null} : The private static instance for the Singleton.
+ * - adapter {StorageAdapter} : The storage backend (LocalStorageAdapter by default).
+ * - defaultStateUrl {string} : URL of the default workspace JSON.
+ * - maxSnapshots {number} : Maximum number of snapshots kept per key.
+ * - compressionThreshold {number} : JSON length from which values are stored compressed.
+ * - _uncompressedDepth {number} : Nesting depth of 'writeUncompressed' calls.
+ * - _snapshotQueues {Map<string, Promise<void>>} : The pending snapshot list changes, by key.
+ * - SNAPSHOT_SEPARATOR {string} : Separates a key from its snapshot suffixes.
  *
  * Typical usage:
  * // In App.js
  * const stateService = ApplicationStateService.getInstance();
+ * stateService.adapter = new IndexedDBStorageAdapter();
  * const layout = await stateService.loadState('my_key');
  * await stateService.saveState('my_key', { layout: ... });
+ * const index = await stateService.readState('my_index'); // No default fallback
+ * const snapshot = await stateService.createSnapshot('my_key', data, { reason: 'manual' });
+ * const data = await stateService.readSnapshot('my_key', snapshot.id);
+ * const { used, quota, items } = await stateService.getStorageUsage();
+ * stateService.writeUncompressed(() => autosave.flush()); // on 'beforeunload'
+ *
+ * Events:
+ * - Emits: EventTypes.STORAGE_QUOTA_EXCEEDED ({ key }) when a write does not fit in the storage
  *
  * Business rules implemented:
- * - Loads state from localStorage, falling back to 'workspaces/default.json'.
- * - Saves state asynchronously (using setTimeout + Promise) to prevent UI blocking.
+ * - Loads state from the adapter, falling back to the default workspace JSON.
+ * - Exposes raw reads ('readState') for keys that must not fall back to the default.
+ * - Read failures (corrupted data, unreachable backend) are logged and read as null.
+ * - Write failures reject, so callers can notify the user.
+ * - Snapshots of a key are listed in '<key>::snapshots' (newest first) and
+ * stored in '<key>::snapshot:<id>'; beyond 'maxSnapshots' the oldest are dropped.
+ * Changes to the snapshots of one key run one at a time, so concurrent calls
+ * never overwrite each other's list.
+ * - Values whose JSON reaches 'compressionThreshold' are stored gzip-compressed
+ * (when the browser supports CompressionStream). A write refused for quota is
+ * retried compressed before failing. Reads decompress transparently.
+ * - Inside 'writeUncompressed', values are written as they are, so the adapter
+ * write starts in the same tick (compressing is asynchronous, and a page being
+ * unloaded may not wait for it). The quota retry still compresses.
  *
  * Dependencies:
- * - None (loads 'workspaces/default.json' via native fetch)
+ * - ./Storage/StorageAdapter.js
+ * - ./Storage/LocalStorageAdapter.js
+ * - ../utils/generateId.js
+ * - ../utils/JsonCompression.js
+ * - ../utils/EventBus.js
+ * - ../constants/EventTypes.js
+ * - (loads the default workspace via native fetch)
  */
 export class ApplicationStateService {
     /**
@@ -28,6 +77,62 @@ export class ApplicationStateService {
      */
     static _instance = null;
 
+    /**
+     * The storage backend.
+     *
+     * @type {StorageAdapter}
+     * @private
+     */
+    _adapter;
+
+    /**
+     * URL of the default workspace JSON.
+     *
+     * @type {string}
+     * @private
+     */
+    _defaultStateUrl = 'workspaces/default.json';
+
+    /**
+     * Separates a key from its snapshot suffixes.
+     *
+     * @type {string}
+     * @public
+     */
+    SNAPSHOT_SEPARATOR = '::';
+
+    /**
+     * Maximum number of snapshots kept per key.
+     *
+     * @type {number}
+     * @private
+     */
+    _maxSnapshots = 20;
+
+    /**
+     * The pending snapshot list changes, by key.
+     *
+     * @type {Map<string, Promise<void>>}
+     * @private
+     */
+    _snapshotQueues = new Map();
+
+    /**
+     * JSON length from which values are stored compressed.
+     *
+     * @type {number}
+     * @private
+     */
+    _compressionThreshold = 65536;
+
+    /**
+     * Nesting depth of 'writeUncompressed' calls.
+     *
+     * @type {number}
+     * @private
+     */
+    _uncompressedDepth = 0;
+
     /**
      * @private
      */
@@ -37,6 +142,7 @@ export class ApplicationStateService {
             return ApplicationStateService._instance;
         }
         ApplicationStateService._instance = this;
+        this._adapter = new LocalStorageAdapter();
     }
 
     /**
@@ -51,65 +157,427 @@ export class ApplicationStateService {
     }
 
     /**
-     * Loads and parses data from localStorage, or loads the default
-     * from 'workspaces/default.json' as a fallback.
-     * @param {string} key - The key to fetch from localStorage.
-     * @returns {Promise<object | null>} The parsed workspace object or null on failure.
+     * Adapter getter.
+     *
+     * @returns {StorageAdapter}
      */
-    async loadState(key) {
-        const saved = localStorage.getItem(key);
+    get adapter() {
+        return this._adapter;
+    }
 
-        if (saved) {
-            try {
-                return JSON.parse(saved);
-            } catch (e) {
-                console.error(
-                    'Failed to parse state from localStorage (corrupted data). Loading default.',
-                    e
-                );
-            }
+    /**
+     * Adapter setter with validation.
+     *
+     * @param {StorageAdapter} value
+     * @returns {void}
+     */
+    set adapter(value) {
+        if (!(value instanceof StorageAdapter)) {
+            console.warn(
+                `[ApplicationStateService] Invalid adapter assignment (${value}). Must be a StorageAdapter.`
+            );
+            return;
+        }
+        this._adapter = value;
+    }
+
+    /**
+     * Default state URL getter.
+     *
+     * @returns {string}
+     */
+    get defaultStateUrl() {
+        return this._defaultStateUrl;
+    }
+
+    /**
+     * Default state URL setter with validation.
+     *
+     * @param {string} value
+     * @returns {void}
+     */
+    set defaultStateUrl(value) {
+        if (typeof value !== 'string' || value.trim() === '') {
+            console.warn(
+                `[ApplicationStateService] Invalid defaultStateUrl assignment (${value}). Must be a non-empty string.`
+            );
+            return;
+        }
+        this._defaultStateUrl = value;
+    }
+
+    /**
+     * Max snapshots getter.
+     *
+     * @returns {number}
+     */
+    get maxSnapshots() {
+        return this._maxSnapshots;
+    }
+
+    /**
+     * Max snapshots setter with validation.
+     *
+     * @param {number} value
+     * @returns {void}
+     */
+    set maxSnapshots(value) {
+        if (!Number.isInteger(value) || value < 1) {
+            console.warn(
+                `[ApplicationStateService] Invalid maxSnapshots assignment (${value}). Must be a positive integer.`
+            );
+            return;
+        }
+        this._maxSnapshots = value;
+    }
+
+    /**
+     * Compression threshold getter.
+     *
+     * @returns {number}
+     */
+    get compressionThreshold() {
+        return this._compressionThreshold;
+    }
+
+    /**
+     * Compression threshold setter with validation. Use Infinity to only
+     * compress when the quota is exceeded.
+     *
+     * @param {number} value
+     * @returns {void}
+     */
+    set compressionThreshold(value) {
+        if (typeof value !== 'number' || Number.isNaN(value) || value < 0) {
+            console.warn(
+                `[ApplicationStateService] Invalid compressionThreshold assignment (${value}). Must be a non-negative number.`
+            );
+            return;
         }
+        this._compressionThreshold = value;
+    }
 
+    /**
+     * Reads data from the storage adapter without any fallback.
+     * @param {string} key - The key to read.
+     * @returns {Promise<object | null>} The stored object, or null if missing or unreadable.
+     */
+    async readState(key) {
+        const me = this;
+        try {
+            const value = await me._adapter.getItem(key);
+            return isCompressedJSON(value) ? await decompressJSON(value) : value;
+        } catch (e) {
+            console.error(`Failed to read state "${key}" from storage.`, e);
+            return null;
+        }
+    }
+
+    /**
+     * Loads the default workspace from the configured default state URL.
+     * @param {string} [url] - Another workspace JSON to load instead (e.g. a template).
+     * @returns {Promise<object | null>} The default workspace object or null on failure.
+     */
+    async loadDefaultState(url) {
+        const me = this;
+        const stateUrl = url || me._defaultStateUrl;
         try {
-            const response = await fetch('workspaces/default.json');
+            const response = await fetch(stateUrl);
 
             if (!response.ok) {
-                throw new Error(`Failed to fetch default.json: ${response.statusText}`);
+                throw new Error(`Failed to fetch ${stateUrl}: ${response.statusText}`);
             }
             const defaultWorkspace = await response.json();
             return defaultWorkspace;
         } catch (fetchError) {
-            console.error('Critical failure loading default workspace (default.json).', fetchError);
+            console.error(`Critical failure loading default workspace (${stateUrl}).`, fetchError);
             return null;
         }
     }
 
     /**
-     * Saves data to localStorage asynchronously and returns a Promise.
+     * Loads data from the storage adapter, or loads the default
+     * workspace JSON as a fallback.
+     * @param {string} key - The key to read.
+     * @returns {Promise<object | null>} The workspace object or null on failure.
+     */
+    async loadState(key) {
+        const me = this;
+        const saved = await me.readState(key);
+        if (saved) {
+            return saved;
+        }
+        return me.loadDefaultState();
+    }
+
+    /**
+     * Saves data through the storage adapter.
      * @param {string} key - The key to save under.
-     * @param {object} data - The state object to be stringified and saved.
+     * @param {object} data - The JSON-compatible state object.
      * @returns {Promise<void>} A promise that resolves when saving is complete or rejects on error.
      */
-    saveState(key, data) {
-        return new Promise((resolve, reject) => {
-            setTimeout(() => {
-                try {
-                    localStorage.setItem(key, JSON.stringify(data));
-                    resolve();
-                } catch (e) {
-                    console.error('Failed to save state to localStorage.', e);
-                    reject(e);
-                }
-            }, 0);
-        });
+    async saveState(key, data) {
+        const me = this;
+        const canCompress = isCompressionSupported();
+        const compress =
+            canCompress &&
+            me._uncompressedDepth === 0 &&
+            JSON.stringify(data).length >= me._compressionThreshold;
+        try {
+            await me._writeItem(key, data, compress);
+        } catch (e) {
+            if (!canCompress || compress || !me.isQuotaExceededError(e)) {
+                me._reportWriteError(key, e);
+                throw e;
+            }
+            try {
+                await me._writeItem(key, data, true);
+            } catch (retryError) {
+                me._reportWriteError(key, retryError);
+                throw retryError;
+            }
+        }
+    }
+
+    /**
+     * Runs a callback whose writes must start synchronously (e.g. a flush on
+     * 'beforeunload'): the values it saves are not compressed first.
+     * @param {Function} callback - Starts the writes.
+     * @returns {*} What the callback returns.
+     */
+    writeUncompressed(callback) {
+        const me = this;
+        me._uncompressedDepth++;
+        try {
+            return callback();
+        } finally {
+            me._uncompressedDepth--;
+        }
+    }
+
+    /**
+     * Tells whether an error means the storage is full.
+     * @param {*} error - The error thrown by a write.
+     * @returns {boolean}
+     */
+    isQuotaExceededError(error) {
+        return error?.name === 'QuotaExceededError' || error?.name === 'NS_ERROR_DOM_QUOTA_REACHED';
+    }
+
+    /**
+     * Measures the stored keys and the storage quota.
+     * Sizes are approximate byte counts of the stored JSON.
+     * @returns {Promise<{used: number, quota: number | null, items: Array<{key: string, size: number, compressed: boolean}>}>}
+     */
+    async getStorageUsage() {
+        const me = this;
+        const items = [];
+        for (const key of await me.listKeys()) {
+            try {
+                const value = await me._adapter.getItem(key);
+                const json = JSON.stringify(value) || '';
+                items.push({ key, size: json.length * 2, compressed: isCompressedJSON(value) });
+            } catch (e) {
+                console.warn(`Failed to measure state "${key}".`, e);
+            }
+        }
+
+        let estimate = null;
+        try {
+            estimate = await me._adapter.estimate();
+        } catch (e) {
+            console.warn('Failed to estimate the storage quota.', e);
+        }
+        const measured = items.reduce((total, item) => total + item.size, 0);
+        return {
+            used: estimate?.usage ?? measured,
+            quota: estimate?.quota ?? null,
+            items
+        };
     }
 
     /**
-     * Removes a key from localStorage.
+     * Removes a key from storage.
      * @param {string} key - The key to remove.
+     * @returns {Promise<void>}
+     */
+    async clearState(key) {
+        const me = this;
+        try {
+            await me._adapter.removeItem(key);
+        } catch (e) {
+            console.error(`Failed to remove state "${key}" from storage.`, e);
+        }
+    }
+
+    /**
+     * Stores a timestamped copy of some data as a snapshot of a key.
+     * @param {string} key - The key the snapshot belongs to.
+     * @param {object} data - The JSON-compatible data to keep.
+     * @param {object} [meta={}] - Extra fields stored in the snapshot list (label, reason...).
+     * @returns {Promise<{id: string, createdAt: number}>} The snapshot entry.
+     */
+    createSnapshot(key, data, meta = {}) {
+        const me = this;
+        return me._queueSnapshotChange(key, async () => {
+            const entry = { ...meta, id: generateId(), createdAt: Date.now() };
+            const entries = await me.listSnapshots(key);
+
+            await me.saveState(me._getSnapshotKey(key, entry.id), data);
+            entries.unshift(entry);
+            const dropped = entries.splice(me._maxSnapshots);
+            await me.saveState(me._getSnapshotListKey(key), entries);
+
+            for (const old of dropped) {
+                await me.clearState(me._getSnapshotKey(key, old.id));
+            }
+            return entry;
+        });
+    }
+
+    /**
+     * Lists the snapshots of a key, newest first.
+     * @param {string} key - The key the snapshots belong to.
+     * @returns {Promise<Array<{id: string, createdAt: number}>>}
+     */
+    async listSnapshots(key) {
+        const me = this;
+        const entries = await me.readState(me._getSnapshotListKey(key));
+        return Array.isArray(entries) ? entries : [];
+    }
+
+    /**
+     * Reads the data of a snapshot.
+     * @param {string} key - The key the snapshot belongs to.
+     * @param {string} snapshotId - The snapshot id.
+     * @returns {Promise<object | null>} The snapshot data, or null if missing.
+     */
+    async readSnapshot(key, snapshotId) {
+        const me = this;
+        return me.readState(me._getSnapshotKey(key, snapshotId));
+    }
+
+    /**
+     * Deletes one snapshot.
+     * @param {string} key - The key the snapshot belongs to.
+     * @param {string} snapshotId - The snapshot id.
+     * @returns {Promise<void>}
+     */
+    deleteSnapshot(key, snapshotId) {
+        const me = this;
+        return me._queueSnapshotChange(key, async () => {
+            const entries = await me.listSnapshots(key);
+            await me.saveState(
+                me._getSnapshotListKey(key),
+                entries.filter(entry => entry.id !== snapshotId)
+            );
+            await me.clearState(me._getSnapshotKey(key, snapshotId));
+        });
+    }
+
+    /**
+     * Deletes all snapshots of a key.
+     * @param {string} key - The key the snapshots belong to.
+     * @returns {Promise<void>}
+     */
+    clearSnapshots(key) {
+        const me = this;
+        return me._queueSnapshotChange(key, async () => {
+            const entries = await me.listSnapshots(key);
+            for (const entry of entries) {
+                await me.clearState(me._getSnapshotKey(key, entry.id));
+            }
+            await me.clearState(me._getSnapshotListKey(key));
+        });
+    }
+
+    /**
+     * Lists all keys in storage.
+     * @returns {Promise<Array<string>>}
+     */
+    async listKeys() {
+        const me = this;
+        try {
+            return await me._adapter.keys();
+        } catch (e) {
+            console.error('Failed to list storage keys.', e);
+            return [];
+        }
+    }
+
+    /**
+     * Writes a value through the adapter, compressed or not.
+     * @param {string} key
+     * @param {object} data
+     * @param {boolean} compress
+     * @private
+     * @returns {Promise<void>}
+     */
+    async _writeItem(key, data, compress) {
+        const me = this;
+        await me._adapter.setItem(key, compress ? await compressJSON(data) : data);
+    }
+
+    /**
+     * Logs a failed write and signals a full storage.
+     * @param {string} key
+     * @param {Error} error
+     * @private
      * @returns {void}
      */
-    clearState(key) {
-        localStorage.removeItem(key);
+    _reportWriteError(key, error) {
+        const me = this;
+        console.error(`Failed to save state "${key}" to storage.`, error);
+        if (me.isQuotaExceededError(error)) {
+            appBus.emit(EventTypes.STORAGE_QUOTA_EXCEEDED, { key });
+        }
+    }
+
+    /**
+     * Runs a change of the snapshots of a key once the previous changes of
+     * that key are done, whether they succeeded or not.
+     * @param {string} key - The key the snapshots belong to.
+     * @param {function(): Promise<*>} task - The change.
+     * @private
+     * @returns {Promise<*>} What the task resolves to.
+     */
+    _queueSnapshotChange(key, task) {
+        const me = this;
+        const previous = me._snapshotQueues.get(key) || Promise.resolve();
+        const result = previous.then(task);
+        const done = result.then(
+            () => {},
+            () => {}
+        );
+        me._snapshotQueues.set(key, done);
+        done.then(() => {
+            if (me._snapshotQueues.get(key) === done) {
+                me._snapshotQueues.delete(key);
+            }
+        });
+        return result;
+    }
+
+    /**
+     * Builds the storage key of the snapshot list of a key.
+     * @param {string} key
+     * @private
+     * @returns {string}
+     */
+    _getSnapshotListKey(key) {
+        const me = this;
+        return `${key}${me.SNAPSHOT_SEPARATOR}snapshots`;
+    }
+
+    /**
+     * Builds the storage key of one snapshot.
+     * @param {string} key
+     * @param {string} snapshotId
+     * @private
+     * @returns {string}
+     */
+    _getSnapshotKey(key, snapshotId) {
+        const me = this;
+        return `${key}${me.SNAPSHOT_SEPARATOR}snapshot:${snapshotId}`;
     }
 }
@@ -8,10 +8,14 @@ import { ItemType } from '../../constants/DNDTypes.js';
  * A DND strategy that defines drop behavior for 'column' type drop zones.
  * It handles rearranging PanelGroups and Viewports vertically within a Column, or
  * creating a new PanelGroup wrapper if a single Panel (tab) is dropped.
+ * Dropping near the left or right edge of a PanelGroup splits its area
+ * horizontally (see Column.splitChild), which nests Rows to any depth.
  *
  * Properties summary:
  * - _dropZoneCache {Array<object>} : Caches the geometry of child components.
  * - _dropIndex {number | null} : The calculated drop index.
+ * - _split {{child: PanelGroup, side: string} | null} : The pending split, if any.
+ * - _splitEdgeRatio {number} : Fraction of a group's width that acts as a split edge.
  *
  * Business rules implemented:
  * - Caches child (PanelGroup/Viewport) geometry on 'onDragEnter'.
@@ -21,7 +25,11 @@ import { ItemType } from '../../constants/DNDTypes.js';
  * its own original position.
  * - Validates drop zone strictly: The target MUST be the column element itself
  * or the placeholder. Hovering over children is considered an invalid drop
- * for the Column (allowing specific strategies of the child to take over).
+ * for the Column (allowing specific strategies of the child to take over),
+ * except over the left/right edge of a PanelGroup's content, which shows a
+ * 'split' placeholder over that half of the group.
+ * - Split "ghost" logic: a group cannot be split with itself, nor with its only panel.
+ * - On drop (split): Wraps the group in a nested Row and drops into the new column.
  * - On drop (PanelGroup): Moves the group to the new index using `addChild`.
  * - On drop (Panel): Creates a new PanelGroup wrapper at the index using `addChild`.
  * - Returns boolean indicating if the drop was handled.
@@ -50,6 +58,22 @@ export class ColumnDropStrategy extends BaseDropStrategy {
      */
     _dropIndex = null;
 
+    /**
+     * The pending split (the PanelGroup under the pointer and the side).
+     *
+     * @type {{child: PanelGroup, side: 'left' | 'right'} | null}
+     * @private
+     */
+    _split = null;
+
+    /**
+     * Fraction of a PanelGroup's width, on each side, that acts as a split edge.
+     *
+     * @type {number}
+     * @private
+     */
+    _splitEdgeRatio = 0.25;
+
     /**
      * Clears the internal geometry cache and drop index.
      *
@@ -59,6 +83,7 @@ export class ColumnDropStrategy extends BaseDropStrategy {
         const me = this;
         me._dropZoneCache = [];
         me._dropIndex = null;
+        me._split = null;
     }
 
     /**
@@ -123,13 +148,6 @@ export class ColumnDropStrategy extends BaseDropStrategy {
         const me = this;
         const placeholder = dds.getPlaceholder();
 
-        // Strict Target Check: Must be column or placeholder
-        if (point.target !== dropZone.element && point.target !== placeholder) {
-            dds.hidePlaceholder();
-            me._dropIndex = null;
-            return false;
-        }
-
         if (
             !draggedData.item ||
             (draggedData.type !== ItemType.PANEL_GROUP && draggedData.type !== ItemType.PANEL)
@@ -137,6 +155,22 @@ export class ColumnDropStrategy extends BaseDropStrategy {
             return false;
         }
 
+        // Split Check: Over the left/right edge of a PanelGroup
+        me._split = me._getSplitTarget(point, dropZone, draggedData);
+        if (me._split) {
+            dds.showPlaceholder(`split-${me._split.side}`);
+            me._split.child.element.appendChild(placeholder);
+            me._dropIndex = null;
+            return true;
+        }
+
+        // Strict Target Check: Must be column or placeholder
+        if (point.target !== dropZone.element && point.target !== placeholder) {
+            dds.hidePlaceholder();
+            me._dropIndex = null;
+            return false;
+        }
+
         let draggedItem;
         let isEffectiveGroupDrag = false;
 
@@ -204,7 +238,7 @@ export class ColumnDropStrategy extends BaseDropStrategy {
      */
     onDrop(point, dropZone, draggedData, dds) {
         const me = this;
-        const targetIndex = me._dropIndex;
+        const split = me._split;
 
         if (
             !draggedData.item ||
@@ -227,7 +261,7 @@ export class ColumnDropStrategy extends BaseDropStrategy {
             }
         }
 
-        if (targetIndex === null) {
+        if (me._dropIndex === null && !split) {
             // If valid drag but invalid index (ghost logic), force layout update to reset visuals
             const itemToUpdate =
                 draggedData.type === ItemType.PANEL_GROUP
@@ -244,6 +278,12 @@ export class ColumnDropStrategy extends BaseDropStrategy {
             return false;
         }
 
+        const targetColumn = split ? dropZone.splitChild(split.child, split.side) : dropZone;
+        const targetIndex = split ? null : me._dropIndex;
+        if (!targetColumn) {
+            return false;
+        }
+
         if (draggedData.type === ItemType.PANEL_GROUP) {
             const draggedItem = draggedData.item;
             const oldColumn =
@@ -257,14 +297,14 @@ export class ColumnDropStrategy extends BaseDropStrategy {
             if (oldColumn) {
                 oldColumn.removeChild(draggedItem, true);
             }
-            dropZone.addChild(draggedItem, targetIndex);
+            targetColumn.addChild(draggedItem, targetIndex);
         } else if (draggedData.type === ItemType.PANEL) {
             const draggedPanel = draggedData.item;
             const sourceParentGroup = draggedPanel.parentGroup;
 
             // Create new wrapper
             const newPanelGroup = new PanelGroup();
-            dropZone.addChild(newPanelGroup, targetIndex);
+            targetColumn.addChild(newPanelGroup, targetIndex);
 
             if (sourceParentGroup) {
                 sourceParentGroup.removePanel(draggedPanel, true);
@@ -274,4 +314,46 @@ export class ColumnDropStrategy extends BaseDropStrategy {
 
         return true;
     }
+    /**
+     * Finds the PanelGroup whose left/right edge is under the pointer.
+     * Only direct children are considered: deeper groups belong to nested
+     * Columns, which are drop zones of their own.
+     *
+     * @param {{x: number, y: number, target: HTMLElement}} point
+     * @param {import('../../components/Column/Column.js').Column} dropZone
+     * @param {{item: object, type: string}} draggedData
+     * @private
+     * @returns {{child: PanelGroup, side: 'left' | 'right'} | null}
+     */
+    _getSplitTarget(point, dropZone, draggedData) {
+        const me = this;
+        const child = dropZone.children.find(
+            candidate => candidate instanceof PanelGroup && candidate.element.contains(point.target)
+        );
+        if (!child) {
+            return null;
+        }
+
+        // Ghost logic: a group cannot be split with itself (or with its only panel)
+        if (draggedData.type === ItemType.PANEL_GROUP && draggedData.item === child) {
+            return null;
+        }
+        if (
+            draggedData.type === ItemType.PANEL &&
+            draggedData.item.parentGroup === child &&
+            child.panels.length === 1
+        ) {
+            return null;
+        }
+
+        const rect = child.element.getBoundingClientRect();
+        const edge = rect.width * me._splitEdgeRatio;
+        if (point.x < rect.left + edge) {
+            return { child, side: 'left' };
+        }
+        if (point.x > rect.right - edge) {
+            return { child, side: 'right' };
+        }
+        return null;
+    }
 }
@@ -49,6 +49,7 @@ import { EventTypes } from '../../constants/EventTypes.js';
  * - Applies constraints to panel movement via GhostManager updates.
  * - Centralizes magic strings using DNDTypes constants.
  * - Supports ApplicationWindow constraints relative to their Viewport.
+ * - Drop zones inside regions locked for 'move' are ignored.
  *
  * Dependencies:
  * - ../../utils/EventBus.js
@@ -307,7 +308,8 @@ export class DragDropService {
      * Description:
      * Shows the visual placeholder in the specified mode.
      *
-     * @param {'horizontal' | 'vertical'} mode - The orientation of the placeholder.
+     * @param {'horizontal' | 'vertical' | 'split-left' | 'split-right'} mode - The orientation of the placeholder
+     * ('split-*' overlays half of a PanelGroup, see ColumnDropStrategy).
      * @param {number|null} [dimension=null] - Optional dimension hint.
      * @returns {void}
      */
@@ -323,6 +325,8 @@ export class DragDropService {
             me._placeholder.classList.add('container__placeholder--horizontal');
         } else if (mode === 'vertical') {
             me._placeholder.classList.add('container__placeholder--vertical');
+        } else if (mode === 'split-left' || mode === 'split-right') {
+            me._placeholder.classList.add(`container__placeholder--${mode}`);
         }
 
         me._placeholderMode = mode;
@@ -514,8 +518,7 @@ export class DragDropService {
         // 3. Hit Test
         // Important: Ghost element must have pointer-events: none (handled in GhostManager)
         const targetBelow = document.elementFromPoint(clientX, clientY);
-        const dropZoneElement = targetBelow ? targetBelow.closest('[data-dropzone]') : null;
-        const newDropZoneInstance = dropZoneElement ? dropZoneElement.dropZoneInstance : null;
+        const newDropZoneInstance = me._findDropZone(targetBelow);
 
         // 4. Handle Zone Transitions (Leave/Enter)
         if (newDropZoneInstance !== me._activeDropZone) {
@@ -550,6 +553,23 @@ export class DragDropService {
         me.hidePlaceholder();
     }
 
+    /**
+     * Description:
+     * Finds the drop zone under a target element. Zones inside a region whose
+     * policy forbids 'move' (see LayoutLockService) do not accept drops.
+     *
+     * @param {Element | null} target - The element under the pointer.
+     * @private
+     * @returns {object | null} The DropZone instance, or null.
+     */
+    _findDropZone(target) {
+        const dropZoneElement = target ? target.closest('[data-dropzone]') : null;
+        if (!dropZoneElement || dropZoneElement.closest('.layout-policy--no-move')) {
+            return null;
+        }
+        return dropZoneElement.dropZoneInstance || null;
+    }
+
     /**
      * Description:
      * Handles global pointerup event.
@@ -574,8 +594,7 @@ export class DragDropService {
 
         // Attempt drop on active zone
         if (me._activeDropZone && targetBelow) {
-            const dropZoneElement = targetBelow.closest('[data-dropzone]');
-            const dropZoneInstance = dropZoneElement ? dropZoneElement.dropZoneInstance : null;
+            const dropZoneInstance = me._findDropZone(targetBelow);
 
             if (dropZoneInstance === me._activeDropZone) {
                 const strategy = me._strategyRegistry.get(dropZoneInstance.dropZoneType);
@@ -1,6 +1,14 @@
 import { PanelGroup } from '../../components/Panel/PanelGroup.js';
 import { appBus } from '../../utils/EventBus.js';
 import { EventTypes } from '../../constants/EventTypes.js';
+import { LayoutLockService } from '../LayoutLockService.js';
+import {
+    emitLayoutChange,
+    markLayoutOrigin,
+    suppressLayoutChanges,
+    takeLayoutOrigin
+} from '../../utils/layoutChange.js';
+import { LayoutChangeType } from '../../constants/LayoutChangeTypes.js';
 
 /**
  * Description:
@@ -11,6 +19,7 @@ import { EventTypes } from '../../constants/EventTypes.js';
  * - _instance {FloatingPanelManagerService} : The singleton instance.
  * - _container {HTMLElement} : The DOM element that floating panels are relative to.
  * - _floatingPanels {Array<PanelGroup>} : Tracks all active floating panels.
+ * - floatingPanels {Array<PanelGroup>} : Public getter for the floating panels.
  * - _baseZIndex {number} : The starting z-index for floating panels.
  * - _zIndexCounter {number} : The incrementing z-index counter.
  * - _namespace {string} : Unique namespace for appBus listeners.
@@ -30,11 +39,21 @@ import { EventTypes } from '../../constants/EventTypes.js';
  *
  * Events:
  * - Listens to: EventTypes.PANEL_GROUP_REMOVED, EventTypes.APP_UNDOCK_PANEL_REQUEST
+ * - Emits: EventTypes.LAYOUT_CHANGE (LayoutChangeType.GROUP_FLOATED when a group
+ * joins the floating layer)
+ *
+ * Business rules implemented:
+ * - Undock requests are ignored when LayoutLockService forbids moving the panel.
+ * - A group leaving the floating layer is remembered, so the Column docking it
+ * reports LayoutChangeType.GROUP_DOCKED. Clearing all reports nothing.
  *
  * Dependencies:
  * - {import('../../components/Panel/PanelGroup.js').PanelGroup}
  * - {import('../../utils/EventBus.js').appBus}
  * - {import('../../constants/EventTypes.js').EventTypes}
+ * - {import('../LayoutLockService.js').LayoutLockService}
+ * - {import('../../utils/layoutChange.js').emitLayoutChange}
+ * - {import('../../constants/LayoutChangeTypes.js').LayoutChangeType}
  */
 export class FloatingPanelManagerService {
     /**
@@ -157,6 +176,15 @@ export class FloatingPanelManagerService {
         return this._container;
     }
 
+    /**
+     * FloatingPanels getter.
+     *
+     * @returns {Array<import('../../components/Panel/PanelGroup.js').PanelGroup>} The active floating panel groups.
+     */
+    get floatingPanels() {
+        return this._floatingPanels;
+    }
+
     /**
      * Description:
      * Destroys all currently active floating panels and clears the manager.
@@ -167,11 +195,13 @@ export class FloatingPanelManagerService {
     clearAll() {
         const me = this;
         const panelsToClose = [...me._floatingPanels];
-        panelsToClose.forEach(panelGroup => {
-            if (panelGroup && typeof panelGroup.close === 'function') {
-                panelGroup.close();
-            }
-        });
+        suppressLayoutChanges(() =>
+            panelsToClose.forEach(panelGroup => {
+                if (panelGroup && typeof panelGroup.close === 'function') {
+                    panelGroup.close();
+                }
+            })
+        );
 
         me._floatingPanels = [];
         me._zIndexCounter = me._baseZIndex;
@@ -241,6 +271,14 @@ export class FloatingPanelManagerService {
 
         if (!me._floatingPanels.includes(panelGroup)) {
             me._floatingPanels.push(panelGroup);
+            const origin = takeLayoutOrigin(panelGroup);
+            emitLayoutChange(LayoutChangeType.GROUP_FLOATED, {
+                groupId: panelGroup.id,
+                sourceColumnId: origin?.columnId ?? null,
+                sourceIndex: origin?.index ?? null,
+                x,
+                y
+            });
         }
 
         me._normalizeZIndexes();
@@ -262,6 +300,7 @@ export class FloatingPanelManagerService {
         const index = me._floatingPanels.indexOf(panelGroup);
         if (index > -1) {
             me._floatingPanels.splice(index, 1);
+            markLayoutOrigin(panelGroup, { floating: true });
         }
 
         panelGroup.setFloatingState(false, null, null);
@@ -339,7 +378,7 @@ export class FloatingPanelManagerService {
     _onUndockRequest(contextData) {
         const me = this;
         const { panel, group, nativeEvent } = contextData;
-        if (!panel || !group) {
+        if (!panel || !group || !LayoutLockService.getInstance().isAllowed('move', panel)) {
             return;
         }
 
@@ -0,0 +1,506 @@
+import { Column } from '../components/Column/Column.js';
+import { Container } from '../components/Container/Container.js';
+import { Panel } from '../components/Panel/Panel.js';
+import { PanelGroup } from '../components/Panel/PanelGroup.js';
+import { Row } from '../components/Row/Row.js';
+import { ApplicationWindow } from '../components/Viewport/ApplicationWindow.js';
+import { Viewport } from '../components/Viewport/Viewport.js';
+import { FloatingPanelManagerService } from './DND/FloatingPanelManagerService.js';
+import { appBus } from '../utils/EventBus.js';
+import { EventTypes } from '../constants/EventTypes.js';
+import { LayoutNodeType } from '../constants/LayoutNodeTypes.js';
+
+/**
+ * Description:
+ * A Singleton exposing the public layout API: app code uses it to query and
+ * rearrange the layout tree (rows, columns, panel groups, panels, viewports
+ * and windows) without walking 'container.rows' by hand or calling
+ * component internals.
+ *
+ * Properties summary:
+ * - _instance {LayoutApiService | null} : The private static instance for the Singleton.
+ * - container {Container | null} : The root Container the API works on.
+ *
+ * Typical usage:
+ * const layout = LayoutApiService.getInstance();
+ * layout.registerContainer(app.container);
+ * const panel = layout.findById('notes');
+ * const [viewport] = layout.findAll(LayoutNodeType.VIEWPORT);
+ * layout.movePanel(panel, otherGroup, 0);
+ * const group = layout.splitGroup(otherGroup, 'right', new TextPanel('Log'));
+ * layout.floatGroup(group, 40, 40);
+ * layout.distribute(group.getColumn().parentContainer);
+ *
+ * Events:
+ * - Emits (through the components): EventTypes.LAYOUT_ROWS_CHANGED,
+ * EventTypes.LAYOUT_COLUMNS_CHANGED, EventTypes.LAYOUT_PANELGROUPS_CHANGED and
+ * the typed EventTypes.LAYOUT_CHANGE
+ * - Emits: EventTypes.LAYOUT_RESIZED (after changing floating groups, which
+ * have no column to notify)
+ *
+ * Business rules implemented:
+ * - The tree is walked depth-first: docked rows first (descending into nested
+ * Rows), then floating groups. Node types are LayoutNodeType values.
+ * - Every change goes through the components' own methods (createRow,
+ * splitChild, addChild, addPanel...), so LayoutService keeps applying its
+ * fill-space and collapse rules, and autosave / history see the change.
+ * - Invalid calls warn and return null / false; the layout is left untouched.
+ * - The API is meant for app code: it ignores the layout lock and region
+ * policies, which only restrict the user (see LayoutLockService).
+ * - Rows and columns are created empty (a new row gets one empty column):
+ * fill them, since empty ones are dropped when the layout is loaded again.
+ *
+ * Dependencies:
+ * - ../components/Column/Column.js
+ * - ../components/Container/Container.js
+ * - ../components/Panel/Panel.js
+ * - ../components/Panel/PanelGroup.js
+ * - ../components/Row/Row.js
+ * - ../components/Viewport/ApplicationWindow.js
+ * - ../components/Viewport/Viewport.js
+ * - ./DND/FloatingPanelManagerService.js
+ * - ../utils/EventBus.js
+ * - ../constants/EventTypes.js
+ * - ../constants/LayoutNodeTypes.js
+ */
+export class LayoutApiService {
+    /**
+     * @type {LayoutApiService | null}
+     * @private
+     */
+    static _instance = null;
+
+    /**
+     * The root Container the API works on.
+     *
+     * @type {Container | null}
+     * @private
+     */
+    _container = null;
+
+    /**
+     * @private
+     */
+    constructor() {
+        if (LayoutApiService._instance) {
+            console.warn('LayoutApiService instance already exists. Use getInstance().');
+            return LayoutApiService._instance;
+        }
+        LayoutApiService._instance = this;
+    }
+
+    /**
+     * Gets the single instance of the LayoutApiService.
+     *
+     * @returns {LayoutApiService}
+     */
+    static getInstance() {
+        if (!LayoutApiService._instance) {
+            LayoutApiService._instance = new LayoutApiService();
+        }
+        return LayoutApiService._instance;
+    }
+
+    /**
+     * Container getter.
+     *
+     * @returns {Container | null}
+     */
+    get container() {
+        return this._container;
+    }
+
+    /**
+     * Sets the root Container the API works on.
+     *
+     * @param {Container} container
+     * @returns {void}
+     */
+    registerContainer(container) {
+        const me = this;
+        if (!(container instanceof Container)) {
+            console.warn(
+                `[LayoutApiService] Invalid container assignment (${container}). Must be a Container.`
+            );
+            return;
+        }
+        me._container = container;
+    }
+
+    /**
+     * Tells the type of a layout node.
+     *
+     * @param {object} node
+     * @returns {string | null} A LayoutNodeType value, or null for anything else.
+     */
+    getNodeType(node) {
+        if (node instanceof Row) return LayoutNodeType.ROW;
+        if (node instanceof Column) return LayoutNodeType.COLUMN;
+        if (node instanceof PanelGroup) return LayoutNodeType.PANEL_GROUP;
+        if (node instanceof Panel) return LayoutNodeType.PANEL;
+        if (node instanceof Viewport) return LayoutNodeType.VIEWPORT;
+        if (node instanceof ApplicationWindow) return LayoutNodeType.WINDOW;
+        return null;
+    }
+
+    /**
+     * Returns the child nodes of a layout node.
+     *
+     * @param {object} node - The Container or any layout node.
+     * @returns {Array<object>}
+     */
+    getChildren(node) {
+        if (node instanceof Container) return [...node.rows];
+        if (node instanceof Row) return [...node.columns];
+        if (node instanceof Column) return [...node.children];
+        if (node instanceof PanelGroup) return [...node.panels];
+        if (node instanceof Viewport) return [...node.windows];
+        return [];
+    }
+
+    /**
+     * Visits every node of the layout, depth-first: docked rows, then floating groups.
+     * Returning false from the callback stops the walk.
+     *
+     * @param {function(object, object | null, number): (boolean | void)} callback - Receives (node, parent, depth).
+     * @returns {void}
+     */
+    walk(callback) {
+        const me = this;
+        if (!me._container) {
+            console.warn('[LayoutApiService] No container registered.');
+            return;
+        }
+
+        const visit = (node, parent, depth) => {
+            if (callback(node, parent, depth) === false) {
+                return false;
+            }
+            return me.getChildren(node).every(child => visit(child, node, depth + 1));
+        };
+
+        const roots = [
+            ...me._container.rows.map(row => [row, me._container]),
+            ...FloatingPanelManagerService.getInstance().floatingPanels.map(group => [group, null])
+        ];
+        roots.every(([node, parent]) => visit(node, parent, 0));
+    }
+
+    /**
+     * Finds a node by its id (panel and window ids are the persisted ones).
+     *
+     * @param {string} id
+     * @returns {object | null}
+     */
+    findById(id) {
+        const me = this;
+        let found = null;
+        me.walk(node => {
+            if (node.id === id) {
+                found = node;
+                return false;
+            }
+            return true;
+        });
+        return found;
+    }
+
+    /**
+     * Finds every node of a type, in walk order.
+     *
+     * @param {string} type - A LayoutNodeType value.
+     * @returns {Array<object>}
+     */
+    findAll(type) {
+        const me = this;
+        const found = [];
+        me.walk(node => {
+            if (me.getNodeType(node) === type) {
+                found.push(node);
+            }
+        });
+        return found;
+    }
+
+    /**
+     * Finds the parent of a node (the Container for root rows, null for
+     * floating groups and unknown nodes).
+     *
+     * @param {object} node
+     * @returns {object | null}
+     */
+    getParent(node) {
+        const me = this;
+        let parentNode = null;
+        me.walk((current, parent) => {
+            if (current === node) {
+                parentNode = parent;
+                return false;
+            }
+            return true;
+        });
+        return parentNode;
+    }
+
+    /**
+     * Moves a panel to a group (docked or floating), at a tab index.
+     * A source group left empty closes as usual.
+     *
+     * @param {Panel} panel
+     * @param {PanelGroup} targetGroup
+     * @param {number | null} [index=null] - The tab index (null appends).
+     * @returns {boolean} Whether the panel was moved.
+     */
+    movePanel(panel, targetGroup, index = null) {
+        const me = this;
+        if (!(panel instanceof Panel) || !(targetGroup instanceof PanelGroup)) {
+            console.warn('[LayoutApiService] movePanel requires a Panel and a PanelGroup.');
+            return false;
+        }
+
+        const sourceGroup = panel.parentGroup;
+        if (sourceGroup === targetGroup) {
+            targetGroup.movePanel(panel, index === null ? targetGroup.panels.length : index);
+        } else {
+            sourceGroup?.removePanel(panel, true);
+            targetGroup.addPanel(panel, index, true);
+        }
+
+        me._notifyGroupChanged(targetGroup);
+        if (sourceGroup && sourceGroup !== targetGroup && sourceGroup.panels.length > 0) {
+            me._notifyGroupChanged(sourceGroup);
+        }
+        return true;
+    }
+
+    /**
+     * Splits the area of a docked group and puts a panel or a group on one side.
+     * Left / right wrap the group in a nested Row; top / bottom insert above or below it.
+     *
+     * @param {PanelGroup} group - The docked group to split.
+     * @param {'left' | 'right' | 'top' | 'bottom'} side - Where the new content goes.
+     * @param {Panel | PanelGroup} content - A panel (wrapped in a new group) or a group, moved from where it is.
+     * @returns {PanelGroup | null} The group placed on that side.
+     */
+    splitGroup(group, side, content) {
+        const me = this;
+        const column = group instanceof PanelGroup ? group.getColumn() : null;
+        if (!column || !['left', 'right', 'top', 'bottom'].includes(side)) {
+            console.warn(
+                `[LayoutApiService] splitGroup requires a docked PanelGroup and a side (${side}).`
+            );
+            return null;
+        }
+        if (
+            content === group ||
+            (content instanceof Panel && content.parentGroup === group && group.panels.length === 1)
+        ) {
+            console.warn('[LayoutApiService] A group cannot be split with itself.');
+            return null;
+        }
+
+        const newGroup = me._takeGroup(content);
+        if (!newGroup) {
+            console.warn('[LayoutApiService] splitGroup requires a Panel or a PanelGroup.');
+            return null;
+        }
+
+        if (side === 'left' || side === 'right') {
+            column.splitChild(group, side).addChild(newGroup);
+        } else {
+            const index = column.getChildIndex(group);
+            column.addChild(newGroup, side === 'top' ? index : index + 1);
+        }
+        return newGroup;
+    }
+
+    /**
+     * Undocks a group (or re-positions a floating one).
+     *
+     * @param {PanelGroup} group
+     * @param {number} [x=0] - X coordinate, relative to the container.
+     * @param {number} [y=0] - Y coordinate, relative to the container.
+     * @returns {boolean} Whether the group is floating.
+     */
+    floatGroup(group, x = 0, y = 0) {
+        const me = this;
+        if (!(group instanceof PanelGroup)) {
+            console.warn('[LayoutApiService] floatGroup requires a PanelGroup.');
+            return false;
+        }
+
+        const fpms = FloatingPanelManagerService.getInstance();
+        if (!fpms.container) {
+            console.warn('[LayoutApiService] floatGroup: no floating container registered.');
+            return false;
+        }
+        group.getColumn()?.removeChild(group, true);
+        fpms.addFloatingPanel(group, x, y);
+
+        const constrained = fpms.updatePanelPosition(group, x, y, fpms.getContainerBounds());
+        group.setFloatingState(true, constrained.x, constrained.y);
+        me._notifyGroupChanged(group);
+        return true;
+    }
+
+    /**
+     * Docks a group (floating or docked elsewhere) into a column.
+     *
+     * @param {PanelGroup} group
+     * @param {Column} column - The target column.
+     * @param {number | null} [index=null] - The child index (null appends).
+     * @returns {boolean} Whether the group was docked.
+     */
+    dockGroup(group, column, index = null) {
+        if (!(group instanceof PanelGroup) || !(column instanceof Column)) {
+            console.warn('[LayoutApiService] dockGroup requires a PanelGroup and a Column.');
+            return false;
+        }
+
+        if (group.isFloating) {
+            FloatingPanelManagerService.getInstance().removeFloatingPanel(group);
+        } else {
+            const oldColumn = group.getColumn();
+            // Moving inside the same column must not empty (and delete) it
+            oldColumn?.removeChild(group, oldColumn !== column);
+        }
+        column.addChild(group, index);
+        return true;
+    }
+
+    /**
+     * Creates a row (with one empty column) in the Container or, nested, in a Column.
+     *
+     * @param {Container | Column | null} [parent=null] - The parent (null for the root Container).
+     * @param {number | null} [index=null] - The index to insert at.
+     * @param {number | null} [height=null] - The initial height.
+     * @returns {Row | null}
+     */
+    createRow(parent = null, index = null, height = null) {
+        const me = this;
+        const target = parent || me._container;
+        if (!(target instanceof Container) && !(target instanceof Column)) {
+            console.warn('[LayoutApiService] createRow requires a Container or a Column.');
+            return null;
+        }
+
+        const row = target.createRow(height, index);
+        // Creates the first column
+        row.getFirstColumn();
+        return row;
+    }
+
+    /**
+     * Creates an empty column in a row.
+     *
+     * @param {Row} row
+     * @param {number | null} [index=null] - The index to insert at.
+     * @param {number | null} [width=null] - The initial width.
+     * @returns {Column | null}
+     */
+    createColumn(row, index = null, width = null) {
+        if (!(row instanceof Row)) {
+            console.warn('[LayoutApiService] createColumn requires a Row.');
+            return null;
+        }
+        return row.createColumn(width, index);
+    }
+
+    /**
+     * Deletes a row and everything in it.
+     *
+     * @param {Row} row
+     * @returns {boolean} Whether the row was deleted.
+     */
+    deleteRow(row) {
+        const parent = row instanceof Row ? row.parentContainer : null;
+        if (parent instanceof Container) {
+            parent.deleteRow(row);
+            return true;
+        }
+        if (parent instanceof Column) {
+            parent.removeChild(row, true);
+            row.destroy();
+            return true;
+        }
+        console.warn('[LayoutApiService] deleteRow requires a Row in the layout.');
+        return false;
+    }
+
+    /**
+     * Deletes a column and everything in it. A row left empty is deleted too.
+     *
+     * @param {Column} column
+     * @returns {boolean} Whether the column was deleted.
+     */
+    deleteColumn(column) {
+        const row = column instanceof Column ? column.parentContainer : null;
+        if (!(row instanceof Row)) {
+            console.warn('[LayoutApiService] deleteColumn requires a Column in the layout.');
+            return false;
+        }
+        // Same clean-up as a column emptied by the user
+        row.onColumnEmpty(column);
+        return true;
+    }
+
+    /**
+     * Distributes space evenly: the columns of a Row, the uncollapsed panel
+     * groups of a Column, or the uncollapsed rows of the Container.
+     *
+     * @param {Container | Row | Column} node
+     * @returns {boolean} Whether the sizes were changed.
+     */
+    distribute(node) {
+        if (node instanceof Row) {
+            return node.distributeColumns();
+        }
+        if (node instanceof Column) {
+            return node.distributePanelGroups();
+        }
+        if (node instanceof Container) {
+            return node.equalizeRows(node.getRows());
+        }
+        console.warn('[LayoutApiService] distribute requires a Container, a Row or a Column.');
+        return false;
+    }
+
+    /**
+     * Detaches a group from where it is (or wraps a panel in a new group).
+     *
+     * @param {Panel | PanelGroup} content
+     * @private
+     * @returns {PanelGroup | null}
+     */
+    _takeGroup(content) {
+        if (content instanceof Panel) {
+            content.parentGroup?.removePanel(content, true);
+            return new PanelGroup(content);
+        }
+        if (content instanceof PanelGroup) {
+            if (content.isFloating) {
+                FloatingPanelManagerService.getInstance().removeFloatingPanel(content);
+            } else {
+                content.getColumn()?.removeChild(content, true);
+            }
+            return content;
+        }
+        return null;
+    }
+
+    /**
+     * Fires the layout event of a group: its column's update when docked,
+     * EventTypes.LAYOUT_RESIZED when floating.
+     *
+     * @param {PanelGroup} group
+     * @private
+     * @returns {void}
+     */
+    _notifyGroupChanged(group) {
+        if (group.isFloating) {
+            appBus.emit(EventTypes.LAYOUT_RESIZED, group);
+        } else {
+            group.requestLayoutUpdate();
+        }
+    }
+}
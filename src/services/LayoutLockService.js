@@ -0,0 +1,206 @@
+import { appBus } from '../utils/EventBus.js';
+import { EventTypes } from '../constants/EventTypes.js';
+
+/**
+ * Actions a layout policy can forbid.
+ *
+ * @type {ReadonlyArray<string>}
+ */
+const POLICY_ACTIONS = Object.freeze(['resize', 'move', 'close']);
+
+/**
+ * Description:
+ * A Singleton service that freezes the layout. It holds the global lock
+ * (kiosk / demo mode) and answers whether a component may be resized, moved
+ * or closed, combining the lock with the per-region policies stored on Rows,
+ * Columns and PanelGroups (the 'policy' field of the workspace JSON).
+ *
+ * Properties summary:
+ * - _instance {LayoutLockService | null} : The private static instance for the Singleton.
+ * - _locked {boolean} : Whether the whole layout is locked.
+ *
+ * Typical usage:
+ * const lock = LayoutLockService.getInstance();
+ * lock.locked = true;
+ * if (lock.isAllowed('close', panelGroup)) { ... }
+ *
+ * // In a workspace JSON row, column or panel group:
+ * // "policy": { "resize": false, "move": false, "close": false } or { "locked": true }
+ *
+ * Events:
+ * - Emits (appBus): EventTypes.LAYOUT_LOCK_CHANGED ({ locked })
+ *
+ * Business rules implemented:
+ * - Actions are 'resize' (resize bars), 'move' (drags, drops and undocking)
+ * and 'close' (closing tabs and groups).
+ * - A policy forbids an action with '<action>: false'; 'locked: true' forbids all.
+ * Missing flags allow the action.
+ * - Policies are inherited: an action is allowed only if the component and
+ * every ancestor (Panel -> PanelGroup -> Column -> Row) allow it.
+ * - The global lock forbids every action, whatever the policies say.
+ * - While locked, the body carries the 'layout--locked' class.
+ *
+ * Dependencies:
+ * - ../utils/EventBus.js
+ * - ../constants/EventTypes.js
+ */
+export class LayoutLockService {
+    /**
+     * @type {LayoutLockService | null}
+     * @private
+     */
+    static _instance = null;
+
+    /**
+     * Whether the whole layout is locked.
+     *
+     * @type {boolean}
+     * @private
+     */
+    _locked = false;
+
+    /**
+     * @private
+     */
+    constructor() {
+        if (LayoutLockService._instance) {
+            console.warn('LayoutLockService instance already exists. Use getInstance().');
+            return LayoutLockService._instance;
+        }
+        LayoutLockService._instance = this;
+    }
+
+    /**
+     * Gets the single instance of the LayoutLockService.
+     *
+     * @returns {LayoutLockService}
+     */
+    static getInstance() {
+        if (!LayoutLockService._instance) {
+            LayoutLockService._instance = new LayoutLockService();
+        }
+        return LayoutLockService._instance;
+    }
+
+    /**
+     * Locked getter.
+     *
+     * @returns {boolean}
+     */
+    get locked() {
+        return this._locked;
+    }
+
+    /**
+     * Locked setter with validation. Updates the body class and notifies listeners.
+     *
+     * @param {boolean} value
+     * @returns {void}
+     */
+    set locked(value) {
+        const me = this;
+        if (typeof value !== 'boolean') {
+            console.warn(
+                `[LayoutLockService] Invalid locked assignment (${value}). Must be boolean. Keeping previous value: ${me._locked}`
+            );
+            return;
+        }
+        if (value === me._locked) {
+            return;
+        }
+        me._locked = value;
+        document.body.classList.toggle('layout--locked', value);
+        appBus.emit(EventTypes.LAYOUT_LOCK_CHANGED, { locked: value });
+    }
+
+    /**
+     * Toggles the global lock.
+     *
+     * @returns {boolean} The new lock state.
+     */
+    toggle() {
+        const me = this;
+        me.locked = !me.locked;
+        return me.locked;
+    }
+
+    /**
+     * Returns a clean copy of a policy: only boolean flags are kept, and
+     * 'locked: true' is expanded into every action.
+     *
+     * @param {object | null | undefined} policy
+     * @returns {{resize?: boolean, move?: boolean, close?: boolean}}
+     */
+    normalizePolicy(policy) {
+        const normalized = {};
+        if (!policy || typeof policy !== 'object') {
+            return normalized;
+        }
+        POLICY_ACTIONS.forEach(action => {
+            if (policy.locked === true) {
+                normalized[action] = false;
+            } else if (typeof policy[action] === 'boolean') {
+                normalized[action] = policy[action];
+            }
+        });
+        return normalized;
+    }
+
+    /**
+     * Reflects a component's own policy on its element
+     * ('layout-policy--no-resize', '--no-move', '--no-close'), so CSS can hide
+     * the controls of a locked region.
+     *
+     * @param {HTMLElement} element
+     * @param {object | null} policy
+     * @returns {void}
+     */
+    applyPolicyClasses(element, policy) {
+        const me = this;
+        const normalized = me.normalizePolicy(policy);
+        POLICY_ACTIONS.forEach(action => {
+            element.classList.toggle(`layout-policy--no-${action}`, normalized[action] === false);
+        });
+    }
+
+    /**
+     * Tells whether an action is allowed on a component, given the global
+     * lock and the policies of the component and its ancestors.
+     *
+     * @param {'resize' | 'move' | 'close'} action
+     * @param {object | null} [component=null] - A Panel, PanelGroup, Column or Row.
+     * @returns {boolean}
+     */
+    isAllowed(action, component = null) {
+        const me = this;
+        if (me._locked) {
+            return false;
+        }
+
+        let current = component;
+        while (current) {
+            if (me.normalizePolicy(current.policy)[action] === false) {
+                return false;
+            }
+            current = me._getParent(current);
+        }
+        return true;
+    }
+
+    /**
+     * Resolves the layout parent of a component.
+     *
+     * @param {object} component
+     * @private
+     * @returns {object | null}
+     */
+    _getParent(component) {
+        if (component.parentGroup !== undefined) {
+            return component.parentGroup;
+        }
+        if (typeof component.getColumn === 'function') {
+            return component.getColumn();
+        }
+        return component.parentContainer || null;
+    }
+}
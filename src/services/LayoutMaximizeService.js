@@ -0,0 +1,360 @@
+import { PanelGroup } from '../components/Panel/PanelGroup.js';
+import { appBus } from '../utils/EventBus.js';
+import { globalState } from './GlobalStateService.js';
+import { appShortcuts } from './Shortcuts/Shortcuts.js';
+import { EventTypes } from '../constants/EventTypes.js';
+
+/**
+ * Shortcut scope active while a PanelGroup is maximized.
+ *
+ * @type {string}
+ */
+const MAXIMIZED_SCOPE = 'panel-maximized';
+
+/**
+ * Description:
+ * A Singleton service that maximizes one PanelGroup over the whole Container
+ * area (e.g. to read a log or a large document) and restores the layout.
+ *
+ * Properties summary:
+ * - _instance {LayoutMaximizeService | null} : The private static instance for the Singleton.
+ * - _namespace {string} : Unique namespace for appBus listeners.
+ * - _container {Container | null} : The root layout container.
+ * - _group {PanelGroup | null} : The maximized group.
+ * - maximizedGroup {PanelGroup | null} : The maximized group (read-only).
+ *
+ * Typical usage:
+ * const maximize = LayoutMaximizeService.getInstance();
+ * maximize.registerContainer(app.container);
+ * maximize.toggle(panelGroup);
+ *
+ * // From the header button, the context menu or a shortcut:
+ * appBus.emit(EventTypes.APP_TOGGLE_MAXIMIZE, panelGroup);
+ *
+ * Events:
+ * - Listens to: EventTypes.APP_TOGGLE_MAXIMIZE (payload: a PanelGroup, context menu
+ * data ({ group }) or nothing for the group holding the focus)
+ * - Listens to: EventTypes.PANEL_GROUP_REMOVED, EventTypes.DND_DRAG_START and the
+ * layout change events (to restore when the group leaves the layout)
+ * - Emits: EventTypes.LAYOUT_MAXIMIZE_CHANGED ({ group, maximized })
+ *
+ * Business rules implemented:
+ * - Only one group is maximized at a time; maximizing another one restores the first.
+ * - Maximizing is a view state: it only adds CSS classes ('container--maximized',
+ * 'panel-group--maximized') and the container bounds as CSS variables. The
+ * sizes, styles and order managed by LayoutService are never touched, so
+ * restoring returns to the exact prior layout. It is not saved with the layout.
+ * - While maximized, the other rows, columns and floating groups are hidden,
+ * Escape restores (scope 'panel-maximized'), and the bounds follow window resizes.
+ * - Dragging anything, or the group leaving the layout (closed, or the layout
+ * reloaded), restores first.
+ *
+ * Dependencies:
+ * - ../components/Panel/PanelGroup.js
+ * - ../utils/EventBus.js
+ * - ./GlobalStateService.js
+ * - ./Shortcuts/Shortcuts.js
+ * - ../constants/EventTypes.js
+ */
+export class LayoutMaximizeService {
+    /**
+     * @type {LayoutMaximizeService | null}
+     * @private
+     */
+    static _instance = null;
+
+    /**
+     * Unique namespace for appBus listeners.
+     *
+     * @type {string}
+     * @private
+     */
+    _namespace = 'layout-maximize-service';
+
+    /**
+     * The root layout container.
+     *
+     * @type {import('../components/Container/Container.js').Container | null}
+     * @private
+     */
+    _container = null;
+
+    /**
+     * The maximized group.
+     *
+     * @type {import('../components/Panel/PanelGroup.js').PanelGroup | null}
+     * @private
+     */
+    _group = null;
+
+    /**
+     * Bound handler for the toggle command.
+     *
+     * @type {Function | null}
+     * @private
+     */
+    _boundOnToggleRequest = null;
+
+    /**
+     * Bound handler restoring before a drag starts.
+     *
+     * @type {Function | null}
+     * @private
+     */
+    _boundRestore = null;
+
+    /**
+     * Bound handler restoring when the group leaves the layout.
+     *
+     * @type {Function | null}
+     * @private
+     */
+    _boundOnLayoutChanged = null;
+
+    /**
+     * Bound handler updating the bounds on window resize.
+     *
+     * @type {Function | null}
+     * @private
+     */
+    _boundUpdateBounds = null;
+
+    /**
+     * @private
+     */
+    constructor() {
+        if (LayoutMaximizeService._instance) {
+            console.warn('LayoutMaximizeService instance already exists. Use getInstance().');
+            return LayoutMaximizeService._instance;
+        }
+        LayoutMaximizeService._instance = this;
+
+        const me = this;
+        me._boundOnToggleRequest = me._onToggleRequest.bind(me);
+        me._boundRestore = me.restore.bind(me);
+        me._boundOnLayoutChanged = me._onLayoutChanged.bind(me);
+        me._boundUpdateBounds = me._updateBounds.bind(me);
+
+        me._initEventListeners();
+    }
+
+    /**
+     * Gets the single instance of the LayoutMaximizeService.
+     *
+     * @returns {LayoutMaximizeService}
+     */
+    static getInstance() {
+        if (!LayoutMaximizeService._instance) {
+            LayoutMaximizeService._instance = new LayoutMaximizeService();
+        }
+        return LayoutMaximizeService._instance;
+    }
+
+    /**
+     * The maximized group.
+     *
+     * @returns {import('../components/Panel/PanelGroup.js').PanelGroup | null}
+     */
+    get maximizedGroup() {
+        return this._group;
+    }
+
+    /**
+     * Sets the root layout container.
+     *
+     * @param {import('../components/Container/Container.js').Container} container
+     * @returns {void}
+     */
+    registerContainer(container) {
+        const me = this;
+        me.restore();
+        me._container = container;
+    }
+
+    /**
+     * Subscribes to appBus events and registers the Escape shortcut.
+     *
+     * @private
+     * @returns {void}
+     */
+    _initEventListeners() {
+        const me = this;
+        const options = { namespace: me._namespace };
+
+        appBus.on(EventTypes.APP_TOGGLE_MAXIMIZE, me._boundOnToggleRequest, options);
+        appBus.on(EventTypes.DND_DRAG_START, me._boundRestore, options);
+        [
+            EventTypes.PANEL_GROUP_REMOVED,
+            EventTypes.LAYOUT_ROWS_CHANGED,
+            EventTypes.LAYOUT_COLUMNS_CHANGED,
+            EventTypes.LAYOUT_PANELGROUPS_CHANGED
+        ].forEach(eventName => appBus.on(eventName, me._boundOnLayoutChanged, options));
+
+        appShortcuts.register({
+            keys: 'Escape',
+            handler: me._boundRestore,
+            scopes: [MAXIMIZED_SCOPE],
+            preventDefault: true
+        });
+    }
+
+    /**
+     * Cleans up listeners and restores the layout.
+     *
+     * @returns {void}
+     */
+    destroy() {
+        const me = this;
+        me.restore();
+        appBus.offByNamespace(me._namespace);
+    }
+
+    /**
+     * Maximizes a group over the Container area.
+     *
+     * @param {import('../components/Panel/PanelGroup.js').PanelGroup} group
+     * @returns {boolean} Whether the group is maximized.
+     */
+    maximize(group) {
+        const me = this;
+        if (!me._container || !(group instanceof PanelGroup)) {
+            return false;
+        }
+        if (!me._container.element.contains(group.element)) {
+            console.warn('LayoutMaximizeService: the group is not in the layout.');
+            return false;
+        }
+        if (me._group === group) {
+            return true;
+        }
+        me.restore();
+
+        me._group = group;
+        me._updateBounds();
+        group.element.classList.add('panel-group--maximized');
+        me._container.element.classList.add('container--maximized');
+        window.addEventListener('resize', me._boundUpdateBounds);
+        globalState.addScope(MAXIMIZED_SCOPE);
+
+        group.header?.setMaximized(true);
+        appBus.emit(EventTypes.LAYOUT_MAXIMIZE_CHANGED, { group, maximized: true });
+        return true;
+    }
+
+    /**
+     * Restores the maximized group (if any) into the layout.
+     *
+     * @returns {boolean} Whether a group was restored.
+     */
+    restore() {
+        const me = this;
+        const group = me._group;
+        if (!group) {
+            return false;
+        }
+        me._group = null;
+
+        group.element.classList.remove('panel-group--maximized');
+        ['top', 'left', 'width', 'height'].forEach(property =>
+            group.element.style.removeProperty(`--maximized-${property}`)
+        );
+        me._container?.element.classList.remove('container--maximized');
+        window.removeEventListener('resize', me._boundUpdateBounds);
+        globalState.removeScope(MAXIMIZED_SCOPE);
+
+        group.header?.setMaximized(false);
+        appBus.emit(EventTypes.LAYOUT_MAXIMIZE_CHANGED, { group, maximized: false });
+        return true;
+    }
+
+    /**
+     * Maximizes a group, or restores it if it is the maximized one.
+     *
+     * @param {import('../components/Panel/PanelGroup.js').PanelGroup} group
+     * @returns {boolean} Whether the group is maximized afterwards.
+     */
+    toggle(group) {
+        const me = this;
+        if (group && me._group === group) {
+            me.restore();
+            return false;
+        }
+        return me.maximize(group);
+    }
+
+    /**
+     * Handles EventTypes.APP_TOGGLE_MAXIMIZE.
+     *
+     * @param {object} [payload] - A PanelGroup, context menu data ({ group }) or shortcut data.
+     * @private
+     * @returns {void}
+     */
+    _onToggleRequest(payload) {
+        const me = this;
+        let group = null;
+        if (payload instanceof PanelGroup) {
+            group = payload;
+        } else if (payload?.group) {
+            group = payload.group;
+        } else if (me._group) {
+            group = me._group;
+        } else {
+            group = me._getFocusedGroup();
+        }
+        if (group) {
+            me.toggle(group);
+        }
+    }
+
+    /**
+     * Restores when the maximized group is closed or has left the layout.
+     *
+     * @param {*} payload - The event payload ({ panel, column } for PANEL_GROUP_REMOVED).
+     * @private
+     * @returns {void}
+     */
+    _onLayoutChanged(payload) {
+        const me = this;
+        if (!me._group) {
+            return;
+        }
+        const isClosed = payload?.panel === me._group;
+        if (isClosed || !me._container?.element.contains(me._group.element)) {
+            me.restore();
+        }
+    }
+
+    /**
+     * Finds the group holding the keyboard focus.
+     *
+     * @private
+     * @returns {import('../components/Panel/PanelGroup.js').PanelGroup | null}
+     */
+    _getFocusedGroup() {
+        const me = this;
+        const element = document.activeElement?.closest?.('.panel-group');
+        if (!element || !me._container) {
+            return null;
+        }
+        return me._container.getPanelGroups().find(group => group.element === element) || null;
+    }
+
+    /**
+     * Copies the Container bounds into the group's CSS variables.
+     *
+     * @private
+     * @returns {void}
+     */
+    _updateBounds() {
+        const me = this;
+        if (!me._group || !me._container) {
+            return;
+        }
+        const rect = me._container.element.getBoundingClientRect();
+        const style = me._group.element.style;
+        style.setProperty('--maximized-top', `${rect.top}px`);
+        style.setProperty('--maximized-left', `${rect.left}px`);
+        style.setProperty('--maximized-width', `${rect.width}px`);
+        style.setProperty('--maximized-height', `${rect.height}px`);
+    }
+}
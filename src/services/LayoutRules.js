@@ -0,0 +1,143 @@
+import { Viewport } from '../components/Viewport/Viewport.js';
+import { LayoutRuleScope } from '../constants/LayoutRuleScopes.js';
+
+/**
+ * Returns the items that are not collapsed (Viewports never are).
+ *
+ * @param {Array<object>} items
+ * @returns {Array<object>}
+ */
+const getUncollapsed = items => items.filter(item => item.collapsed !== true);
+
+/**
+ * Uncollapses the last item when all are collapsed, and keeps the only
+ * uncollapsed item from being collapsed.
+ *
+ * @param {object} context - The rule context (see LayoutService).
+ * @returns {void}
+ */
+const keepOneUncollapsed = context => {
+    const items = context.items;
+    if (items.length === 0) {
+        return;
+    }
+    let uncollapsed = getUncollapsed(items);
+    if (uncollapsed.length === 0) {
+        const lastItem = items[items.length - 1];
+        // Only uncollapse if it supports it (PanelGroup or Row)
+        if (typeof lastItem.unCollapse === 'function') {
+            lastItem.unCollapse();
+        }
+        uncollapsed = [lastItem];
+    }
+    if (uncollapsed.length === 1) {
+        context.keepUncollapsed.add(uncollapsed[0]);
+    }
+};
+
+/**
+ * Makes the last uncollapsed item fill the remaining space.
+ *
+ * @param {object} context - The rule context (see LayoutService).
+ * @returns {void}
+ */
+const lastVisibleFillsSpace = context => {
+    const uncollapsed = getUncollapsed(context.items);
+    context.fillItem = uncollapsed[uncollapsed.length - 1] || null;
+};
+
+/**
+ * Description:
+ * Ordered list of the built-in layout rules, registered by LayoutService.
+ * Applications add, replace (same id) or disable rules through
+ * LayoutService.registerRule / setRuleEnabled.
+ *
+ * Structure of each entry:
+ * - id {string} : Unique rule id.
+ * - scope {string} : A LayoutRuleScope value.
+ * - order {number} : Rules of a scope run in ascending order.
+ * - description {string} : A short human-readable summary.
+ * - enabled {boolean} : Optional, false registers the rule disabled.
+ * - apply {function(object): void} : Reads and updates the rule context (see LayoutService).
+ *
+ * Typical usage:
+ * // Registered automatically by LayoutService.
+ * LayoutService.getInstance().setRuleEnabled('viewport-fills-space', true);
+ */
+export default [
+    {
+        id: 'keep-one-row-uncollapsed',
+        scope: LayoutRuleScope.ROWS,
+        order: 100,
+        description: 'At least one Row of the Container stays uncollapsed.',
+        apply: keepOneUncollapsed
+    },
+    {
+        id: 'last-visible-row-fills-space',
+        scope: LayoutRuleScope.ROWS,
+        order: 200,
+        description: 'The last uncollapsed Row fills the remaining height.',
+        apply: lastVisibleFillsSpace
+    },
+    {
+        id: 'outer-columns-auto-hide',
+        scope: LayoutRuleScope.COLUMNS,
+        order: 100,
+        description:
+            "Outer Columns flagged 'autoHide' slide out from the Row edge; one Column stays docked.",
+        apply: context => {
+            const columns = context.items;
+            if (columns.length < 2) {
+                return;
+            }
+            const first = columns[0];
+            const last = columns[columns.length - 1];
+            if (first.autoHide) {
+                context.autoHideSides.set(first, 'left');
+            }
+            // Keeps one docked column to fill the Row
+            if (last.autoHide && context.autoHideSides.size < columns.length - 1) {
+                context.autoHideSides.set(last, 'right');
+            }
+            // Auto-hidden columns have no resize bar
+            context.autoHideSides.forEach((side, column) => context.withoutResizeBar.add(column));
+        }
+    },
+    {
+        id: 'last-docked-column-fills-space',
+        scope: LayoutRuleScope.COLUMNS,
+        order: 200,
+        description: 'The last Column that is not auto-hidden fills the remaining width.',
+        apply: context => {
+            const docked = context.items.filter(column => !context.autoHideSides.has(column));
+            context.fillItem = docked[docked.length - 1] || null;
+        }
+    },
+    {
+        id: 'keep-one-child-uncollapsed',
+        scope: LayoutRuleScope.CHILDREN,
+        order: 100,
+        description: 'At least one child of a Column stays uncollapsed.',
+        apply: keepOneUncollapsed
+    },
+    {
+        id: 'last-visible-child-fills-space',
+        scope: LayoutRuleScope.CHILDREN,
+        order: 200,
+        description: 'The last uncollapsed child of a Column fills the remaining height.',
+        apply: lastVisibleFillsSpace
+    },
+    {
+        id: 'viewport-fills-space',
+        scope: LayoutRuleScope.CHILDREN,
+        order: 300,
+        description: 'A Viewport fills the remaining height of its Column, wherever it is.',
+        enabled: false,
+        apply: context => {
+            const viewport = context.items.find(child => child instanceof Viewport);
+            if (viewport) {
+                context.fillItem = viewport;
+            }
+        }
+    }
+];
@@ -4,6 +4,8 @@ import { Row } from '../components/Row/Row.js';
 import { Viewport } from '../components/Viewport/Viewport.js';
 import { appBus } from '../utils/EventBus.js';
 import { EventTypes } from '../constants/EventTypes.js';
+import { LayoutRuleScope } from '../constants/LayoutRuleScopes.js';
+import builtInRules from './LayoutRules.js';
 
 /**
  * Description:
@@ -12,9 +14,25 @@ import { EventTypes } from '../constants/EventTypes.js';
  * depend on siblings). It listens to appBus events and orchestrates
  * layout updates.
  *
+ * The sibling decisions (which item fills the space, which cannot collapse,
+ * which has no resize bar, which column is auto-hidden) come from an ordered
+ * rule registry; the built-in rules are listed in LayoutRules.js. On each
+ * layout event the enabled rules of the matching scope (LayoutRuleScope)
+ * run in ascending 'order' on a shared context, then the service applies
+ * the context to the components:
+ * - scope {string} : The LayoutRuleScope being decided.
+ * - parent {Container|Row|Column} : The node owning the items.
+ * - items {Array} : Its Rows, Columns or children (PanelGroup, Viewport, nested Row), in order.
+ * - fillItem {object|null} : The item filling the remaining space.
+ * - keepUncollapsed {Set} : Items whose collapse button is disabled.
+ * - withoutResizeBar {Set} : Rows and Columns that get no resize bar, besides
+ * the last Row and the fill Column (PanelGroups manage their own bar).
+ * - autoHideSides {Map<Column, 'left'|'right'>} : Auto-hidden Columns (COLUMNS scope).
+ *
  * Properties summary:
  * - _instance {LayoutService | null} : The private static instance for the Singleton.
  * - _namespace {string} : Unique namespace for appBus listeners.
+ * - _rules {Array<object>} : Registered layout rules, sorted by order.
  * - _boundOnPanelGroupsChanged {Function | null} : Bound handler for panel groups changed event.
  * - _boundOnRowsChanged {Function | null} : Bound handler for rows changed event.
  * - _boundOnColumnsChanged {Function | null} : Bound handler for columns changed event.
@@ -27,6 +45,22 @@ import { EventTypes } from '../constants/EventTypes.js';
  * // Components emit events:
  * appBus.emit(EventTypes.LAYOUT_COLUMNS_CHANGED, this);
  *
+ * // A group that never collapses:
+ * layoutService.registerRule({
+ *     id: 'inspector-never-collapses',
+ *     scope: LayoutRuleScope.CHILDREN,
+ *     order: 150,
+ *     apply: context => {
+ *         const group = context.items.find(item => item === inspectorGroup);
+ *         if (group) {
+ *             group.unCollapse();
+ *             context.keepUncollapsed.add(group);
+ *         }
+ *     }
+ * });
+ * layoutService.setRuleEnabled('viewport-fills-space', true);
+ * layoutService.refresh(app.container);
+ *
  * Events:
  * - Listens to: EventTypes.LAYOUT_INITIALIZED (to run full check after load)
  * - Listens to: EventTypes.LAYOUT_PANELGROUPS_CHANGED
@@ -36,16 +70,27 @@ import { EventTypes } from '../constants/EventTypes.js';
  * Business rules implemented:
  * - Manages 'disabled' *and* 'visibility' state of Row collapse buttons,
  * and orchestrates their creation via 'row.addResizeBars()'.
- * - Applies 'fills-space' logic to the last *visible* Row in a Container.
- * - Applies 'fills-space' logic to the last Column in a Row.
- * - Applies 'fills-space' logic to the last *visible* child (PanelGroup or Viewport) in a Column.
- * - Prioritizes Viewport for filling space if present.
- * - Enforces that at least one Row in a Container is visible.
- * - Enforces that at least one child in a Column is visible.
- * - Manages the 'disabled' state of PanelGroup collapse buttons.
- * - Manages 'disabled' *and* 'visibility' state of Row collapse buttons
- * (assumes Container/Row created the button elements).
+ * - Built-in rules (each can be replaced or disabled by id):
+ * - 'keep-one-row-uncollapsed' / 'keep-one-child-uncollapsed': at least one
+ * Row of the Container and one child of each Column stays visible.
+ * - 'last-visible-row-fills-space' / 'last-visible-child-fills-space': the last
+ * *visible* Row of the Container, or child (PanelGroup, Viewport or nested Row)
+ * of a Column, fills the space.
+ * - 'outer-columns-auto-hide': applies the auto-hide state to the outer Columns
+ * of a Row flagged 'autoHide' (first column on the left edge, last column on
+ * the right edge). Middle columns dock normally, and at least one column of
+ * the Row stays docked.
+ * - 'last-docked-column-fills-space': the last Column that is not auto-hidden fills the Row.
+ * - 'viewport-fills-space' (disabled by default): a Viewport fills its Column.
+ * - Rules run by scope in ascending 'order' (registration order on ties). A
+ * rule registered with an existing id replaces it. A failing rule is logged
+ * and skipped. Changing rules at runtime takes effect on the next layout
+ * event, or at once with 'refresh(container)'.
+ * - The same rules apply at every depth: nested Rows (Rows inside a Column)
+ * get their resize bar and collapse button from their parent Column.
+ * - Manages the 'disabled' state of PanelGroup and nested Row collapse buttons.
  * - Applies dynamic CSS 'min-width' to Columns based on their children.
+ * - The fill-space child drops its fixed size and its ratio (proportional sizing).
  *
  * Dependencies:
  * - {import '../components/Column/Column.js'.Column}
@@ -54,6 +99,8 @@ import { EventTypes } from '../constants/EventTypes.js';
  * - {import '../components/Viewport/Viewport.js'.Viewport}
  * - {import '../utils/EventBus.js'.appBus}
  * - {import '../constants/EventTypes.js'.EventTypes}
+ * - {import '../constants/LayoutRuleScopes.js'.LayoutRuleScope}
+ * - ./LayoutRules.js
  */
 export class LayoutService {
     /**
@@ -72,6 +119,14 @@ export class LayoutService {
      */
     _namespace = 'layout-service';
 
+    /**
+     * Registered layout rules, sorted by order.
+     *
+     * @type {Array<{id: string, scope: string, order: number, description: string, enabled: boolean, apply: Function}>}
+     * @private
+     */
+    _rules = [];
+
     /**
      * Bound handler for the 'layout:panel-groups-changed' event.
      *
@@ -122,6 +177,7 @@ export class LayoutService {
         me._boundOnColumnsChanged = me._onColumnsChanged.bind(me);
         me._boundOnLayoutInitialized = me._onLayoutInitialized.bind(me);
 
+        builtInRules.forEach(rule => me.registerRule(rule));
         me._initEventListeners();
     }
 
@@ -163,10 +219,127 @@ export class LayoutService {
         appBus.offByNamespace(me._namespace);
     }
 
+    /**
+     * Registers a layout rule, replacing the rule with the same id.
+     *
+     * @param {{id: string, scope: string, order?: number, description?: string, enabled?: boolean, apply: function(object): void}} rule
+     * @returns {boolean} True if registered.
+     */
+    registerRule(rule) {
+        const me = this;
+        const { id, scope, apply } = rule || {};
+        const scopes = Object.values(LayoutRuleScope);
+
+        if (typeof id !== 'string' || id === '' || !scopes.includes(scope)) {
+            console.warn(
+                '[LayoutService] Invalid rule. Requires an id and a scope (LayoutRuleScope).'
+            );
+            return false;
+        }
+        if (typeof apply !== 'function') {
+            console.warn(`[LayoutService] Invalid rule "${id}". Requires an apply function.`);
+            return false;
+        }
+
+        me._rules = me._rules.filter(item => item.id !== id);
+        me._rules.push({
+            id,
+            scope,
+            order: Number.isFinite(rule.order) ? rule.order : 0,
+            description: rule.description || '',
+            enabled: rule.enabled !== false,
+            apply
+        });
+        me._rules.sort((a, b) => a.order - b.order);
+        return true;
+    }
+
+    /**
+     * Removes a layout rule.
+     *
+     * @param {string} id - The rule id.
+     * @returns {boolean} True if a rule was removed.
+     */
+    unregisterRule(id) {
+        const me = this;
+        const count = me._rules.length;
+        me._rules = me._rules.filter(rule => rule.id !== id);
+        return me._rules.length !== count;
+    }
+
+    /**
+     * Enables or disables a layout rule.
+     *
+     * @param {string} id - The rule id.
+     * @param {boolean} enabled
+     * @returns {boolean} False if the rule is unknown or 'enabled' is not a boolean.
+     */
+    setRuleEnabled(id, enabled) {
+        const me = this;
+        const rule = me._rules.find(item => item.id === id);
+        if (!rule || typeof enabled !== 'boolean') {
+            console.warn(`[LayoutService] Invalid setRuleEnabled call (${id}, ${enabled}).`);
+            return false;
+        }
+        rule.enabled = enabled;
+        return true;
+    }
+
+    /**
+     * Lists the registered rules in run order.
+     *
+     * @param {string | null} [scope=null] - A LayoutRuleScope value, or null for all scopes.
+     * @returns {Array<{id: string, scope: string, order: number, description: string, enabled: boolean}>} Copies of the rules.
+     */
+    getRules(scope = null) {
+        const me = this;
+        return me._rules
+            .filter(rule => scope === null || rule.scope === scope)
+            .map(({ id, scope: ruleScope, order, description, enabled }) => ({
+                id,
+                scope: ruleScope,
+                order,
+                description,
+                enabled
+            }));
+    }
+
+    /**
+     * Runs the enabled rules of a scope on a new context.
+     *
+     * @param {string} scope - A LayoutRuleScope value.
+     * @param {Container|Row|Column} parent - The node owning the items.
+     * @param {Array<object>} items - Its Rows, Columns or children.
+     * @private
+     * @returns {{scope: string, parent: object, items: Array<object>, fillItem: object | null, keepUncollapsed: Set<object>, withoutResizeBar: Set<object>, autoHideSides: Map<Column, string>}}
+     */
+    _runRules(scope, parent, items) {
+        const me = this;
+        const context = {
+            scope,
+            parent,
+            items: [...items],
+            fillItem: null,
+            keepUncollapsed: new Set(),
+            withoutResizeBar: new Set(),
+            autoHideSides: new Map()
+        };
+
+        me._rules.forEach(rule => {
+            if (rule.scope !== scope || !rule.enabled) {
+                return;
+            }
+            try {
+                rule.apply(context);
+            } catch (error) {
+                console.error(`[LayoutService] Layout rule "${rule.id}" failed.`, error);
+            }
+        });
+        return context;
+    }
+
     /**
      * Handles the 'app:layout-initialized' event.
-     * Runs a full, cascading layout check on the entire container
-     * to ensure all UI (buttons, sizes, min-widths) is correct on load.
      *
      * @param {Container} container - The root Container instance.
      * @private
@@ -177,16 +350,36 @@ export class LayoutService {
             console.warn('LayoutService: "_onLayoutInitialized" received invalid container.');
             return;
         }
+        this.refresh(container);
+    }
 
-        this._onRowsChanged(container);
+    /**
+     * Runs a full, cascading layout check on the entire container
+     * to ensure all UI (buttons, sizes, min-widths) is correct, e.g. on load
+     * or after changing the rules.
+     *
+     * @param {Container} container - The root Container instance.
+     * @returns {void}
+     */
+    refresh(container) {
+        const me = this;
+        if (!(container instanceof Container)) {
+            console.warn('LayoutService: "refresh" requires a Container.');
+            return;
+        }
+        me._onRowsChanged(container);
 
-        container.getRows().forEach(row => {
-            this._onColumnsChanged(row);
+        const initializeRows = rows => {
+            rows.forEach(row => {
+                me._onColumnsChanged(row);
 
-            row.getColumns().forEach(column => {
-                this._updateChildrenSizes(column);
+                row.getColumns().forEach(column => {
+                    me._updateChildrenSizes(column);
+                    initializeRows(column.children.filter(child => child instanceof Row));
+                });
             });
-        });
+        };
+        initializeRows(container.getRows());
     }
 
     /**
@@ -208,36 +401,13 @@ export class LayoutService {
             return;
         }
 
-        const totalRows = rows.length;
-        let uncollapsedRows = rows.filter(row => !row.collapsed);
-
-        if (uncollapsedRows.length === 0) {
-            const lastRow = rows[rows.length - 1];
-            lastRow.unCollapse();
-            uncollapsedRows = [lastRow];
-        }
-
-        const lastUncollapsedRow = uncollapsedRows[uncollapsedRows.length - 1];
-        const isOnlyOneUncollapsed = uncollapsedRows.length === 1;
-
-        rows.forEach(row => {
-            const isLastVisible = row === lastUncollapsedRow;
-            row.updateHeight(isLastVisible);
+        const me = this;
+        const context = me._runRules(LayoutRuleScope.ROWS, container, rows);
 
-            if (row.collapseBtn) {
-                if (totalRows === 1) {
-                    row.collapseBtn.style.display = 'none';
-                } else {
-                    row.collapseBtn.style.display = '';
-                    const isThisRowTheOnlyUncollapsed = isOnlyOneUncollapsed && isLastVisible;
-
-                    if (!row.collapsible || isThisRowTheOnlyUncollapsed) {
-                        row.collapseBtn.disabled = true;
-                    } else {
-                        row.collapseBtn.disabled = false;
-                    }
-                }
-            }
+        rows.forEach((row, index) => {
+            row.addResizeBars(index === rows.length - 1 || context.withoutResizeBar.has(row));
+            row.updateHeight(row === context.fillItem);
+            me._updateRowCollapseButton(row, rows.length === 1, context.keepUncollapsed.has(row));
         });
     }
 
@@ -255,10 +425,13 @@ export class LayoutService {
         }
 
         const columns = row.getColumns();
-        columns.forEach((column, index) => {
-            const isLast = index === columns.length - 1;
-            column.updateWidth(isLast);
-            column.addResizeBars(isLast);
+        const context = this._runRules(LayoutRuleScope.COLUMNS, row, columns);
+
+        columns.forEach(column => {
+            const isFillItem = column === context.fillItem;
+            column.applyAutoHide(context.autoHideSides.get(column) || null);
+            column.updateWidth(isFillItem);
+            column.addResizeBars(isFillItem || context.withoutResizeBar.has(column));
 
             column.element.style.minWidth = `${column.getEffectiveMinWidth()}px`;
         });
@@ -284,7 +457,7 @@ export class LayoutService {
 
     /**
      * Recalculates sizes, applies 'fills-space' logic, and manages collapse button state
-     * for all children (PanelGroups and Viewports) in a column.
+     * for all children (PanelGroups, Viewports and nested Rows) in a column.
      *
      * Viewports are prioritized for space filling and are never collapsible.
      *
@@ -293,7 +466,8 @@ export class LayoutService {
      * @returns {void}
      */
     _updateChildrenSizes(column) {
-        // Use generic 'children' accessor which includes both PanelGroups and Viewports
+        const me = this;
+        // Use generic 'children' accessor which includes PanelGroups, Viewports and nested Rows
         const children = column.children;
 
         if (children.length === 0) {
@@ -301,33 +475,24 @@ export class LayoutService {
             return;
         }
 
-        // Filter uncollapsed children. Viewports are always considered uncollapsed.
-        let uncollapsedChildren = children.filter(child => {
-            // Viewports are never collapsed
-            if (child instanceof Viewport) return true;
-            // Check collapsed property for PanelGroups
-            return !child.collapsed;
-        });
-
-        // Safety check: Ensure at least one item is visible
-        if (uncollapsedChildren.length === 0) {
-            const lastChild = children[children.length - 1];
-            // Only uncollapse if it supports it (PanelGroup)
-            if (lastChild && typeof lastChild.unCollapse === 'function') {
-                lastChild.unCollapse();
+        // The rules decide which child fills the space and which cannot collapse
+        const context = me._runRules(LayoutRuleScope.CHILDREN, column, children);
+
+        children.forEach((child, index) => {
+            const shouldFillSpace = child === context.fillItem;
+            const isKeptUncollapsed = context.keepUncollapsed.has(child);
+
+            // Nested Rows size themselves (like Rows in the Container)
+            if (child instanceof Row) {
+                me._updateNestedRow(child, {
+                    shouldFillSpace,
+                    hideResizeBar:
+                        index === children.length - 1 || context.withoutResizeBar.has(child),
+                    isOnlyChild: children.length === 1,
+                    isKeptUncollapsed
+                });
+                return;
             }
-            uncollapsedChildren = [lastChild];
-        }
-
-        // Determine which child should fill the remaining space.
-        // Logic: The last uncollapsed child usually fills space.
-        // Exception: If a Viewport exists, it might be preferred (business rule dependent).
-        // Current rule: Last visible child fills space.
-        const lastUncollapsedChild = uncollapsedChildren[uncollapsedChildren.length - 1];
-        const isOnlyOneUncollapsed = uncollapsedChildren.length === 1;
-
-        children.forEach(child => {
-            const shouldFillSpace = child === lastUncollapsedChild;
 
             // Handle Fill Space Logic
             if (shouldFillSpace) {
@@ -336,6 +501,7 @@ export class LayoutService {
                     // We don't delete the property, just ensure style is auto/flex
                     // But for PanelGroup, setting height=null is the convention
                     if ('height' in child) child.height = null;
+                    if ('ratio' in child) child.ratio = null;
                 }
 
                 // Add class for styling
@@ -351,14 +517,13 @@ export class LayoutService {
             if (child.header && child.header.collapseBtn) {
                 const collapseButton = child.header.collapseBtn;
 
-                // Logic: Disable collapse if this is the ONLY visible item AND it is filling space
+                // Logic: Disable collapse if a rule keeps this item uncollapsed
                 // Viewports don't have headers with collapse buttons generally, but good to check instance
-                const isThisPanelTheOnlyUncollapsed = isOnlyOneUncollapsed && shouldFillSpace;
 
                 // Also check internal collapsible config
                 const isCollapsible = child.collapsible !== false;
 
-                if (!isCollapsible || isThisPanelTheOnlyUncollapsed) {
+                if (!isCollapsible || isKeptUncollapsed) {
                     collapseButton.disabled = true;
                 } else {
                     collapseButton.disabled = false;
@@ -372,5 +537,40 @@ export class LayoutService {
         });
 
         column.element.style.minWidth = `${column.getEffectiveMinWidth()}px`;
+        column.refreshAutoHideStrip();
+    }
+
+    /**
+     * Applies the fill-space, resize bar and collapse button rules to a Row
+     * nested in a Column (root Rows get them in '_onRowsChanged').
+     *
+     * @param {Row} row - The nested Row.
+     * @param {{shouldFillSpace: boolean, hideResizeBar: boolean, isOnlyChild: boolean, isKeptUncollapsed: boolean}} state
+     * @private
+     * @returns {void}
+     */
+    _updateNestedRow(row, { shouldFillSpace, hideResizeBar, isOnlyChild, isKeptUncollapsed }) {
+        const me = this;
+        row.addResizeBars(hideResizeBar);
+        row.updateHeight(shouldFillSpace);
+        me._updateRowCollapseButton(row, isOnlyChild, isKeptUncollapsed);
+    }
+
+    /**
+     * Hides the collapse button of a Row without siblings, and disables it
+     * when the Row cannot collapse.
+     *
+     * @param {Row} row
+     * @param {boolean} isOnlyRow - Whether the Row has no sibling.
+     * @param {boolean} isKeptUncollapsed - Whether a rule keeps the Row uncollapsed.
+     * @private
+     * @returns {void}
+     */
+    _updateRowCollapseButton(row, isOnlyRow, isKeptUncollapsed) {
+        if (!row.collapseBtn) {
+            return;
+        }
+        row.collapseBtn.style.display = isOnlyRow ? 'none' : '';
+        row.collapseBtn.disabled = !row.collapsible || isKeptUncollapsed;
     }
 }
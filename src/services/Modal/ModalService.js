@@ -3,6 +3,7 @@ import { throttleRAF } from '../../utils/ThrottleRAF.js';
 import { AlertView } from './presets/AlertView.js';
 import { ConfirmView } from './presets/ConfirmView.js';
 import { PromptView } from './presets/PromptView.js';
+import { SelectView } from './presets/SelectView.js';
 import { globalState } from '../GlobalStateService.js';
 import { appShortcuts } from '../Shortcuts/Shortcuts.js';
 
@@ -50,6 +51,7 @@ import { appShortcuts } from '../Shortcuts/Shortcuts.js';
  * - ./presets/AlertView.js
  * - ./presets/ConfirmView.js
  * - ./presets/PromptView.js
+ * - ./presets/SelectView.js
  * - ../GlobalStateService.js
  * - ../Shortcuts/Shortcuts.js
  *
@@ -528,6 +530,25 @@ export class ModalService {
         });
     }
 
+    /**
+     * Description:
+     * Shows a modal with a select list of options.
+     *
+     * @param {string} message - The select label message.
+     * @param {Array<{value: string, label: string}>} options - The options to list.
+     * @param {string} [title='Select'] - The modal title.
+     * @param {string} [defaultValue=''] - The value selected by default.
+     * @returns {Promise<string|null>} Resolves with the selected value or null if canceled.
+     */
+    select(message, options, title = 'Select', defaultValue = '') {
+        const me = this;
+        const viewConfig = SelectView(message, options, defaultValue);
+        return me.open({
+            title: title,
+            ...viewConfig
+        });
+    }
+
     /**
      * Description:
      * Manages stack and UI after a modal is closed.
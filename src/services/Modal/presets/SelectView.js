@@ -0,0 +1,58 @@
+/**
+ * Description:
+ * Generates the view configuration object for a 'select' preset.
+ * Renders a labeled <select> built from a list of options and resolves
+ * with the value of the chosen option.
+ *
+ * @param {string} message - The message to display above the select.
+ * @param {Array<{value: string, label: string}>} options - The options to list.
+ * @param {string} [defaultValue=''] - The value selected by default.
+ * @returns {object} A partial modal options object.
+ */
+export const SelectView = (message, options, defaultValue = '') => {
+    const selectId = `modal-select-input-${Date.now()}`;
+    const escape = text =>
+        String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+
+    const optionsHtml = (options || [])
+        .map(option => {
+            const selected = option.value === defaultValue ? ' selected' : '';
+            return `<option value="${escape(option.value)}"${selected}>${escape(option.label)}</option>`;
+        })
+        .join('');
+
+    const content = `
+      <div class="modal__prompt">
+        <label for="${selectId}" class="modal__prompt-label">${message}</label>
+        <select id="${selectId}" class="modal__prompt-input">${optionsHtml}</select>
+      </div>
+    `;
+
+    return {
+        content: content,
+        size: 'small',
+        closeOnBackdropClick: false,
+        closeOnEscape: false,
+        initialFocus: `#${selectId}`,
+        buttons: [
+            {
+                text: 'Cancel',
+                class: 'modal__button modal__button--secondary',
+                action: 'resolve',
+                value: null
+            },
+            {
+                text: 'OK',
+                class: 'modal__button modal__button--primary',
+                action: api => {
+                    const value = api.contentElement.querySelector('select').value;
+                    api.close(value);
+                }
+            }
+        ]
+    };
+};
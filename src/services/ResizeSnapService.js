@@ -0,0 +1,219 @@
+/**
+ * Description:
+ * A Singleton service holding the snapping settings of the resize bars, and
+ * collecting the edges a resize bar can snap to.
+ *
+ * Properties summary:
+ * - _instance {ResizeSnapService | null} : The private static instance for the Singleton.
+ * - enabled {boolean} : Whether resize bars snap at all.
+ * - grid {number} : Grid step in pixels for the resized size (0 disables the grid).
+ * - threshold {number} : Distance in pixels under which an edge attracts the bar.
+ *
+ * Typical usage:
+ * const snap = ResizeSnapService.getInstance();
+ * snap.configure({ grid: 8, threshold: 6 });
+ *
+ * // In a component creating a ResizeHandleManager:
+ * getSnapTargets: () => snap.getSnapTargets(me.element, '.column', true)
+ *
+ * Business rules implemented:
+ * - Snap targets are the edges of the matching elements outside the resized
+ * element's parent (e.g. the columns of the other rows): elements sharing the
+ * parent move with the resize, so their edges would be stale. Ancestors,
+ * floating groups and hidden elements are ignored.
+ * - An edge closer than 'threshold' wins; otherwise the size is rounded to the
+ * grid (when 'grid' is set). Holding Alt while dragging bypasses snapping
+ * (see ResizeHandleManager).
+ *
+ * Dependencies:
+ * - None
+ */
+export class ResizeSnapService {
+    /**
+     * @type {ResizeSnapService | null}
+     * @private
+     */
+    static _instance = null;
+
+    /**
+     * Whether resize bars snap at all.
+     *
+     * @type {boolean}
+     * @private
+     */
+    _enabled = true;
+
+    /**
+     * Grid step in pixels (0 disables the grid).
+     *
+     * @type {number}
+     * @private
+     */
+    _grid = 0;
+
+    /**
+     * Distance in pixels under which an edge attracts the bar.
+     *
+     * @type {number}
+     * @private
+     */
+    _threshold = 8;
+
+    /**
+     * @private
+     */
+    constructor() {
+        if (ResizeSnapService._instance) {
+            console.warn('ResizeSnapService instance already exists. Use getInstance().');
+            return ResizeSnapService._instance;
+        }
+        ResizeSnapService._instance = this;
+    }
+
+    /**
+     * Gets the single instance of the ResizeSnapService.
+     *
+     * @returns {ResizeSnapService}
+     */
+    static getInstance() {
+        if (!ResizeSnapService._instance) {
+            ResizeSnapService._instance = new ResizeSnapService();
+        }
+        return ResizeSnapService._instance;
+    }
+
+    /**
+     * Enabled getter.
+     *
+     * @returns {boolean}
+     */
+    get enabled() {
+        return this._enabled;
+    }
+
+    /**
+     * Enabled setter with validation.
+     *
+     * @param {boolean} value
+     * @returns {void}
+     */
+    set enabled(value) {
+        const me = this;
+        if (typeof value !== 'boolean') {
+            console.warn(
+                `[ResizeSnapService] Invalid enabled assignment (${value}). Must be boolean. Keeping previous value: ${me._enabled}`
+            );
+            return;
+        }
+        me._enabled = value;
+    }
+
+    /**
+     * Grid getter.
+     *
+     * @returns {number}
+     */
+    get grid() {
+        return this._grid;
+    }
+
+    /**
+     * Grid setter with validation.
+     *
+     * @param {number} value - Grid step in pixels (0 disables the grid).
+     * @returns {void}
+     */
+    set grid(value) {
+        const me = this;
+        if (!Number.isFinite(value) || value < 0) {
+            console.warn(
+                `[ResizeSnapService] Invalid grid assignment (${value}). Must be a number >= 0. Keeping previous value: ${me._grid}`
+            );
+            return;
+        }
+        me._grid = value;
+    }
+
+    /**
+     * Threshold getter.
+     *
+     * @returns {number}
+     */
+    get threshold() {
+        return this._threshold;
+    }
+
+    /**
+     * Threshold setter with validation.
+     *
+     * @param {number} value - Distance in pixels.
+     * @returns {void}
+     */
+    set threshold(value) {
+        const me = this;
+        if (!Number.isFinite(value) || value < 0) {
+            console.warn(
+                `[ResizeSnapService] Invalid threshold assignment (${value}). Must be a number >= 0. Keeping previous value: ${me._threshold}`
+            );
+            return;
+        }
+        me._threshold = value;
+    }
+
+    /**
+     * Applies several settings at once. Missing keys keep their value.
+     *
+     * @param {{enabled?: boolean, grid?: number, threshold?: number}} [settings={}]
+     * @returns {void}
+     */
+    configure(settings = {}) {
+        const me = this;
+        if (settings.enabled !== undefined) {
+            me.enabled = settings.enabled;
+        }
+        if (settings.grid !== undefined) {
+            me.grid = settings.grid;
+        }
+        if (settings.threshold !== undefined) {
+            me.threshold = settings.threshold;
+        }
+    }
+
+    /**
+     * Collects the snap targets of a resized element, in the shape expected by
+     * the 'getSnapTargets' option of ResizeHandleManager.
+     *
+     * @param {HTMLElement} element - The resized element.
+     * @param {string} selector - The elements whose edges attract the bar.
+     * @param {boolean} horizontal - True for widths (left / right edges), false for heights.
+     * @returns {{edges: Array<number>, grid: number, threshold: number} | null} Null when disabled.
+     */
+    getSnapTargets(element, selector, horizontal) {
+        const me = this;
+        if (!me._enabled || !element) {
+            return null;
+        }
+
+        const parent = element.parentElement;
+        const edges = [];
+        document.querySelectorAll(selector).forEach(candidate => {
+            if (candidate.contains(element) || parent?.contains(candidate)) {
+                return;
+            }
+            if (candidate.classList.contains('panel-group--floating')) {
+                return;
+            }
+            const rectangle = candidate.getBoundingClientRect();
+            if (rectangle.width === 0 && rectangle.height === 0) {
+                return;
+            }
+            if (horizontal) {
+                edges.push(rectangle.left, rectangle.right);
+            } else {
+                edges.push(rectangle.top, rectangle.bottom);
+            }
+        });
+
+        return { edges, grid: me._grid, threshold: me._threshold };
+    }
+}
@@ -0,0 +1,166 @@
+import { StorageAdapter } from './StorageAdapter.js';
+
+/**
+ * Description:
+ * Storage adapter backed by IndexedDB. Values are stored as structured
+ * clones in a single object store, so large layouts are not limited by
+ * the localStorage quota.
+ *
+ * Properties summary:
+ * - _dbName {string} : The IndexedDB database name.
+ * - _storeName {string} : The object store name.
+ * - _dbPromise {Promise<IDBDatabase> | null} : The lazily opened database connection.
+ *
+ * Typical usage:
+ * const app = new App({ storage: new IndexedDBStorageAdapter({ dbName: 'my-app' }) });
+ *
+ * Business rules implemented:
+ * - The database is opened lazily on first access and reused afterwards.
+ * - The object store is created on first open (version 1).
+ * - The estimate is the one of the whole origin (StorageManager), when available.
+ *
+ * Dependencies:
+ * - ./StorageAdapter.js
+ */
+export class IndexedDBStorageAdapter extends StorageAdapter {
+    /**
+     * The IndexedDB database name.
+     *
+     * @type {string}
+     * @private
+     */
+    _dbName;
+
+    /**
+     * The object store name.
+     *
+     * @type {string}
+     * @private
+     */
+    _storeName;
+
+    /**
+     * The lazily opened database connection.
+     *
+     * @type {Promise<IDBDatabase> | null}
+     * @private
+     */
+    _dbPromise = null;
+
+    /**
+     * @param {object} [options={}]
+     * @param {string} [options.dbName='flexui'] - The database name.
+     * @param {string} [options.storeName='state'] - The object store name.
+     */
+    constructor({ dbName = 'flexui', storeName = 'state' } = {}) {
+        super();
+        this._dbName = dbName;
+        this._storeName = storeName;
+    }
+
+    /**
+     * Reads a value.
+     *
+     * @param {string} key - The key to read.
+     * @returns {Promise<object | null>}
+     */
+    async getItem(key) {
+        const me = this;
+        const value = await me._request('readonly', store => store.get(key));
+        return value === undefined ? null : value;
+    }
+
+    /**
+     * Writes a value.
+     *
+     * @param {string} key - The key to write.
+     * @param {object} value - A JSON-compatible value.
+     * @returns {Promise<void>}
+     */
+    async setItem(key, value) {
+        const me = this;
+        await me._request('readwrite', store => store.put(value, key));
+    }
+
+    /**
+     * Removes a value.
+     *
+     * @param {string} key - The key to remove.
+     * @returns {Promise<void>}
+     */
+    async removeItem(key) {
+        const me = this;
+        await me._request('readwrite', store => store.delete(key));
+    }
+
+    /**
+     * Lists all stored keys.
+     *
+     * @returns {Promise<Array<string>>}
+     */
+    async keys() {
+        const me = this;
+        const keys = await me._request('readonly', store => store.getAllKeys());
+        return keys.map(String);
+    }
+
+    /**
+     * Estimates the space used and available, in bytes.
+     *
+     * @returns {Promise<{usage: number, quota: number} | null>}
+     */
+    async estimate() {
+        if (typeof navigator === 'undefined' || !navigator.storage?.estimate) {
+            return null;
+        }
+        const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+        return { usage, quota };
+    }
+
+    /**
+     * Opens (once) the database connection.
+     *
+     * @private
+     * @returns {Promise<IDBDatabase>}
+     */
+    _open() {
+        const me = this;
+        if (!me._dbPromise) {
+            me._dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(me._dbName, 1);
+                request.onupgradeneeded = () => {
+                    if (!request.result.objectStoreNames.contains(me._storeName)) {
+                        request.result.createObjectStore(me._storeName);
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    me._dbPromise = null;
+                    reject(request.error);
+                };
+            });
+        }
+        return me._dbPromise;
+    }
+
+    /**
+     * Runs a single request inside a transaction and resolves with its result
+     * once the transaction completes.
+     *
+     * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'.
+     * @param {function(IDBObjectStore): IDBRequest} operation - Builds the request.
+     * @private
+     * @returns {Promise<*>}
+     */
+    async _request(mode, operation) {
+        const me = this;
+        const db = await me._open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(me._storeName, mode);
+            const request = operation(transaction.objectStore(me._storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error || request.error);
+            transaction.onabort = () => reject(transaction.error || request.error);
+        });
+    }
+}
@@ -0,0 +1,124 @@
+import { StorageAdapter } from './StorageAdapter.js';
+
+/**
+ * Description:
+ * Storage adapter backed by the browser's localStorage. Values are stored
+ * as JSON strings. This is the default adapter of ApplicationStateService.
+ *
+ * Properties summary:
+ * - _storage {Storage} : The Web Storage object used (localStorage by default).
+ * - _quota {number} : The assumed size limit of the Web Storage object, in bytes.
+ *
+ * Typical usage:
+ * const adapter = new LocalStorageAdapter();
+ * await adapter.setItem('key', { a: 1 });
+ *
+ * Business rules implemented:
+ * - Corrupted (unparseable) entries are logged and read as null.
+ * - Browsers do not expose the Web Storage quota; the estimate counts every
+ * key and value (UTF-16, 2 bytes per character) against the 'quota' option.
+ *
+ * Dependencies:
+ * - ./StorageAdapter.js
+ */
+export class LocalStorageAdapter extends StorageAdapter {
+    /**
+     * The Web Storage object used.
+     *
+     * @type {Storage}
+     * @private
+     */
+    _storage;
+
+    /**
+     * The assumed size limit of the Web Storage object, in bytes.
+     *
+     * @type {number}
+     * @private
+     */
+    _quota;
+
+    /**
+     * @param {Storage} [storage=window.localStorage] - A Web Storage object (localStorage or sessionStorage).
+     * @param {object} [options={}]
+     * @param {number} [options.quota=10485760] - The size limit in bytes (5M characters, the usual browser limit).
+     */
+    constructor(storage = window.localStorage, { quota = 10485760 } = {}) {
+        super();
+        this._storage = storage;
+        this._quota = quota;
+    }
+
+    /**
+     * Reads a value.
+     *
+     * @param {string} key - The key to read.
+     * @returns {Promise<object | null>}
+     */
+    async getItem(key) {
+        const me = this;
+        const saved = me._storage.getItem(key);
+        if (!saved) {
+            return null;
+        }
+
+        try {
+            return JSON.parse(saved);
+        } catch (e) {
+            console.error(`LocalStorageAdapter: corrupted data for key "${key}".`, e);
+            return null;
+        }
+    }
+
+    /**
+     * Writes a value.
+     *
+     * @param {string} key - The key to write.
+     * @param {object} value - A JSON-compatible value.
+     * @returns {Promise<void>}
+     */
+    async setItem(key, value) {
+        const me = this;
+        me._storage.setItem(key, JSON.stringify(value));
+    }
+
+    /**
+     * Removes a value.
+     *
+     * @param {string} key - The key to remove.
+     * @returns {Promise<void>}
+     */
+    async removeItem(key) {
+        const me = this;
+        me._storage.removeItem(key);
+    }
+
+    /**
+     * Lists all stored keys.
+     *
+     * @returns {Promise<Array<string>>}
+     */
+    async keys() {
+        const me = this;
+        const keys = [];
+        for (let i = 0; i < me._storage.length; i++) {
+            keys.push(me._storage.key(i));
+        }
+        return keys;
+    }
+
+    /**
+     * Estimates the space used and available, in bytes.
+     *
+     * @returns {Promise<{usage: number, quota: number}>}
+     */
+    async estimate() {
+        const me = this;
+        let characters = 0;
+        for (let i = 0; i < me._storage.length; i++) {
+            const key = me._storage.key(i);
+            characters += key.length + (me._storage.getItem(key) || '').length;
+        }
+        return { usage: characters * 2, quota: me._quota };
+    }
+}
@@ -0,0 +1,74 @@
+import { StorageAdapter } from './StorageAdapter.js';
+
+/**
+ * Description:
+ * Volatile storage adapter that keeps values in a Map. Nothing survives a
+ * page reload, which makes it suited for demos, kiosks and tests.
+ *
+ * Properties summary:
+ * - _store {Map<string, string>} : The stored values (as JSON strings).
+ *
+ * Typical usage:
+ * const app = new App({ storage: new MemoryStorageAdapter() });
+ *
+ * Business rules implemented:
+ * - Values are copied on write and on read (stored as JSON), so callers
+ * never share references with the store.
+ *
+ * Dependencies:
+ * - ./StorageAdapter.js
+ */
+export class MemoryStorageAdapter extends StorageAdapter {
+    /**
+     * The stored values (as JSON strings).
+     *
+     * @type {Map<string, string>}
+     * @private
+     */
+    _store = new Map();
+
+    /**
+     * Reads a value.
+     *
+     * @param {string} key - The key to read.
+     * @returns {Promise<object | null>}
+     */
+    async getItem(key) {
+        const me = this;
+        const saved = me._store.get(key);
+        return saved === undefined ? null : JSON.parse(saved);
+    }
+
+    /**
+     * Writes a value.
+     *
+     * @param {string} key - The key to write.
+     * @param {object} value - A JSON-compatible value.
+     * @returns {Promise<void>}
+     */
+    async setItem(key, value) {
+        const me = this;
+        me._store.set(key, JSON.stringify(value));
+    }
+
+    /**
+     * Removes a value.
+     *
+     * @param {string} key - The key to remove.
+     * @returns {Promise<void>}
+     */
+    async removeItem(key) {
+        const me = this;
+        me._store.delete(key);
+    }
+
+    /**
+     * Lists all stored keys.
+     *
+     * @returns {Promise<Array<string>>}
+     */
+    async keys() {
+        const me = this;
+        return Array.from(me._store.keys());
+    }
+}
@@ -0,0 +1,192 @@
+import { StorageAdapter } from './StorageAdapter.js';
+
+const HTTP_NOT_FOUND = 404;
+const HTTP_PAYLOAD_TOO_LARGE = 413;
+const HTTP_INSUFFICIENT_STORAGE = 507;
+
+/**
+ * Description:
+ * Storage adapter that persists state on a remote HTTP/REST backend.
+ * Each key is mapped to one resource below a base URL.
+ *
+ * Properties summary:
+ * - _baseUrl {string} : The base URL of the state resources (without trailing slash).
+ * - _headers {object} : Extra headers sent with every request (e.g. Authorization).
+ * - _credentials {RequestCredentials} : The fetch credentials mode.
+ *
+ * Typical usage:
+ * const app = new App({
+ * storage: new RestStorageAdapter({
+ * baseUrl: '/api/flexui/state',
+ * headers: { Authorization: 'Bearer ...' }
+ * })
+ * });
+ *
+ * Business rules implemented:
+ * - HTTP contract (key is URL-encoded):
+ * - GET    {baseUrl}/{key} -> 200 with the JSON value, or 404 when missing (read as null).
+ * - PUT    {baseUrl}/{key} -> JSON request body; any 2xx means stored.
+ * - DELETE {baseUrl}/{key} -> any 2xx or 404 means removed.
+ * - GET    {baseUrl}      -> 200 with a JSON array of all stored keys.
+ * - Any other status rejects with an Error carrying the status code; 413 and
+ * 507 are named 'QuotaExceededError', like a full browser storage.
+ *
+ * Dependencies:
+ * - ./StorageAdapter.js
+ */
+export class RestStorageAdapter extends StorageAdapter {
+    /**
+     * The base URL of the state resources (without trailing slash).
+     *
+     * @type {string}
+     * @private
+     */
+    _baseUrl;
+
+    /**
+     * Extra headers sent with every request.
+     *
+     * @type {object}
+     * @private
+     */
+    _headers;
+
+    /**
+     * The fetch credentials mode.
+     *
+     * @type {RequestCredentials}
+     * @private
+     */
+    _credentials;
+
+    /**
+     * @param {object} options
+     * @param {string} options.baseUrl - The base URL of the state resources.
+     * @param {object} [options.headers={}] - Extra headers sent with every request.
+     * @param {RequestCredentials} [options.credentials='same-origin'] - The fetch credentials mode.
+     */
+    constructor({ baseUrl, headers = {}, credentials = 'same-origin' } = {}) {
+        super();
+        if (typeof baseUrl !== 'string' || baseUrl.trim() === '') {
+            throw new Error('RestStorageAdapter: constructor requires a valid baseUrl.');
+        }
+        this._baseUrl = baseUrl.replace(/\/+$/, '');
+        this._headers = headers;
+        this._credentials = credentials;
+    }
+
+    /**
+     * Reads a value.
+     *
+     * @param {string} key - The key to read.
+     * @returns {Promise<object | null>}
+     */
+    async getItem(key) {
+        const me = this;
+        const response = await me._fetch(me._getUrl(key), { method: 'GET' });
+        if (response.status === HTTP_NOT_FOUND) {
+            return null;
+        }
+        me._assertOk(response, 'GET', key);
+        return response.json();
+    }
+
+    /**
+     * Writes a value.
+     *
+     * @param {string} key - The key to write.
+     * @param {object} value - A JSON-compatible value.
+     * @returns {Promise<void>}
+     */
+    async setItem(key, value) {
+        const me = this;
+        const response = await me._fetch(me._getUrl(key), {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(value)
+        });
+        me._assertOk(response, 'PUT', key);
+    }
+
+    /**
+     * Removes a value.
+     *
+     * @param {string} key - The key to remove.
+     * @returns {Promise<void>}
+     */
+    async removeItem(key) {
+        const me = this;
+        const response = await me._fetch(me._getUrl(key), { method: 'DELETE' });
+        if (response.status === HTTP_NOT_FOUND) {
+            return;
+        }
+        me._assertOk(response, 'DELETE', key);
+    }
+
+    /**
+     * Lists all stored keys.
+     *
+     * @returns {Promise<Array<string>>}
+     */
+    async keys() {
+        const me = this;
+        const response = await me._fetch(me._baseUrl, { method: 'GET' });
+        me._assertOk(response, 'GET', '');
+        const keys = await response.json();
+        return Array.isArray(keys) ? keys.map(String) : [];
+    }
+
+    /**
+     * Builds the resource URL of a key.
+     *
+     * @param {string} key - The key.
+     * @private
+     * @returns {string}
+     */
+    _getUrl(key) {
+        const me = this;
+        return `${me._baseUrl}/${encodeURIComponent(key)}`;
+    }
+
+    /**
+     * Performs a request with the configured headers and credentials.
+     *
+     * @param {string} url - The request URL.
+     * @param {RequestInit} init - The request options.
+     * @private
+     * @returns {Promise<Response>}
+     */
+    _fetch(url, init) {
+        const me = this;
+        return fetch(url, {
+            ...init,
+            credentials: me._credentials,
+            headers: { Accept: 'application/json', ...me._headers, ...init.headers }
+        });
+    }
+
+    /**
+     * Throws if the response status is not 2xx.
+     *
+     * @param {Response} response - The response.
+     * @param {string} method - The HTTP method (for the message).
+     * @param {string} key - The key (for the message).
+     * @private
+     * @returns {void}
+     */
+    _assertOk(response, method, key) {
+        if (!response.ok) {
+            const error = new Error(
+                `RestStorageAdapter: ${method} "${key}" failed with status ${response.status}.`
+            );
+            error.status = response.status;
+            if (
+                response.status === HTTP_PAYLOAD_TOO_LARGE ||
+                response.status === HTTP_INSUFFICIENT_STORAGE
+            ) {
+                error.name = 'QuotaExceededError';
+            }
+            throw error;
+        }
+    }
+}
@@ -0,0 +1,97 @@
+/**
+ * Description:
+ * Abstract base class for all storage adapters used by ApplicationStateService.
+ * An adapter persists plain JSON-compatible objects under string keys.
+ * All methods are asynchronous so that local (localStorage, IndexedDB,
+ * memory) and remote (HTTP/REST) backends share the same contract.
+ *
+ * Properties summary:
+ * - None
+ *
+ * Typical usage:
+ * class MyAdapter extends StorageAdapter {
+ * async getItem(key) { ... }
+ * async setItem(key, value) { ... }
+ * async removeItem(key) { ... }
+ * async keys() { ... }
+ * }
+ *
+ * Business rules implemented:
+ * - 'getItem' resolves with null (never throws) when the key does not exist.
+ * - 'setItem' rejects when the value could not be stored (e.g. quota exceeded).
+ * - 'removeItem' resolves even when the key does not exist.
+ * - 'estimate' is optional: adapters that cannot measure their backend
+ * resolve with null.
+ *
+ * Dependencies:
+ * - None
+ *
+ * Notes / Additional:
+ * - Subclasses must override the four item methods; 'estimate' is optional.
+ *
+ * @abstract
+ */
+export class StorageAdapter {
+    /**
+     * Constructor.
+     * Prevents direct instantiation of the abstract class.
+     */
+    constructor() {
+        if (this.constructor === StorageAdapter) {
+            throw new Error('StorageAdapter is abstract and cannot be instantiated.');
+        }
+    }
+
+    /**
+     * Reads a value.
+     *
+     * @param {string} key - The key to read.
+     * @returns {Promise<object | null>} The stored value, or null if missing.
+     */
+    async getItem(key) {
+        key;
+        throw new Error('StorageAdapter: Subclass must override getItem()');
+    }
+
+    /**
+     * Writes a value.
+     *
+     * @param {string} key - The key to write.
+     * @param {object} value - A JSON-compatible value.
+     * @returns {Promise<void>}
+     */
+    async setItem(key, value) {
+        key;
+        value;
+        throw new Error('StorageAdapter: Subclass must override setItem()');
+    }
+
+    /**
+     * Removes a value.
+     *
+     * @param {string} key - The key to remove.
+     * @returns {Promise<void>}
+     */
+    async removeItem(key) {
+        key;
+        throw new Error('StorageAdapter: Subclass must override removeItem()');
+    }
+
+    /**
+     * Lists all stored keys.
+     *
+     * @returns {Promise<Array<string>>}
+     */
+    async keys() {
+        throw new Error('StorageAdapter: Subclass must override keys()');
+    }
+
+    /**
+     * Estimates the space used and available, in bytes.
+     *
+     * @returns {Promise<{usage: number, quota: number} | null>} Null when unknown.
+     */
+    async estimate() {
+        return null;
+    }
+}
@@ -0,0 +1,502 @@
+import { appBus } from '../../utils/EventBus.js';
+import { debounce } from '../../utils/Debounce.js';
+import { EventTypes } from '../../constants/EventTypes.js';
+import { ApplicationStateService } from '../ApplicationStateService.js';
+
+/**
+ * Description:
+ * A Singleton service that tracks unsaved layout changes ("dirty" state) and,
+ * when autosave is enabled, persists them after a quiet period.
+ * It does not know how to serialize or store a layout: the App attaches a
+ * 'serialize' and a 'save' callback.
+ *
+ * Properties summary:
+ * - _instance {AutosaveService | null} : The private static instance for the Singleton.
+ * - PREFERENCES_KEY {string} : Storage key of the autosave preference.
+ * - enabled {boolean} : Whether changes are saved automatically.
+ * - isDirty {boolean} : Whether the layout differs from the last saved one.
+ * - readOnly {boolean} : Whether saving is blocked (another tab holds the write lock).
+ * - _serialize {Function | null} : Returns the current layout (attached by App).
+ * - _save {Function | null} : Persists the current layout, returns a Promise (attached by App).
+ * - _savedSnapshot {string | null} : JSON of the last saved (or loaded) layout.
+ * - _isSaving {boolean} : Whether a save is in progress.
+ * - _debouncedCheck {Function} : Debounced dirty check (runs after change events).
+ * - _debouncedSave {Function} : Debounced autosave.
+ *
+ * Typical usage:
+ * const autosave = AutosaveService.getInstance();
+ * autosave.attach({ serialize: () => app._serializeLayout(), save: () => app._persistLayout() });
+ * await autosave.loadPreference(false);
+ * autosave.markSaved(); // after loading a layout
+ *
+ * Events:
+ * - Listens to: EventTypes.LAYOUT_ROWS_CHANGED, EventTypes.LAYOUT_COLUMNS_CHANGED,
+ * EventTypes.LAYOUT_PANELGROUPS_CHANGED, EventTypes.LAYOUT_RESIZED, EventTypes.DND_DRAG_END
+ * - Emits: EventTypes.WORKSPACE_SAVE_STATUS_CHANGED ({ status: 'saved' | 'modified' | 'saving' | 'error' | 'readonly', autosave: boolean })
+ *
+ * Business rules implemented:
+ * - Dirty state is decided by comparing the serialized layout with the last
+ * saved one, so events that do not change the layout never mark it dirty.
+ * - Dirty tracking is always active; saving is only automatic when enabled.
+ * - Saves are debounced ('saveDelay') and never overlap; a change made during
+ * a save schedules another one.
+ * - Pending changes are flushed on 'beforeunload' (best effort: storage writes
+ * are started synchronously and uncompressed, async backends may not finish).
+ * - The enabled preference is persisted through ApplicationStateService.
+ * - While read-only, nothing is saved and the status is always 'readonly';
+ * dirty tracking goes on, so pending changes are saved once writing is allowed.
+ *
+ * Dependencies:
+ * - ../../utils/EventBus.js
+ * - ../../utils/Debounce.js
+ * - ../../constants/EventTypes.js
+ * - ../ApplicationStateService.js
+ */
+export class AutosaveService {
+    /**
+     * @type {AutosaveService | null}
+     * @private
+     */
+    static _instance = null;
+
+    /**
+     * Storage key of the autosave preference.
+     *
+     * @type {string}
+     * @public
+     */
+    PREFERENCES_KEY = 'flexui_autosave';
+
+    /**
+     * Unique namespace for appBus listeners.
+     *
+     * @type {string}
+     * @private
+     */
+    _namespace = 'autosave-service';
+
+    /**
+     * Whether changes are saved automatically.
+     *
+     * @type {boolean}
+     * @private
+     */
+    _enabled = false;
+
+    /**
+     * Whether the layout differs from the last saved one.
+     *
+     * @type {boolean}
+     * @private
+     */
+    _isDirty = false;
+
+    /**
+     * Whether saving is blocked.
+     *
+     * @type {boolean}
+     * @private
+     */
+    _readOnly = false;
+
+    /**
+     * Whether a save is in progress.
+     *
+     * @type {boolean}
+     * @private
+     */
+    _isSaving = false;
+
+    /**
+     * Returns the current layout.
+     *
+     * @type {Function | null}
+     * @private
+     */
+    _serialize = null;
+
+    /**
+     * Persists the current layout.
+     *
+     * @type {Function | null}
+     * @private
+     */
+    _save = null;
+
+    /**
+     * JSON of the last saved (or loaded) layout.
+     *
+     * @type {string | null}
+     * @private
+     */
+    _savedSnapshot = null;
+
+    /**
+     * Delay (ms) between the last change and the dirty check.
+     *
+     * @type {number}
+     * @private
+     */
+    _checkDelay = 250;
+
+    /**
+     * Delay (ms) between the last change and the automatic save.
+     *
+     * @type {number}
+     * @private
+     */
+    _saveDelay = 2000;
+
+    /**
+     * Debounced dirty check.
+     *
+     * @type {Function & {cancel: Function}}
+     * @private
+     */
+    _debouncedCheck;
+
+    /**
+     * Debounced autosave.
+     *
+     * @type {Function & {cancel: Function}}
+     * @private
+     */
+    _debouncedSave;
+
+    /**
+     * Bound handler for layout change events.
+     *
+     * @type {Function}
+     * @private
+     */
+    _boundOnLayoutChange;
+
+    /**
+     * Bound handler for the window 'beforeunload' event.
+     *
+     * @type {Function}
+     * @private
+     */
+    _boundOnBeforeUnload;
+
+    /**
+     * @private
+     */
+    constructor() {
+        if (AutosaveService._instance) {
+            console.warn('AutosaveService instance already exists. Use getInstance().');
+            return AutosaveService._instance;
+        }
+        AutosaveService._instance = this;
+
+        const me = this;
+        me._debouncedCheck = debounce(() => me.checkDirty(), me._checkDelay);
+        me._debouncedSave = debounce(() => me.flush(), me._saveDelay);
+        me._boundOnLayoutChange = me._onLayoutChange.bind(me);
+        me._boundOnBeforeUnload = me._onBeforeUnload.bind(me);
+
+        me._initEventListeners();
+    }
+
+    /**
+     * Gets the single instance of the AutosaveService.
+     *
+     * @returns {AutosaveService}
+     */
+    static getInstance() {
+        if (!AutosaveService._instance) {
+            AutosaveService._instance = new AutosaveService();
+        }
+        return AutosaveService._instance;
+    }
+
+    /**
+     * Enabled getter.
+     *
+     * @returns {boolean}
+     */
+    get enabled() {
+        return this._enabled;
+    }
+
+    /**
+     * Enabled setter with validation. Enabling saves pending changes.
+     *
+     * @param {boolean} value
+     * @returns {void}
+     */
+    set enabled(value) {
+        const me = this;
+        if (typeof value !== 'boolean') {
+            console.warn(
+                `[AutosaveService] Invalid enabled assignment (${value}). Must be boolean.`
+            );
+            return;
+        }
+        me._enabled = value;
+        if (value && me._isDirty) {
+            me._debouncedSave();
+        } else if (!value) {
+            me._debouncedSave.cancel();
+        }
+        me._emitStatus(me._isDirty ? 'modified' : 'saved');
+    }
+
+    /**
+     * ReadOnly getter.
+     *
+     * @returns {boolean}
+     */
+    get readOnly() {
+        return this._readOnly;
+    }
+
+    /**
+     * ReadOnly setter with validation. Leaving read-only mode saves pending
+     * changes if autosave is enabled.
+     *
+     * @param {boolean} value
+     * @returns {void}
+     */
+    set readOnly(value) {
+        const me = this;
+        if (typeof value !== 'boolean') {
+            console.warn(
+                `[AutosaveService] Invalid readOnly assignment (${value}). Must be boolean.`
+            );
+            return;
+        }
+        me._readOnly = value;
+        if (value) {
+            me._debouncedSave.cancel();
+        } else if (me._enabled && me._isDirty) {
+            me._debouncedSave();
+        }
+        me._emitStatus(me._isDirty ? 'modified' : 'saved');
+    }
+
+    /**
+     * Dirty state getter.
+     *
+     * @returns {boolean}
+     */
+    get isDirty() {
+        return this._isDirty;
+    }
+
+    /**
+     * Attaches the callbacks used to serialize and persist the layout.
+     *
+     * @param {object} callbacks
+     * @param {function(): object} callbacks.serialize - Returns the current layout.
+     * @param {function(): Promise<void>} callbacks.save - Persists the current layout.
+     * @returns {void}
+     */
+    attach({ serialize, save }) {
+        const me = this;
+        if (typeof serialize !== 'function' || typeof save !== 'function') {
+            console.warn('[AutosaveService] attach requires serialize and save functions.');
+            return;
+        }
+        me._serialize = serialize;
+        me._save = save;
+    }
+
+    /**
+     * Loads the persisted preference, falling back to the given default.
+     *
+     * @param {boolean} defaultValue - Used when no preference was stored.
+     * @returns {Promise<void>}
+     */
+    async loadPreference(defaultValue) {
+        const me = this;
+        const preference = await ApplicationStateService.getInstance().readState(
+            me.PREFERENCES_KEY
+        );
+        me.enabled =
+            preference && typeof preference.enabled === 'boolean'
+                ? preference.enabled
+                : Boolean(defaultValue);
+    }
+
+    /**
+     * Toggles autosave and persists the preference.
+     *
+     * @returns {Promise<boolean>} The new enabled state.
+     */
+    async toggle() {
+        const me = this;
+        me.enabled = !me._enabled;
+        await ApplicationStateService.getInstance().saveState(me.PREFERENCES_KEY, {
+            enabled: me._enabled
+        });
+        return me._enabled;
+    }
+
+    /**
+     * Records the current layout as saved (after a load or a manual save).
+     *
+     * @param {object} [layout] - The saved layout; serialized now if omitted.
+     * @returns {void}
+     */
+    markSaved(layout) {
+        const me = this;
+        if (!me._serialize && !layout) {
+            return;
+        }
+        me._debouncedCheck.cancel();
+        me._debouncedSave.cancel();
+        me._savedSnapshot = JSON.stringify(layout || me._serialize());
+        me._setDirty(false);
+    }
+
+    /**
+     * Compares the current layout with the last saved one and updates the
+     * dirty state, scheduling an autosave if needed.
+     *
+     * @returns {boolean} The dirty state.
+     */
+    checkDirty() {
+        const me = this;
+        const isDirty = me._updateDirty();
+        if (isDirty && me._enabled && !me._readOnly) {
+            me._debouncedSave();
+        }
+        return isDirty;
+    }
+
+    /**
+     * Saves pending changes immediately (if any).
+     *
+     * @returns {Promise<void>}
+     */
+    async flush() {
+        const me = this;
+        me._debouncedSave.cancel();
+        if (!me._save || me._isSaving || me._readOnly || !me._updateDirty()) {
+            return;
+        }
+
+        me._isSaving = true;
+        me._emitStatus('saving');
+        try {
+            const layout = me._serialize();
+            await me._save();
+            me._savedSnapshot = JSON.stringify(layout);
+            me._isSaving = false;
+            // Changes made while saving keep the workspace dirty.
+            me.checkDirty();
+            me._emitStatus(me._isDirty ? 'modified' : 'saved');
+        } catch (err) {
+            me._isSaving = false;
+            console.error('AutosaveService: autosave failed.', err);
+            me._emitStatus('error');
+        }
+    }
+
+    /**
+     * Cleans up listeners and pending timers.
+     *
+     * @returns {void}
+     */
+    destroy() {
+        const me = this;
+        appBus.offByNamespace(me._namespace);
+        window.removeEventListener('beforeunload', me._boundOnBeforeUnload);
+        me._debouncedCheck.cancel();
+        me._debouncedSave.cancel();
+        AutosaveService._instance = null;
+    }
+
+    /**
+     * Subscribes to structural layout events and 'beforeunload'.
+     *
+     * @private
+     * @returns {void}
+     */
+    _initEventListeners() {
+        const me = this;
+        const options = { namespace: me._namespace };
+
+        [
+            EventTypes.LAYOUT_ROWS_CHANGED,
+            EventTypes.LAYOUT_COLUMNS_CHANGED,
+            EventTypes.LAYOUT_PANELGROUPS_CHANGED,
+            EventTypes.LAYOUT_RESIZED,
+            EventTypes.DND_DRAG_END
+        ].forEach(eventName => appBus.on(eventName, me._boundOnLayoutChange, options));
+
+        window.addEventListener('beforeunload', me._boundOnBeforeUnload);
+    }
+
+    /**
+     * Handles any structural change by scheduling a dirty check.
+     *
+     * @private
+     * @returns {void}
+     */
+    _onLayoutChange() {
+        this._debouncedCheck();
+    }
+
+    /**
+     * Flushes pending changes when the page is being unloaded.
+     *
+     * @private
+     * @returns {void}
+     */
+    _onBeforeUnload() {
+        const me = this;
+        if (me._enabled) {
+            ApplicationStateService.getInstance().writeUncompressed(() => me.flush());
+        }
+    }
+
+    /**
+     * Compares the current layout with the last saved one and updates the dirty flag.
+     *
+     * @private
+     * @returns {boolean} The dirty state.
+     */
+    _updateDirty() {
+        const me = this;
+        if (!me._serialize || me._savedSnapshot === null) {
+            return false;
+        }
+        me._setDirty(JSON.stringify(me._serialize()) !== me._savedSnapshot);
+        return me._isDirty;
+    }
+
+    /**
+     * Updates the dirty flag and notifies listeners when it changes.
+     *
+     * @param {boolean} isDirty
+     * @private
+     * @returns {void}
+     */
+    _setDirty(isDirty) {
+        const me = this;
+        if (me._isDirty === isDirty) {
+            return;
+        }
+        me._isDirty = isDirty;
+        if (!me._isSaving) {
+            me._emitStatus(isDirty ? 'modified' : 'saved');
+        }
+    }
+
+    /**
+     * Emits the save status ('readonly' replaces it while saving is blocked).
+     *
+     * @param {'saved' | 'modified' | 'saving' | 'error'} status
+     * @private
+     * @returns {void}
+     */
+    _emitStatus(status) {
+        const me = this;
+        appBus.emit(EventTypes.WORKSPACE_SAVE_STATUS_CHANGED, {
+            status: me._readOnly ? 'readonly' : status,
+            autosave: me._enabled
+        });
+    }
+}
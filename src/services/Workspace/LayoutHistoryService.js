@@ -0,0 +1,407 @@
+import { appBus } from '../../utils/EventBus.js';
+import { debounce } from '../../utils/Debounce.js';
+import { EventTypes } from '../../constants/EventTypes.js';
+
+/**
+ * Description:
+ * A Singleton service that keeps a bounded undo/redo history of the layout.
+ * After every structural change (moves, closes, undocks, collapses, resizes)
+ * it records a snapshot of the serialized layout. Undo and redo rebuild the
+ * layout from those snapshots.
+ * It does not know how to serialize or build a layout: the App attaches a
+ * 'serialize' and an 'apply' callback.
+ *
+ * Properties summary:
+ * - _instance {LayoutHistoryService | null} : The private static instance for the Singleton.
+ * - maxDepth {number} : Maximum number of undo steps kept.
+ * - canUndo {boolean} : Whether there is a step to undo.
+ * - canRedo {boolean} : Whether there is a step to redo.
+ * - _serialize {Function | null} : Returns the current layout (attached by App).
+ * - _apply {Function | null} : Rebuilds the layout from a snapshot (attached by App).
+ * - _current {string | null} : JSON of the layout currently on screen.
+ * - _undoStack {Array<string>} : JSON snapshots of previous layouts (oldest first).
+ * - _redoStack {Array<string>} : JSON snapshots of undone layouts (most recent last).
+ * - _isApplying {boolean} : Whether a snapshot is being applied.
+ * - _debouncedRecord {Function} : Debounced recording (runs after change events).
+ *
+ * Typical usage:
+ * const history = LayoutHistoryService.getInstance();
+ * history.attach({ serialize: () => app._serializeLayout(), apply: layout => app._applyHistorySnapshot(layout) });
+ * history.reset(); // after loading a layout
+ * await history.undo();
+ * await history.redo();
+ *
+ * Events:
+ * - Listens to: EventTypes.LAYOUT_ROWS_CHANGED, EventTypes.LAYOUT_COLUMNS_CHANGED,
+ * EventTypes.LAYOUT_PANELGROUPS_CHANGED, EventTypes.LAYOUT_RESIZED, EventTypes.DND_DRAG_END
+ * - Emits: EventTypes.LAYOUT_HISTORY_CHANGED ({ canUndo: boolean, canRedo: boolean })
+ *
+ * Business rules implemented:
+ * - A step is recorded only when the serialized layout actually changed, so
+ * several events fired by one user action produce a single step.
+ * - The history is bounded ('maxDepth'); the oldest steps are dropped first.
+ * - A new change after an undo discards the redo steps.
+ * - Changes caused by applying a snapshot are never recorded.
+ * - Loading another layout (switch, restore, reset, import) starts a new history.
+ *
+ * Dependencies:
+ * - ../../utils/EventBus.js
+ * - ../../utils/Debounce.js
+ * - ../../constants/EventTypes.js
+ */
+export class LayoutHistoryService {
+    /**
+     * @type {LayoutHistoryService | null}
+     * @private
+     */
+    static _instance = null;
+
+    /**
+     * Unique namespace for appBus listeners.
+     *
+     * @type {string}
+     * @private
+     */
+    _namespace = 'layout-history-service';
+
+    /**
+     * Maximum number of undo steps kept.
+     *
+     * @type {number}
+     * @private
+     */
+    _maxDepth = 50;
+
+    /**
+     * Returns the current layout.
+     *
+     * @type {Function | null}
+     * @private
+     */
+    _serialize = null;
+
+    /**
+     * Rebuilds the layout from a snapshot.
+     *
+     * @type {Function | null}
+     * @private
+     */
+    _apply = null;
+
+    /**
+     * JSON of the layout currently on screen.
+     *
+     * @type {string | null}
+     * @private
+     */
+    _current = null;
+
+    /**
+     * JSON snapshots of previous layouts (oldest first).
+     *
+     * @type {Array<string>}
+     * @private
+     */
+    _undoStack = [];
+
+    /**
+     * JSON snapshots of undone layouts (most recent last).
+     *
+     * @type {Array<string>}
+     * @private
+     */
+    _redoStack = [];
+
+    /**
+     * Whether a snapshot is being applied.
+     *
+     * @type {boolean}
+     * @private
+     */
+    _isApplying = false;
+
+    /**
+     * Delay (ms) between the last change event and the recording.
+     *
+     * @type {number}
+     * @private
+     */
+    _recordDelay = 250;
+
+    /**
+     * Debounced recording.
+     *
+     * @type {Function & {cancel: Function}}
+     * @private
+     */
+    _debouncedRecord;
+
+    /**
+     * @private
+     */
+    constructor() {
+        if (LayoutHistoryService._instance) {
+            console.warn('LayoutHistoryService instance already exists. Use getInstance().');
+            return LayoutHistoryService._instance;
+        }
+        LayoutHistoryService._instance = this;
+
+        const me = this;
+        me._debouncedRecord = debounce(() => me.record(), me._recordDelay);
+
+        me._initEventListeners();
+    }
+
+    /**
+     * Gets the single instance of the LayoutHistoryService.
+     *
+     * @returns {LayoutHistoryService}
+     */
+    static getInstance() {
+        if (!LayoutHistoryService._instance) {
+            LayoutHistoryService._instance = new LayoutHistoryService();
+        }
+        return LayoutHistoryService._instance;
+    }
+
+    /**
+     * MaxDepth getter.
+     *
+     * @returns {number}
+     */
+    get maxDepth() {
+        return this._maxDepth;
+    }
+
+    /**
+     * MaxDepth setter with validation. Drops the oldest steps if needed.
+     *
+     * @param {number} value
+     * @returns {void}
+     */
+    set maxDepth(value) {
+        const me = this;
+        if (!Number.isInteger(value) || value < 1) {
+            console.warn(
+                `[LayoutHistoryService] Invalid maxDepth assignment (${value}). Must be a positive integer.`
+            );
+            return;
+        }
+        me._maxDepth = value;
+        me._trim();
+        me._emitChanged();
+    }
+
+    /**
+     * CanUndo getter.
+     *
+     * @returns {boolean}
+     */
+    get canUndo() {
+        return this._undoStack.length > 0;
+    }
+
+    /**
+     * CanRedo getter.
+     *
+     * @returns {boolean}
+     */
+    get canRedo() {
+        return this._redoStack.length > 0;
+    }
+
+    /**
+     * Attaches the callbacks used to serialize and rebuild the layout.
+     *
+     * @param {object} callbacks
+     * @param {function(): object} callbacks.serialize - Returns the current layout.
+     * @param {function(object): (void | Promise<void>)} callbacks.apply - Rebuilds the layout from a snapshot.
+     * @returns {void}
+     */
+    attach({ serialize, apply }) {
+        const me = this;
+        if (typeof serialize !== 'function' || typeof apply !== 'function') {
+            console.warn('[LayoutHistoryService] attach requires serialize and apply functions.');
+            return;
+        }
+        me._serialize = serialize;
+        me._apply = apply;
+    }
+
+    /**
+     * Starts a new history from the layout currently on screen.
+     *
+     * @returns {void}
+     */
+    reset() {
+        const me = this;
+        if (!me._serialize) {
+            return;
+        }
+        me._debouncedRecord.cancel();
+        me._undoStack = [];
+        me._redoStack = [];
+        me._current = JSON.stringify(me._serialize());
+        me._emitChanged();
+    }
+
+    /**
+     * Records a step if the layout changed since the last recorded one.
+     *
+     * @returns {boolean} True if a step was recorded.
+     */
+    record() {
+        const me = this;
+        me._debouncedRecord.cancel();
+        if (!me._serialize || me._isApplying || me._current === null) {
+            return false;
+        }
+
+        const snapshot = JSON.stringify(me._serialize());
+        if (snapshot === me._current) {
+            return false;
+        }
+
+        me._undoStack.push(me._current);
+        me._redoStack = [];
+        me._current = snapshot;
+        me._trim();
+        me._emitChanged();
+        return true;
+    }
+
+    /**
+     * Reverts the last step.
+     *
+     * @returns {Promise<boolean>} True if a step was undone.
+     */
+    async undo() {
+        const me = this;
+        if (me._isApplying) {
+            return false;
+        }
+        // A change still waiting for the debounce must become a step first.
+        me.record();
+        if (!me.canUndo) {
+            return false;
+        }
+
+        me._redoStack.push(me._current);
+        await me._applySnapshot(me._undoStack.pop());
+        return true;
+    }
+
+    /**
+     * Re-applies the last undone step.
+     *
+     * @returns {Promise<boolean>} True if a step was redone.
+     */
+    async redo() {
+        const me = this;
+        if (me._isApplying) {
+            return false;
+        }
+        me.record();
+        if (!me.canRedo) {
+            return false;
+        }
+
+        me._undoStack.push(me._current);
+        me._trim();
+        await me._applySnapshot(me._redoStack.pop());
+        return true;
+    }
+
+    /**
+     * Cleans up listeners and pending timers.
+     *
+     * @returns {void}
+     */
+    destroy() {
+        const me = this;
+        appBus.offByNamespace(me._namespace);
+        me._debouncedRecord.cancel();
+        LayoutHistoryService._instance = null;
+    }
+
+    /**
+     * Subscribes to structural layout events.
+     *
+     * @private
+     * @returns {void}
+     */
+    _initEventListeners() {
+        const me = this;
+        const options = { namespace: me._namespace };
+        const onChange = () => me._onLayoutChange();
+
+        [
+            EventTypes.LAYOUT_ROWS_CHANGED,
+            EventTypes.LAYOUT_COLUMNS_CHANGED,
+            EventTypes.LAYOUT_PANELGROUPS_CHANGED,
+            EventTypes.LAYOUT_RESIZED,
+            EventTypes.DND_DRAG_END
+        ].forEach(eventName => appBus.on(eventName, onChange, options));
+    }
+
+    /**
+     * Handles any structural change by scheduling a recording.
+     *
+     * @private
+     * @returns {void}
+     */
+    _onLayoutChange() {
+        const me = this;
+        if (!me._isApplying) {
+            me._debouncedRecord();
+        }
+    }
+
+    /**
+     * Rebuilds the layout from a snapshot and makes it the current one.
+     *
+     * @param {string} snapshot - The JSON snapshot.
+     * @private
+     * @returns {Promise<void>}
+     */
+    async _applySnapshot(snapshot) {
+        const me = this;
+        me._isApplying = true;
+        try {
+            await me._apply(JSON.parse(snapshot));
+        } finally {
+            me._debouncedRecord.cancel();
+            me._isApplying = false;
+        }
+        // Re-read what was built, so rebuilding never counts as a change.
+        me._current = JSON.stringify(me._serialize());
+        me._emitChanged();
+    }
+
+    /**
+     * Drops the oldest undo steps beyond 'maxDepth'.
+     *
+     * @private
+     * @returns {void}
+     */
+    _trim() {
+        const me = this;
+        if (me._undoStack.length > me._maxDepth) {
+            me._undoStack.splice(0, me._undoStack.length - me._maxDepth);
+        }
+    }
+
+    /**
+     * Emits the availability of undo and redo.
+     *
+     * @private
+     * @returns {void}
+     */
+    _emitChanged() {
+        const me = this;
+        appBus.emit(EventTypes.LAYOUT_HISTORY_CHANGED, {
+            canUndo: me.canUndo,
+            canRedo: me.canRedo
+        });
+    }
+}
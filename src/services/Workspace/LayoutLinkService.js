@@ -0,0 +1,219 @@
+import {
+    compressJSON,
+    decompressJSON,
+    isCompressionSupported
+} from '../../utils/JsonCompression.js';
+import { WorkspaceMigrationService } from './WorkspaceMigrationService.js';
+import { WorkspaceValidationService } from './WorkspaceValidationService.js';
+
+const GZIP_FORMAT = 'gz';
+const JSON_FORMAT = 'json';
+
+/**
+ * Description:
+ * A Singleton service that encodes a workspace layout into a shareable link
+ * (in the URL fragment) and reads it back. The fragment never reaches the
+ * server, so the layout stays between the people who share the link.
+ *
+ * Properties summary:
+ * - _instance {LayoutLinkService | null} : The private static instance for the Singleton.
+ * - FRAGMENT_KEY {string} : The fragment parameter holding the layout ('#layout=...').
+ *
+ * Typical usage:
+ * const links = LayoutLinkService.getInstance();
+ * const url = await links.createLink({ name: 'Review', layout: app._serializeLayout() });
+ * if (links.hasLink()) {
+ * const { workspace, issues } = await links.readLink();
+ * links.clearLink();
+ * }
+ *
+ * Business rules implemented:
+ * - The fragment is '#layout=<format>.<data>': 'gz' is gzip-compressed JSON in
+ * base64url; 'json' (browsers without CompressionStream) is URI-encoded JSON.
+ * - Links carry { schemaVersion, name, layout }, the layout including the
+ * toolbars. Read layouts are migrated and validated like imported files;
+ * broken subtrees are dropped and reported as issues.
+ * - Malformed links are rejected with an Error.
+ * - Clearing the link removes the fragment without adding a history entry.
+ *
+ * Dependencies:
+ * - ../../utils/JsonCompression.js
+ * - ./WorkspaceMigrationService.js
+ * - ./WorkspaceValidationService.js
+ */
+export class LayoutLinkService {
+    /**
+     * @type {LayoutLinkService | null}
+     * @private
+     */
+    static _instance = null;
+
+    /**
+     * The fragment parameter holding the layout.
+     *
+     * @type {string}
+     * @public
+     */
+    FRAGMENT_KEY = 'layout';
+
+    /**
+     * @private
+     */
+    constructor() {
+        if (LayoutLinkService._instance) {
+            console.warn('LayoutLinkService instance already exists. Use getInstance().');
+            return LayoutLinkService._instance;
+        }
+        LayoutLinkService._instance = this;
+    }
+
+    /**
+     * Gets the single instance of the LayoutLinkService.
+     *
+     * @returns {LayoutLinkService}
+     */
+    static getInstance() {
+        if (!LayoutLinkService._instance) {
+            LayoutLinkService._instance = new LayoutLinkService();
+        }
+        return LayoutLinkService._instance;
+    }
+
+    /**
+     * Builds a link that opens FlexUI with a layout.
+     *
+     * @param {{name: string, layout: object}} workspace - The workspace to share.
+     * @param {string} [baseUrl=window.location.href] - The page the link points to.
+     * @returns {Promise<string>}
+     */
+    async createLink({ name, layout }, baseUrl = window.location.href) {
+        const me = this;
+        const data = {
+            schemaVersion: WorkspaceMigrationService.getInstance().currentVersion,
+            name,
+            layout
+        };
+
+        let payload;
+        if (isCompressionSupported()) {
+            const { data: base64 } = await compressJSON(data);
+            payload = `${GZIP_FORMAT}.${me._toBase64Url(base64)}`;
+        } else {
+            payload = `${JSON_FORMAT}.${encodeURIComponent(JSON.stringify(data))}`;
+        }
+
+        const url = new URL(baseUrl);
+        url.hash = `${me.FRAGMENT_KEY}=${payload}`;
+        return url.toString();
+    }
+
+    /**
+     * Tells whether a fragment carries a layout.
+     *
+     * @param {string} [hash=window.location.hash] - The URL fragment.
+     * @returns {boolean}
+     */
+    hasLink(hash = window.location.hash) {
+        const me = this;
+        return me._getPayload(hash) !== null;
+    }
+
+    /**
+     * Decodes, migrates and validates the layout of a fragment.
+     *
+     * @param {string} [hash=window.location.hash] - The URL fragment.
+     * @returns {Promise<{workspace: {name: string, layout: object}, issues: Array<{path: string, message: string, action: string}>}>}
+     * @throws {Error} If the fragment has no layout or cannot be decoded.
+     */
+    async readLink(hash = window.location.hash) {
+        const me = this;
+        const payload = me._getPayload(hash);
+        if (!payload) {
+            throw new Error('LayoutLinkService: the link has no layout.');
+        }
+
+        const separator = payload.indexOf('.');
+        const format = payload.slice(0, separator);
+        const encoded = payload.slice(separator + 1);
+        let data;
+        try {
+            if (format === GZIP_FORMAT) {
+                data = await decompressJSON({
+                    compression: 'gzip',
+                    data: me._fromBase64Url(encoded)
+                });
+            } else if (format === JSON_FORMAT) {
+                data = JSON.parse(decodeURIComponent(encoded));
+            }
+        } catch (e) {
+            throw new Error('LayoutLinkService: the layout in the link is corrupted.');
+        }
+        if (!data) {
+            throw new Error(`LayoutLinkService: unknown link format "${format}".`);
+        }
+
+        const migrated = WorkspaceMigrationService.getInstance().migrate(data);
+        const { workspace, issues } =
+            WorkspaceValidationService.getInstance().validateWorkspace(migrated);
+        if (!workspace) {
+            throw new Error('LayoutLinkService: the link does not hold a FlexUI layout.');
+        }
+        return { workspace, issues };
+    }
+
+    /**
+     * Removes the layout fragment from the address bar.
+     *
+     * @returns {void}
+     */
+    clearLink() {
+        const me = this;
+        if (!me.hasLink()) {
+            return;
+        }
+        const url = new URL(window.location.href);
+        url.hash = '';
+        window.history.replaceState(window.history.state, '', url.toString());
+    }
+
+    /**
+     * Extracts the encoded layout of a fragment.
+     *
+     * @param {string} hash - The URL fragment (with or without '#').
+     * @private
+     * @returns {string | null}
+     */
+    _getPayload(hash) {
+        const me = this;
+        const prefix = `${me.FRAGMENT_KEY}=`;
+        const fragment = String(hash || '').replace(/^#/, '');
+        if (!fragment.startsWith(prefix) || !fragment.includes('.')) {
+            return null;
+        }
+        return fragment.slice(prefix.length);
+    }
+
+    /**
+     * Makes base64 safe for URLs (no '+', '/' or padding).
+     *
+     * @param {string} base64
+     * @private
+     * @returns {string}
+     */
+    _toBase64Url(base64) {
+        return base64.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    /**
+     * Restores base64 from its URL-safe form.
+     *
+     * @param {string} base64Url
+     * @private
+     * @returns {string}
+     */
+    _fromBase64Url(base64Url) {
+        const base64 = base64Url.replace(/-/g, '+').replace(/_/g, '/');
+        const blockSize = 4;
+        return base64.padEnd(Math.ceil(base64.length / blockSize) * blockSize, '=');
+    }
+}
@@ -0,0 +1,281 @@
+import { appBus } from '../../utils/EventBus.js';
+import { debounce } from '../../utils/Debounce.js';
+import { EventTypes } from '../../constants/EventTypes.js';
+
+/**
+ * Description:
+ * A Singleton service that tracks the width of the layout container against
+ * a list of breakpoints and picks the layout variant of a workspace that
+ * fits the current width.
+ * A workspace keeps its base layout in 'layout' and, optionally, one variant
+ * per breakpoint in 'variants' ({ [breakpointName]: layout }).
+ *
+ * Properties summary:
+ * - _instance {LayoutVariantService | null} : The private static instance for the Singleton.
+ * - breakpoints {Array<{name: string, minWidth: number}>} : The breakpoints, sorted by minWidth.
+ * - currentBreakpoint {string} : Name of the breakpoint matching the observed width.
+ * - _observer {ResizeObserver | null} : Observes the container element.
+ * - _element {HTMLElement | null} : The observed element.
+ * - _debouncedCheck {Function} : Debounced breakpoint check (runs after resizes).
+ *
+ * Typical usage:
+ * const variants = LayoutVariantService.getInstance();
+ * variants.observe(container.element);
+ * const { key, layout } = variants.resolveVariant(workspace, variants.currentBreakpoint);
+ * appBus.on(EventTypes.LAYOUT_BREAKPOINT_CHANGED, ({ breakpoint }) => { ... });
+ *
+ * Events:
+ * - Emits: EventTypes.LAYOUT_BREAKPOINT_CHANGED ({ breakpoint, previous, width })
+ *
+ * Business rules implemented:
+ * - The breakpoint is the one with the largest 'minWidth' not above the width.
+ * - Resizes are debounced, so dragging the window across a breakpoint and back
+ * does not rebuild the layout on every frame.
+ * - A breakpoint without a variant uses the base layout.
+ *
+ * Dependencies:
+ * - ../../utils/EventBus.js
+ * - ../../utils/Debounce.js
+ * - ../../constants/EventTypes.js
+ */
+export class LayoutVariantService {
+    /**
+     * @type {LayoutVariantService | null}
+     * @private
+     */
+    static _instance = null;
+
+    /**
+     * The breakpoints, sorted by minWidth.
+     *
+     * @type {Array<{name: string, minWidth: number}>}
+     * @private
+     */
+    _breakpoints = [
+        { name: 'compact', minWidth: 0 },
+        { name: 'regular', minWidth: 1280 },
+        { name: 'wide', minWidth: 1920 }
+    ];
+
+    /**
+     * Name of the breakpoint matching the observed width.
+     *
+     * @type {string}
+     * @private
+     */
+    _currentBreakpoint = 'regular';
+
+    /**
+     * Observes the container element.
+     *
+     * @type {ResizeObserver | null}
+     * @private
+     */
+    _observer = null;
+
+    /**
+     * The observed element.
+     *
+     * @type {HTMLElement | null}
+     * @private
+     */
+    _element = null;
+
+    /**
+     * Delay (ms) between the last resize and the breakpoint check.
+     *
+     * @type {number}
+     * @private
+     */
+    _checkDelay = 200;
+
+    /**
+     * Debounced breakpoint check.
+     *
+     * @type {Function & {cancel: Function}}
+     * @private
+     */
+    _debouncedCheck;
+
+    /**
+     * @private
+     */
+    constructor() {
+        if (LayoutVariantService._instance) {
+            console.warn('LayoutVariantService instance already exists. Use getInstance().');
+            return LayoutVariantService._instance;
+        }
+        LayoutVariantService._instance = this;
+
+        const me = this;
+        me._debouncedCheck = debounce(() => me._checkBreakpoint(), me._checkDelay);
+    }
+
+    /**
+     * Gets the single instance of the LayoutVariantService.
+     *
+     * @returns {LayoutVariantService}
+     */
+    static getInstance() {
+        if (!LayoutVariantService._instance) {
+            LayoutVariantService._instance = new LayoutVariantService();
+        }
+        return LayoutVariantService._instance;
+    }
+
+    /**
+     * Breakpoints getter.
+     *
+     * @returns {Array<{name: string, minWidth: number}>} A copy of the breakpoints.
+     */
+    get breakpoints() {
+        return this._breakpoints.map(breakpoint => ({ ...breakpoint }));
+    }
+
+    /**
+     * Breakpoints setter with validation. Re-checks the current width.
+     *
+     * @param {Array<{name: string, minWidth: number}>} value
+     * @returns {void}
+     */
+    set breakpoints(value) {
+        const me = this;
+        const isValid =
+            Array.isArray(value) &&
+            value.length > 0 &&
+            value.every(
+                breakpoint =>
+                    typeof breakpoint?.name === 'string' &&
+                    breakpoint.name !== '' &&
+                    Number.isFinite(breakpoint.minWidth) &&
+                    breakpoint.minWidth >= 0
+            ) &&
+            new Set(value.map(breakpoint => breakpoint.name)).size === value.length;
+        if (!isValid) {
+            console.warn(
+                `[LayoutVariantService] Invalid breakpoints assignment (${value}). Must be a non-empty list of { name, minWidth } with unique names.`
+            );
+            return;
+        }
+        me._breakpoints = value
+            .map(({ name, minWidth }) => ({ name, minWidth }))
+            .sort((a, b) => a.minWidth - b.minWidth);
+        me._checkBreakpoint();
+    }
+
+    /**
+     * CurrentBreakpoint getter.
+     *
+     * @returns {string}
+     */
+    get currentBreakpoint() {
+        return this._currentBreakpoint;
+    }
+
+    /**
+     * Returns the name of the breakpoint matching a width.
+     *
+     * @param {number} width - The container width in pixels.
+     * @returns {string}
+     */
+    getBreakpointFor(width) {
+        const me = this;
+        const match = me._breakpoints.filter(breakpoint => breakpoint.minWidth <= width).pop();
+        return (match || me._breakpoints[0]).name;
+    }
+
+    /**
+     * Starts tracking the width of an element. The current breakpoint is
+     * updated right away, without an event.
+     *
+     * @param {HTMLElement} element - The layout container element.
+     * @returns {void}
+     */
+    observe(element) {
+        const me = this;
+        me.disconnect();
+        me._element = element;
+        me._currentBreakpoint = me.getBreakpointFor(me._getWidth());
+
+        if (typeof ResizeObserver === 'function') {
+            me._observer = new ResizeObserver(() => me._debouncedCheck());
+            me._observer.observe(element);
+        }
+    }
+
+    /**
+     * Stops tracking the element.
+     *
+     * @returns {void}
+     */
+    disconnect() {
+        const me = this;
+        me._debouncedCheck.cancel();
+        if (me._observer) {
+            me._observer.disconnect();
+            me._observer = null;
+        }
+        me._element = null;
+    }
+
+    /**
+     * Picks the layout of a workspace for a breakpoint.
+     *
+     * @param {{layout: object, variants?: object}} workspace - The workspace.
+     * @param {string} breakpoint - The breakpoint name.
+     * @returns {{key: string | null, layout: object}} The variant key (null for the base layout) and its layout.
+     */
+    resolveVariant(workspace, breakpoint) {
+        const variant = workspace?.variants?.[breakpoint];
+        if (variant) {
+            return { key: breakpoint, layout: variant };
+        }
+        return { key: null, layout: workspace?.layout };
+    }
+
+    /**
+     * Stops tracking and releases the instance.
+     *
+     * @returns {void}
+     */
+    destroy() {
+        const me = this;
+        me.disconnect();
+        LayoutVariantService._instance = null;
+    }
+
+    /**
+     * Returns the width of the observed element, or of the window when the
+     * element is not rendered yet.
+     *
+     * @private
+     * @returns {number}
+     */
+    _getWidth() {
+        const me = this;
+        const width = me._element ? me._element.getBoundingClientRect().width : 0;
+        return width > 0 ? width : window.innerWidth;
+    }
+
+    /**
+     * Emits EventTypes.LAYOUT_BREAKPOINT_CHANGED if the width crossed a breakpoint.
+     *
+     * @private
+     * @returns {void}
+     */
+    _checkBreakpoint() {
+        const me = this;
+        if (!me._element) {
+            return;
+        }
+        const width = me._getWidth();
+        const breakpoint = me.getBreakpointFor(width);
+        if (breakpoint === me._currentBreakpoint) {
+            return;
+        }
+
+        const previous = me._currentBreakpoint;
+        me._currentBreakpoint = breakpoint;
+        appBus.emit(EventTypes.LAYOUT_BREAKPOINT_CHANGED, { breakpoint, previous, width });
+    }
+}
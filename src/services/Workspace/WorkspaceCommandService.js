@@ -0,0 +1,1013 @@
+import { appBus } from '../../utils/EventBus.js';
+import { EventTypes } from '../../constants/EventTypes.js';
+import { TranslationService } from '../TranslationService.js';
+import { Modal } from '../Modal/Modal.js';
+import { appNotifications } from '../Notification/Notification.js';
+import { WorkspaceManagerService } from './WorkspaceManagerService.js';
+import { AutosaveService } from './AutosaveService.js';
+import { WorkspaceFileService } from './WorkspaceFileService.js';
+import { WorkspaceTemplateService } from './WorkspaceTemplateService.js';
+import { LayoutLinkService } from './LayoutLinkService.js';
+import { RestorePointsView } from '../../components/Workspace/RestorePointsView.js';
+import { TemplateGalleryView } from '../../components/Workspace/TemplateGalleryView.js';
+import { StorageCleanupView } from '../../components/Workspace/StorageCleanupView.js';
+import { formatBytes } from '../../utils/formatBytes.js';
+
+/**
+ * Description:
+ * A Singleton service handling the workspace commands of the application
+ * menu: save as, new from template, switch, rename, delete, export, import,
+ * layout links, restore points and storage cleanup.
+ * It does not know the layout on screen: the App attaches callbacks to
+ * serialize and reload it, and to read and replace the current workspace.
+ *
+ * Properties summary:
+ * - _instance {WorkspaceCommandService | null} : The private static instance for the Singleton.
+ * - _workspaceManager {WorkspaceManagerService} : The named workspaces.
+ * - _autosave {AutosaveService} : The unsaved changes tracker.
+ * - _workspaceFiles {WorkspaceFileService} : The workspace files (export / import).
+ * - _serialize {Function | null} : Returns the layout on screen (attached by App).
+ * - _reload {Function | null} : Rebuilds the layout from the active workspace, returns a Promise (attached by App).
+ * - _reportIssues {Function | null} : Reports layout validation issues (attached by App).
+ * - _getWorkspace {Function | null} : Returns the current workspace (attached by App).
+ * - _setWorkspace {Function | null} : Replaces the current workspace (attached by App).
+ * - _getVariant {Function | null} : Returns the layout variant on screen (attached by App).
+ * - _getLoader {Function | null} : Returns the loader shown over the layout (attached by App).
+ * - _lastAutomaticRestorePoint {string | null} : JSON of the layout kept by the last automatic restore point.
+ * - _quotaNotificationId {string | null} : The notification about a full storage.
+ * - _boundOnHashChange {Function | null} : Bound 'hashchange' handler (opens pasted layout links).
+ *
+ * Typical usage:
+ * const commands = WorkspaceCommandService.getInstance();
+ * commands.attach({
+ *     serialize: () => app._serializeLayout(),
+ *     reload: () => app._reloadActiveWorkspace(),
+ *     reportIssues: issues => app._reportLayoutIssues(issues),
+ *     getWorkspace: () => app.currentWorkspace,
+ *     setWorkspace: workspace => (app.currentWorkspace = workspace),
+ *     getVariant: () => app._activeVariant,
+ *     getLoader: () => app._workspaceLoader
+ * });
+ * appBus.emit(EventTypes.APP_WORKSPACE_NEW_FROM_TEMPLATE);
+ *
+ * Events:
+ * - Listens to: EventTypes.APP_WORKSPACE_SAVE_AS, EventTypes.APP_WORKSPACE_NEW_FROM_TEMPLATE
+ * - Listens to: EventTypes.APP_WORKSPACE_SWITCH, EventTypes.APP_WORKSPACE_RENAME, EventTypes.APP_WORKSPACE_DELETE
+ * - Listens to: EventTypes.APP_WORKSPACE_EXPORT, EventTypes.APP_WORKSPACE_IMPORT
+ * - Listens to: EventTypes.APP_RESTORE_POINT_CREATE, EventTypes.APP_RESTORE_POINTS_OPEN
+ * - Listens to: EventTypes.APP_STORAGE_CLEANUP_OPEN, EventTypes.STORAGE_QUOTA_EXCEEDED
+ * - Listens to: EventTypes.APP_LAYOUT_LINK_COPY, window 'hashchange'
+ * - Emits: EventTypes.STATUSBAR_SET_STATUS (on switch and export)
+ *
+ * Business rules implemented:
+ * - Switching workspaces rebuilds the layout in place, without a page reload.
+ * - Switching, importing and creating from a template flush unsaved changes
+ * before the layout on screen is replaced. With autosave off, switching asks
+ * whether to save or discard them first (or to stay).
+ * - Imported files become a new active workspace; files can be picked or
+ * dropped onto the app.
+ * - Exported files hold the base layout and the layout variants (the one on
+ * screen with its unsaved changes); importing keeps both.
+ * - A workspace created from a template remembers it, so resetting it goes
+ * back to the template instead of the default layout.
+ * - Templates and imported files are validated; broken subtrees are skipped
+ * and reported.
+ * - A layout link never replaces a saved workspace: the user is asked whether
+ * to open it as a new workspace, and the link is removed from the address
+ * bar either way. Links pasted into an open tab are handled too.
+ * - Automatic restore points are skipped when the layout did not change since
+ * the last one, or when the workspace is read-only.
+ * - A write refused because the storage is full shows one sticky notification
+ * offering the storage cleanup, where old workspaces (never the open one)
+ * and restore points can be deleted.
+ *
+ * Dependencies:
+ * - ../../utils/EventBus.js
+ * - ../../constants/EventTypes.js
+ * - ../TranslationService.js
+ * - ../Modal/Modal.js
+ * - ../Notification/Notification.js
+ * - ./WorkspaceManagerService.js
+ * - ./AutosaveService.js
+ * - ./WorkspaceFileService.js
+ * - ./WorkspaceTemplateService.js
+ * - ./LayoutLinkService.js
+ * - ../../components/Workspace/RestorePointsView.js
+ * - ../../components/Workspace/TemplateGalleryView.js
+ * - ../../components/Workspace/StorageCleanupView.js
+ * - ../../utils/formatBytes.js
+ */
+export class WorkspaceCommandService {
+    /**
+     * @type {WorkspaceCommandService | null}
+     * @private
+     */
+    static _instance = null;
+
+    /**
+     * Unique namespace for appBus listeners.
+     *
+     * @type {string}
+     * @private
+     */
+    _namespace = 'workspace-command-service';
+
+    /**
+     * The named workspaces.
+     *
+     * @type {WorkspaceManagerService}
+     * @private
+     */
+    _workspaceManager;
+
+    /**
+     * The unsaved changes tracker.
+     *
+     * @type {AutosaveService}
+     * @private
+     */
+    _autosave;
+
+    /**
+     * The workspace files (export / import).
+     *
+     * @type {WorkspaceFileService}
+     * @private
+     */
+    _workspaceFiles;
+
+    /**
+     * Returns the layout on screen.
+     *
+     * @type {Function | null}
+     * @private
+     */
+    _serialize = null;
+
+    /**
+     * Rebuilds the layout from the active workspace.
+     *
+     * @type {Function | null}
+     * @private
+     */
+    _reload = null;
+
+    /**
+     * Reports layout validation issues.
+     *
+     * @type {Function | null}
+     * @private
+     */
+    _reportIssues = null;
+
+    /**
+     * Returns the current workspace.
+     *
+     * @type {Function | null}
+     * @private
+     */
+    _getWorkspace = null;
+
+    /**
+     * Replaces the current workspace.
+     *
+     * @type {Function | null}
+     * @private
+     */
+    _setWorkspace = null;
+
+    /**
+     * Returns the layout variant on screen.
+     *
+     * @type {Function | null}
+     * @private
+     */
+    _getVariant = null;
+
+    /**
+     * Returns the loader shown over the layout.
+     *
+     * @type {Function | null}
+     * @private
+     */
+    _getLoader = null;
+
+    /**
+     * JSON of the layout kept by the last automatic restore point.
+     *
+     * @type {string | null}
+     * @private
+     */
+    _lastAutomaticRestorePoint = null;
+
+    /**
+     * The notification about a full storage.
+     *
+     * @type {string | null}
+     * @private
+     */
+    _quotaNotificationId = null;
+
+    /**
+     * Bound 'hashchange' handler.
+     *
+     * @type {Function | null}
+     * @private
+     */
+    _boundOnHashChange = null;
+
+    /**
+     * @private
+     */
+    constructor() {
+        if (WorkspaceCommandService._instance) {
+            console.warn('WorkspaceCommandService instance already exists. Use getInstance().');
+            return WorkspaceCommandService._instance;
+        }
+        WorkspaceCommandService._instance = this;
+
+        const me = this;
+        me._workspaceManager = WorkspaceManagerService.getInstance();
+        me._autosave = AutosaveService.getInstance();
+        me._workspaceFiles = WorkspaceFileService.getInstance();
+
+        me._initEventListeners();
+    }
+
+    /**
+     * Gets the single instance of the WorkspaceCommandService.
+     *
+     * @returns {WorkspaceCommandService}
+     */
+    static getInstance() {
+        if (!WorkspaceCommandService._instance) {
+            WorkspaceCommandService._instance = new WorkspaceCommandService();
+        }
+        return WorkspaceCommandService._instance;
+    }
+
+    /**
+     * Attaches the callbacks used to reach the layout on screen and the
+     * current workspace.
+     *
+     * @param {object} callbacks
+     * @param {function(): object} callbacks.serialize - Returns the layout on screen.
+     * @param {function(): Promise<void>} callbacks.reload - Rebuilds the layout from the active workspace.
+     * @param {function(Array<object>): void} callbacks.reportIssues - Reports layout validation issues.
+     * @param {function(): (object | null)} callbacks.getWorkspace - Returns the current workspace.
+     * @param {function(object): void} callbacks.setWorkspace - Replaces the current workspace.
+     * @param {function(): (string | null)} callbacks.getVariant - Returns the layout variant on screen.
+     * @param {function(): import('../Loader/Loader.js').Loader} callbacks.getLoader - Returns the loader shown over the layout.
+     * @returns {void}
+     */
+    attach({ serialize, reload, reportIssues, getWorkspace, setWorkspace, getVariant, getLoader }) {
+        const me = this;
+        const callbacks = [
+            serialize,
+            reload,
+            reportIssues,
+            getWorkspace,
+            setWorkspace,
+            getVariant,
+            getLoader
+        ];
+        if (callbacks.some(callback => typeof callback !== 'function')) {
+            console.warn('[WorkspaceCommandService] attach requires all the callbacks.');
+            return;
+        }
+        me._serialize = serialize;
+        me._reload = reload;
+        me._reportIssues = reportIssues;
+        me._getWorkspace = getWorkspace;
+        me._setWorkspace = setWorkspace;
+        me._getVariant = getVariant;
+        me._getLoader = getLoader;
+    }
+
+    /**
+     * Asks for a name and saves the current layout as a new workspace,
+     * which becomes the active one.
+     *
+     * @returns {Promise<void>}
+     */
+    async saveWorkspaceAs() {
+        const me = this;
+        const i18n = TranslationService.getInstance();
+        const name = await Modal.prompt(
+            i18n.translate('workspace.name_prompt'),
+            i18n.translate('workspace.save_as_title'),
+            me._getWorkspace()?.name || ''
+        );
+        if (name === null || name === undefined) {
+            return;
+        }
+        if (name.trim() === '') {
+            appNotifications.warning(i18n.translate('workspace.empty_name'));
+            return;
+        }
+
+        me._getLoader().show(i18n.translate('actions.saving'));
+        try {
+            const workspace = await me._workspaceManager.saveWorkspaceAs(name, me._serialize());
+            await me._workspaceManager.setActiveWorkspace(workspace.id);
+            me._setWorkspace(workspace);
+            me._autosave.markSaved(workspace.layout);
+            appNotifications.success(
+                i18n.translate('workspace.saved_as', { name: workspace.name })
+            );
+        } catch (err) {
+            console.error(
+                'WorkspaceCommandService.saveWorkspaceAs: Falha ao salvar o workspace.',
+                err
+            );
+            appNotifications.danger(i18n.translate('workspace.error'));
+        } finally {
+            me._getLoader().hide();
+        }
+    }
+
+    /**
+     * Lets the user pick a template from the gallery, asks for a name and
+     * creates a new workspace from it, which becomes the active one.
+     *
+     * @returns {Promise<void>}
+     */
+    async newWorkspaceFromTemplate() {
+        const me = this;
+        const i18n = TranslationService.getInstance();
+        const templateService = WorkspaceTemplateService.getInstance();
+        const templates = await templateService.getTemplates();
+        if (templates.length === 0) {
+            appNotifications.info(i18n.translate('templates.empty'));
+            return;
+        }
+
+        const templateId = await Modal.open({
+            title: i18n.translate('templates.title'),
+            ...TemplateGalleryView(templates)
+        });
+        const template = templates.find(item => item.id === templateId);
+        if (!template) {
+            return;
+        }
+
+        const name = await Modal.prompt(
+            i18n.translate('workspace.name_prompt'),
+            i18n.translate('templates.title'),
+            template.name
+        );
+        if (name === null || name === undefined) {
+            return;
+        }
+        if (name.trim() === '') {
+            appNotifications.warning(i18n.translate('workspace.empty_name'));
+            return;
+        }
+
+        me._getLoader().show(i18n.translate('actions.restoring'));
+        try {
+            const { workspace, issues } = await templateService.loadTemplate(template.id);
+            me._reportIssues(issues);
+            if (me._autosave.enabled) {
+                await me._autosave.flush();
+            }
+
+            const created = await me._workspaceManager.saveWorkspaceAs(name, workspace.layout, {
+                templateUrl: template.url
+            });
+            await me._workspaceManager.setActiveWorkspace(created.id);
+            await me._reload();
+
+            appNotifications.success(i18n.translate('templates.created', { name: created.name }));
+        } catch (err) {
+            console.error(
+                'WorkspaceCommandService.newWorkspaceFromTemplate: Falha ao criar o workspace.',
+                err
+            );
+            appNotifications.danger(i18n.translate('templates.error', { name: template.name }));
+        } finally {
+            me._getLoader().hide();
+        }
+    }
+
+    /**
+     * Switches to another workspace without reloading the page. If no id is
+     * given, the user picks one from a list.
+     *
+     * @param {{workspaceId?: string}} [payload] - Optional target workspace.
+     * @returns {Promise<void>}
+     */
+    async switchWorkspace(payload) {
+        const me = this;
+        const i18n = TranslationService.getInstance();
+        let workspaceId = payload?.workspaceId;
+
+        if (!workspaceId) {
+            const options = me._workspaceManager
+                .getWorkspaces()
+                .map(entry => ({ value: entry.id, label: entry.name }));
+            workspaceId = await Modal.select(
+                i18n.translate('workspace.switch_prompt'),
+                options,
+                i18n.translate('workspace.switch_title'),
+                me._workspaceManager.getActiveWorkspaceId()
+            );
+        }
+        if (!workspaceId || workspaceId === me._getWorkspace()?.id) {
+            return;
+        }
+        const unsaved = await me._askUnsavedChanges();
+        if (!unsaved) {
+            return;
+        }
+
+        me._getLoader().show(i18n.translate('actions.restoring'));
+        try {
+            if (unsaved === 'save') {
+                await me._autosave.flush();
+                if (me._autosave.isDirty) {
+                    // The save failed: switching now would lose the changes.
+                    appNotifications.danger(i18n.translate('workspace.error'));
+                    return;
+                }
+            }
+            const workspace = await me._workspaceManager.loadWorkspace(workspaceId);
+            if (!workspace) {
+                appNotifications.danger(i18n.translate('workspace.error'));
+                return;
+            }
+
+            await me._workspaceManager.setActiveWorkspace(workspace.id);
+            await me._reload();
+
+            appBus.emit(
+                EventTypes.STATUSBAR_SET_STATUS,
+                i18n.translate('workspace.switched', { name: workspace.name })
+            );
+        } catch (err) {
+            console.error(
+                'WorkspaceCommandService.switchWorkspace: Falha ao alternar o workspace.',
+                err
+            );
+            appNotifications.danger(i18n.translate('workspace.error'));
+        } finally {
+            me._getLoader().hide();
+        }
+    }
+
+    /**
+     * Asks for a new name for the active workspace.
+     *
+     * @returns {Promise<void>}
+     */
+    async renameWorkspace() {
+        const me = this;
+        const i18n = TranslationService.getInstance();
+        const workspace = me._getWorkspace();
+        if (!workspace) {
+            return;
+        }
+
+        const name = await Modal.prompt(
+            i18n.translate('workspace.name_prompt'),
+            i18n.translate('workspace.rename_title'),
+            workspace.name
+        );
+        if (name === null || name === undefined) {
+            return;
+        }
+        if (name.trim() === '') {
+            appNotifications.warning(i18n.translate('workspace.empty_name'));
+            return;
+        }
+
+        try {
+            await me._workspaceManager.renameWorkspace(workspace.id, name);
+            workspace.name = name.trim();
+            appNotifications.success(i18n.translate('workspace.renamed', { name: workspace.name }));
+        } catch (err) {
+            console.error(
+                'WorkspaceCommandService.renameWorkspace: Falha ao renomear o workspace.',
+                err
+            );
+            appNotifications.danger(i18n.translate('workspace.error'));
+        }
+    }
+
+    /**
+     * Lets the user pick a workspace and deletes it after confirmation.
+     * Deleting the active workspace switches to the next available one.
+     *
+     * @returns {Promise<void>}
+     */
+    async deleteWorkspace() {
+        const me = this;
+        const i18n = TranslationService.getInstance();
+        const workspaces = me._workspaceManager.getWorkspaces();
+
+        if (workspaces.length <= 1) {
+            appNotifications.warning(i18n.translate('workspace.delete_last'));
+            return;
+        }
+
+        const workspaceId = await Modal.select(
+            i18n.translate('workspace.switch_prompt'),
+            workspaces.map(entry => ({ value: entry.id, label: entry.name })),
+            i18n.translate('workspace.delete_title'),
+            me._workspaceManager.getActiveWorkspaceId()
+        );
+        const entry = workspaces.find(item => item.id === workspaceId);
+        if (!entry) {
+            return;
+        }
+
+        const confirmed = await Modal.confirm(
+            i18n.translate('workspace.delete_confirm', { name: entry.name }),
+            i18n.translate('workspace.delete_title')
+        );
+        if (!confirmed) {
+            return;
+        }
+
+        try {
+            const wasActive = entry.id === me._getWorkspace()?.id;
+            await me._workspaceManager.deleteWorkspace(entry.id);
+            if (wasActive) {
+                // The changes on screen belonged to the deleted workspace.
+                me._autosave.markSaved();
+                await me.switchWorkspace({
+                    workspaceId: me._workspaceManager.getActiveWorkspaceId()
+                });
+            }
+            appNotifications.success(i18n.translate('workspace.deleted', { name: entry.name }));
+        } catch (err) {
+            console.error(
+                'WorkspaceCommandService.deleteWorkspace: Falha ao excluir o workspace.',
+                err
+            );
+            appNotifications.danger(i18n.translate('workspace.error'));
+        }
+    }
+
+    /**
+     * Downloads the current workspace, including unsaved changes, the
+     * toolbars and the layout variants, as a '.flexui.json' file.
+     *
+     * @returns {void}
+     */
+    exportWorkspace() {
+        const me = this;
+        const i18n = TranslationService.getInstance();
+        const workspace = me._getWorkspace();
+        const name = workspace?.name || 'Workspace';
+        const variant = me._getVariant();
+        const layout = me._serialize();
+        const variants = { ...workspace?.variants };
+        if (variant) {
+            variants[variant] = layout;
+        }
+        me._workspaceFiles.exportWorkspace({
+            name,
+            layout: variant ? workspace.layout : layout,
+            variants
+        });
+        appBus.emit(
+            EventTypes.STATUSBAR_SET_STATUS,
+            i18n.translate('workspace.exported', { name })
+        );
+    }
+
+    /**
+     * Imports a workspace file as a new workspace and makes it the active one.
+     * Without a file in the payload, the user picks one.
+     *
+     * @param {{file?: File}} [payload] - Optional file (e.g. dropped on the app).
+     * @returns {Promise<void>}
+     */
+    async importWorkspace(payload) {
+        const me = this;
+        const i18n = TranslationService.getInstance();
+        const file = payload?.file || (await me._workspaceFiles.pickFile());
+        if (!file) {
+            return;
+        }
+
+        me._getLoader().show(i18n.translate('actions.restoring'));
+        try {
+            const { workspace, issues } = await me._workspaceFiles.readWorkspaceFile(file);
+            me._reportIssues(issues);
+            if (me._autosave.enabled) {
+                await me._autosave.flush();
+            }
+
+            const imported = await me._workspaceManager.saveWorkspaceAs(
+                workspace.name,
+                workspace.layout,
+                { variants: workspace.variants }
+            );
+            await me._workspaceManager.setActiveWorkspace(imported.id);
+            await me._reload();
+
+            appNotifications.success(i18n.translate('workspace.imported', { name: imported.name }));
+        } catch (err) {
+            console.error(
+                'WorkspaceCommandService.importWorkspace: Falha ao importar o workspace.',
+                err
+            );
+            appNotifications.danger(i18n.translate('workspace.import_error', { name: file.name }));
+        } finally {
+            me._getLoader().hide();
+        }
+    }
+
+    /**
+     * Copies a link to the layout on screen (toolbars included) to the
+     * clipboard. Without clipboard access, the link is shown to copy by hand.
+     *
+     * @returns {Promise<void>}
+     */
+    async copyLayoutLink() {
+        const me = this;
+        const i18n = TranslationService.getInstance();
+        let link;
+        try {
+            link = await LayoutLinkService.getInstance().createLink({
+                name: me._getWorkspace()?.name || 'Workspace',
+                layout: me._serialize()
+            });
+        } catch (err) {
+            console.error('WorkspaceCommandService.copyLayoutLink: Falha ao gerar o link.', err);
+            appNotifications.danger(i18n.translate('workspace.error'));
+            return;
+        }
+
+        try {
+            await navigator.clipboard.writeText(link);
+            appNotifications.success(i18n.translate('layout_link.copied'));
+        } catch (err) {
+            await Modal.prompt(
+                i18n.translate('layout_link.copy_prompt'),
+                i18n.translate('layout_link.title'),
+                link
+            );
+        }
+    }
+
+    /**
+     * Offers to open the layout link of the address bar as a new workspace,
+     * which becomes the active one. Does nothing without a layout link.
+     *
+     * @returns {Promise<void>}
+     */
+    async openLayoutLink() {
+        const me = this;
+        const i18n = TranslationService.getInstance();
+        const links = LayoutLinkService.getInstance();
+        if (!links.hasLink()) {
+            return;
+        }
+
+        let shared;
+        try {
+            shared = await links.readLink();
+        } catch (err) {
+            console.error('WorkspaceCommandService.openLayoutLink: Link de layout inválido.', err);
+            appNotifications.danger(i18n.translate('layout_link.invalid'));
+            return;
+        } finally {
+            links.clearLink();
+        }
+
+        const name = await Modal.prompt(
+            i18n.translate('layout_link.open_prompt'),
+            i18n.translate('layout_link.title'),
+            shared.workspace.name
+        );
+        if (name === null || name === undefined) {
+            return;
+        }
+        if (name.trim() === '') {
+            appNotifications.warning(i18n.translate('workspace.empty_name'));
+            return;
+        }
+
+        me._getLoader().show(i18n.translate('actions.restoring'));
+        try {
+            me._reportIssues(shared.issues);
+            if (me._autosave.enabled) {
+                await me._autosave.flush();
+            }
+
+            const opened = await me._workspaceManager.saveWorkspaceAs(
+                name,
+                shared.workspace.layout
+            );
+            await me._workspaceManager.setActiveWorkspace(opened.id);
+            await me._reload();
+
+            appNotifications.success(i18n.translate('layout_link.opened', { name: opened.name }));
+        } catch (err) {
+            console.error(
+                'WorkspaceCommandService.openLayoutLink: Falha ao abrir o link de layout.',
+                err
+            );
+            appNotifications.danger(i18n.translate('workspace.error'));
+        } finally {
+            me._getLoader().hide();
+        }
+    }
+
+    /**
+     * Asks for an optional label and keeps the current layout as a restore
+     * point of the active workspace.
+     *
+     * @returns {Promise<void>}
+     */
+    async createRestorePoint() {
+        const me = this;
+        const i18n = TranslationService.getInstance();
+        const workspaceId = me._getWorkspace()?.id;
+        if (!workspaceId) {
+            return;
+        }
+
+        const label = await Modal.prompt(
+            i18n.translate('restore_points.label_prompt'),
+            i18n.translate('restore_points.create_title')
+        );
+        if (label === null || label === undefined) {
+            return;
+        }
+
+        try {
+            await me._workspaceManager.createRestorePoint(workspaceId, me._serialize(), {
+                label,
+                variant: me._getVariant()
+            });
+            appNotifications.success(i18n.translate('restore_points.created'));
+        } catch (err) {
+            console.error(
+                'WorkspaceCommandService.createRestorePoint: Falha ao criar o ponto de restauração.',
+                err
+            );
+            appNotifications.danger(i18n.translate('workspace.error'));
+        }
+    }
+
+    /**
+     * Opens the restore points of the active workspace, where the user can
+     * roll back to one or delete it.
+     *
+     * @returns {Promise<void>}
+     */
+    async openRestorePoints() {
+        const me = this;
+        const i18n = TranslationService.getInstance();
+        const workspaceId = me._getWorkspace()?.id;
+        if (!workspaceId) {
+            return;
+        }
+
+        const restorePoints = await me._workspaceManager.listRestorePoints(workspaceId);
+        if (restorePoints.length === 0) {
+            appNotifications.info(i18n.translate('restore_points.empty'));
+            return;
+        }
+
+        const choice = await Modal.open({
+            title: i18n.translate('restore_points.title'),
+            ...RestorePointsView(restorePoints)
+        });
+        if (!choice) {
+            return;
+        }
+
+        try {
+            if (choice.action === 'delete') {
+                await me._workspaceManager.deleteRestorePoint(workspaceId, choice.restorePointId);
+                await me.openRestorePoints();
+                return;
+            }
+
+            me._getLoader().show(i18n.translate('actions.restoring'));
+            await me.createAutomaticRestorePoint('rollback');
+            await me._workspaceManager.rollbackToRestorePoint(workspaceId, choice.restorePointId);
+            await me._reload();
+            appNotifications.success(i18n.translate('restore_points.rolled_back'));
+        } catch (err) {
+            console.error(
+                'WorkspaceCommandService.openRestorePoints: Falha ao usar o ponto de restauração.',
+                err
+            );
+            appNotifications.danger(i18n.translate('workspace.error'));
+        } finally {
+            me._getLoader().hide();
+        }
+    }
+
+    /**
+     * Shows the storage usage per workspace and deletes the workspaces and
+     * restore points the user selects.
+     *
+     * @returns {Promise<void>}
+     */
+    async openStorageCleanup() {
+        const me = this;
+        const i18n = TranslationService.getInstance();
+        let usage;
+        try {
+            usage = await me._workspaceManager.getStorageUsage();
+        } catch (err) {
+            console.error(
+                'WorkspaceCommandService.openStorageCleanup: Falha ao medir o armazenamento.',
+                err
+            );
+            appNotifications.danger(i18n.translate('storage.error'));
+            return;
+        }
+
+        const choice = await Modal.open({
+            title: i18n.translate('storage.title'),
+            ...StorageCleanupView(usage)
+        });
+        if (!choice) {
+            return;
+        }
+
+        me._getLoader().show(i18n.translate('actions.saving'));
+        try {
+            for (const workspaceId of choice.restorePointWorkspaceIds) {
+                if (!choice.workspaceIds.includes(workspaceId)) {
+                    await me._workspaceManager.clearRestorePoints(workspaceId);
+                }
+            }
+            for (const workspaceId of choice.workspaceIds) {
+                if (workspaceId !== me._getWorkspace()?.id) {
+                    await me._workspaceManager.deleteWorkspace(workspaceId);
+                }
+            }
+            me._lastAutomaticRestorePoint = null;
+
+            const after = await me._workspaceManager.getStorageUsage();
+            const freed = Math.max(0, usage.used - after.used);
+            if (me._quotaNotificationId) {
+                appNotifications.dismiss(me._quotaNotificationId);
+                me._quotaNotificationId = null;
+            }
+            appNotifications.success(
+                i18n.translate('storage.cleaned', { size: formatBytes(freed) })
+            );
+        } catch (err) {
+            console.error(
+                'WorkspaceCommandService.openStorageCleanup: Falha ao liberar espaço.',
+                err
+            );
+            appNotifications.danger(i18n.translate('workspace.error'));
+        } finally {
+            me._getLoader().hide();
+        }
+    }
+
+    /**
+     * Keeps the layout on screen as a restore point before it is replaced.
+     * Never throws: losing the restore point must not block the action.
+     *
+     * @param {'reset' | 'restore' | 'rollback'} reason - The action about to run.
+     * @returns {Promise<void>}
+     */
+    async createAutomaticRestorePoint(reason) {
+        const me = this;
+        const workspaceId = me._getWorkspace()?.id;
+        if (!workspaceId || me._workspaceManager.readOnly) {
+            return;
+        }
+
+        const layout = me._serialize();
+        const snapshot = JSON.stringify(layout);
+        if (snapshot === me._lastAutomaticRestorePoint) {
+            return;
+        }
+        // Set before the write, so a concurrent call does not store it twice.
+        const previous = me._lastAutomaticRestorePoint;
+        me._lastAutomaticRestorePoint = snapshot;
+
+        try {
+            await me._workspaceManager.createRestorePoint(workspaceId, layout, {
+                reason,
+                variant: me._getVariant()
+            });
+        } catch (err) {
+            if (me._lastAutomaticRestorePoint === snapshot) {
+                me._lastAutomaticRestorePoint = previous;
+            }
+            console.warn(
+                'WorkspaceCommandService: could not create the automatic restore point.',
+                err
+            );
+        }
+    }
+
+    /**
+     * Removes the command listeners.
+     *
+     * @returns {void}
+     */
+    destroy() {
+        const me = this;
+        appBus.offByNamespace(me._namespace);
+        window.removeEventListener('hashchange', me._boundOnHashChange);
+        WorkspaceCommandService._instance = null;
+    }
+
+    /**
+     * Subscribes to the workspace commands and to 'hashchange'.
+     *
+     * @private
+     * @returns {void}
+     */
+    _initEventListeners() {
+        const me = this;
+        const options = { namespace: me._namespace };
+        [
+            [EventTypes.APP_WORKSPACE_SAVE_AS, () => me.saveWorkspaceAs()],
+            [EventTypes.APP_WORKSPACE_NEW_FROM_TEMPLATE, () => me.newWorkspaceFromTemplate()],
+            [EventTypes.APP_WORKSPACE_SWITCH, payload => me.switchWorkspace(payload)],
+            [EventTypes.APP_WORKSPACE_RENAME, () => me.renameWorkspace()],
+            [EventTypes.APP_WORKSPACE_DELETE, () => me.deleteWorkspace()],
+            [EventTypes.APP_WORKSPACE_EXPORT, () => me.exportWorkspace()],
+            [EventTypes.APP_WORKSPACE_IMPORT, payload => me.importWorkspace(payload)],
+            [EventTypes.APP_LAYOUT_LINK_COPY, () => me.copyLayoutLink()],
+            [EventTypes.APP_RESTORE_POINT_CREATE, () => me.createRestorePoint()],
+            [EventTypes.APP_RESTORE_POINTS_OPEN, () => me.openRestorePoints()],
+            [EventTypes.APP_STORAGE_CLEANUP_OPEN, () => me.openStorageCleanup()],
+            [EventTypes.STORAGE_QUOTA_EXCEEDED, () => me._onStorageQuotaExceeded()]
+        ].forEach(([eventName, handler]) => appBus.on(eventName, handler, options));
+
+        me._boundOnHashChange = () => me.openLayoutLink();
+        window.addEventListener('hashchange', me._boundOnHashChange);
+    }
+
+    /**
+     * Tells the user the storage is full and offers the storage cleanup.
+     * Replaces the previous notification, so only one is shown at a time.
+     *
+     * @private
+     * @returns {void}
+     */
+    _onStorageQuotaExceeded() {
+        const me = this;
+        const i18n = TranslationService.getInstance();
+        if (me._quotaNotificationId) {
+            appNotifications.dismiss(me._quotaNotificationId);
+        }
+
+        me._quotaNotificationId = appNotifications.danger(
+            i18n.translate('storage.quota_exceeded'),
+            {
+                sticky: true,
+                buttons: [
+                    {
+                        text: i18n.translate('storage.free_up'),
+                        onClick: id => {
+                            appNotifications.dismiss(id);
+                            me._quotaNotificationId = null;
+                            me.openStorageCleanup();
+                        }
+                    }
+                ]
+            }
+        );
+    }
+
+    /**
+     * Decides what happens to unsaved changes before another workspace
+     * replaces the layout on screen. With autosave on they are saved; with
+     * autosave off the user chooses.
+     *
+     * @private
+     * @returns {Promise<'save' | 'discard' | null>} null if the user cancels.
+     */
+    async _askUnsavedChanges() {
+        const me = this;
+        if (me._workspaceManager.readOnly) {
+            return 'discard';
+        }
+        if (me._autosave.enabled) {
+            return 'save';
+        }
+        if (!me._autosave.checkDirty()) {
+            return 'discard';
+        }
+
+        const i18n = TranslationService.getInstance();
+        return Modal.select(
+            i18n.translate('workspace.unsaved_prompt', { name: me._getWorkspace()?.name || '' }),
+            [
+                { value: 'save', label: i18n.translate('workspace.unsaved_save') },
+                { value: 'discard', label: i18n.translate('workspace.unsaved_discard') }
+            ],
+            i18n.translate('workspace.unsaved_title'),
+            'save'
+        );
+    }
+}
@@ -0,0 +1,370 @@
+import { appBus } from '../../utils/EventBus.js';
+import { EventTypes } from '../../constants/EventTypes.js';
+import { WorkspaceMigrationService } from './WorkspaceMigrationService.js';
+import { WorkspaceValidationService } from './WorkspaceValidationService.js';
+
+const JSON_INDENT = 4;
+
+/**
+ * Description:
+ * A Singleton service that exports workspaces as downloadable '.flexui.json'
+ * files and reads them back (file picker or drag-drop), migrating and
+ * validating the content before it is handed to the App.
+ *
+ * Properties summary:
+ * - _instance {WorkspaceFileService | null} : The private static instance for the Singleton.
+ * - FILE_EXTENSION {string} : The extension of exported files.
+ * - FORMAT {string} : The 'format' marker written in exported files.
+ * - _dropTarget {HTMLElement | null} : The element accepting dropped files.
+ * - _dragDepth {number} : Counter of nested 'dragenter'/'dragleave' events.
+ *
+ * Typical usage:
+ * const files = WorkspaceFileService.getInstance();
+ * files.exportWorkspace({ name: 'My layout', layout });
+ * const file = await files.pickFile();
+ * const { workspace, issues } = await files.readWorkspaceFile(file);
+ * files.enableDropImport(appWrapper); // emits APP_WORKSPACE_IMPORT on drop
+ *
+ * Events:
+ * - Emits: EventTypes.APP_WORKSPACE_IMPORT ({ file }) when a file is dropped on the drop target.
+ *
+ * Business rules implemented:
+ * - Exported files contain { format, schemaVersion, name, exportedAt, layout },
+ * plus 'variants' when the workspace has layout variants.
+ * - Imported files are migrated to the current schema, then validated; broken
+ * subtrees are dropped and reported as issues.
+ * - Files that are not JSON or have no 'layout' object are rejected with an Error.
+ * - Only drags carrying files are accepted by the drop target; internal
+ * pointer-based DND is not affected.
+ *
+ * Dependencies:
+ * - ../../utils/EventBus.js
+ * - ../../constants/EventTypes.js
+ * - ./WorkspaceMigrationService.js
+ * - ./WorkspaceValidationService.js
+ */
+export class WorkspaceFileService {
+    /**
+     * @type {WorkspaceFileService | null}
+     * @private
+     */
+    static _instance = null;
+
+    /**
+     * The extension of exported files.
+     *
+     * @type {string}
+     * @public
+     */
+    FILE_EXTENSION = '.flexui.json';
+
+    /**
+     * The 'format' marker written in exported files.
+     *
+     * @type {string}
+     * @public
+     */
+    FORMAT = 'flexui-workspace';
+
+    /**
+     * The element accepting dropped files.
+     *
+     * @type {HTMLElement | null}
+     * @private
+     */
+    _dropTarget = null;
+
+    /**
+     * Counter of nested 'dragenter'/'dragleave' events on the drop target.
+     *
+     * @type {number}
+     * @private
+     */
+    _dragDepth = 0;
+
+    /**
+     * Bound handler for 'dragenter'.
+     *
+     * @type {Function}
+     * @private
+     */
+    _boundOnDragEnter;
+
+    /**
+     * Bound handler for 'dragover'.
+     *
+     * @type {Function}
+     * @private
+     */
+    _boundOnDragOver;
+
+    /**
+     * Bound handler for 'dragleave'.
+     *
+     * @type {Function}
+     * @private
+     */
+    _boundOnDragLeave;
+
+    /**
+     * Bound handler for 'drop'.
+     *
+     * @type {Function}
+     * @private
+     */
+    _boundOnDrop;
+
+    /**
+     * @private
+     */
+    constructor() {
+        if (WorkspaceFileService._instance) {
+            console.warn('WorkspaceFileService instance already exists. Use getInstance().');
+            return WorkspaceFileService._instance;
+        }
+        WorkspaceFileService._instance = this;
+
+        const me = this;
+        me._boundOnDragEnter = me._onDragEnter.bind(me);
+        me._boundOnDragOver = me._onDragOver.bind(me);
+        me._boundOnDragLeave = me._onDragLeave.bind(me);
+        me._boundOnDrop = me._onDrop.bind(me);
+    }
+
+    /**
+     * Gets the single instance of the WorkspaceFileService.
+     *
+     * @returns {WorkspaceFileService}
+     */
+    static getInstance() {
+        if (!WorkspaceFileService._instance) {
+            WorkspaceFileService._instance = new WorkspaceFileService();
+        }
+        return WorkspaceFileService._instance;
+    }
+
+    /**
+     * Downloads a workspace as a '.flexui.json' file.
+     *
+     * @param {{name: string, layout: object, variants?: object}} workspace - The workspace to export.
+     * @returns {void}
+     */
+    exportWorkspace(workspace) {
+        const me = this;
+        const fileData = {
+            format: me.FORMAT,
+            schemaVersion: WorkspaceMigrationService.getInstance().currentVersion,
+            name: workspace.name,
+            exportedAt: new Date().toISOString(),
+            layout: workspace.layout
+        };
+        if (workspace.variants && Object.keys(workspace.variants).length > 0) {
+            fileData.variants = workspace.variants;
+        }
+
+        const blob = new Blob([JSON.stringify(fileData, null, JSON_INDENT)], {
+            type: 'application/json'
+        });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${me._toFileName(workspace.name)}${me.FILE_EXTENSION}`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    /**
+     * Opens the browser file picker.
+     *
+     * @returns {Promise<File | null>} The chosen file, or null if the picker was dismissed.
+     */
+    pickFile() {
+        const me = this;
+        return new Promise(resolve => {
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.accept = `${me.FILE_EXTENSION},.json,application/json`;
+            input.addEventListener('change', () => resolve(input.files[0] || null), {
+                once: true
+            });
+            input.addEventListener('cancel', () => resolve(null), { once: true });
+            input.click();
+        });
+    }
+
+    /**
+     * Reads, migrates and validates a workspace file.
+     *
+     * @param {File} file - The file to read.
+     * @returns {Promise<{workspace: object, issues: Array<{path: string, message: string, action: string}>}>}
+     * @throws {Error} If the file is not a readable workspace.
+     */
+    async readWorkspaceFile(file) {
+        const me = this;
+        let data;
+        try {
+            data = JSON.parse(await file.text());
+        } catch (e) {
+            throw new Error(`WorkspaceFileService: "${file.name}" is not valid JSON.`);
+        }
+
+        const migrated = WorkspaceMigrationService.getInstance().migrate(data);
+        const { workspace, issues } =
+            WorkspaceValidationService.getInstance().validateWorkspace(migrated);
+        if (!workspace) {
+            throw new Error(`WorkspaceFileService: "${file.name}" is not a FlexUI workspace.`);
+        }
+
+        if (typeof data?.name !== 'string' || data.name.trim() === '') {
+            workspace.name = me._fromFileName(file.name);
+        }
+        delete workspace.format;
+        delete workspace.exportedAt;
+        return { workspace, issues };
+    }
+
+    /**
+     * Makes an element accept dropped workspace files. Dropping a file emits
+     * EventTypes.APP_WORKSPACE_IMPORT with the file.
+     *
+     * @param {HTMLElement} element - The drop target.
+     * @returns {void}
+     */
+    enableDropImport(element) {
+        const me = this;
+        me.disableDropImport();
+        me._dropTarget = element;
+        element.addEventListener('dragenter', me._boundOnDragEnter);
+        element.addEventListener('dragover', me._boundOnDragOver);
+        element.addEventListener('dragleave', me._boundOnDragLeave);
+        element.addEventListener('drop', me._boundOnDrop);
+    }
+
+    /**
+     * Removes the drop listeners from the current drop target.
+     *
+     * @returns {void}
+     */
+    disableDropImport() {
+        const me = this;
+        const element = me._dropTarget;
+        if (!element) {
+            return;
+        }
+        element.removeEventListener('dragenter', me._boundOnDragEnter);
+        element.removeEventListener('dragover', me._boundOnDragOver);
+        element.removeEventListener('dragleave', me._boundOnDragLeave);
+        element.removeEventListener('drop', me._boundOnDrop);
+        element.classList.remove('app-wrapper--file-drop');
+        me._dropTarget = null;
+        me._dragDepth = 0;
+    }
+
+    /**
+     * @param {DragEvent} event
+     * @private
+     * @returns {void}
+     */
+    _onDragEnter(event) {
+        const me = this;
+        if (!me._hasFiles(event)) {
+            return;
+        }
+        event.preventDefault();
+        me._dragDepth++;
+        me._dropTarget.classList.add('app-wrapper--file-drop');
+    }
+
+    /**
+     * @param {DragEvent} event
+     * @private
+     * @returns {void}
+     */
+    _onDragOver(event) {
+        const me = this;
+        if (!me._hasFiles(event)) {
+            return;
+        }
+        event.preventDefault();
+        event.dataTransfer.dropEffect = 'copy';
+    }
+
+    /**
+     * @param {DragEvent} event
+     * @private
+     * @returns {void}
+     */
+    _onDragLeave(event) {
+        const me = this;
+        if (!me._hasFiles(event)) {
+            return;
+        }
+        me._dragDepth = Math.max(0, me._dragDepth - 1);
+        if (me._dragDepth === 0) {
+            me._dropTarget.classList.remove('app-wrapper--file-drop');
+        }
+    }
+
+    /**
+     * @param {DragEvent} event
+     * @private
+     * @returns {void}
+     */
+    _onDrop(event) {
+        const me = this;
+        if (!me._hasFiles(event)) {
+            return;
+        }
+        event.preventDefault();
+        me._dragDepth = 0;
+        me._dropTarget.classList.remove('app-wrapper--file-drop');
+
+        const file = event.dataTransfer.files[0];
+        if (file) {
+            appBus.emit(EventTypes.APP_WORKSPACE_IMPORT, { file });
+        }
+    }
+
+    /**
+     * @param {DragEvent} event
+     * @private
+     * @returns {boolean} True if the drag carries files.
+     */
+    _hasFiles(event) {
+        return (
+            Boolean(event.dataTransfer) && Array.from(event.dataTransfer.types).includes('Files')
+        );
+    }
+
+    /**
+     * Builds a safe file name from a workspace name.
+     *
+     * @param {string} name
+     * @private
+     * @returns {string}
+     */
+    _toFileName(name) {
+        const safeName = String(name || 'workspace')
+            .trim()
+            .replace(/[\\/:*?"<>|]+/g, '-')
+            .replace(/\s+/g, '_');
+        return safeName || 'workspace';
+    }
+
+    /**
+     * Derives a workspace name from a file name.
+     *
+     * @param {string} fileName
+     * @private
+     * @returns {string}
+     */
+    _fromFileName(fileName) {
+        const me = this;
+        const baseName = fileName.endsWith(me.FILE_EXTENSION)
+            ? fileName.slice(0, -me.FILE_EXTENSION.length)
+            : fileName.replace(/\.json$/i, '');
+        return baseName.replace(/_/g, ' ').trim() || 'Workspace';
+    }
+}
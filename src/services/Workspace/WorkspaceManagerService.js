@@ -0,0 +1,700 @@
+import { ApplicationStateService } from '../ApplicationStateService.js';
+import { WorkspaceMigrationService } from './WorkspaceMigrationService.js';
+import { generateId } from '../../utils/generateId.js';
+import { appBus } from '../../utils/EventBus.js';
+import { EventTypes } from '../../constants/EventTypes.js';
+
+/**
+ * Description:
+ * A Singleton service that manages multiple named workspaces on top of
+ * ApplicationStateService. It keeps an index of all workspaces (id, name,
+ * last update) plus the id of the last active workspace, and stores each
+ * workspace layout under its own storage key.
+ *
+ * Properties summary:
+ * - _instance {WorkspaceManagerService | null} : The private static instance for the Singleton.
+ * - INDEX_KEY {string} : Storage key of the workspace index.
+ * - WORKSPACE_KEY_PREFIX {string} : Prefix of the storage key of each workspace.
+ * - LEGACY_KEY {string} : The single-workspace key used by older versions.
+ * - _stateService {ApplicationStateService} : The underlying persistence service.
+ * - _migrationService {WorkspaceMigrationService} : Upgrades stored workspaces to the current schema.
+ * - _index {{activeId: string | null, workspaces: Array<object>} | null} : The cached index.
+ * - readOnly {boolean} : Whether writes are refused (another tab holds the write lock).
+ *
+ * Typical usage:
+ * const manager = WorkspaceManagerService.getInstance();
+ * await manager.initialize();
+ * const workspace = await manager.loadActiveWorkspace(); // { id, name, layout }
+ * const copy = await manager.saveWorkspaceAs('My layout', workspace.layout);
+ * await manager.setActiveWorkspace(copy.id);
+ * await manager.createRestorePoint(copy.id, layout, { label: 'Before cleanup' });
+ * const points = await manager.listRestorePoints(copy.id); // newest first, with a summary
+ * const usage = await manager.getStorageUsage(); // { used, quota, workspaces: [{ id, size, restorePointsSize, ... }] }
+ *
+ * Business rules implemented:
+ * - Migrates the legacy 'panel_state' key into a named workspace on first run.
+ * - Creates a first workspace from 'workspaces/default.json' when none exists.
+ * - Remembers the last active workspace between sessions.
+ * - Workspaces without stored data fall back to the default layout, or to the
+ * template they were created from ('templateUrl' in the index entry).
+ * - Every loaded workspace is migrated to the current schema; every save stamps 'schemaVersion'.
+ * - Workspace names are trimmed and must not be empty.
+ * - A new workspace whose first save fails is removed again, so the index never
+ * lists a workspace that silently falls back to the default layout.
+ * - The last remaining workspace cannot be deleted.
+ * - In read-only mode, workspace data writes throw; switching the active
+ * workspace still works but is not persisted.
+ * - The cached index can be re-read after another tab changed it, keeping
+ * this tab's active workspace.
+ * - Restore points are snapshots of a workspace (ApplicationStateService) that
+ * carry a summary (rows, columns, panels, windows, floating groups), so they
+ * can be listed without being loaded. Deleting a workspace deletes them too.
+ * - Rolling back writes the restore point as the workspace's saved layout
+ * (or as the layout variant it was taken from).
+ * - A workspace may hold layout variants per breakpoint ('variants'); they
+ * are stored and loaded together with the base layout.
+ * - Storage usage is reported per workspace (its layout and its restore points
+ * apart), so the user can pick what to clean up when the storage is full.
+ *
+ * Events:
+ * - Emits: EventTypes.WORKSPACE_CHANGED ({ workspaceId, change: 'saved' | 'renamed' | 'deleted' | 'reset' }) after each write
+ *
+ * Dependencies:
+ * - ../ApplicationStateService.js
+ * - ./WorkspaceMigrationService.js
+ * - ../../utils/generateId.js
+ * - ../../utils/EventBus.js
+ * - ../../constants/EventTypes.js
+ */
+export class WorkspaceManagerService {
+    /**
+     * @type {WorkspaceManagerService | null}
+     * @private
+     */
+    static _instance = null;
+
+    /**
+     * Storage key of the workspace index.
+     *
+     * @type {string}
+     * @public
+     */
+    INDEX_KEY = 'flexui_workspaces';
+
+    /**
+     * Prefix of the storage key of each workspace.
+     *
+     * @type {string}
+     * @public
+     */
+    WORKSPACE_KEY_PREFIX = 'flexui_workspace:';
+
+    /**
+     * The single-workspace key used by older versions.
+     *
+     * @type {string}
+     * @public
+     */
+    LEGACY_KEY = 'panel_state';
+
+    /**
+     * The underlying persistence service.
+     *
+     * @type {ApplicationStateService}
+     * @private
+     */
+    _stateService;
+
+    /**
+     * Upgrades stored workspaces to the current schema.
+     *
+     * @type {WorkspaceMigrationService}
+     * @private
+     */
+    _migrationService;
+
+    /**
+     * The cached workspace index.
+     *
+     * @type {{activeId: string | null, workspaces: Array<{id: string, name: string, updatedAt: number, templateUrl?: string}>} | null}
+     * @private
+     */
+    _index = null;
+
+    /**
+     * Whether writes are refused.
+     *
+     * @type {boolean}
+     * @private
+     */
+    _readOnly = false;
+
+    /**
+     * @private
+     */
+    constructor() {
+        if (WorkspaceManagerService._instance) {
+            console.warn('WorkspaceManagerService instance already exists. Use getInstance().');
+            return WorkspaceManagerService._instance;
+        }
+        WorkspaceManagerService._instance = this;
+        this._stateService = ApplicationStateService.getInstance();
+        this._migrationService = WorkspaceMigrationService.getInstance();
+    }
+
+    /**
+     * Gets the single instance of the WorkspaceManagerService.
+     *
+     * @returns {WorkspaceManagerService}
+     */
+    static getInstance() {
+        if (!WorkspaceManagerService._instance) {
+            WorkspaceManagerService._instance = new WorkspaceManagerService();
+        }
+        return WorkspaceManagerService._instance;
+    }
+
+    /**
+     * ReadOnly getter.
+     *
+     * @returns {boolean}
+     */
+    get readOnly() {
+        return this._readOnly;
+    }
+
+    /**
+     * ReadOnly setter with validation.
+     *
+     * @param {boolean} value
+     * @returns {void}
+     */
+    set readOnly(value) {
+        if (typeof value !== 'boolean') {
+            console.warn(
+                `[WorkspaceManagerService] Invalid readOnly assignment (${value}). Must be boolean.`
+            );
+            return;
+        }
+        this._readOnly = value;
+    }
+
+    /**
+     * Loads the workspace index, migrating legacy data or creating a
+     * first workspace if needed. Safe to call more than once.
+     *
+     * @returns {Promise<void>}
+     */
+    async initialize() {
+        const me = this;
+        if (me._index) {
+            return;
+        }
+
+        const index = await me._stateService.readState(me.INDEX_KEY);
+        if (index && Array.isArray(index.workspaces) && index.workspaces.length > 0) {
+            me._index = index;
+            if (!me._findEntry(index.activeId)) {
+                me._index.activeId = index.workspaces[0].id;
+            }
+            return;
+        }
+
+        me._index = { activeId: null, workspaces: [] };
+
+        const legacy = me._migrationService.migrate(
+            await me._stateService.readState(me.LEGACY_KEY)
+        );
+        if (legacy && legacy.layout) {
+            const workspace = await me.saveWorkspaceAs(legacy.name || 'Workspace', legacy.layout);
+            me._index.activeId = workspace.id;
+            await me._saveIndex();
+            await me._stateService.clearState(me.LEGACY_KEY);
+            return;
+        }
+
+        const defaults = await me._stateService.loadDefaultState();
+        const entry = me._createEntry(defaults?.name || 'Workspace');
+        me._index.activeId = entry.id;
+        await me._saveIndex();
+    }
+
+    /**
+     * Re-reads the index from storage (e.g. after another tab changed it).
+     * This tab keeps its active workspace while it still exists.
+     *
+     * @returns {Promise<void>}
+     */
+    async refreshIndex() {
+        const me = this;
+        const index = await me._stateService.readState(me.INDEX_KEY);
+        if (!index || !Array.isArray(index.workspaces) || index.workspaces.length === 0) {
+            return;
+        }
+
+        const activeId = me.getActiveWorkspaceId();
+        me._index = index;
+        me._index.activeId = me._findEntry(activeId) ? activeId : index.workspaces[0].id;
+    }
+
+    /**
+     * Returns a copy of the workspace index entries.
+     *
+     * @returns {Array<{id: string, name: string, updatedAt: number, templateUrl?: string}>}
+     */
+    getWorkspaces() {
+        const me = this;
+        return me._index ? me._index.workspaces.map(entry => ({ ...entry })) : [];
+    }
+
+    /**
+     * Returns the id of the active workspace.
+     *
+     * @returns {string | null}
+     */
+    getActiveWorkspaceId() {
+        const me = this;
+        return me._index ? me._index.activeId : null;
+    }
+
+    /**
+     * Loads a workspace by id. Falls back to the default layout (keeping
+     * the id and name) when the workspace has no stored data yet.
+     *
+     * @param {string} id - The workspace id.
+     * @returns {Promise<{id: string, name: string, layout: object, variants?: object} | null>}
+     */
+    async loadWorkspace(id) {
+        const me = this;
+        const entry = me._findEntry(id);
+        if (!entry) {
+            console.warn(`WorkspaceManagerService: workspace "${id}" not found.`);
+            return null;
+        }
+
+        const data = me._migrationService.migrate(
+            (await me._stateService.readState(me._getWorkspaceKey(id))) ||
+                (await me._stateService.loadDefaultState(entry.templateUrl))
+        );
+        if (!data || !data.layout) {
+            return null;
+        }
+
+        const workspace = { id: entry.id, name: entry.name, layout: data.layout };
+        if (data.variants && typeof data.variants === 'object') {
+            workspace.variants = data.variants;
+        }
+        return workspace;
+    }
+
+    /**
+     * Loads the active workspace.
+     *
+     * @returns {Promise<{id: string, name: string, layout: object, variants?: object} | null>}
+     */
+    async loadActiveWorkspace() {
+        const me = this;
+        await me.initialize();
+        return me.loadWorkspace(me.getActiveWorkspaceId());
+    }
+
+    /**
+     * Persists the layout of an existing workspace. The layout must already
+     * follow the current schema (as produced by the components' toJSON).
+     *
+     * @param {{id: string, name: string, layout: object, variants?: object}} workspace - The workspace to save.
+     * @returns {Promise<void>}
+     */
+    async saveWorkspace(workspace) {
+        const me = this;
+        me._assertWritable();
+        const entry = me._findEntry(workspace?.id);
+        if (!entry) {
+            throw new Error(`WorkspaceManagerService: workspace "${workspace?.id}" not found.`);
+        }
+
+        const data = {
+            schemaVersion: me._migrationService.currentVersion,
+            name: entry.name,
+            layout: workspace.layout
+        };
+        if (workspace.variants && Object.keys(workspace.variants).length > 0) {
+            data.variants = workspace.variants;
+        }
+        await me._stateService.saveState(me._getWorkspaceKey(entry.id), data);
+        entry.updatedAt = Date.now();
+        await me._saveIndex();
+        me._emitChanged(entry.id, 'saved');
+    }
+
+    /**
+     * Creates a new workspace with the given name and layout.
+     *
+     * @param {string} name - The new workspace name.
+     * @param {object} layout - The layout to store.
+     * @param {object} [options={}]
+     * @param {string} [options.templateUrl] - The template the workspace comes from; resetting it returns there.
+     * @param {object} [options.variants] - The layout variants to store ({ [breakpointName]: layout }).
+     * @returns {Promise<{id: string, name: string, layout: object, variants?: object}>}
+     */
+    async saveWorkspaceAs(name, layout, { templateUrl, variants } = {}) {
+        const me = this;
+        me._assertWritable();
+        const entry = me._createEntry(name);
+        if (typeof templateUrl === 'string' && templateUrl !== '') {
+            entry.templateUrl = templateUrl;
+        }
+        const workspace = { id: entry.id, name: entry.name, layout: layout };
+        if (variants && typeof variants === 'object') {
+            workspace.variants = variants;
+        }
+        try {
+            await me.saveWorkspace(workspace);
+        } catch (err) {
+            // A workspace whose data was not stored must not stay in the index.
+            me._index.workspaces = me._index.workspaces.filter(item => item !== entry);
+            await me._stateService.clearState(me._getWorkspaceKey(entry.id));
+            throw err;
+        }
+        return workspace;
+    }
+
+    /**
+     * Renames a workspace.
+     *
+     * @param {string} id - The workspace id.
+     * @param {string} name - The new name.
+     * @returns {Promise<void>}
+     */
+    async renameWorkspace(id, name) {
+        const me = this;
+        me._assertWritable();
+        const entry = me._findEntry(id);
+        if (!entry) {
+            throw new Error(`WorkspaceManagerService: workspace "${id}" not found.`);
+        }
+
+        entry.name = me._normalizeName(name);
+        entry.updatedAt = Date.now();
+
+        const data = await me._stateService.readState(me._getWorkspaceKey(id));
+        if (data) {
+            data.name = entry.name;
+            await me._stateService.saveState(me._getWorkspaceKey(id), data);
+        }
+        await me._saveIndex();
+        me._emitChanged(id, 'renamed');
+    }
+
+    /**
+     * Deletes a workspace. If it was the active one, the first remaining
+     * workspace becomes active.
+     *
+     * @param {string} id - The workspace id.
+     * @returns {Promise<void>}
+     */
+    async deleteWorkspace(id) {
+        const me = this;
+        me._assertWritable();
+        if (!me._findEntry(id)) {
+            throw new Error(`WorkspaceManagerService: workspace "${id}" not found.`);
+        }
+        if (me._index.workspaces.length <= 1) {
+            throw new Error('WorkspaceManagerService: cannot delete the last workspace.');
+        }
+
+        me._index.workspaces = me._index.workspaces.filter(entry => entry.id !== id);
+        await me._stateService.clearState(me._getWorkspaceKey(id));
+        await me._stateService.clearSnapshots(me._getWorkspaceKey(id));
+        if (me._index.activeId === id) {
+            me._index.activeId = me._index.workspaces[0].id;
+        }
+        await me._saveIndex();
+        me._emitChanged(id, 'deleted');
+    }
+
+    /**
+     * Marks a workspace as the active one.
+     *
+     * @param {string} id - The workspace id.
+     * @returns {Promise<void>}
+     */
+    async setActiveWorkspace(id) {
+        const me = this;
+        if (!me._findEntry(id)) {
+            throw new Error(`WorkspaceManagerService: workspace "${id}" not found.`);
+        }
+        me._index.activeId = id;
+        await me._saveIndex();
+    }
+
+    /**
+     * Discards the stored layout of a workspace, so the next load returns
+     * the default layout.
+     *
+     * @param {string} id - The workspace id.
+     * @returns {Promise<void>}
+     */
+    async resetWorkspace(id) {
+        const me = this;
+        me._assertWritable();
+        if (!me._findEntry(id)) {
+            return;
+        }
+        await me._stateService.clearState(me._getWorkspaceKey(id));
+        me._emitChanged(id, 'reset');
+    }
+
+    /**
+     * Stores a restore point of a workspace.
+     *
+     * @param {string} id - The workspace id.
+     * @param {object} layout - The layout to keep (usually the one on screen).
+     * @param {object} [options={}]
+     * @param {string} [options.label=''] - A user-facing label.
+     * @param {'manual' | 'reset' | 'restore' | 'rollback'} [options.reason='manual'] - Why it was created.
+     * @param {string | null} [options.variant=null] - The layout variant the layout belongs to (null for the base layout).
+     * @returns {Promise<{id: string, createdAt: number, label: string, reason: string, variant: string | null, summary: object}>}
+     */
+    async createRestorePoint(id, layout, { label = '', reason = 'manual', variant = null } = {}) {
+        const me = this;
+        me._assertWritable();
+        const entry = me._findEntry(id);
+        if (!entry) {
+            throw new Error(`WorkspaceManagerService: workspace "${id}" not found.`);
+        }
+
+        return me._stateService.createSnapshot(
+            me._getWorkspaceKey(id),
+            { schemaVersion: me._migrationService.currentVersion, name: entry.name, layout },
+            { label: String(label).trim(), reason, variant, summary: me.getLayoutSummary(layout) }
+        );
+    }
+
+    /**
+     * Lists the restore points of a workspace, newest first.
+     *
+     * @param {string} id - The workspace id.
+     * @returns {Promise<Array<{id: string, createdAt: number, label: string, reason: string, summary: object}>>}
+     */
+    async listRestorePoints(id) {
+        const me = this;
+        return me._stateService.listSnapshots(me._getWorkspaceKey(id));
+    }
+
+    /**
+     * Deletes a restore point.
+     *
+     * @param {string} id - The workspace id.
+     * @param {string} restorePointId - The restore point id.
+     * @returns {Promise<void>}
+     */
+    async deleteRestorePoint(id, restorePointId) {
+        const me = this;
+        me._assertWritable();
+        await me._stateService.deleteSnapshot(me._getWorkspaceKey(id), restorePointId);
+    }
+
+    /**
+     * Deletes all restore points of a workspace.
+     *
+     * @param {string} id - The workspace id.
+     * @returns {Promise<void>}
+     */
+    async clearRestorePoints(id) {
+        const me = this;
+        me._assertWritable();
+        await me._stateService.clearSnapshots(me._getWorkspaceKey(id));
+    }
+
+    /**
+     * Makes a restore point the saved layout of its workspace.
+     *
+     * @param {string} id - The workspace id.
+     * @param {string} restorePointId - The restore point id.
+     * @returns {Promise<void>}
+     */
+    async rollbackToRestorePoint(id, restorePointId) {
+        const me = this;
+        const entry = me._findEntry(id);
+        if (!entry) {
+            throw new Error(`WorkspaceManagerService: workspace "${id}" not found.`);
+        }
+
+        const key = me._getWorkspaceKey(id);
+        const data = me._migrationService.migrate(
+            await me._stateService.readSnapshot(key, restorePointId)
+        );
+        if (!data || !data.layout) {
+            throw new Error(
+                `WorkspaceManagerService: restore point "${restorePointId}" is missing or unreadable.`
+            );
+        }
+
+        const workspace = await me.loadWorkspace(id);
+        const restorePoint = (await me._stateService.listSnapshots(key)).find(
+            point => point.id === restorePointId
+        );
+        if (restorePoint?.variant) {
+            workspace.variants = { ...workspace.variants, [restorePoint.variant]: data.layout };
+        } else {
+            workspace.layout = data.layout;
+        }
+        await me.saveWorkspace(workspace);
+    }
+
+    /**
+     * Counts the nodes of a serialized layout.
+     *
+     * @param {object} layout - The serialized layout.
+     * @returns {{rows: number, columns: number, panels: number, windows: number, floating: number}}
+     */
+    getLayoutSummary(layout) {
+        const summary = { rows: 0, columns: 0, panels: 0, windows: 0, floating: 0 };
+        const countGroup = group => {
+            summary.panels += Array.isArray(group?.panels) ? group.panels.length : 0;
+        };
+
+        const countRow = row => {
+            summary.rows++;
+            (row.columns || []).forEach(column => {
+                summary.columns++;
+                (column.children || []).forEach(child => {
+                    if (Array.isArray(child.columns)) {
+                        countRow(child);
+                    } else if (Array.isArray(child.windows)) {
+                        summary.windows += child.windows.length;
+                    } else {
+                        countGroup(child);
+                    }
+                });
+            });
+        };
+
+        (layout?.rows || []).forEach(countRow);
+        (layout?.floatingPanels || []).forEach(group => {
+            summary.floating++;
+            countGroup(group);
+        });
+        return summary;
+    }
+
+    /**
+     * Measures the storage used by each workspace and its restore points.
+     * Sizes are approximate, in bytes.
+     *
+     * @returns {Promise<{used: number, quota: number | null, workspaces: Array<{id: string, name: string, updatedAt: number, active: boolean, size: number, restorePoints: number, restorePointsSize: number}>}>}
+     */
+    async getStorageUsage() {
+        const me = this;
+        const { used, quota, items } = await me._stateService.getStorageUsage();
+        const workspaces = [];
+        for (const entry of me._index?.workspaces || []) {
+            const key = me._getWorkspaceKey(entry.id);
+            const snapshotPrefix = `${key}${me._stateService.SNAPSHOT_SEPARATOR}`;
+            const sizeOf = match =>
+                items.filter(item => match(item.key)).reduce((total, item) => total + item.size, 0);
+            workspaces.push({
+                id: entry.id,
+                name: entry.name,
+                updatedAt: entry.updatedAt,
+                active: entry.id === me._index.activeId,
+                size: sizeOf(itemKey => itemKey === key),
+                restorePoints: (await me.listRestorePoints(entry.id)).length,
+                restorePointsSize: sizeOf(itemKey => itemKey.startsWith(snapshotPrefix))
+            });
+        }
+        return { used, quota, workspaces };
+    }
+
+    /**
+     * Finds an index entry by id.
+     *
+     * @param {string} id - The workspace id.
+     * @private
+     * @returns {{id: string, name: string, updatedAt: number} | undefined}
+     */
+    _findEntry(id) {
+        const me = this;
+        return me._index?.workspaces.find(entry => entry.id === id);
+    }
+
+    /**
+     * Adds a new entry to the index (not yet persisted).
+     *
+     * @param {string} name - The workspace name.
+     * @private
+     * @returns {{id: string, name: string, updatedAt: number}}
+     */
+    _createEntry(name) {
+        const me = this;
+        const entry = { id: generateId(), name: me._normalizeName(name), updatedAt: Date.now() };
+        me._index.workspaces.push(entry);
+        return entry;
+    }
+
+    /**
+     * Validates and trims a workspace name.
+     *
+     * @param {string} name - The raw name.
+     * @private
+     * @returns {string}
+     */
+    _normalizeName(name) {
+        const normalized = typeof name === 'string' ? name.trim() : '';
+        if (normalized === '') {
+            throw new Error('WorkspaceManagerService: workspace name cannot be empty.');
+        }
+        return normalized;
+    }
+
+    /**
+     * Builds the storage key of a workspace.
+     *
+     * @param {string} id - The workspace id.
+     * @private
+     * @returns {string}
+     */
+    _getWorkspaceKey(id) {
+        const me = this;
+        return `${me.WORKSPACE_KEY_PREFIX}${id}`;
+    }
+
+    /**
+     * Persists the workspace index (skipped in read-only mode).
+     *
+     * @private
+     * @returns {Promise<void>}
+     */
+    async _saveIndex() {
+        const me = this;
+        if (me._readOnly) {
+            return;
+        }
+        await me._stateService.saveState(me.INDEX_KEY, me._index);
+    }
+
+    /**
+     * Throws if workspace data must not be written.
+     *
+     * @private
+     * @returns {void}
+     */
+    _assertWritable() {
+        if (this._readOnly) {
+            throw new Error('WorkspaceManagerService: workspaces are read-only in this tab.');
+        }
+    }
+
+    /**
+     * Notifies listeners (e.g. other tabs) about a workspace write.
+     *
+     * @param {string} workspaceId - The written workspace.
+     * @param {'saved' | 'renamed' | 'deleted' | 'reset'} change - What changed.
+     * @private
+     * @returns {void}
+     */
+    _emitChanged(workspaceId, change) {
+        appBus.emit(EventTypes.WORKSPACE_CHANGED, { workspaceId, change });
+    }
+}
@@ -0,0 +1,153 @@
+import builtInMigrations from './WorkspaceMigrations.js';
+
+/**
+ * Description:
+ * A Singleton service that keeps an ordered registry of workspace schema
+ * migrations and upgrades workspace JSON saved by older builds to the
+ * current schema before it is handed to the components' fromJSON methods.
+ *
+ * Properties summary:
+ * - _instance {WorkspaceMigrationService | null} : The private static instance for the Singleton.
+ * - _migrations {Array<{version: number, description: string, migrate: Function}>} : Registered migrations, sorted by version.
+ *
+ * Typical usage:
+ * const migrations = WorkspaceMigrationService.getInstance();
+ * migrations.registerMigration({
+ * version: 2,
+ * description: 'Rename toolbar groups',
+ * migrate: workspace => { ... return workspace; }
+ * });
+ * const upgraded = migrations.migrate(savedWorkspace);
+ *
+ * Business rules implemented:
+ * - A workspace without 'schemaVersion' is treated as version 0.
+ * - Migrations run in ascending version order, only those newer than the data.
+ * - The input object is never mutated (migrations work on a deep clone).
+ * - The result always carries 'schemaVersion' equal to the last applied migration.
+ * - Workspaces newer than the current schema are loaded as-is, with a warning.
+ * - Registering two migrations for the same version is rejected.
+ *
+ * Dependencies:
+ * - ./WorkspaceMigrations.js
+ */
+export class WorkspaceMigrationService {
+    /**
+     * @type {WorkspaceMigrationService | null}
+     * @private
+     */
+    static _instance = null;
+
+    /**
+     * Registered migrations, sorted by version.
+     *
+     * @type {Array<{version: number, description: string, migrate: Function}>}
+     * @private
+     */
+    _migrations = [];
+
+    /**
+     * @private
+     */
+    constructor() {
+        if (WorkspaceMigrationService._instance) {
+            console.warn('WorkspaceMigrationService instance already exists. Use getInstance().');
+            return WorkspaceMigrationService._instance;
+        }
+        WorkspaceMigrationService._instance = this;
+        builtInMigrations.forEach(migration => this.registerMigration(migration));
+    }
+
+    /**
+     * Gets the single instance of the WorkspaceMigrationService.
+     *
+     * @returns {WorkspaceMigrationService}
+     */
+    static getInstance() {
+        if (!WorkspaceMigrationService._instance) {
+            WorkspaceMigrationService._instance = new WorkspaceMigrationService();
+        }
+        return WorkspaceMigrationService._instance;
+    }
+
+    /**
+     * The current schema version (the version of the last registered migration).
+     *
+     * @returns {number}
+     */
+    get currentVersion() {
+        const me = this;
+        const last = me._migrations[me._migrations.length - 1];
+        return last ? last.version : 0;
+    }
+
+    /**
+     * Registers a migration.
+     *
+     * @param {{version: number, description?: string, migrate: function(object): object}} migration
+     * @returns {boolean} True if registered.
+     */
+    registerMigration(migration) {
+        const me = this;
+        const { version, migrate } = migration || {};
+
+        if (!Number.isInteger(version) || version < 1 || typeof migrate !== 'function') {
+            console.warn(
+                '[WorkspaceMigrationService] Invalid migration. Requires an integer version >= 1 and a migrate function.'
+            );
+            return false;
+        }
+        if (me._migrations.some(item => item.version === version)) {
+            console.warn(
+                `[WorkspaceMigrationService] A migration for version ${version} is already registered.`
+            );
+            return false;
+        }
+
+        me._migrations.push({ version, description: migration.description || '', migrate });
+        me._migrations.sort((a, b) => a.version - b.version);
+        return true;
+    }
+
+    /**
+     * Returns the schema version of a workspace object.
+     *
+     * @param {object} workspace
+     * @returns {number}
+     */
+    getVersion(workspace) {
+        const version = Number(workspace?.schemaVersion);
+        return Number.isInteger(version) && version >= 0 ? version : 0;
+    }
+
+    /**
+     * Upgrades a workspace object to the current schema version.
+     *
+     * @param {object} workspace - The workspace as read from storage ({ name, layout, schemaVersion? }).
+     * @returns {object} A new, upgraded workspace object.
+     */
+    migrate(workspace) {
+        const me = this;
+        if (!workspace || typeof workspace !== 'object') {
+            return workspace;
+        }
+
+        const fromVersion = me.getVersion(workspace);
+        if (fromVersion > me.currentVersion) {
+            console.warn(
+                `[WorkspaceMigrationService] Workspace schema ${fromVersion} is newer than supported (${me.currentVersion}). Loading as-is.`
+            );
+            return workspace;
+        }
+
+        let result = structuredClone(workspace);
+        me._migrations
+            .filter(migration => migration.version > fromVersion)
+            .forEach(migration => {
+                result = migration.migrate(result) || result;
+                result.schemaVersion = migration.version;
+            });
+
+        result.schemaVersion = Math.max(fromVersion, me.getVersion(result));
+        return result;
+    }
+}
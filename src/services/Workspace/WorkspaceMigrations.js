@@ -0,0 +1,45 @@
+/**
+ * Description:
+ * Ordered list of the built-in workspace schema migrations.
+ * Each entry upgrades a workspace object ({ name, layout, ... }) from
+ * 'version - 1' to 'version'. Entries must be kept in ascending order and
+ * must never be edited once released: structural changes get a new entry.
+ *
+ * Structure of each entry:
+ * - version {number} : The schema version produced by this migration.
+ * - description {string} : A short human-readable summary.
+ * - migrate {function(object): object} : Receives a (cloned) workspace and returns the upgraded one.
+ *
+ * Typical usage:
+ * // Registered automatically by WorkspaceMigrationService.
+ */
+export default [
+    {
+        version: 1,
+        description:
+            "Wrap top-level 'columns' in a single row and rename 'panelGroups' to 'children'.",
+        migrate: workspace => {
+            const layout = workspace.layout;
+            if (!layout) {
+                return workspace;
+            }
+
+            const hasRows = Array.isArray(layout.rows) && layout.rows.length > 0;
+            if (!hasRows && Array.isArray(layout.columns)) {
+                layout.rows = [{ height: null, collapsed: false, columns: layout.columns }];
+            }
+            delete layout.columns;
+
+            (layout.rows || []).forEach(row => {
+                (row.columns || []).forEach(column => {
+                    if (!column.children && Array.isArray(column.panelGroups)) {
+                        column.children = column.panelGroups;
+                    }
+                    delete column.panelGroups;
+                });
+            });
+
+            return workspace;
+        }
+    }
+];
@@ -0,0 +1,379 @@
+import { appBus } from '../../utils/EventBus.js';
+import { generateId } from '../../utils/generateId.js';
+import { EventTypes } from '../../constants/EventTypes.js';
+
+/**
+ * Description:
+ * A Singleton service that coordinates FlexUI instances opened in several
+ * browser tabs. Every workspace write made in this tab is announced to the
+ * other tabs (BroadcastChannel, or the 'storage' event as a fallback), and
+ * announcements from other tabs are re-emitted locally.
+ * In the optional single-writer mode, only the tab holding the write lock
+ * (Web Locks API) may persist workspaces; the others are read-only until the
+ * holder is closed.
+ *
+ * Properties summary:
+ * - _instance {WorkspaceSyncService | null} : The private static instance for the Singleton.
+ * - CHANNEL_NAME {string} : Name of the BroadcastChannel (and prefix of the fallback storage key).
+ * - LOCK_NAME {string} : Name of the Web Lock held by the writer tab.
+ * - tabId {string} : Unique id of this tab.
+ * - hasWriteLock {boolean} : Whether this tab may persist workspaces.
+ * - _channel {BroadcastChannel | null} : The channel, when BroadcastChannel is supported.
+ * - _singleWriter {boolean} : Whether the single-writer mode is on.
+ * - _releaseLock {Function | null} : Resolves the promise that keeps the Web Lock held.
+ * - _lockWaitController {AbortController | null} : Aborts the background wait for the write lock.
+ *
+ * Typical usage:
+ * const sync = WorkspaceSyncService.getInstance();
+ * await sync.start({ singleWriter: true });
+ * appBus.on(EventTypes.WORKSPACE_REMOTE_CHANGED, ({ workspaceId, change }) => { ... });
+ *
+ * Events:
+ * - Listens to: EventTypes.WORKSPACE_CHANGED (local writes, broadcast to other tabs)
+ * - Emits: EventTypes.WORKSPACE_REMOTE_CHANGED ({ workspaceId, change, tabId }) for writes made in another tab
+ * - Emits: EventTypes.WORKSPACE_WRITE_LOCK_CHANGED ({ hasLock: boolean })
+ *
+ * Business rules implemented:
+ * - Messages sent by this tab are never handled by this tab.
+ * - Without BroadcastChannel, messages travel through a localStorage key and
+ * the 'storage' event (fired only in the other tabs).
+ * - Single-writer mode: the first tab gets the lock; the others wait for it
+ * and get it automatically when the holder closes. Without the Web Locks API
+ * every tab keeps writing (with a warning).
+ *
+ * Dependencies:
+ * - ../../utils/EventBus.js
+ * - ../../utils/generateId.js
+ * - ../../constants/EventTypes.js
+ */
+export class WorkspaceSyncService {
+    /**
+     * @type {WorkspaceSyncService | null}
+     * @private
+     */
+    static _instance = null;
+
+    /**
+     * Name of the BroadcastChannel (and prefix of the fallback storage key).
+     *
+     * @type {string}
+     * @public
+     */
+    CHANNEL_NAME = 'flexui_sync';
+
+    /**
+     * Name of the Web Lock held by the writer tab.
+     *
+     * @type {string}
+     * @public
+     */
+    LOCK_NAME = 'flexui_write_lock';
+
+    /**
+     * Unique id of this tab.
+     *
+     * @type {string}
+     * @public
+     */
+    tabId = generateId();
+
+    /**
+     * Unique namespace for appBus listeners.
+     *
+     * @type {string}
+     * @private
+     */
+    _namespace = 'workspace-sync-service';
+
+    /**
+     * The channel, when BroadcastChannel is supported.
+     *
+     * @type {BroadcastChannel | null}
+     * @private
+     */
+    _channel = null;
+
+    /**
+     * Whether the service was started.
+     *
+     * @type {boolean}
+     * @private
+     */
+    _isStarted = false;
+
+    /**
+     * Whether the single-writer mode is on.
+     *
+     * @type {boolean}
+     * @private
+     */
+    _singleWriter = false;
+
+    /**
+     * Whether this tab may persist workspaces.
+     *
+     * @type {boolean}
+     * @private
+     */
+    _hasWriteLock = true;
+
+    /**
+     * Resolves the promise that keeps the Web Lock held.
+     *
+     * @type {Function | null}
+     * @private
+     */
+    _releaseLock = null;
+
+    /**
+     * Aborts the background wait for the write lock.
+     *
+     * @type {AbortController | null}
+     * @private
+     */
+    _lockWaitController = null;
+
+    /**
+     * Bound handler for local workspace writes.
+     *
+     * @type {Function}
+     * @private
+     */
+    _boundOnLocalChange;
+
+    /**
+     * Bound handler for BroadcastChannel messages.
+     *
+     * @type {Function}
+     * @private
+     */
+    _boundOnChannelMessage;
+
+    /**
+     * Bound handler for the window 'storage' event.
+     *
+     * @type {Function}
+     * @private
+     */
+    _boundOnStorage;
+
+    /**
+     * @private
+     */
+    constructor() {
+        if (WorkspaceSyncService._instance) {
+            console.warn('WorkspaceSyncService instance already exists. Use getInstance().');
+            return WorkspaceSyncService._instance;
+        }
+        WorkspaceSyncService._instance = this;
+
+        const me = this;
+        me._boundOnLocalChange = me._onLocalChange.bind(me);
+        me._boundOnChannelMessage = event => me._onMessage(event.data);
+        me._boundOnStorage = me._onStorage.bind(me);
+    }
+
+    /**
+     * Gets the single instance of the WorkspaceSyncService.
+     *
+     * @returns {WorkspaceSyncService}
+     */
+    static getInstance() {
+        if (!WorkspaceSyncService._instance) {
+            WorkspaceSyncService._instance = new WorkspaceSyncService();
+        }
+        return WorkspaceSyncService._instance;
+    }
+
+    /**
+     * HasWriteLock getter.
+     *
+     * @returns {boolean}
+     */
+    get hasWriteLock() {
+        return this._hasWriteLock;
+    }
+
+    /**
+     * Opens the channel and, in single-writer mode, tries to take the write lock.
+     *
+     * @param {object} [options={}]
+     * @param {boolean} [options.singleWriter=false] - Only one tab may persist workspaces.
+     * @returns {Promise<void>} Resolves once the initial lock state is known.
+     */
+    async start({ singleWriter = false } = {}) {
+        const me = this;
+        if (me._isStarted) {
+            return;
+        }
+        me._isStarted = true;
+
+        if (typeof BroadcastChannel === 'function') {
+            me._channel = new BroadcastChannel(me.CHANNEL_NAME);
+            me._channel.addEventListener('message', me._boundOnChannelMessage);
+        } else {
+            window.addEventListener('storage', me._boundOnStorage);
+        }
+        appBus.on(EventTypes.WORKSPACE_CHANGED, me._boundOnLocalChange, {
+            namespace: me._namespace
+        });
+
+        me._singleWriter = Boolean(singleWriter);
+        if (me._singleWriter) {
+            await me._requestLock();
+        }
+    }
+
+    /**
+     * Closes the channel and releases the write lock.
+     *
+     * @returns {void}
+     */
+    destroy() {
+        const me = this;
+        appBus.offByNamespace(me._namespace);
+        window.removeEventListener('storage', me._boundOnStorage);
+        if (me._channel) {
+            me._channel.removeEventListener('message', me._boundOnChannelMessage);
+            me._channel.close();
+            me._channel = null;
+        }
+        if (me._lockWaitController) {
+            me._lockWaitController.abort();
+            me._lockWaitController = null;
+        }
+        if (me._releaseLock) {
+            me._releaseLock();
+            me._releaseLock = null;
+        }
+        WorkspaceSyncService._instance = null;
+    }
+
+    /**
+     * Takes the write lock if it is free; otherwise stays read-only and waits
+     * for it in the background.
+     *
+     * @private
+     * @returns {Promise<void>} Resolves once the initial lock state is known.
+     */
+    _requestLock() {
+        const me = this;
+        if (!navigator.locks) {
+            console.warn(
+                'WorkspaceSyncService: Web Locks API unavailable, single-writer mode disabled.'
+            );
+            return Promise.resolve();
+        }
+
+        return new Promise(resolve => {
+            navigator.locks.request(me.LOCK_NAME, { ifAvailable: true }, lock => {
+                resolve();
+                if (lock) {
+                    return me._holdLock();
+                }
+
+                me._setWriteLock(false);
+                me._lockWaitController = new AbortController();
+                navigator.locks
+                    .request(me.LOCK_NAME, { signal: me._lockWaitController.signal }, () =>
+                        me._holdLock()
+                    )
+                    .catch(() => {
+                        // Aborted by destroy().
+                    });
+                return null;
+            });
+        });
+    }
+
+    /**
+     * Marks this tab as the writer. The returned promise keeps the Web Lock
+     * held until 'destroy' (or until the tab is closed).
+     *
+     * @private
+     * @returns {Promise<void>}
+     */
+    _holdLock() {
+        const me = this;
+        me._lockWaitController = null;
+        me._setWriteLock(true);
+        return new Promise(resolve => {
+            me._releaseLock = resolve;
+        });
+    }
+
+    /**
+     * Updates the lock state and notifies listeners when it changes.
+     *
+     * @param {boolean} hasLock
+     * @private
+     * @returns {void}
+     */
+    _setWriteLock(hasLock) {
+        const me = this;
+        if (me._hasWriteLock === hasLock) {
+            return;
+        }
+        me._hasWriteLock = hasLock;
+        appBus.emit(EventTypes.WORKSPACE_WRITE_LOCK_CHANGED, { hasLock });
+    }
+
+    /**
+     * Broadcasts a local workspace write to the other tabs.
+     *
+     * @param {{workspaceId: string, change: string}} payload
+     * @private
+     * @returns {void}
+     */
+    _onLocalChange({ workspaceId, change }) {
+        const me = this;
+        const message = { workspaceId, change, tabId: me.tabId, sentAt: Date.now() };
+        if (me._channel) {
+            me._channel.postMessage(message);
+            return;
+        }
+        try {
+            localStorage.setItem(me.CHANNEL_NAME, JSON.stringify(message));
+        } catch (err) {
+            console.warn('WorkspaceSyncService: could not notify other tabs.', err);
+        }
+    }
+
+    /**
+     * Handles the fallback 'storage' event.
+     *
+     * @param {StorageEvent} event
+     * @private
+     * @returns {void}
+     */
+    _onStorage(event) {
+        const me = this;
+        if (event.key !== me.CHANNEL_NAME || !event.newValue) {
+            return;
+        }
+        try {
+            me._onMessage(JSON.parse(event.newValue));
+        } catch (err) {
+            console.warn('WorkspaceSyncService: ignoring malformed sync message.', err);
+        }
+    }
+
+    /**
+     * Re-emits a message from another tab on the local appBus.
+     *
+     * @param {{workspaceId: string, change: string, tabId: string}} message
+     * @private
+     * @returns {void}
+     */
+    _onMessage(message) {
+        const me = this;
+        if (!message || message.tabId === me.tabId || typeof message.workspaceId !== 'string') {
+            return;
+        }
+        appBus.emit(EventTypes.WORKSPACE_REMOTE_CHANGED, {
+            workspaceId: message.workspaceId,
+            change: message.change,
+            tabId: message.tabId
+        });
+    }
+}
@@ -0,0 +1,234 @@
+import { WorkspaceMigrationService } from './WorkspaceMigrationService.js';
+import { WorkspaceValidationService } from './WorkspaceValidationService.js';
+
+/**
+ * Description:
+ * A Singleton registry of workspace templates: ready-made layouts that a new
+ * workspace can start from. Templates are workspace JSON files (like
+ * 'workspaces/default.json') carrying 'name', 'description' and 'thumbnail'
+ * metadata. They are listed in a manifest ('workspaces/templates.json') or
+ * registered from code.
+ *
+ * Properties summary:
+ * - _instance {WorkspaceTemplateService | null} : The private static instance for the Singleton.
+ * - manifestUrl {string} : URL of the manifest listing the template files.
+ * - _templates {Map<string, object>} : The registered templates, by id.
+ * - _manifestPromise {Promise<void> | null} : The manifest load (done once).
+ *
+ * Typical usage:
+ * const templates = WorkspaceTemplateService.getInstance();
+ * templates.registerTemplate({ id: 'review', name: 'Review', url: 'workspaces/templates/review.json' });
+ * const list = await templates.getTemplates(); // [{ id, name, description, thumbnail, url }]
+ * const { workspace, issues } = await templates.loadTemplate(list[0].id);
+ *
+ * Business rules implemented:
+ * - The manifest is { templates: [url, ...] }; each file provides its own
+ * metadata, and its URL is its id.
+ * - Templates that cannot be fetched are skipped (with a warning), so one
+ * broken file does not empty the gallery.
+ * - Loaded templates are migrated to the current schema and validated like
+ * imported files; broken subtrees are dropped and reported as issues.
+ *
+ * Dependencies:
+ * - ./WorkspaceMigrationService.js
+ * - ./WorkspaceValidationService.js
+ */
+export class WorkspaceTemplateService {
+    /**
+     * @type {WorkspaceTemplateService | null}
+     * @private
+     */
+    static _instance = null;
+
+    /**
+     * URL of the manifest listing the template files.
+     *
+     * @type {string}
+     * @private
+     */
+    _manifestUrl = 'workspaces/templates.json';
+
+    /**
+     * The registered templates, by id.
+     *
+     * @type {Map<string, {id: string, name: string, description: string, thumbnail: string | null, url: string}>}
+     * @private
+     */
+    _templates = new Map();
+
+    /**
+     * The manifest load (done once).
+     *
+     * @type {Promise<void> | null}
+     * @private
+     */
+    _manifestPromise = null;
+
+    /**
+     * @private
+     */
+    constructor() {
+        if (WorkspaceTemplateService._instance) {
+            console.warn('WorkspaceTemplateService instance already exists. Use getInstance().');
+            return WorkspaceTemplateService._instance;
+        }
+        WorkspaceTemplateService._instance = this;
+    }
+
+    /**
+     * Gets the single instance of the WorkspaceTemplateService.
+     *
+     * @returns {WorkspaceTemplateService}
+     */
+    static getInstance() {
+        if (!WorkspaceTemplateService._instance) {
+            WorkspaceTemplateService._instance = new WorkspaceTemplateService();
+        }
+        return WorkspaceTemplateService._instance;
+    }
+
+    /**
+     * ManifestUrl getter.
+     *
+     * @returns {string}
+     */
+    get manifestUrl() {
+        return this._manifestUrl;
+    }
+
+    /**
+     * ManifestUrl setter with validation. The manifest is read again on the
+     * next 'getTemplates'.
+     *
+     * @param {string} value
+     * @returns {void}
+     */
+    set manifestUrl(value) {
+        const me = this;
+        if (typeof value !== 'string' || value.trim() === '') {
+            console.warn(
+                `[WorkspaceTemplateService] Invalid manifestUrl assignment (${value}). Must be a non-empty string.`
+            );
+            return;
+        }
+        me._manifestUrl = value;
+        me._manifestPromise = null;
+    }
+
+    /**
+     * Adds a template to the registry (replacing one with the same id).
+     *
+     * @param {{id?: string, name: string, description?: string, thumbnail?: string, url: string}} template
+     * @returns {void}
+     */
+    registerTemplate(template) {
+        const me = this;
+        if (
+            typeof template?.url !== 'string' ||
+            template.url === '' ||
+            typeof template.name !== 'string' ||
+            template.name.trim() === ''
+        ) {
+            console.warn('[WorkspaceTemplateService] registerTemplate requires a name and a url.');
+            return;
+        }
+
+        const id =
+            typeof template.id === 'string' && template.id !== '' ? template.id : template.url;
+        me._templates.set(id, {
+            id,
+            name: template.name.trim(),
+            description: typeof template.description === 'string' ? template.description : '',
+            thumbnail: typeof template.thumbnail === 'string' ? template.thumbnail : null,
+            url: template.url
+        });
+    }
+
+    /**
+     * Returns the registered templates, reading the manifest first if needed.
+     *
+     * @returns {Promise<Array<{id: string, name: string, description: string, thumbnail: string | null, url: string}>>}
+     */
+    async getTemplates() {
+        const me = this;
+        if (!me._manifestPromise) {
+            me._manifestPromise = me._loadManifest();
+        }
+        await me._manifestPromise;
+        return Array.from(me._templates.values(), template => ({ ...template }));
+    }
+
+    /**
+     * Fetches, migrates and validates a template.
+     *
+     * @param {string} id - The template id.
+     * @returns {Promise<{workspace: object, issues: Array<{path: string, message: string, action: string}>}>}
+     * @throws {Error} If the template is unknown or is not a readable workspace.
+     */
+    async loadTemplate(id) {
+        const me = this;
+        const template = me._templates.get(id);
+        if (!template) {
+            throw new Error(`WorkspaceTemplateService: template "${id}" not found.`);
+        }
+
+        const data = await me._fetchJSON(template.url);
+        const migrated = WorkspaceMigrationService.getInstance().migrate(data);
+        const { workspace, issues } =
+            WorkspaceValidationService.getInstance().validateWorkspace(migrated);
+        if (!workspace) {
+            throw new Error(
+                `WorkspaceTemplateService: "${template.url}" is not a FlexUI workspace.`
+            );
+        }
+        return { workspace, issues };
+    }
+
+    /**
+     * Reads the manifest and registers the metadata of every template file.
+     *
+     * @private
+     * @returns {Promise<void>}
+     */
+    async _loadManifest() {
+        const me = this;
+        let manifest;
+        try {
+            manifest = await me._fetchJSON(me._manifestUrl);
+        } catch (err) {
+            console.warn('WorkspaceTemplateService: could not read the template manifest.', err);
+            return;
+        }
+
+        const urls = Array.isArray(manifest?.templates) ? manifest.templates : [];
+        const results = await Promise.allSettled(urls.map(url => me._fetchJSON(url)));
+        results.forEach((result, index) => {
+            const url = urls[index];
+            if (result.status === 'rejected') {
+                console.warn(
+                    `WorkspaceTemplateService: skipping template "${url}".`,
+                    result.reason
+                );
+                return;
+            }
+            const { name, description, thumbnail } = result.value || {};
+            me.registerTemplate({ id: url, name, description, thumbnail, url });
+        });
+    }
+
+    /**
+     * Fetches and parses a JSON file.
+     *
+     * @param {string} url
+     * @private
+     * @returns {Promise<object>}
+     * @throws {Error} If the request fails or the body is not JSON.
+     */
+    async _fetchJSON(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to fetch ${url}: ${response.statusText}`);
+        }
+        return response.json();
+    }
+}
@@ -0,0 +1,666 @@
+import { PanelFactory } from '../../components/Panel/PanelFactory.js';
+import { ViewportFactory } from '../../components/Viewport/ViewportFactory.js';
+import { ToolbarGroupFactory } from '../../components/Toolbar/ToolbarGroupFactory.js';
+import { DropZoneType } from '../../constants/DNDTypes.js';
+import { LayoutSizing } from '../../constants/LayoutSizing.js';
+
+const POLICY_FLAGS = ['locked', 'resize', 'move', 'close'];
+
+/**
+ * Description:
+ * A Singleton service that validates a whole workspace document (toolbars,
+ * rows, columns, panel groups, viewports, windows and floating panels)
+ * before it is handed to the components' fromJSON methods.
+ * Broken nodes are repaired when a safe default exists, otherwise only the
+ * broken subtree is dropped, so the rest of the layout still loads.
+ *
+ * Properties summary:
+ * - _instance {WorkspaceValidationService | null} : The private static instance for the Singleton.
+ *
+ * Typical usage:
+ * const validator = WorkspaceValidationService.getInstance();
+ * const { layout, issues } = validator.validateLayout(workspace.layout);
+ * issues.forEach(issue => console.warn(issue.path, issue.message, issue.action));
+ *
+ * Business rules implemented:
+ * - Every issue carries a path (e.g. 'layout.rows[0].columns[1].children[2]'),
+ * a message and an action ('repaired' or 'removed').
+ * - The input is never mutated; a cleaned deep clone is returned.
+ * - Invalid scalar fields are reset to their defaults ('repaired').
+ * - Nodes with an invalid shape or an unregistered type are dropped ('removed'),
+ * except panels of unknown type, which load as a generic Panel (existing factory behavior).
+ * - Containers left empty (panel groups, columns, rows) are dropped; this is only
+ * reported when they became empty because of removed children.
+ * - Floating panel groups are forced to 'isFloating' with valid coordinates.
+ * - Panel and window ids must be non-empty strings, unique within the layout;
+ * invalid or duplicated ids are dropped, so a fresh id is generated on load.
+ * - Region policies ('policy' on rows, columns and panel groups) keep only
+ * their boolean flags ('locked', 'resize', 'move', 'close').
+ * - Proportional sizing: the layout 'sizing' must be a LayoutSizing value, and
+ * 'ratio' (on rows, columns and docked panel groups) a number in (0, 1].
+ * Invalid values are dropped, so the node falls back to its pixel size.
+ * - The column 'autoHide' flag must be a boolean.
+ * - Column children tagged 'type: "row"' are nested rows (split layouts) and
+ * are validated like root rows, to any depth.
+ * - Layout variants ('variants', one layout per breakpoint) are validated like
+ * the base layout; a variant that cannot be loaded is dropped.
+ *
+ * Dependencies:
+ * - ../../components/Panel/PanelFactory.js
+ * - ../../components/Viewport/ViewportFactory.js
+ * - ../../components/Toolbar/ToolbarGroupFactory.js
+ * - ../../constants/DNDTypes.js
+ * - ../../constants/LayoutSizing.js
+ */
+export class WorkspaceValidationService {
+    /**
+     * @type {WorkspaceValidationService | null}
+     * @private
+     */
+    static _instance = null;
+
+    /**
+     * @private
+     */
+    constructor() {
+        if (WorkspaceValidationService._instance) {
+            console.warn('WorkspaceValidationService instance already exists. Use getInstance().');
+            return WorkspaceValidationService._instance;
+        }
+        WorkspaceValidationService._instance = this;
+    }
+
+    /**
+     * Gets the single instance of the WorkspaceValidationService.
+     *
+     * @returns {WorkspaceValidationService}
+     */
+    static getInstance() {
+        if (!WorkspaceValidationService._instance) {
+            WorkspaceValidationService._instance = new WorkspaceValidationService();
+        }
+        return WorkspaceValidationService._instance;
+    }
+
+    /**
+     * Validates a whole workspace document ({ name, layout, ... }).
+     *
+     * @param {object} workspace - The workspace document.
+     * @returns {{workspace: object | null, issues: Array<{path: string, message: string, action: string}>}}
+     * 'workspace' is null when the document cannot be recovered at all.
+     */
+    validateWorkspace(workspace) {
+        const me = this;
+        if (!me._isObject(workspace)) {
+            return {
+                workspace: null,
+                issues: [{ path: '', message: 'Workspace is not an object.', action: 'removed' }]
+            };
+        }
+
+        const result = me.validateLayout(workspace.layout, 'layout');
+        if (!result.layout) {
+            return { workspace: null, issues: result.issues };
+        }
+
+        const cleaned = { ...workspace, layout: result.layout };
+        if (workspace.variants !== undefined) {
+            cleaned.variants = me._validateVariants(workspace.variants, result.issues);
+        }
+        if (typeof cleaned.name !== 'string' || cleaned.name.trim() === '') {
+            result.issues.unshift({
+                path: 'name',
+                message: 'Invalid workspace name.',
+                action: 'repaired'
+            });
+            cleaned.name = 'Workspace';
+        }
+        return { workspace: cleaned, issues: result.issues };
+    }
+
+    /**
+     * Validates a serialized layout ({ rows, floatingPanels, toolbars }).
+     *
+     * @param {object} layout - The serialized layout.
+     * @param {string} [path='layout'] - The path prefix used in issues.
+     * @returns {{layout: object | null, issues: Array<{path: string, message: string, action: string}>}}
+     */
+    validateLayout(layout, path = 'layout') {
+        const me = this;
+        const issues = [];
+
+        if (!me._isObject(layout)) {
+            issues.push({ path, message: 'Layout is not an object.', action: 'removed' });
+            return { layout: null, issues };
+        }
+
+        const cleaned = structuredClone(layout);
+        const context = { issues, ids: new Set() };
+
+        if (cleaned.sizing !== undefined && !Object.values(LayoutSizing).includes(cleaned.sizing)) {
+            me._report(context, `${path}.sizing`, 'Unknown sizing mode.', 'repaired');
+            delete cleaned.sizing;
+        }
+
+        cleaned.rows = me._validateList(cleaned.rows, `${path}.rows`, context, (row, rowPath) =>
+            me._validateRow(row, rowPath, context)
+        );
+        cleaned.floatingPanels = me._validateList(
+            cleaned.floatingPanels,
+            `${path}.floatingPanels`,
+            context,
+            (group, groupPath) => me._validateFloatingGroup(group, groupPath, context)
+        );
+        if (cleaned.toolbars !== undefined) {
+            cleaned.toolbars = me._validateToolbars(cleaned.toolbars, `${path}.toolbars`, context);
+        }
+
+        return { layout: cleaned, issues };
+    }
+
+    /**
+     * Validates the layout variants of a workspace.
+     *
+     * @param {*} variants - The variants ({ [breakpointName]: layout }).
+     * @param {Array<{path: string, message: string, action: string}>} issues - Receives the issues.
+     * @private
+     * @returns {object} The valid variants.
+     */
+    _validateVariants(variants, issues) {
+        const me = this;
+        if (!me._isObject(variants)) {
+            issues.push({ path: 'variants', message: 'Expected an object.', action: 'removed' });
+            return {};
+        }
+
+        const cleaned = {};
+        Object.entries(variants).forEach(([breakpoint, layout]) => {
+            const result = me.validateLayout(layout, `variants.${breakpoint}`);
+            issues.push(...result.issues);
+            if (result.layout) {
+                cleaned[breakpoint] = result.layout;
+            }
+        });
+        return cleaned;
+    }
+
+    /**
+     * Validates an array of nodes. A missing array becomes empty; a non-array
+     * is repaired to empty; items whose validator returns null are dropped.
+     *
+     * @param {*} list - The value expected to be an array.
+     * @param {string} path - The path of the list.
+     * @param {{issues: Array}} context - The validation context.
+     * @param {function(object, string): object | null} validateItem - Validates one item.
+     * @private
+     * @returns {Array<object>}
+     */
+    _validateList(list, path, context, validateItem) {
+        const me = this;
+        if (list === undefined || list === null) {
+            return [];
+        }
+        if (!Array.isArray(list)) {
+            me._report(context, path, 'Expected an array.', 'repaired');
+            return [];
+        }
+
+        const result = [];
+        list.forEach((item, index) => {
+            const itemPath = `${path}[${index}]`;
+            if (!me._isObject(item)) {
+                me._report(context, itemPath, 'Expected an object.', 'removed');
+                return;
+            }
+            const validated = validateItem(item, itemPath);
+            if (validated) {
+                result.push(validated);
+            }
+        });
+        return result;
+    }
+
+    /**
+     * Validates a Row node.
+     *
+     * @param {object} row - The row data.
+     * @param {string} path - The row path.
+     * @param {{issues: Array}} context - The validation context.
+     * @private
+     * @returns {object | null}
+     */
+    _validateRow(row, path, context) {
+        const me = this;
+        me._repairSize(row, 'height', path, context);
+        me._repairRatio(row, path, context);
+        me._repairBoolean(row, 'collapsed', path, context);
+        me._repairBoolean(row, 'collapsible', path, context);
+        me._repairPolicy(row, path, context);
+
+        const hadColumns = Array.isArray(row.columns) && row.columns.length > 0;
+        row.columns = me._validateList(row.columns, `${path}.columns`, context, (column, colPath) =>
+            me._validateColumn(column, colPath, context)
+        );
+        if (row.columns.length === 0) {
+            if (hadColumns) {
+                me._report(context, path, 'Row has no valid columns.', 'removed');
+            }
+            return null;
+        }
+        return row;
+    }
+
+    /**
+     * Validates a Column node.
+     *
+     * @param {object} column - The column data.
+     * @param {string} path - The column path.
+     * @param {{issues: Array}} context - The validation context.
+     * @private
+     * @returns {object | null}
+     */
+    _validateColumn(column, path, context) {
+        const me = this;
+        me._repairSize(column, 'width', path, context);
+        me._repairRatio(column, path, context);
+        me._repairPolicy(column, path, context);
+        me._repairBoolean(column, 'autoHide', path, context);
+
+        const hadChildren = Array.isArray(column.children) && column.children.length > 0;
+        column.children = me._validateList(
+            column.children,
+            `${path}.children`,
+            context,
+            (child, childPath) => {
+                if (child.type === DropZoneType.ROW) {
+                    return me._validateRow(child, childPath, context);
+                }
+                return child.type === DropZoneType.VIEWPORT
+                    ? me._validateViewport(child, childPath, context)
+                    : me._validatePanelGroup(child, childPath, context);
+            }
+        );
+        if (column.children.length === 0) {
+            if (hadChildren) {
+                me._report(context, path, 'Column has no valid children.', 'removed');
+            }
+            return null;
+        }
+        return column;
+    }
+
+    /**
+     * Validates a PanelGroup node (docked or floating).
+     *
+     * @param {object} group - The panel group data.
+     * @param {string} path - The panel group path.
+     * @param {{issues: Array}} context - The validation context.
+     * @private
+     * @returns {object | null}
+     */
+    _validatePanelGroup(group, path, context) {
+        const me = this;
+        me._repairSize(group, 'height', path, context);
+        me._repairSize(group, 'width', path, context);
+        me._repairRatio(group, path, context);
+        me._repairBoolean(group, 'collapsed', path, context);
+        me._repairBoolean(group, 'isFloating', path, context);
+        me._repairPolicy(group, path, context);
+
+        if (group.config !== undefined && !me._isObject(group.config)) {
+            me._report(context, `${path}.config`, 'Expected an object.', 'repaired');
+            group.config = {};
+        }
+        if (group.config) {
+            ['closable', 'collapsible', 'movable'].forEach(key =>
+                me._repairBoolean(group.config, key, `${path}.config`, context)
+            );
+            ['minHeight', 'minWidth'].forEach(key => {
+                if (group.config[key] !== undefined && !me._isNonNegative(group.config[key])) {
+                    me._report(context, `${path}.config.${key}`, 'Invalid size.', 'repaired');
+                    delete group.config[key];
+                }
+            });
+        }
+
+        group.panels = me._validateList(
+            group.panels,
+            `${path}.panels`,
+            context,
+            (panel, panelPath) => me._validatePanel(panel, panelPath, context)
+        );
+        if (group.panels.length === 0) {
+            me._report(context, path, 'Panel group has no valid panels.', 'removed');
+            return null;
+        }
+        return group;
+    }
+
+    /**
+     * Validates a floating PanelGroup node.
+     *
+     * @param {object} group - The panel group data.
+     * @param {string} path - The panel group path.
+     * @param {{issues: Array}} context - The validation context.
+     * @private
+     * @returns {object | null}
+     */
+    _validateFloatingGroup(group, path, context) {
+        const me = this;
+        const validated = me._validatePanelGroup(group, path, context);
+        if (!validated) {
+            return null;
+        }
+
+        if (validated.isFloating !== true) {
+            me._report(context, `${path}.isFloating`, 'Floating group not flagged.', 'repaired');
+            validated.isFloating = true;
+        }
+        ['x', 'y'].forEach(key => {
+            if (!Number.isFinite(validated[key])) {
+                me._report(context, `${path}.${key}`, 'Invalid coordinate.', 'repaired');
+                validated[key] = 0;
+            }
+        });
+        return validated;
+    }
+
+    /**
+     * Validates a Panel node.
+     *
+     * @param {object} panel - The panel data.
+     * @param {string} path - The panel path.
+     * @param {{issues: Array}} context - The validation context.
+     * @private
+     * @returns {object | null}
+     */
+    _validatePanel(panel, path, context) {
+        const me = this;
+        if (typeof panel.type !== 'string' || panel.type === '') {
+            me._report(context, path, 'Panel has no type.', 'removed');
+            return null;
+        }
+        if (!PanelFactory.getInstance().getRegistry().has(panel.type)) {
+            me._report(
+                context,
+                `${path}.type`,
+                `Unknown panel type "${panel.type}", loaded as a generic panel.`,
+                'repaired'
+            );
+        }
+        me._repairId(panel, path, context);
+        me._repairString(panel, 'title', path, context);
+        ['state', 'viewState'].forEach(key => {
+            if (panel[key] !== undefined && !me._isObject(panel[key])) {
+                me._report(context, `${path}.${key}`, 'Expected an object.', 'repaired');
+                delete panel[key];
+            }
+        });
+        return panel;
+    }
+
+    /**
+     * Validates a Viewport node.
+     *
+     * @param {object} viewport - The viewport data.
+     * @param {string} path - The viewport path.
+     * @param {{issues: Array}} context - The validation context.
+     * @private
+     * @returns {object}
+     */
+    _validateViewport(viewport, path, context) {
+        const me = this;
+        viewport.windows = me._validateList(
+            viewport.windows,
+            `${path}.windows`,
+            context,
+            (win, winPath) => me._validateWindow(win, winPath, context)
+        );
+        return viewport;
+    }
+
+    /**
+     * Validates an ApplicationWindow node.
+     *
+     * @param {object} win - The window data.
+     * @param {string} path - The window path.
+     * @param {{issues: Array}} context - The validation context.
+     * @private
+     * @returns {object | null}
+     */
+    _validateWindow(win, path, context) {
+        const me = this;
+        if (!ViewportFactory.getInstance().getRegistry().has(win.type)) {
+            me._report(context, path, `Unknown window type "${win.type}".`, 'removed');
+            return null;
+        }
+        me._repairId(win, path, context);
+        me._repairString(win, 'title', path, context);
+
+        if (win.geometry !== undefined) {
+            const geometry = win.geometry;
+            const isValid =
+                me._isObject(geometry) &&
+                ['x', 'y'].every(key => Number.isFinite(geometry[key])) &&
+                ['width', 'height'].every(key => me._isNonNegative(geometry[key]));
+            if (!isValid) {
+                me._report(context, `${path}.geometry`, 'Invalid geometry.', 'repaired');
+                delete win.geometry;
+            }
+        }
+        if (win.state !== undefined && !me._isObject(win.state)) {
+            me._report(context, `${path}.state`, 'Expected an object.', 'repaired');
+            delete win.state;
+        }
+        return win;
+    }
+
+    /**
+     * Validates the toolbars block ({ top, bottom, left, right }).
+     *
+     * @param {*} toolbars - The toolbars data.
+     * @param {string} path - The toolbars path.
+     * @param {{issues: Array}} context - The validation context.
+     * @private
+     * @returns {object}
+     */
+    _validateToolbars(toolbars, path, context) {
+        const me = this;
+        if (!me._isObject(toolbars)) {
+            me._report(context, path, 'Expected an object.', 'repaired');
+            return { top: [], bottom: [], left: [], right: [] };
+        }
+
+        const registry = ToolbarGroupFactory.getInstance().getRegistry();
+        ['top', 'bottom', 'left', 'right'].forEach(position => {
+            toolbars[position] = me._validateList(
+                toolbars[position],
+                `${path}.${position}`,
+                context,
+                (group, groupPath) => {
+                    if (!registry.has(group.type)) {
+                        me._report(
+                            context,
+                            groupPath,
+                            `Unknown toolbar group type "${group.type}".`,
+                            'removed'
+                        );
+                        return null;
+                    }
+                    me._repairString(group, 'title', groupPath, context);
+                    return group;
+                }
+            );
+        });
+        return toolbars;
+    }
+
+    /**
+     * Resets a size field (null or a non-negative number) to null if invalid.
+     *
+     * @param {object} node - The node data.
+     * @param {string} key - The field name.
+     * @param {string} path - The node path.
+     * @param {{issues: Array}} context - The validation context.
+     * @private
+     * @returns {void}
+     */
+    _repairSize(node, key, path, context) {
+        const me = this;
+        const value = node[key];
+        if (value === undefined || value === null || me._isNonNegative(value)) {
+            return;
+        }
+        me._report(context, `${path}.${key}`, 'Invalid size.', 'repaired');
+        node[key] = null;
+    }
+
+    /**
+     * Removes a 'ratio' field (proportional sizing) if it is not a number in (0, 1].
+     *
+     * @param {object} node - The row, column or panel group data.
+     * @param {string} path - The node path.
+     * @param {{issues: Array}} context - The validation context.
+     * @private
+     * @returns {void}
+     */
+    _repairRatio(node, path, context) {
+        const me = this;
+        const value = node.ratio;
+        if (value === undefined || value === null) {
+            return;
+        }
+        if (Number.isFinite(value) && value > 0 && value <= 1) {
+            return;
+        }
+        me._report(context, `${path}.ratio`, 'Invalid ratio.', 'repaired');
+        delete node.ratio;
+    }
+
+    /**
+     * Removes a boolean field if it holds a non-boolean value.
+     *
+     * @param {object} node - The node data.
+     * @param {string} key - The field name.
+     * @param {string} path - The node path.
+     * @param {{issues: Array}} context - The validation context.
+     * @private
+     * @returns {void}
+     */
+    _repairBoolean(node, key, path, context) {
+        const me = this;
+        if (node[key] === undefined || typeof node[key] === 'boolean') {
+            return;
+        }
+        me._report(context, `${path}.${key}`, 'Expected a boolean.', 'repaired');
+        delete node[key];
+    }
+
+    /**
+     * Repairs a region policy ({ locked, resize, move, close }): drops it if it
+     * is not an object, and drops its non-boolean or unknown flags.
+     *
+     * @param {object} node - The row, column or panel group data.
+     * @param {string} path - The node path.
+     * @param {{issues: Array}} context - The validation context.
+     * @private
+     * @returns {void}
+     */
+    _repairPolicy(node, path, context) {
+        const me = this;
+        if (node.policy === undefined || node.policy === null) {
+            return;
+        }
+        if (!me._isObject(node.policy)) {
+            me._report(context, `${path}.policy`, 'Expected an object.', 'repaired');
+            delete node.policy;
+            return;
+        }
+        Object.keys(node.policy).forEach(key => {
+            if (!POLICY_FLAGS.includes(key)) {
+                me._report(context, `${path}.policy.${key}`, 'Unknown policy flag.', 'repaired');
+                delete node.policy[key];
+                return;
+            }
+            me._repairBoolean(node.policy, key, `${path}.policy`, context);
+        });
+    }
+
+    /**
+     * Removes a string field if it holds a non-string value.
+     *
+     * @param {object} node - The node data.
+     * @param {string} key - The field name.
+     * @param {string} path - The node path.
+     * @param {{issues: Array}} context - The validation context.
+     * @private
+     * @returns {void}
+     */
+    _repairString(node, key, path, context) {
+        const me = this;
+        if (node[key] === undefined || node[key] === null || typeof node[key] === 'string') {
+            return;
+        }
+        me._report(context, `${path}.${key}`, 'Expected a string.', 'repaired');
+        delete node[key];
+    }
+
+    /**
+     * Drops an invalid or already used 'id' field, so the component generates a new one.
+     *
+     * @param {object} node - The panel or window data.
+     * @param {string} path - The node path.
+     * @param {{issues: Array, ids: Set<string>}} context - The validation context.
+     * @private
+     * @returns {void}
+     */
+    _repairId(node, path, context) {
+        const me = this;
+        if (node.id === undefined || node.id === null) {
+            return;
+        }
+        if (typeof node.id !== 'string' || node.id === '') {
+            me._report(context, `${path}.id`, 'Expected a non-empty string.', 'repaired');
+            delete node.id;
+            return;
+        }
+        if (context.ids.has(node.id)) {
+            me._report(context, `${path}.id`, `Duplicate id "${node.id}".`, 'repaired');
+            delete node.id;
+            return;
+        }
+        context.ids.add(node.id);
+    }
+
+    /**
+     * Records an issue.
+     *
+     * @param {{issues: Array}} context - The validation context.
+     * @param {string} path - The path of the broken node.
+     * @param {string} message - The issue description.
+     * @param {'repaired' | 'removed'} action - What was done.
+     * @private
+     * @returns {void}
+     */
+    _report(context, path, message, action) {
+        context.issues.push({ path, message, action });
+    }
+
+    /**
+     * @param {*} value
+     * @private
+     * @returns {boolean} True for plain (non-array) objects.
+     */
+    _isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    /**
+     * @param {*} value
+     * @private
+     * @returns {boolean} True for finite numbers >= 0.
+     */
+    _isNonNegative(value) {
+        return Number.isFinite(value) && value >= 0;
+    }
+}
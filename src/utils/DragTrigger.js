@@ -5,6 +5,8 @@
  *
  * It handles the `pointerdown` event, monitors movement, and either triggers
  * `onDragStart` (if the threshold is exceeded) or `onClick` (if the pointer is released beforehand).
+ * An optional `canDrag` callback can veto the drag (e.g. while the layout is locked);
+ * the gesture then still ends as a click.
  *
  * Properties summary:
  * - _element {HTMLElement} : The target element to listen to.
@@ -46,7 +48,8 @@ export class DragTrigger {
      * Registered callbacks.
      * @type {{
      * onDragStart: Function,
-     * onClick?: Function
+     * onClick?: Function,
+     * canDrag?: Function
      * }}
      * @private
      */
@@ -93,8 +96,9 @@ export class DragTrigger {
      * @param {number} [options.threshold=5] - Pixels to move before triggering drag.
      * @param {Function} options.onDragStart - Callback fired when drag is detected. Receives (event, { startX, startY }).
      * @param {Function} [options.onClick] - Callback fired if pointer is released before threshold.
+     * @param {Function} [options.canDrag] - Returns false to veto the drag when the threshold is exceeded.
      */
-    constructor(element, { threshold = 5, onDragStart, onClick } = {}) {
+    constructor(element, { threshold = 5, onDragStart, onClick, canDrag } = {}) {
         const me = this;
 
         if (!element) {
@@ -106,7 +110,7 @@ export class DragTrigger {
 
         me._element = element;
         me._threshold = threshold;
-        me._callbacks = { onDragStart, onClick };
+        me._callbacks = { onDragStart, onClick, canDrag };
 
         me._boundOnPointerDown = me._onPointerDown.bind(me);
         me._boundOnPointerMove = me._onPointerMove.bind(me);
@@ -195,6 +199,11 @@ export class DragTrigger {
         const dy = Math.abs(event.clientY - me._startState.startY);
 
         if (dx > me._threshold || dy > me._threshold) {
+            // Vetoed drags keep listening, so the release still counts as a click.
+            if (typeof me._callbacks.canDrag === 'function' && !me._callbacks.canDrag(event)) {
+                return;
+            }
+
             // Threshold exceeded: It is a Drag.
             // We invoke the callback with the CURRENT event (to have up-to-date coordinates)
             if (typeof me._callbacks.onDragStart === 'function') {
@@ -0,0 +1,74 @@
+const COMPRESSION_FORMAT = 'gzip';
+const CHUNK_SIZE = 0x8000;
+
+/**
+ * Description:
+ * Helpers to store JSON-compatible values gzip-compressed, using the native
+ * CompressionStream / DecompressionStream. A compressed value is wrapped in an
+ * envelope ({ compression: 'gzip', data: '<base64>' }) that is still plain
+ * JSON, so every StorageAdapter can store it.
+ *
+ * Typical usage:
+ * if (isCompressionSupported()) {
+ * const envelope = await compressJSON(workspace);
+ * const restored = await decompressJSON(envelope);
+ * }
+ *
+ * Business rules implemented:
+ * - 'isCompressedJSON' only accepts envelopes written by 'compressJSON'.
+ */
+
+/**
+ * Tells whether the browser can compress and decompress streams.
+ *
+ * @returns {boolean}
+ */
+export const isCompressionSupported = () =>
+    typeof CompressionStream === 'function' && typeof DecompressionStream === 'function';
+
+/**
+ * Tells whether a stored value is a compressed envelope.
+ *
+ * @param {*} value - The stored value.
+ * @returns {boolean}
+ */
+export const isCompressedJSON = value =>
+    value !== null &&
+    typeof value === 'object' &&
+    value.compression === COMPRESSION_FORMAT &&
+    typeof value.data === 'string' &&
+    Object.keys(value).length === 2;
+
+/**
+ * Compresses a JSON-compatible value into an envelope.
+ *
+ * @param {*} value - The value to compress.
+ * @returns {Promise<{compression: string, data: string}>}
+ */
+export const compressJSON = async value => {
+    const stream = new Blob([JSON.stringify(value)])
+        .stream()
+        .pipeThrough(new CompressionStream(COMPRESSION_FORMAT));
+    const bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += CHUNK_SIZE) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + CHUNK_SIZE));
+    }
+    return { compression: COMPRESSION_FORMAT, data: btoa(binary) };
+};
+
+/**
+ * Restores the value of a compressed envelope.
+ *
+ * @param {{compression: string, data: string}} envelope - An envelope made by 'compressJSON'.
+ * @returns {Promise<*>}
+ * @throws {Error} If the data is not valid gzip-compressed JSON.
+ */
+export const decompressJSON = async envelope => {
+    const bytes = Uint8Array.from(atob(envelope.data), char => char.charCodeAt(0));
+    const stream = new Blob([bytes])
+        .stream()
+        .pipeThrough(new DecompressionStream(envelope.compression));
+    return JSON.parse(await new Response(stream).text());
+};
@@ -41,6 +41,8 @@ import { generateId } from './generateId.js';
  * - Enforces pointer capture to ensure drag continuity even if the cursor leaves the element.
  * - Calculates delta relative to the initial pointer down position.
  * - Supports horizontal, vertical, and both axes.
+ * - The pointer event is passed after the delta(s), so callers can read
+ * modifier keys (e.g. to bypass snapping).
  * - Cleans up all global listeners automatically when the drag ends.
  *
  * Dependencies:
@@ -130,7 +132,7 @@ export class ResizeController {
      * @param {'horizontal'|'vertical'|'both'} direction - The axis to track.
      * @param {object} callbacks - Lifecycle hooks.
      * @param {Function} [callbacks.onStart] - Called when resize starts.
-     * @param {Function} [callbacks.onUpdate] - Called on move with the calculated delta (number, or deltaX, deltaY if direction is 'both').
+     * @param {Function} [callbacks.onUpdate] - Called on move with the calculated delta (number, or deltaX, deltaY if direction is 'both'), followed by the pointer event.
      * @param {Function} [callbacks.onEnd] - Called when resize ends.
      * @throws {Error} If targetElement is missing or direction is invalid.
      */
@@ -220,11 +222,11 @@ export class ResizeController {
         const deltaY = event.clientY - me._startPositionY;
 
         if (me._direction === 'both') {
-            me._callbacks.onUpdate(deltaX, deltaY);
+            me._callbacks.onUpdate(deltaX, deltaY, event);
         } else if (me._direction === 'horizontal') {
-            me._callbacks.onUpdate(deltaX);
+            me._callbacks.onUpdate(deltaX, event);
         } else if (me._direction === 'vertical') {
-            me._callbacks.onUpdate(deltaY);
+            me._callbacks.onUpdate(deltaY, event);
         }
     }
 
@@ -34,6 +34,19 @@ const CURSOR_MAP = Object.freeze({
     [DIRECTIONS.SOUTHWEST]: 'nesw-resize'
 });
 
+/**
+ * Arrow keys that grow and shrink the element, per edge direction.
+ *
+ * @private
+ * @type {Readonly<Object<string, {grow: string, shrink: string}>>}
+ */
+const KEYBOARD_KEYS = Object.freeze({
+    [DIRECTIONS.NORTH]: { grow: 'ArrowUp', shrink: 'ArrowDown' },
+    [DIRECTIONS.SOUTH]: { grow: 'ArrowDown', shrink: 'ArrowUp' },
+    [DIRECTIONS.EAST]: { grow: 'ArrowRight', shrink: 'ArrowLeft' },
+    [DIRECTIONS.WEST]: { grow: 'ArrowLeft', shrink: 'ArrowRight' }
+});
+
 /**
  * Description:
  * Manages the creation, attachment, and logic for 8-directional resizing
@@ -44,11 +57,17 @@ const CURSOR_MAP = Object.freeze({
  * It is designed to be agnostic, handling the low-level resize mathematics
  * and state propagation via the `onResize` callback.
  *
+ * With the `keyboard` option, edge handles (n, s, e, w) are also focusable
+ * `role="separator"` elements exposing their size through aria-valuenow.
+ *
  * Properties summary:
  * - _targetElement {HTMLElement} : The DOM element being resized.
  * - _options {object} : Configuration options including callbacks and constraints.
  * - _handles {Map<string, object>} : Map of created handles and their controllers.
  * - _initialGeometry {object|null} : Starting position and size before resize.
+ * - _restoreSizes {Map<string, number>} : Size restored by Enter, per keyboard handle.
+ * - _snapTargets {object|null} : Snap edges and grid of the current pointer resize.
+ * - _initialRectangle {DOMRect|null} : Viewport rectangle of the element when the pointer resize started.
  *
  * Typical usage:
  * const manager = new ResizeHandleManager(myElement, {
@@ -63,6 +82,21 @@ const CURSOR_MAP = Object.freeze({
  * }
  * });
  *
+ * Business rules implemented:
+ * - Keyboard handles: the arrow keys grow or shrink the element by
+ * `keyboardStep` (`keyboardLargeStep` with Shift); Home collapses it to its
+ * minimum size; End expands it to its maximum size or, when unbounded, over
+ * the free space of the adjacent sibling; Enter restores the previous size.
+ * - The previous size is the size when the handle got focus, or before the
+ * last Home, End or Enter (so Enter toggles between two sizes).
+ * - Keyboard resizing goes through the same clamping, `onStart`, `onResize`
+ * and `onEnd` as pointer resizing, and is refused when `canResize` is false.
+ * - Snapping (edge handles, pointer only): with `getSnapTargets`, the moving
+ * edge snaps to the closest target edge within the threshold, otherwise the
+ * size is rounded to the grid. Holding Alt while dragging disables snapping.
+ * - Double-clicking a handle calls `onDoubleClick` (e.g. to equalize the
+ * neighbours of a bar), unless `canResize` is false.
+ *
  * Dependencies:
  * - {import('./ResizeController.js').ResizeController}
  */
@@ -100,6 +134,30 @@ export class ResizeHandleManager {
      */
     _initialGeometry = null;
 
+    /**
+     * Size restored by Enter, per keyboard handle direction.
+     *
+     * @type {Map<string, number>}
+     * @private
+     */
+    _restoreSizes = new Map();
+
+    /**
+     * Snap edges and grid of the current pointer resize.
+     *
+     * @type {{edges: Array<number>, grid: number, threshold: number} | null}
+     * @private
+     */
+    _snapTargets = null;
+
+    /**
+     * Viewport rectangle of the element when the pointer resize started.
+     *
+     * @type {DOMRect | null}
+     * @private
+     */
+    _initialRectangle = null;
+
     /**
      * Creates an instance of ResizeHandleManager.
      *
@@ -108,7 +166,16 @@ export class ResizeHandleManager {
      * @param {Array<string>} options.handles - Array of direction strings to create handles for (e.g., ['n', 'se']).
      * @param {Function} [options.getConstraints] - Function returning current resize limits. Expected return: `{ minimumWidth, maximumWidth, minimumHeight, maximumHeight, containerRectangle }`.
      * @param {Function} options.onResize - Callback fired after calculation. Receives: `{ xCoordinate, yCoordinate, width, height }`.
+     * @param {Function} [options.onStart] - Callback fired when a resize starts.
+     * @param {Function} [options.onEnd] - Callback fired when a resize ends.
+     * @param {Function} [options.canResize] - Returns false to ignore the handles (e.g. while the layout is locked).
      * @param {string} [options.customClass=''] - Optional CSS class to add to all handles.
+     * @param {boolean} [options.keyboard=false] - Makes the edge handles focusable and keyboard operable.
+     * @param {string} [options.label=''] - Accessible name of the keyboard handles.
+     * @param {number} [options.keyboardStep=10] - Pixels per arrow key press.
+     * @param {number} [options.keyboardLargeStep=50] - Pixels per arrow key press with Shift.
+     * @param {Function} [options.getSnapTargets] - Returns `{ edges, grid, threshold }` (edges in viewport coordinates along the resize axis) or null, when a pointer resize starts.
+     * @param {Function} [options.onDoubleClick] - Called with the handle direction when a handle is double-clicked.
      * @throws {Error} If targetElement is missing.
      */
     constructor(targetElement, options) {
@@ -130,6 +197,10 @@ export class ResizeHandleManager {
             }),
             onResize: () => {},
             customClass: '',
+            keyboard: false,
+            label: '',
+            keyboardStep: 10,
+            keyboardLargeStep: 50,
             ...options
         };
 
@@ -155,8 +226,35 @@ export class ResizeHandleManager {
             handle.element.remove();
         });
         me._handles.clear();
+        me._restoreSizes.clear();
         me._targetElement = null;
         me._initialGeometry = null;
+        me._snapTargets = null;
+        me._initialRectangle = null;
+    }
+
+    /**
+     * Refreshes the ARIA state (size, limits, disabled) of the keyboard handles.
+     *
+     * @returns {void}
+     */
+    updateAria() {
+        const me = this;
+        me._handles.forEach((handle, direction) => {
+            if (!me._isKeyboardHandle(direction)) {
+                return;
+            }
+            const { minimum, maximum } = me._getSizeRange(direction);
+            const element = handle.element;
+            element.setAttribute('aria-valuenow', String(Math.round(me._getSize(direction))));
+            element.setAttribute('aria-valuemin', String(Math.round(minimum)));
+            if (Number.isFinite(maximum)) {
+                element.setAttribute('aria-valuemax', String(Math.round(maximum)));
+            } else {
+                element.removeAttribute('aria-valuemax');
+            }
+            element.setAttribute('aria-disabled', String(!me._canResize()));
+        });
     }
 
     /**
@@ -211,22 +309,355 @@ export class ResizeHandleManager {
             const controller = new ResizeController(handleElement, 'both', {
                 onStart: () => {
                     me._initialGeometry = me._calculateInitialGeometry();
+                    me._prepareSnap(direction);
+                    if (typeof me._options.onStart === 'function') {
+                        me._options.onStart();
+                    }
                 },
-                onUpdate: (deltaX, deltaY) => {
-                    me._handleResizeUpdate(direction, deltaX, deltaY);
+                onUpdate: (deltaX, deltaY, event) => {
+                    if (event?.altKey) {
+                        me._handleResizeUpdate(direction, deltaX, deltaY);
+                        return;
+                    }
+                    const snapped = me._snapDeltas(direction, deltaX, deltaY);
+                    me._handleResizeUpdate(direction, snapped.deltaX, snapped.deltaY);
                 },
                 onEnd: () => {
                     me._initialGeometry = null;
+                    me._snapTargets = null;
+                    me._initialRectangle = null;
+                    if (typeof me._options.onEnd === 'function') {
+                        me._options.onEnd();
+                    }
+                    me.updateAria();
                 }
             });
 
             handleElement.addEventListener('pointerdown', event => {
+                if (!me._canResize()) {
+                    return;
+                }
                 controller.start(event);
             });
 
+            handleElement.addEventListener('dblclick', event => {
+                if (typeof me._options.onDoubleClick !== 'function' || !me._canResize()) {
+                    return;
+                }
+                event.preventDefault();
+                event.stopPropagation();
+                me._options.onDoubleClick(direction);
+                me.updateAria();
+            });
+
+            if (me._isKeyboardHandle(direction)) {
+                me._setupKeyboardHandle(handleElement, direction);
+            }
+
             me._targetElement.appendChild(handleElement);
             me._handles.set(direction, { element: handleElement, controller });
         });
+        me.updateAria();
+    }
+
+    /**
+     * Tells whether a handle direction is operable with the keyboard.
+     *
+     * @param {string} direction
+     * @returns {boolean}
+     * @private
+     */
+    _isKeyboardHandle(direction) {
+        const me = this;
+        return me._options.keyboard === true && Boolean(KEYBOARD_KEYS[direction]);
+    }
+
+    /**
+     * Tells whether a direction is an edge handle (n, s, e, w) rather than a corner.
+     *
+     * @param {string} direction
+     * @returns {boolean}
+     * @private
+     */
+    _isEdgeHandle(direction) {
+        return Boolean(KEYBOARD_KEYS[direction]);
+    }
+
+    /**
+     * Tells whether a direction resizes the width (e, w) or the height (n, s).
+     *
+     * @param {string} direction
+     * @returns {boolean}
+     * @private
+     */
+    _isHorizontal(direction) {
+        return direction === DIRECTIONS.EAST || direction === DIRECTIONS.WEST;
+    }
+
+    /**
+     * Makes a handle a focusable separator and binds its keys.
+     *
+     * @param {HTMLElement} handleElement
+     * @param {string} direction
+     * @returns {void}
+     * @private
+     */
+    _setupKeyboardHandle(handleElement, direction) {
+        const me = this;
+        handleElement.tabIndex = 0;
+        handleElement.setAttribute('role', 'separator');
+        handleElement.setAttribute(
+            'aria-orientation',
+            me._isHorizontal(direction) ? 'vertical' : 'horizontal'
+        );
+        if (me._options.label) {
+            handleElement.setAttribute('aria-label', me._options.label);
+        }
+
+        handleElement.addEventListener('focus', () => {
+            me._restoreSizes.set(direction, me._getSize(direction));
+            me.updateAria();
+        });
+        handleElement.addEventListener('keydown', event => me._onHandleKeyDown(event, direction));
+    }
+
+    /**
+     * Resizes the element from the keyboard.
+     *
+     * @param {KeyboardEvent} event
+     * @param {string} direction
+     * @returns {void}
+     * @private
+     */
+    _onHandleKeyDown(event, direction) {
+        const me = this;
+        if (!me._targetElement || !me._canResize()) {
+            return;
+        }
+
+        const keys = KEYBOARD_KEYS[direction];
+        const current = me._getSize(direction);
+        const { minimum, maximum } = me._getSizeRange(direction);
+        const step = event.shiftKey ? me._options.keyboardLargeStep : me._options.keyboardStep;
+        let size;
+
+        switch (event.key) {
+            case keys.grow:
+                size = current + step;
+                break;
+            case keys.shrink:
+                size = current - step;
+                break;
+            case 'Home':
+                size = minimum;
+                me._restoreSizes.set(direction, current);
+                break;
+            case 'End':
+                size = me._getExpandedSize(direction, current, maximum);
+                me._restoreSizes.set(direction, current);
+                break;
+            case 'Enter':
+                size = me._restoreSizes.get(direction) ?? current;
+                me._restoreSizes.set(direction, current);
+                break;
+            default:
+                return;
+        }
+
+        event.preventDefault();
+        event.stopPropagation();
+        me._resizeTo(direction, size);
+    }
+
+    /**
+     * Runs a complete resize (start, update, end) to a given size.
+     *
+     * @param {string} direction
+     * @param {number} size - The requested width (e, w) or height (n, s).
+     * @returns {void}
+     * @private
+     */
+    _resizeTo(direction, size) {
+        const me = this;
+        const delta = size - me._getSize(direction);
+        if (delta === 0) {
+            return;
+        }
+        const sign = direction === DIRECTIONS.EAST || direction === DIRECTIONS.SOUTH ? 1 : -1;
+
+        me._initialGeometry = me._calculateInitialGeometry();
+        if (typeof me._options.onStart === 'function') {
+            me._options.onStart();
+        }
+        if (me._isHorizontal(direction)) {
+            me._handleResizeUpdate(direction, delta * sign, 0);
+        } else {
+            me._handleResizeUpdate(direction, 0, delta * sign);
+        }
+        me._initialGeometry = null;
+        if (typeof me._options.onEnd === 'function') {
+            me._options.onEnd();
+        }
+        me.updateAria();
+    }
+
+    /**
+     * Computes the size End expands to: the maximum size, or when unbounded,
+     * the current size plus what the adjacent sibling can give up.
+     *
+     * @param {string} direction
+     * @param {number} current - The current size.
+     * @param {number} maximum - The maximum size.
+     * @returns {number}
+     * @private
+     */
+    _getExpandedSize(direction, current, maximum) {
+        const me = this;
+        if (Number.isFinite(maximum)) {
+            return maximum;
+        }
+
+        const horizontal = me._isHorizontal(direction);
+        const grows = direction === DIRECTIONS.EAST || direction === DIRECTIONS.SOUTH;
+        const sibling = grows
+            ? me._targetElement.nextElementSibling
+            : me._targetElement.previousElementSibling;
+        if (!sibling) {
+            return current;
+        }
+
+        const style = window.getComputedStyle(sibling);
+        const siblingSize = horizontal ? sibling.offsetWidth : sibling.offsetHeight;
+        const siblingMinimum = parseFloat(horizontal ? style.minWidth : style.minHeight) || 0;
+        return current + Math.max(0, siblingSize - siblingMinimum);
+    }
+
+    /**
+     * Returns the current size of the element along a direction's axis.
+     *
+     * @param {string} direction
+     * @returns {number}
+     * @private
+     */
+    _getSize(direction) {
+        const me = this;
+        return me._isHorizontal(direction)
+            ? me._targetElement.offsetWidth
+            : me._targetElement.offsetHeight;
+    }
+
+    /**
+     * Returns the size limits along a direction's axis.
+     *
+     * @param {string} direction
+     * @returns {{minimum: number, maximum: number}}
+     * @private
+     */
+    _getSizeRange(direction) {
+        const me = this;
+        const { minimumWidth, maximumWidth, minimumHeight, maximumHeight } =
+            me._options.getConstraints();
+        return me._isHorizontal(direction)
+            ? { minimum: minimumWidth || 0, maximum: maximumWidth ?? Infinity }
+            : { minimum: minimumHeight || 0, maximum: maximumHeight ?? Infinity };
+    }
+
+    /**
+     * Reads the snap targets when a pointer resize starts on an edge handle.
+     *
+     * @param {string} direction
+     * @returns {void}
+     * @private
+     */
+    _prepareSnap(direction) {
+        const me = this;
+        me._snapTargets = null;
+        me._initialRectangle = null;
+        if (typeof me._options.getSnapTargets !== 'function' || !me._isEdgeHandle(direction)) {
+            return;
+        }
+        me._snapTargets = me._options.getSnapTargets(direction) || null;
+        if (me._snapTargets) {
+            me._initialRectangle = me._targetElement.getBoundingClientRect();
+        }
+    }
+
+    /**
+     * Adjusts the pointer deltas of an edge handle to the snap targets.
+     *
+     * @param {string} direction
+     * @param {number} deltaX
+     * @param {number} deltaY
+     * @returns {{deltaX: number, deltaY: number}}
+     * @private
+     */
+    _snapDeltas(direction, deltaX, deltaY) {
+        const me = this;
+        const rectangle = me._initialRectangle;
+        if (!me._snapTargets || !rectangle) {
+            return { deltaX, deltaY };
+        }
+
+        const horizontal = me._isHorizontal(direction);
+        const sign = direction === DIRECTIONS.EAST || direction === DIRECTIONS.SOUTH ? 1 : -1;
+        let edge;
+        if (horizontal) {
+            edge = sign === 1 ? rectangle.right : rectangle.left;
+        } else {
+            edge = sign === 1 ? rectangle.bottom : rectangle.top;
+        }
+        const size = horizontal ? rectangle.width : rectangle.height;
+        const delta = me._snapDelta(edge, size, horizontal ? deltaX : deltaY, sign);
+
+        return horizontal ? { deltaX: delta, deltaY } : { deltaX, deltaY: delta };
+    }
+
+    /**
+     * Snaps one moving edge: to the closest target edge within the threshold,
+     * otherwise its size to the grid.
+     *
+     * @param {number} edge - The initial position of the moving edge.
+     * @param {number} size - The initial size.
+     * @param {number} delta - The pointer displacement.
+     * @param {number} sign - 1 when the edge grows the element moving forward, -1 otherwise.
+     * @returns {number} The snapped displacement.
+     * @private
+     */
+    _snapDelta(edge, size, delta, sign) {
+        const me = this;
+        const { edges = [], grid = 0, threshold = 0 } = me._snapTargets;
+        const position = edge + delta;
+
+        let closest = null;
+        edges.forEach(target => {
+            const distance = Math.abs(target - position);
+            if (
+                distance <= threshold &&
+                (closest === null || distance < Math.abs(closest - position))
+            ) {
+                closest = target;
+            }
+        });
+        if (closest !== null) {
+            return closest - edge;
+        }
+
+        if (grid > 0) {
+            const snappedSize = Math.round((size + delta * sign) / grid) * grid;
+            return (snappedSize - size) * sign;
+        }
+        return delta;
+    }
+
+    /**
+     * Tells whether the handles may start a resize.
+     *
+     * @returns {boolean}
+     * @private
+     */
+    _canResize() {
+        const me = this;
+        return typeof me._options.canResize !== 'function' || me._options.canResize() !== false;
     }
 
     /**
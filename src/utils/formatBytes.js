@@ -0,0 +1,22 @@
+const UNITS = ['B', 'KB', 'MB', 'GB'];
+const STEP = 1024;
+
+/**
+ * Description:
+ * Formats a size in bytes for display, with one decimal above 1 KB.
+ *
+ * Typical usage:
+ * formatBytes(1536); // "1.5 KB"
+ *
+ * @param {number} bytes - The size in bytes.
+ * @returns {string} The formatted size (e.g., "512 B", "1.5 KB", "3.2 MB").
+ */
+export const formatBytes = bytes => {
+    let value = Math.max(0, Number(bytes) || 0);
+    let unit = 0;
+    while (value >= STEP && unit < UNITS.length - 1) {
+        value /= STEP;
+        unit++;
+    }
+    return unit === 0 ? `${value} ${UNITS[unit]}` : `${value.toFixed(1)} ${UNITS[unit]}`;
+};
@@ -0,0 +1,111 @@
+import { appBus } from './EventBus.js';
+import { EventTypes } from '../constants/EventTypes.js';
+import { LayoutChangeType } from '../constants/LayoutChangeTypes.js';
+
+/**
+ * Nesting depth of suppressLayoutChanges calls.
+ *
+ * @type {number}
+ */
+let suppressDepth = 0;
+
+/**
+ * Where detached nodes came from, so re-attaching them reports a move
+ * instead of an addition.
+ *
+ * @type {WeakMap<object, object>}
+ */
+const origins = new WeakMap();
+
+/**
+ * Description:
+ * Emits a typed structural change (see LayoutChangeType) on
+ * EventTypes.LAYOUT_CHANGE. Nothing is emitted inside suppressLayoutChanges.
+ *
+ * Typical usage:
+ * emitLayoutChange(LayoutChangeType.PANEL_REMOVED, { panelId, groupId, index });
+ *
+ * @param {string} type - A LayoutChangeType value.
+ * @param {object} [details={}] - The ids and indices of the change.
+ * @returns {void}
+ */
+export const emitLayoutChange = (type, details = {}) => {
+    if (suppressDepth > 0) {
+        return;
+    }
+    appBus.emit(EventTypes.LAYOUT_CHANGE, { type, timestamp: Date.now(), ...details });
+};
+
+/**
+ * Description:
+ * Emits LayoutChangeType.RESIZED with the current size of a layout node.
+ * Sizes a node does not have are reported as null.
+ *
+ * Typical usage:
+ * emitNodeResized(LayoutNodeType.COLUMN, column);
+ *
+ * @param {string} nodeType - A LayoutNodeType value.
+ * @param {{id: string, width?: number | null, height?: number | null, ratio?: number | null}} node
+ * @returns {void}
+ */
+export const emitNodeResized = (nodeType, node) => {
+    emitLayoutChange(LayoutChangeType.RESIZED, {
+        nodeType,
+        id: node.id,
+        width: node.width ?? null,
+        height: node.height ?? null,
+        ratio: node.ratio ?? null
+    });
+};
+
+/**
+ * Description:
+ * Runs a callback without emitting layout changes (e.g. while a whole layout
+ * is built from JSON; the caller then emits LayoutChangeType.LAYOUT_LOADED).
+ *
+ * Typical usage:
+ * suppressLayoutChanges(() => container.fromJSON(layout));
+ *
+ * @param {Function} callback
+ * @returns {*} The callback's return value.
+ */
+export const suppressLayoutChanges = callback => {
+    suppressDepth++;
+    try {
+        return callback();
+    } finally {
+        suppressDepth--;
+    }
+};
+
+/**
+ * Description:
+ * Records where a node was detached from. The next takeLayoutOrigin call for
+ * the node returns (and forgets) it.
+ *
+ * Typical usage:
+ * markLayoutOrigin(panel, { groupId: me.id, index });
+ *
+ * @param {object} node - The detached node.
+ * @param {object} origin - The ids and indices of its former place.
+ * @returns {void}
+ */
+export const markLayoutOrigin = (node, origin) => {
+    origins.set(node, origin);
+};
+
+/**
+ * Description:
+ * Returns and forgets the origin recorded by markLayoutOrigin.
+ *
+ * Typical usage:
+ * const origin = takeLayoutOrigin(panel); // null for a new panel
+ *
+ * @param {object} node - The attached node.
+ * @returns {object | null} The recorded origin, or null.
+ */
+export const takeLayoutOrigin = node => {
+    const origin = origins.get(node) || null;
+    origins.delete(node);
+    return origin;
+};
@@ -0,0 +1,35 @@
+const PRECISION = 10000;
+const PERCENT = 100;
+
+/**
+ * Description:
+ * Converts a size in pixels into a ratio of its parent's size, rounded to
+ * four decimals so serialized layouts stay readable.
+ *
+ * Typical usage:
+ * column.ratio = toSizeRatio(column.width, row.element.clientWidth); // 0.25
+ *
+ * @param {number | null} size - The size in pixels.
+ * @param {number} total - The parent's size in pixels.
+ * @returns {number | null} The ratio (0 < ratio <= 1), or null if it cannot be computed.
+ */
+export const toSizeRatio = (size, total) => {
+    if (!Number.isFinite(size) || !Number.isFinite(total) || size <= 0 || total <= 0) {
+        return null;
+    }
+    return Math.round(Math.min(size / total, 1) * PRECISION) / PRECISION;
+};
+
+/**
+ * Description:
+ * Builds the CSS flex shorthand of a proportionally sized item. It may shrink
+ * (down to its min-width / min-height) but never grows: the fill-space
+ * sibling takes what is left.
+ *
+ * Typical usage:
+ * element.style.flex = toRatioFlex(0.25); // "0 1 25%"
+ *
+ * @param {number} ratio - The ratio of the parent's size.
+ * @returns {string} The flex shorthand.
+ */
+export const toRatioFlex = ratio => `0 1 ${Math.round(ratio * PRECISION) / (PRECISION / PERCENT)}%`;
@@ -19,6 +19,19 @@ export default [
             }
         ]
     },
+    {
+        titleKey: 'edit.menu',
+        children: [
+            {
+                titleKey: 'edit.undo',
+                event: 'app:undo'
+            },
+            {
+                titleKey: 'edit.redo',
+                event: 'app:redo'
+            }
+        ]
+    },
     {
         titleKey: 'windows.menu',
         children: [
@@ -48,6 +61,66 @@ export default [
                 titleKey: 'workspace.save',
                 event: 'app:save-state'
             },
+            {
+                titleKey: 'workspace.save_as',
+                event: 'app:workspace-save-as'
+            },
+            {
+                titleKey: 'workspace.new_from_template',
+                event: 'app:workspace-new-from-template'
+            },
+            {
+                titleKey: 'workspace.switch',
+                event: 'app:workspace-switch'
+            },
+            {
+                titleKey: 'workspace.rename',
+                event: 'app:workspace-rename'
+            },
+            {
+                titleKey: 'workspace.delete',
+                event: 'app:workspace-delete'
+            },
+            {
+                titleKey: 'workspace.export',
+                event: 'app:workspace-export'
+            },
+            {
+                titleKey: 'workspace.import',
+                event: 'app:workspace-import'
+            },
+            {
+                titleKey: 'workspace.copy_link',
+                event: 'app:layout-link-copy'
+            },
+            {
+                titleKey: 'workspace.save_variant',
+                event: 'app:layout-variant-save'
+            },
+            {
+                titleKey: 'workspace.autosave',
+                event: 'app:toggle-autosave'
+            },
+            {
+                titleKey: 'workspace.lock_layout',
+                event: 'app:toggle-layout-lock'
+            },
+            {
+                titleKey: 'workspace.proportional_sizing',
+                event: 'app:toggle-proportional-sizing'
+            },
+            {
+                titleKey: 'workspace.create_restore_point',
+                event: 'app:restore-point-create'
+            },
+            {
+                titleKey: 'workspace.restore_points',
+                event: 'app:restore-points-open'
+            },
+            {
+                titleKey: 'workspace.storage',
+                event: 'app:storage-cleanup-open'
+            },
             {
                 titleKey: 'workspace.restore',
                 event: 'app:restore-state'